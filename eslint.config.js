@@ -34,6 +34,7 @@ export default [
         game: "readonly",
         ui: "readonly",
         canvas: "readonly",
+        PIXI: "readonly",
         foundry: "readonly",
         CONFIG: "readonly",
         CONST: "readonly",
@@ -210,6 +211,7 @@ export default [
         game: "readonly",
         ui: "readonly",
         canvas: "readonly",
+        PIXI: "readonly",
         foundry: "readonly",
         CONFIG: "readonly",
         CONST: "readonly",
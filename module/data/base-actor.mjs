@@ -192,6 +192,30 @@ export default class EventideRpSystemActorBase extends EventideRpSystemDataModel
       healIncrease: createHiddenAbilitySchema(0, 0, 0),
     });
 
+    // Per damage type modifiers, one entry for each configured damage type.
+    // Immunity is a number so effects can add to it; anything above 0 is immune.
+    const damageModifierFields = {};
+    for (const key of Object.keys(CONFIG.EVENTIDE_RP_SYSTEM.damageTypes ?? {})) {
+      damageModifierFields[key] = new fields.SchemaField({
+        resistance: new fields.NumberField({
+          required: true,
+          nullable: false,
+          initial: 0,
+        }),
+        vulnerability: new fields.NumberField({
+          required: true,
+          nullable: false,
+          initial: 0,
+        }),
+        immunity: new fields.NumberField({
+          required: true,
+          nullable: false,
+          initial: 0,
+        }),
+      });
+    }
+    schema.damageModifiers = new fields.SchemaField(damageModifierFields);
+
     schema.statTotal = new fields.SchemaField({
       value: new fields.NumberField({ ...requiredInteger, initial: 0 }),
       baseValue: new fields.NumberField({ ...requiredInteger, initial: 0 }),
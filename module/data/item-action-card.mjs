@@ -151,6 +151,12 @@ export default class EventideRpSystemActionCard extends EventideRpSystemItemBase
         initial: "damage",
         choices: ["damage", "heal"],
       }),
+      // Key of CONFIG.EVENTIDE_RP_SYSTEM.damageTypes, blank for untyped damage
+      damageKind: new fields.StringField({
+        required: true,
+        blank: true,
+        initial: "",
+      }),
       damageThreshold: new fields.NumberField({
         required: false,
         initial: 15,
@@ -388,6 +394,12 @@ export default class EventideRpSystemActionCard extends EventideRpSystemItemBase
         initial: "damage",
         choices: ["damage", "heal"],
       }),
+      // Key of CONFIG.EVENTIDE_RP_SYSTEM.damageTypes, blank for untyped damage
+      kind: new fields.StringField({
+        required: true,
+        blank: true,
+        initial: "",
+      }),
       powerFormula: new fields.StringField({
         required: true,
         initial: "0",
@@ -467,6 +479,12 @@ export default class EventideRpSystemActionCard extends EventideRpSystemItemBase
         initial: "damage",
         choices: ["damage", "heal"],
       }),
+      // Key of CONFIG.EVENTIDE_RP_SYSTEM.damageTypes, blank for untyped damage
+      resolveKind: new fields.StringField({
+        required: true,
+        blank: true,
+        initial: "",
+      }),
       powerFormula: new fields.StringField({
         required: true,
         initial: "0",
@@ -652,6 +670,47 @@ export default class EventideRpSystemActionCard extends EventideRpSystemItemBase
       initial: false,
     });
 
+    /**
+     * Area-of-effect targeting configuration
+     * When enabled, the user places an area shape on execution and every
+     * token inside it that passes the filters becomes a target
+     */
+    schema.areaTarget = new fields.SchemaField({
+      enabled: new fields.BooleanField({
+        required: true,
+        initial: false,
+      }),
+      shape: new fields.StringField({
+        required: true,
+        initial: "circle",
+        choices: ["circle", "cone", "line", "rectangle"],
+      }),
+      size: new fields.NumberField({
+        required: true,
+        initial: 3,
+        min: 1,
+        nullable: false,
+      }),
+      width: new fields.NumberField({
+        required: true,
+        initial: 1,
+        min: 1,
+        nullable: false,
+      }),
+      includeSelf: new fields.BooleanField({
+        required: true,
+        initial: false,
+      }),
+      includeAllies: new fields.BooleanField({
+        required: true,
+        initial: true,
+      }),
+      includeEnemies: new fields.BooleanField({
+        required: true,
+        initial: true,
+      }),
+    });
+
     /**
      * Intensify behavior configuration for status effect intensification
      * Controls how much each effect type is intensified when re-applied
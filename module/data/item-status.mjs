@@ -10,6 +10,7 @@ import EventideRpSystemItemBase from "./base-item.mjs";
  * Schema Fields:
  * - bgColor: Background color for the status display (default: purple)
  * - textColor: Text color for the status display (default: white)
+ * - duration: Optional combat duration (unit "none" | "rounds" | "turns", value, remaining)
  *
  * @extends {EventideRpSystemItemBase}
  * @since 1.0.0
@@ -30,6 +31,53 @@ export default class EventideRpSystemStatus extends EventideRpSystemItemBase {
       required: true,
     });
 
+    schema.duration = new fields.SchemaField({
+      unit: new fields.StringField({
+        required: true,
+        initial: "none",
+        choices: ["none", "rounds", "turns"],
+      }),
+      value: new fields.NumberField({
+        required: true,
+        initial: 1,
+        min: 1,
+        integer: true,
+      }),
+      remaining: new fields.NumberField({
+        required: true,
+        nullable: true,
+        initial: null,
+        min: 0,
+        integer: true,
+      }),
+    });
+
     return schema;
   }
+
+  /**
+   * Whether this status counts down during combat
+   * @type {boolean}
+   */
+  get hasDuration() {
+    return this.duration.unit !== "none";
+  }
+
+  /**
+   * Start the countdown when a timed status is placed on an actor.
+   * @param {object} data - The initial data object provided to the document creation request
+   * @param {object} options - Additional options which modify the creation request
+   * @param {User} user - The User requesting the document creation
+   * @returns {Promise<boolean|void>} A return value of false prevents creation
+   * @protected
+   * @override
+   */
+  async _preCreate(data, options, user) {
+    const allowed = await super._preCreate(data, options, user);
+    if (allowed === false) return false;
+
+    if (this.parent?.actor && this.hasDuration) {
+      this.updateSource({ "duration.remaining": this.duration.value });
+    }
+  }
 }
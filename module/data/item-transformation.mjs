@@ -59,6 +59,58 @@ export default class EventideRpSystemTransformation extends EventideRpSystemItem
       initial: false,
     });
 
+    // Stacking: stackable transformations layer on top of each other,
+    // replacing only the active layer of the same stack group
+    schema.stackable = new fields.BooleanField({
+      required: true,
+      initial: false,
+    });
+
+    schema.priority = new fields.NumberField({
+      ...requiredInteger,
+      initial: 0,
+    });
+
+    schema.stackGroup = new fields.StringField({
+      required: true,
+      blank: true,
+      initial: "",
+    });
+
+    // Optional duration after which the transformation reverts by itself
+    schema.duration = new fields.SchemaField({
+      unit: new fields.StringField({
+        required: true,
+        initial: "none",
+        choices: ["none", "rounds", "turns", "seconds"],
+      }),
+      value: new fields.NumberField({
+        required: true,
+        initial: 1,
+        min: 1,
+        integer: true,
+      }),
+    });
+
+    // Events that revert the transformation before its duration runs out
+    schema.revertTriggers = new fields.SchemaField({
+      resolveBelow: new fields.NumberField({
+        required: true,
+        nullable: true,
+        initial: null,
+        integer: true,
+      }),
+      combatEnd: new fields.BooleanField({
+        required: true,
+        initial: false,
+      }),
+      statusRemoved: new fields.StringField({
+        required: true,
+        blank: true,
+        initial: "",
+      }),
+    });
+
     // Action card groups for organizing transformation action cards
     schema.actionCardGroups = new fields.ArrayField(
       new fields.SchemaField({
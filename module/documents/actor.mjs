@@ -4,7 +4,7 @@ import {
   ActorResourceMixin,
   ActorRollsMixin,
 } from "./mixins/_module.mjs";
-import { getSetting } from "../services/_module.mjs";
+import { CharacterCreation, getSetting } from "../services/_module.mjs";
 
 /**
  * Actor document class for the Eventide RP System
@@ -91,6 +91,22 @@ export class EventideRpSystemActor extends ActorTransformationMixin(
       // Don't throw the error - token configuration failure shouldn't prevent actor creation
     }
 
+    // Walk the player through building a new, empty character
+    try {
+      if (CharacterCreation.shouldOpen(this, userId)) {
+        const { CharacterCreationWizard } =
+          await import("../ui/macros/character-creation-wizard.mjs");
+        new CharacterCreationWizard({ actor: this }).render(true);
+      }
+    } catch (error) {
+      Logger.warn(
+        `Failed to open the character creation wizard for: ${this.name}`,
+        error,
+        "ACTOR_CREATION",
+      );
+      // Don't throw the error - the wizard is optional and shouldn't prevent actor creation
+    }
+
     Logger.methodExit("EventideRpSystemActor", "_onCreate");
   }
 
@@ -113,6 +113,8 @@ export const ActorResourceMixin = (BaseClass) =>
      * @param {boolean} [options.critAllowed=false] - Whether crits are allowed
      * @param {boolean} [options.acCheck=false] - Whether to check against AC
      * @param {string|null} [options.soundKey=null] - Sound effect key
+     * @param {Object|null} [options.damageInfo=null] - Damage type and modifiers shown on the chat card
+     * @param {Object} [options.createOptions={}] - Options for creating the chat card, e.g. from {@link UndoHistory.track}
      * @returns {Promise<Roll>} The damage roll
      */
     async damageResolve({
@@ -127,6 +129,8 @@ export const ActorResourceMixin = (BaseClass) =>
       img = null,
       bgColor = null,
       textColor = null,
+      damageInfo = null,
+      createOptions = {},
     } = {}) {
       Logger.methodEntry("ActorResourceMixin", "damageResolve", {
         formula,
@@ -163,6 +167,8 @@ export const ActorResourceMixin = (BaseClass) =>
         img,
         bgColor,
         textColor,
+        damageInfo,
+        createOptions,
       };
 
       try {
@@ -235,6 +241,7 @@ export const ActorResourceMixin = (BaseClass) =>
      * @param {Object|null} [options.resolveDamage=null] - Resolve damage payload
      * @param {string} [options.resolveDamage.formula] - The resolve damage formula
      * @param {string} [options.resolveDamage.type] - The resolve damage type ("damage" or "heal")
+     * @param {Object|null} [options.resolveDamage.damageInfo] - Damage type and modifiers shown on the chat card
      * @param {Object|null} [options.powerDamage=null] - Power damage payload
      * @param {string} [options.powerDamage.formula] - The power damage formula
      * @param {string} [options.powerDamage.type] - The power damage type ("damage" or "heal")
@@ -559,9 +566,11 @@ export const ActorResourceMixin = (BaseClass) =>
      *
      * @private
      * @param {string[]} statusArray - Array of status item IDs to remove
+     * @param {Object} [options={}] - Deletion options forwarded to the delete operation, e.g. a custom
+     *   `statusRemovalDescription` for the removal chat message
      * @returns {Promise<void>}
      */
-    async _removeStatusEffects(statusArray) {
+    async _removeStatusEffects(statusArray, options = {}) {
       const statusIds = Array.from(this.items)
         .filter((i) => i.type === "status" && statusArray.includes(i.id))
         .map((i) => i.id);
@@ -572,7 +581,7 @@ export const ActorResourceMixin = (BaseClass) =>
           statusIds,
           "RESOURCES",
         );
-        await this.deleteEmbeddedDocuments("Item", statusIds);
+        await this.deleteEmbeddedDocuments("Item", statusIds, options);
       }
     }
   };
@@ -2,12 +2,14 @@ import { Logger } from "../../services/logger.mjs";
 import { ErrorHandler } from "../../utils/error-handler.mjs";
 import { clampValue } from "../../utils/math-utilities.mjs";
 import { erpsMessageHandler } from "../../services/_module.mjs";
+import { TransformationStacking } from "../../services/transformation-stacking.mjs";
 
 /**
  * Actor Transformation Mixin
  *
  * Provides transformation functionality for actors, including applying and removing
  * transformations, managing token appearance changes, and handling power/resolve adjustments.
+ * Stackable transformations are layered following the rules of TransformationStacking.
  *
  * @param {class} BaseClass - The base actor class to extend
  * @returns {class} Extended class with transformation functionality
@@ -16,6 +18,7 @@ export const ActorTransformationMixin = (BaseClass) =>
   class extends BaseClass {
     /**
      * Apply a transformation to the actor, changing the token appearance and storing the original state
+     * A stackable transformation is added as a layer; any other replaces the active transformations
      *
      * @param {Item} transformationItem - The transformation item to apply
      * @returns {Promise<Actor>} This actor after the update
@@ -48,64 +51,22 @@ export const ActorTransformationMixin = (BaseClass) =>
         return this;
       }
 
-      // Check for duplicate transformation name
-      const activeTransformationName = this.getFlag(
-        "eventide-rp-system",
-        "activeTransformationName",
+      // Check for duplicate names and cursed transformation precedence
+      const conflict = TransformationStacking.getConflict(
+        this,
+        transformationItem,
       );
 
-      if (activeTransformationName === transformationItem.name) {
-        ui.notifications.warn(
-          game.i18n.format(
-            "EVENTIDE_RP_SYSTEM.Item.ActionCard.TransformationDuplicateNameWarning",
-            { transformationName: transformationItem.name },
-          ),
-        );
+      if (conflict) {
+        ui.notifications.warn(conflict.warning);
         Logger.warn(
-          "Transformation denied - duplicate name",
-          {
-            activeTransformationName,
-            newTransformationName: transformationItem.name,
-          },
+          `Transformation denied - ${conflict.reason}`,
+          { newTransformationName: transformationItem.name },
           "TRANSFORMATION",
         );
         return this;
       }
 
-      // Check cursed transformation precedence
-      const activeTransformationCursed = this.getFlag(
-        "eventide-rp-system",
-        "activeTransformationCursed",
-      );
-      const newTransformationCursed = transformationItem.system?.cursed || false;
-
-      // If actor has an active transformation
-      if (activeTransformationName) {
-        // If current transformation is cursed and new one is not cursed, deny
-        if (activeTransformationCursed && !newTransformationCursed) {
-          ui.notifications.warn(
-            game.i18n.format(
-              "EVENTIDE_RP_SYSTEM.Item.ActionCard.TransformationCursedOverrideDenied",
-              {
-                currentTransformation: activeTransformationName,
-                newTransformation: transformationItem.name,
-              },
-            ),
-          );
-          Logger.warn(
-            "Transformation denied - cursed transformation override",
-            {
-              activeTransformationName,
-              activeTransformationCursed,
-              newTransformationName: transformationItem.name,
-              newTransformationCursed,
-            },
-            "TRANSFORMATION",
-          );
-          return this;
-        }
-      }
-
       try {
         // Check if this is an unlinked token actor
         if (this.isToken) {
@@ -122,20 +83,40 @@ export const ActorTransformationMixin = (BaseClass) =>
         // Store original token data if needed
         await this._storeOriginalTokenData(tokens);
 
+        const layers = TransformationStacking.getLayers(this);
+        const replacedLayers = TransformationStacking.getReplacedLayers(
+          layers,
+          transformationItem,
+        );
+        const keptLayers = layers.filter(
+          (layer) => !replacedLayers.includes(layer),
+        );
+
         // Ensure the transformation item is on the actor
         const actorTransformationItem =
-          await this._ensureTransformationItemOnActor(transformationItem);
+          await this._ensureTransformationItemOnActor(
+            transformationItem,
+            keptLayers.map((layer) => layer.id),
+          );
 
         // Apply transformation resolve and power adjustments
-        await this._transformPowerAndResolveUpdate(actorTransformationItem);
+        await this._transformPowerAndResolveUpdate(
+          actorTransformationItem,
+          replacedLayers,
+        );
 
         // Set flags indicating active transformation
-        await this._setTransformationFlags(actorTransformationItem);
+        const newLayers = TransformationStacking.sortLayers([
+          ...keptLayers,
+          TransformationStacking.createLayer(actorTransformationItem),
+        ]);
+        await this._setTransformationFlags(newLayers);
 
         // Update tokens with the transformation appearance
         await this._updateTokensForTransformation(
           tokens,
-          actorTransformationItem,
+          newLayers,
+          this.getFlag("eventide-rp-system", "originalTokenData"),
         );
 
         // Create a chat message about the transformation
@@ -190,17 +171,18 @@ export const ActorTransformationMixin = (BaseClass) =>
 
       try {
         // Check if there's already an active transformation
-        // If so, don't overwrite the original data (switching transformations)
-        const hasActiveTransformation = this.getFlag(
+        // If so, don't overwrite the original data (switching or stacking transformations)
+        const layers = TransformationStacking.getLayers(this);
+        let originalTokenData = this.getFlag(
           "eventide-rp-system",
-          "activeTransformation",
+          "originalTokenData",
         );
 
-        if (!hasActiveTransformation) {
+        if (!layers.length) {
           // Store original token data for THIS token only
           // When we call setFlag on an unlinked token actor, it stores on the token's ActorDelta
           // We don't need tokenId/sceneId since the flag is stored ON this specific token
-          const originalTokenData = {
+          originalTokenData = {
             img: this.token.texture.src,
             scale: this.token.texture.scaleX,
             width: this.token.width,
@@ -226,15 +208,33 @@ export const ActorTransformationMixin = (BaseClass) =>
           );
         }
 
+        const replacedLayers = TransformationStacking.getReplacedLayers(
+          layers,
+          transformationItem,
+        );
+        const keptLayers = layers.filter(
+          (layer) => !replacedLayers.includes(layer),
+        );
+
         // Ensure the transformation item is on the actor
         const actorTransformationItem =
-          await this._ensureTransformationItemOnActor(transformationItem);
+          await this._ensureTransformationItemOnActor(
+            transformationItem,
+            keptLayers.map((layer) => layer.id),
+          );
 
         // Set flags indicating active transformation
-        await this._setTransformationFlags(actorTransformationItem);
+        const newLayers = TransformationStacking.sortLayers([
+          ...keptLayers,
+          TransformationStacking.createLayer(actorTransformationItem),
+        ]);
+        await this._setTransformationFlags(newLayers);
 
-        // Update THIS token with the transformation appearance
-        const updates = this._getTokenTransformationUpdates(actorTransformationItem);
+        // Update THIS token with the appearance of all its layers
+        const updates = this._getLayeredTokenUpdates(
+          newLayers,
+          originalTokenData,
+        );
         if (Object.keys(updates).length > 0) {
           await this.token.update(updates);
         }
@@ -268,10 +268,12 @@ export const ActorTransformationMixin = (BaseClass) =>
 
     /**
      * Remove the active transformation from the actor, restoring the original token appearance
+     * Given the ID of one layer, only that layer is removed and the remaining layers are reapplied
      *
+     * @param {string|null} [layerId=null] - ID of the transformation layer to remove, or null for all
      * @returns {Promise<Actor>} This actor after the update
      */
-    async removeTransformation() {
+    async removeTransformation(layerId = null) {
       // Check permissions
       if (!this.isOwner) {
         ui.notifications.warn(
@@ -290,6 +292,22 @@ export const ActorTransformationMixin = (BaseClass) =>
       }
 
       try {
+        if (layerId) {
+          const layers = TransformationStacking.getLayers(this);
+          const layer = layers.find((l) => l.id === layerId);
+          if (!layer) {
+            return this;
+          }
+
+          const remainingLayers = layers.filter((l) => l !== layer);
+          if (remainingLayers.length) {
+            return await this._removeTransformationLayer(
+              layer,
+              remainingLayers,
+            );
+          }
+        }
+
         // Check if this is an unlinked token actor
         if (this.isToken) {
           // For unlinked tokens, only revert THIS specific token
@@ -446,25 +464,100 @@ export const ActorTransformationMixin = (BaseClass) =>
       }
     }
 
+    /**
+     * Remove one layer of a stacked transformation, keeping the remaining layers
+     * The token appearance is rebuilt from the original token data and the remaining layers,
+     * and the removed layer's power and resolve adjustments are taken off the maximums
+     *
+     * @private
+     * @param {Object} layer - The transformation layer to remove
+     * @param {Object[]} remainingLayers - The layers that stay active
+     * @returns {Promise<Actor>} This actor after the update
+     */
+    async _removeTransformationLayer(layer, remainingLayers) {
+      Logger.methodEntry(
+        "ActorTransformationMixin",
+        "_removeTransformationLayer",
+        {
+          layerName: layer.name,
+          remainingLayers: remainingLayers.map((l) => l.name),
+        },
+      );
+
+      const originalTokenData = this.getFlag(
+        "eventide-rp-system",
+        "originalTokenData",
+      );
+
+      const transformationItem = this.items.get(layer.id);
+      if (transformationItem) {
+        await erpsMessageHandler.createTransformationMessage({
+          actor: this,
+          transformation: transformationItem,
+          isApplying: false,
+        });
+      }
+
+      if (this.isToken) {
+        // Unlinked tokens never received power and resolve adjustments
+        await this.token?.update(
+          this._getLayeredTokenUpdates(remainingLayers, originalTokenData),
+        );
+      } else {
+        await this._restoreOriginalTokenData(
+          this._getAllTokensAcrossScenes(),
+          originalTokenData,
+          remainingLayers,
+        );
+        // Like a full removal, current values are capped rather than reduced
+        await this._restoreOriginalStats({
+          maxResolve: Math.max(
+            this.system.resolve.max - layer.resolveAdjustment,
+            0,
+          ),
+          maxPower: Math.max(this.system.power.max - layer.powerAdjustment, 0),
+        });
+      }
+
+      if (transformationItem) {
+        await this.deleteEmbeddedDocuments("Item", [layer.id]);
+      }
+
+      await this._setTransformationFlags(remainingLayers);
+
+      Logger.methodExit(
+        "ActorTransformationMixin",
+        "_removeTransformationLayer",
+        this,
+      );
+      return this;
+    }
+
     /**
      * Transforms power and resolve statistics based on a transformation item and updates the actor.
-     * If there's a current transformation, calculates the difference between the current and new adjustments.
-     * If there's no current transformation, applies the new adjustments directly.
+     * The adjustments of transformation layers the item replaces are taken back,
+     * so only the difference between the replaced and new adjustments is applied.
      *
      * @param {Object} actorTransformationItem - The transformation item on the actor
      * @param {number} actorTransformationItem.system.powerAdjustment - The power adjustment value from the transformation
      * @param {number} actorTransformationItem.system.resolveAdjustment - The resolve adjustment value from the transformation
+     * @param {Object[]} [replacedLayers=[]] - Transformation layers replaced by the item
      * @returns {Promise<Actor>} A promise that resolves to the updated actor
      * @private
      */
-    async _transformPowerAndResolveUpdate(actorTransformationItem) {
-
-      const newPowerAdjustment = Number(
-        actorTransformationItem.system.powerAdjustment,
-      );
-      const newResolveAdjustment = Number(
-        actorTransformationItem.system.resolveAdjustment,
-      );
+    async _transformPowerAndResolveUpdate(
+      actorTransformationItem,
+      replacedLayers = [],
+    ) {
+      const replaced = (key) =>
+        replacedLayers.reduce((total, layer) => total + layer[key], 0);
+
+      const newPowerAdjustment =
+        Number(actorTransformationItem.system.powerAdjustment) -
+        replaced("powerAdjustment");
+      const newResolveAdjustment =
+        Number(actorTransformationItem.system.resolveAdjustment) -
+        replaced("resolveAdjustment");
 
       // Apply the new adjustments
       const updateData = {
@@ -578,41 +671,56 @@ export const ActorTransformationMixin = (BaseClass) =>
 
     /**
      * Set flags with active transformation information
+     * The single-transformation flags describe the top layer, while the combat powers
+     * and action cards of all layers are combined, top layer first
      *
      * @private
-     * @param {Item} transformationItem - The transformation item
+     * @param {Object[]|Item} layers - The active transformation layers, top layer last,
+     *   or a single transformation item to set as the only layer
      * @returns {Promise<void>}
      */
-    async _setTransformationFlags(transformationItem) {
+    async _setTransformationFlags(layers) {
+      const transformationItem = Array.isArray(layers) ? null : layers;
+      if (transformationItem) {
+        layers = [TransformationStacking.createLayer(transformationItem)];
+      }
+
+      const topLayer = layers.at(-1);
+      const transformationItems = transformationItem
+        ? [transformationItem]
+        : layers
+            .map((layer) => this.items.get(layer.id))
+            .filter(Boolean)
+            .reverse();
 
       // Get embedded combat powers data
-      const embeddedCombatPowers =
-        transformationItem.system.getEmbeddedCombatPowers();
-      const embeddedCombatPowersData = embeddedCombatPowers.map((power) =>
-        power.toObject(),
+      const embeddedCombatPowersData = transformationItems.flatMap((item) =>
+        item.system.getEmbeddedCombatPowers().map((power) => power.toObject()),
       );
 
       // Get embedded action cards data (exclude GM-only action cards)
-      const embeddedActionCards =
-        transformationItem.system.getEmbeddedActionCards();
-      const embeddedActionCardsData = embeddedActionCards
-        .filter((actionCard) => !actionCard.system.gmOnly)
-        .map((actionCard) => actionCard.toObject());
+      const embeddedActionCardsData = transformationItems.flatMap((item) =>
+        item.system
+          .getEmbeddedActionCards()
+          .filter((actionCard) => !actionCard.system.gmOnly)
+          .map((actionCard) => actionCard.toObject()),
+      );
 
+      await this.setFlag("eventide-rp-system", "activeTransformations", layers);
       await this.setFlag(
         "eventide-rp-system",
         "activeTransformation",
-        transformationItem.id,
+        topLayer.id,
       );
       await this.setFlag(
         "eventide-rp-system",
         "activeTransformationName",
-        transformationItem.name,
+        topLayer.name,
       );
       await this.setFlag(
         "eventide-rp-system",
         "activeTransformationCursed",
-        transformationItem.system.cursed,
+        topLayer.cursed,
       );
       await this.setFlag(
         "eventide-rp-system",
@@ -632,12 +740,20 @@ export const ActorTransformationMixin = (BaseClass) =>
      *
      * @private
      * @param {Object[]|Token[]} tokens - Array of token objects (with scene info) or legacy token array
-     * @param {Item} transformationItem - The transformation item
+     * @param {Object[]|Item} layers - The active transformation layers, or a single
+     *   transformation item to show as the only layer
+     * @param {Object} [originalTokenData] - Original token data to reset what no layer changes
      * @returns {Promise<void>}
      */
-    async _updateTokensForTransformation(tokens, transformationItem) {
-      const transformationUpdates =
-        this._getTokenTransformationUpdates(transformationItem);
+    async _updateTokensForTransformation(tokens, layers, originalTokenData) {
+      if (!Array.isArray(layers)) {
+        layers = [TransformationStacking.createLayer(layers)];
+      }
+
+      const transformationUpdates = this._getLayeredTokenUpdates(
+        layers,
+        originalTokenData,
+      );
 
       if (Object.keys(transformationUpdates).length === 0) {
         return;
@@ -710,6 +826,35 @@ export const ActorTransformationMixin = (BaseClass) =>
       return updates;
     }
 
+    /**
+     * Calculate the token updates for layered transformations
+     * Starts from the original token data, if given, so appearance changes of removed
+     * or replaced layers are reset
+     *
+     * @private
+     * @param {Object[]} layers - The active transformation layers
+     * @param {Object} [originalTokenData] - Original token data object
+     * @returns {Object} The updates to apply to the token
+     */
+    _getLayeredTokenUpdates(layers, originalTokenData) {
+      const updates = originalTokenData
+        ? {
+            "texture.src": originalTokenData.img,
+            "texture.scaleX": originalTokenData.scale,
+            "texture.scaleY": originalTokenData.scale,
+            width: originalTokenData.width,
+            height: originalTokenData.height,
+          }
+        : {};
+
+      return Object.assign(
+        updates,
+        this._getTokenTransformationUpdates({
+          system: TransformationStacking.getAppearance(layers),
+        }),
+      );
+    }
+
     /**
      * Calculate the size and scale for a transformation
      *
@@ -772,9 +917,10 @@ export const ActorTransformationMixin = (BaseClass) =>
      * @private
      * @param {Object[]|Token[]} tokens - Array of token objects (with scene info) - UNUSED, kept for compatibility
      * @param {Object} originalTokenData - Original token data object (template for all tokens)
+     * @param {Object[]} [layers=[]] - Transformation layers that stay active on top of the original data
      * @returns {Promise<void>}
      */
-    async _restoreOriginalTokenData(tokens, originalTokenData) {
+    async _restoreOriginalTokenData(tokens, originalTokenData, layers = []) {
 
       // Validate we have template data
       if (!originalTokenData) {
@@ -809,11 +955,7 @@ export const ActorTransformationMixin = (BaseClass) =>
         // All linked tokens get the same restoration data
         const restoreUpdates = {
           _id: tokenDoc.id,
-          "texture.src": originalTokenData.img,
-          "texture.scaleX": originalTokenData.scale,
-          "texture.scaleY": originalTokenData.scale,
-          width: originalTokenData.width,
-          height: originalTokenData.height,
+          ...this._getLayeredTokenUpdates(layers, originalTokenData),
         };
 
         sceneRestoreUpdates.get(sceneId).push(restoreUpdates);
@@ -880,6 +1022,10 @@ export const ActorTransformationMixin = (BaseClass) =>
     async _clearTransformationFlags() {
 
       // Do NOT clear originalTokenData - keep it for the next transformation to update
+      // Actors transformed before stacking existed have no layer flag
+      if (this.getFlag("eventide-rp-system", "activeTransformations")) {
+        await this.unsetFlag("eventide-rp-system", "activeTransformations");
+      }
       await this.unsetFlag("eventide-rp-system", "activeTransformation");
       await this.unsetFlag("eventide-rp-system", "activeTransformationName");
       await this.unsetFlag("eventide-rp-system", "activeTransformationCursed");
@@ -909,26 +1055,24 @@ export const ActorTransformationMixin = (BaseClass) =>
     /**
      * Ensure the transformation item is on the actor
      * If the transformation item is not already on the actor, create a copy
-     * If there's a different transformation already on the actor, remove it first
+     * If there are other transformations on the actor that aren't kept as layers, remove them first
      *
      * @private
      * @param {Item} transformationItem - The transformation item to ensure is on the actor
+     * @param {string[]} [keptIds=[]] - IDs of transformation layers that stay active
      * @returns {Promise<Item>} The transformation item that is now on the actor
      */
-    async _ensureTransformationItemOnActor(transformationItem) {
-
-      // Check if this transformation is already on the actor
-      const existingTransformation = this.items.get(transformationItem.id);
-      if (existingTransformation) {
-        return existingTransformation;
-      }
+    async _ensureTransformationItemOnActor(transformationItem, keptIds = []) {
 
       // Check for any other transformation items on the actor
       const currentTransformations = this.items.filter(
-        (item) => item.type === "transformation",
+        (item) =>
+          item.type === "transformation" &&
+          item.id !== transformationItem.id &&
+          !keptIds.includes(item.id),
       );
 
-      // Remove any existing transformation items (there should only be one)
+      // Remove the transformation items that are replaced
       if (currentTransformations.length > 0) {
         await this.deleteEmbeddedDocuments(
           "Item",
@@ -936,6 +1080,12 @@ export const ActorTransformationMixin = (BaseClass) =>
         );
       }
 
+      // Check if this transformation is already on the actor
+      const existingTransformation = this.items.get(transformationItem.id);
+      if (existingTransformation) {
+        return existingTransformation;
+      }
+
       // If the transformation item is not embedded in this actor's collection, create a copy
       // Note: temporary items may have a parent but not be in the collection
       if (transformationItem.parent !== this || !transformationItem.collection) {
@@ -970,25 +1120,15 @@ export const ActorTransformationMixin = (BaseClass) =>
      * @returns {Promise<void>}
      */
     async _applyTransformationToNewToken(tokenDocument) {
-      // Get the active transformation ID from flags
-      const activeTransformationId = this.getFlag(
-        "eventide-rp-system",
-        "activeTransformation",
-      );
-
-      if (!activeTransformationId) {
-        return;
-      }
-
-      // Find the transformation item on the actor
-      const transformationItem = this.items.get(activeTransformationId);
-      if (!transformationItem) {
+      // Get the active transformation layers from flags
+      const layers = TransformationStacking.getLayers(this);
+      if (!layers.length) {
         return;
       }
 
       try {
-        // Calculate the transformation updates using existing logic
-        const updates = this._getTokenTransformationUpdates(transformationItem);
+        // Calculate the combined appearance of all layers
+        const updates = this._getLayeredTokenUpdates(layers);
 
         // Apply updates if we have any
         if (Object.keys(updates).length > 0) {
@@ -9,8 +9,23 @@ import {
   ChatMessageBuilder,
   DamageProcessor,
   AttackChainExecutor,
+  ActionEconomy,
 } from "../../services/_module.mjs";
 
+/**
+ * Failure reasons meaning an action card never reached a target, so the Full
+ * Action spent executing it is refunded. Resource failures only count on the
+ * first repetition, as the Full Action is kept once that one resolves.
+ */
+const UNRESOLVED_TARGET_REASONS = [
+  "noTargets",
+  "noSelfToken",
+  "areaCancelled",
+  "error",
+  "insufficientRepetitions",
+  "insufficientResources",
+];
+
 /**
  * Mixin that provides action card execution functionality to Item documents.
  * This includes execute, executeWithRollResult, and message creation methods.
@@ -39,7 +54,11 @@ export function ItemActionCardExecutionMixin(Base) {
         throw new Error("Insufficient permissions to execute GM-only action card");
       }
 
+      let spend = null;
       try {
+        // Executing an action card costs the actor a Full Action
+        spend = await ActionEconomy.spendFullActionForCard(actor, this.name);
+
         let result;
         if (this.system.mode === "attackChain") {
           result = await this.executeAttackChain(actor);
@@ -53,6 +72,9 @@ export function ItemActionCardExecutionMixin(Base) {
           throw error;
         }
 
+        await this._refundUnusedAction(actor, spend, result);
+        spend = null;
+
         // Advance initiative if setting is enabled
         if (this.system.advanceInitiative) {
           const combat = game.combat;
@@ -64,6 +86,7 @@ export function ItemActionCardExecutionMixin(Base) {
         return result;
       } catch (error) {
         Logger.error("Failed to execute action card", error, "ACTION_CARD");
+        await this._refundUnusedAction(actor, spend);
         throw error;
       }
     }
@@ -75,6 +98,7 @@ export function ItemActionCardExecutionMixin(Base) {
      * @param {Object} options - Additional execution options
      * @param {Map} options.transformationSelections - Map of target IDs to selected transformation IDs
      * @param {Object[]} options.lockedTargets - Locked targets from popup
+     * @param {boolean} [options.skipActionCost=false] - Skip spending a Full Action (the cost was already paid, e.g. by a prepared action)
      * @returns {Promise<Object>} Result of the execution
      */
     async executeWithRollResult(actor, rollResult, options = {}) {
@@ -93,7 +117,13 @@ export function ItemActionCardExecutionMixin(Base) {
         throw new Error("Insufficient permissions to execute GM-only action card");
       }
 
+      let spend = null;
       try {
+        // Executing an action card costs the actor a Full Action
+        if (!options.skipActionCost) {
+          spend = await ActionEconomy.spendFullActionForCard(actor, this.name);
+        }
+
         // Store locked targets for repetition access
         this._lockedTargets = options.lockedTargets || [];
 
@@ -122,6 +152,7 @@ export function ItemActionCardExecutionMixin(Base) {
             reason: "insufficientRepetitions",
           };
 
+          await this._refundUnusedAction(actor, spend, failureResult);
           return failureResult;
         }
 
@@ -285,6 +316,7 @@ export function ItemActionCardExecutionMixin(Base) {
                 resourceFailure: resourceCheck,
               };
 
+              await this._refundUnusedAction(actor, spend, partialResult);
               return partialResult;
             }
           }
@@ -324,6 +356,25 @@ export function ItemActionCardExecutionMixin(Base) {
           );
           results.push(result);
 
+          // The Full Action is only kept once the first repetition reaches its targets
+          if (i === 0) {
+            await this._refundUnusedAction(actor, spend, result);
+            spend = null;
+          }
+
+          // Criticals only count toward the action economy on the first roll of a chain,
+          // and only when the embedded item makes a dice roll that can crit
+          if (i === 0) {
+            const rollType = this.getEmbeddedItem({ executionContext: true })
+              ?.system?.roll?.type;
+            await ActionEconomy.applyCriticalResult(
+              actor,
+              currentRollResult,
+              this.name,
+              { critAllowed: ["roll", "mixedRoll"].includes(rollType) },
+            );
+          }
+
           // Check "fail on first miss" condition after first iteration (Issue #128)
           if (
             i === 0 &&
@@ -387,6 +438,7 @@ export function ItemActionCardExecutionMixin(Base) {
       } catch (error) {
         // Clean up repetition context on error
         delete this._currentRepetitionContext;
+        await this._refundUnusedAction(actor, spend);
 
         Logger.error(
           "Failed to execute action card with roll result",
@@ -397,6 +449,30 @@ export function ItemActionCardExecutionMixin(Base) {
       }
     }
 
+    /**
+     * Refund the Full Action spent executing this card when execution failed
+     * before the card reached any target
+     * @param {Actor} actor - The actor executing the action card
+     * @param {ActionSpendResult|null} spend - The result of spending the Full Action
+     * @param {Object|null} [result=null] - The execution result, or null if execution threw
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _refundUnusedAction(actor, spend, result = null) {
+      if (!spend?.spent) return;
+      if (
+        result &&
+        !(
+          result.success === false &&
+          UNRESOLVED_TARGET_REASONS.includes(result.reason)
+        )
+      ) {
+        return;
+      }
+
+      await ActionEconomy.refundAction(actor, "full");
+    }
+
     /**
      * Get the effective image for damage rolls
      * @private
@@ -500,6 +576,7 @@ export function ItemActionCardExecutionMixin(Base) {
      * @returns {Promise<Object>} Result of the attack chain execution
      */
     async executeAttackChain(_actor) {
+      let area = null;
 
       try {
         // Check if attack chains are enabled globally
@@ -528,12 +605,14 @@ export function ItemActionCardExecutionMixin(Base) {
         const resolution = await TargetResolver.resolveTargets({
           actor: _actor,
           selfTarget: this.system.selfTarget,
+          areaTarget: this.system.areaTarget,
           contextName: "attack chain",
         });
         if (!resolution.success) {
           return { success: false, reason: resolution.reason };
         }
         const targetArray = resolution.targets;
+        area = resolution.area ?? null;
 
         // Execute the embedded item's roll and capture result
 
@@ -566,6 +645,8 @@ export function ItemActionCardExecutionMixin(Base) {
       } catch (error) {
         Logger.error("Failed to execute attack chain", error, "ACTION_CARD");
         throw error;
+      } finally {
+        if (area) await TargetResolver.removeArea(area);
       }
     }
 
@@ -684,18 +765,21 @@ export function ItemActionCardExecutionMixin(Base) {
      * @returns {Promise<Object>} Result of the saved damage execution
      */
     async executeSavedDamage(_actor, gates = {}) {
+      let area = null;
 
       try {
         // Resolve targets using TargetResolver service
         const resolution = await TargetResolver.resolveTargets({
           actor: _actor,
           selfTarget: this.system.selfTarget,
+          areaTarget: this.system.areaTarget,
           contextName: "saved damage",
         });
         if (!resolution.success) {
           return { success: false, reason: resolution.reason };
         }
         const targetArray = resolution.targets;
+        area = resolution.area ?? null;
 
         // Use DamageProcessor to handle saved damage with proper vulnerability/healing formulas
         const damageResults = await DamageProcessor.processSavedDamage(
@@ -703,6 +787,7 @@ export function ItemActionCardExecutionMixin(Base) {
           {
             formula: this.system.savedDamage.formula,
             type: this.system.savedDamage.type,
+            kind: this.system.savedDamage.kind,
             powerFormula: this.system.savedDamage.powerFormula,
             powerType: this.system.savedDamage.powerType,
             applyResolve: gates.applyResolve,
@@ -739,6 +824,8 @@ export function ItemActionCardExecutionMixin(Base) {
       } catch (error) {
         Logger.error("Failed to execute saved damage", error, "ACTION_CARD");
         throw error;
+      } finally {
+        if (area) await TargetResolver.removeArea(area);
       }
     }
 
@@ -760,6 +847,7 @@ export function ItemActionCardExecutionMixin(Base) {
       return await DamageProcessor.processDamageResults(results, rollResult, {
         damageFormula: this.system.attackChain.damageFormula,
         damageType: this.system.attackChain.damageType,
+        damageKind: this.system.attackChain.damageKind,
         damageCondition: this.system.attackChain.damageCondition,
         damageThreshold: this.system.attackChain.damageThreshold || 15,
         powerDamageFormula: this.system.attackChain.powerDamageFormula,
@@ -808,6 +896,7 @@ export function ItemActionCardExecutionMixin(Base) {
         attackChain: this.system.attackChain,
         repetitionContext: this._currentRepetitionContext,
         sourceActor: this.actor,
+        sourceActionCard: this,
         attemptInventoryReduction: this.system.attemptInventoryReduction,
         shouldApplyEffect: this._shouldApplyEffect.bind(this),
         waitForDelay: this._waitForExecutionDelay.bind(this),
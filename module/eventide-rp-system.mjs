@@ -32,6 +32,12 @@ import {
   ActionCardPresetDialog,
   BulkSavedDamageCreator,
   RollHistory,
+  RollStatistics,
+  ChallengeRoll,
+  HazardManager,
+  PreparedActionsPanel,
+  UndoHistoryWindow,
+  EncounterBuilder,
 } from "./ui/_module.mjs";
 
 // import service classes and constants
@@ -43,6 +49,8 @@ import {
   initChatListeners,
   initPopupListeners,
   initGMControlHooks,
+  initEncumbranceHooks,
+  TokenHudPanel,
   erpsMessageHandler,
   initHandlebarsPartials,
   getSetting,
@@ -54,7 +62,10 @@ import {
   SettingNameMigration,
   V14ActiveEffectMigration,
   CombatPowerLinkingMigration,
+  TargetUuidMigration,
   NpcGenerator,
+  SystemSocket,
+  RollLog,
 } from "./services/_module.mjs";
 
 // Import token configuration guards
@@ -220,6 +231,12 @@ globalThis.erps = {
     ActionCardPresetDialog,
     BulkSavedDamageCreator,
     RollHistory,
+    RollStatistics,
+    ChallengeRoll,
+    HazardManager,
+    PreparedActionsPanel,
+    UndoHistoryWindow,
+    EncounterBuilder,
   },
 
   /**
@@ -502,6 +519,10 @@ Hooks.once("init", async () => {
   initPopupListeners();
   // Initialize GM control hooks
   initGMControlHooks();
+  // Initialize the token HUD quick panel
+  TokenHudPanel.initialize();
+  // Keep encumbrance statuses in step with gear weight
+  initEncumbranceHooks();
 
   // Initialize system cleanup hooks
   initializeCleanupHooks();
@@ -745,6 +766,14 @@ Hooks.once("ready", () => {
     );
   }
 
+  // Listen for player requests the GM's client carries out
+  try {
+    SystemSocket.initialize();
+    Logger.info("System socket initialized", null, "SYSTEM_INIT");
+  } catch (error) {
+    Logger.error("Failed to initialize system socket", error, "SYSTEM_INIT");
+  }
+
   // Run migrations (Issues #127, #128)
   EmbeddedImageMigration.run().catch((error) => {
     Logger.error(
@@ -766,13 +795,22 @@ Hooks.once("ready", () => {
     );
   });
 
-  // Run combat power linking migration (creates actor items from embedded snapshots)
-  CombatPowerLinkingMigration.run().catch((error) => {
-    ErrorHandler.handleAsync(Promise.reject(error), {
-      context: "Combat power linking migration (startup)",
-      errorType: ErrorHandler.ERROR_TYPES.FOUNDRY_API,
+  // Run combat power linking migration (creates actor items from embedded snapshots),
+  // then key pending chat message targets on token UUIDs
+  CombatPowerLinkingMigration.run()
+    .catch((error) => {
+      ErrorHandler.handleAsync(Promise.reject(error), {
+        context: "Combat power linking migration (startup)",
+        errorType: ErrorHandler.ERROR_TYPES.FOUNDRY_API,
+      });
+    })
+    .then(() => TargetUuidMigration.run())
+    .catch((error) => {
+      ErrorHandler.handleAsync(Promise.reject(error), {
+        context: "Target UUID migration (startup)",
+        errorType: ErrorHandler.ERROR_TYPES.FOUNDRY_API,
+      });
     });
-  });
 
   // Remove immediate theme styles now that the full theme system is loaded
   // Add a small delay to ensure all initial sheets have been themed
@@ -847,6 +885,9 @@ Hooks.once("ready", () => {
     const rollFlag = message.flags?.["eventide-rp-system"]?.roll;
     if (!rollFlag) return;
 
+    // Keep the world roll log for the Roll Statistics window
+    RollLog.record(message);
+
     const speaker = ChatMessage.getSpeaker(message);
     const actorId = speaker.actor;
     if (!actorId) return;
@@ -891,6 +932,20 @@ Hooks.once("ready", () => {
       group: "action",
     });
 
+    entries.push({
+      label: "EVENTIDE_RP_SYSTEM.EncounterBuilder.AddToEncounter",
+      icon: '<i class="fa-solid fa-dragon"></i>',
+      onClick: (_event, li) => {
+        const actor = game.actors.get(li.dataset.documentId);
+        if (actor) EncounterBuilder.addActor(actor);
+      },
+      visible: (li) => {
+        const actor = game.actors.get(li.dataset.documentId);
+        return actor?.type === "npc" && game.user.isGM;
+      },
+      group: "action",
+    });
+
     entries.push({
       label: "EVENTIDE_RP_SYSTEM.WindowTitles.RollHistory",
       icon: '<i class="fas fa-dice-d6"></i>',
@@ -4,10 +4,11 @@
  */
 
 /**
- * Prepares character effects by categorizing them into regular, hidden, and override effects
+ * Prepares character effects by categorizing them into regular, hidden, override and damage type effects
  *
  * This function processes an effect object and categorizes its changes based on
  * which abilities they affect and whether those abilities are hidden, override, or regular.
+ * Changes to an actor's per-type damage modifiers become damage type effects.
  *
  * @param {Object} effect - The effect object to process
  * @param {Array} [effect.system.changes] - Array of changes in the effect (v14: nested under system)
@@ -16,12 +17,14 @@
  * @returns {Array} returns.regularEffects - Effects that affect visible abilities
  * @returns {Array} returns.hiddenEffects - Effects that affect hidden abilities
  * @returns {Array} returns.overrideEffects - Effects that affect override abilities
+ * @returns {Array} returns.damageEffects - Effects that change resistance, vulnerability or immunity to a damage type
  */
 const prepareCharacterEffects = async (effect) => {
   const fullEffects = [];
   const regularEffects = [];
   const hiddenEffects = [];
   const overrideEffects = [];
+  const damageEffects = [];
 
   // If there are no changes, return empty arrays
   if (!effect.system?.changes) {
@@ -30,6 +33,7 @@ const prepareCharacterEffects = async (effect) => {
       regularEffects,
       hiddenEffects,
       overrideEffects,
+      damageEffects,
     };
   }
 
@@ -56,6 +60,18 @@ const prepareCharacterEffects = async (effect) => {
 
   // Process each change in the effect
   for (const change of effect.system.changes) {
+    // Damage type modifiers (system.damageModifiers.<type>.<modifier>) are
+    // checked first since "vulnerability" would otherwise match "vuln"
+    if (change.key.startsWith("system.damageModifiers.")) {
+      const [, , damageType, modifier] = change.key.split(".");
+      damageEffects.push({
+        ability: damageType,
+        mode: modifier,
+        value: change.value,
+      });
+      continue;
+    }
+
     // Determine which ability this change affects
     let ability;
 
@@ -104,6 +120,7 @@ const prepareCharacterEffects = async (effect) => {
     regularEffects,
     hiddenEffects,
     overrideEffects,
+    damageEffects,
   };
 };
 
@@ -1,4 +1,5 @@
 import { Logger } from "../services/logger.mjs";
+import { TargetResolver } from "../services/target-resolver.mjs";
 
 /**
  * Utility functions for managing message flags in the GM control system
@@ -9,16 +10,19 @@ export class MessageFlags {
    * Create a GM apply flag structure for action card effects
    * @param {Object} options - Options for creating the flag
    * @param {Object} [options.damage] - Damage application data
-   * @param {string} options.damage.targetId - Target actor ID
+   * @param {string} options.damage.targetUuid - Target token UUID
+   * @param {string} [options.damage.targetId] - Target actor ID
    * @param {string} options.damage.targetName - Target actor name
    * @param {string} options.damage.formula - Damage formula
    * @param {string} options.damage.type - Damage type
    * @param {Object} [options.status] - Status effect application data
-   * @param {string} options.status.targetId - Target actor ID
+   * @param {string} options.status.targetUuid - Target token UUID
+   * @param {string} [options.status.targetId] - Target actor ID
    * @param {string} options.status.targetName - Target actor name
    * @param {Array} options.status.effects - Array of effect data objects
    * @param {string} options.actionCardId - ID of the action card that created this
    * @param {string} options.actorId - ID of the actor who used the action card
+   * @param {string} [options.actorUuid] - UUID of the actor who used the action card
    * @returns {Object} GM apply flag structure
    */
   static createGMApplyFlag({
@@ -26,6 +30,7 @@ export class MessageFlags {
     status = null,
     actionCardId,
     actorId,
+    actorUuid = null,
   }) {
     Logger.methodEntry("MessageFlags", "createGMApplyFlag", {
       hasDamage: !!damage,
@@ -37,30 +42,33 @@ export class MessageFlags {
     const flag = {
       actionCardId,
       actorId,
+      actorUuid,
       timestamp: Date.now(),
     };
 
     if (damage) {
       // Validate target exists
-      const target = game.actors.get(damage.targetId);
+      const targetRef = damage.targetUuid ?? damage.targetId;
       flag.damage = {
-        targetId: damage.targetId,
+        targetUuid: damage.targetUuid ?? null,
+        targetId: damage.targetId ?? null,
         targetName: damage.targetName,
         formula: damage.formula,
         type: damage.type,
-        targetValid: !!target,
+        targetValid: TargetResolver.targetExists(targetRef),
         applied: false,
       };
     }
 
     if (status) {
       // Validate target exists
-      const target = game.actors.get(status.targetId);
+      const targetRef = status.targetUuid ?? status.targetId;
       flag.status = {
-        targetId: status.targetId,
+        targetUuid: status.targetUuid ?? null,
+        targetId: status.targetId ?? null,
         targetName: status.targetName,
         effects: status.effects,
-        targetValid: !!target,
+        targetValid: TargetResolver.targetExists(targetRef),
         applied: false,
       };
     }
@@ -145,12 +153,13 @@ export class MessageFlags {
     if (!flag || typeof flag !== "object") return false;
 
     // Check required fields
-    if (!flag.actionCardId || !flag.actorId || !flag.timestamp) return false;
+    if (!flag.actionCardId || !flag.timestamp) return false;
+    if (!flag.actorId && !flag.actorUuid) return false;
 
     // Validate damage section if present
     if (flag.damage) {
       if (
-        !flag.damage.targetId ||
+        !(flag.damage.targetUuid || flag.damage.targetId) ||
         !flag.damage.targetName ||
         !flag.damage.formula
       ) {
@@ -161,7 +170,7 @@ export class MessageFlags {
     // Validate status section if present
     if (flag.status) {
       if (
-        !flag.status.targetId ||
+        !(flag.status.targetUuid || flag.status.targetId) ||
         !flag.status.targetName ||
         !Array.isArray(flag.status.effects)
       ) {
@@ -212,26 +221,30 @@ export class MessageFlags {
     let needsUpdate = false;
     const updates = {};
 
-    // Cache for actor existence checks to avoid multiple lookups
-    const actorExistsCache = new Map();
+    // Cache for target existence checks to avoid multiple lookups
+    const targetExistsCache = new Map();
 
-    const checkActorExists = (actorId) => {
-      if (!actorExistsCache.has(actorId)) {
-        actorExistsCache.set(actorId, !!game.actors.get(actorId));
+    const checkTargetExists = (targetRef) => {
+      if (!targetExistsCache.has(targetRef)) {
+        targetExistsCache.set(
+          targetRef,
+          TargetResolver.targetExists(targetRef),
+        );
       }
-      return actorExistsCache.get(actorId);
+      return targetExistsCache.get(targetRef);
     };
 
     // Check damage target validity
-    if (flag.damage && !flag.damage.applied && flag.damage.targetId) {
-      const targetExists = checkActorExists(flag.damage.targetId);
+    const damageTargetRef = flag.damage?.targetUuid ?? flag.damage?.targetId;
+    if (flag.damage && !flag.damage.applied && damageTargetRef) {
+      const targetExists = checkTargetExists(damageTargetRef);
       if (flag.damage.targetValid !== targetExists) {
         updates.damage = { ...flag.damage, targetValid: targetExists };
         needsUpdate = true;
         Logger.debug(
           `Damage target validity changed`,
           {
-            targetId: flag.damage.targetId,
+            target: damageTargetRef,
             wasValid: flag.damage.targetValid,
             isValid: targetExists,
           },
@@ -241,15 +254,16 @@ export class MessageFlags {
     }
 
     // Check status target validity
-    if (flag.status && !flag.status.applied && flag.status.targetId) {
-      const targetExists = checkActorExists(flag.status.targetId);
+    const statusTargetRef = flag.status?.targetUuid ?? flag.status?.targetId;
+    if (flag.status && !flag.status.applied && statusTargetRef) {
+      const targetExists = checkTargetExists(statusTargetRef);
       if (flag.status.targetValid !== targetExists) {
         updates.status = { ...flag.status, targetValid: targetExists };
         needsUpdate = true;
         Logger.debug(
           `Status target validity changed`,
           {
-            targetId: flag.status.targetId,
+            target: statusTargetRef,
             wasValid: flag.status.targetValid,
             isValid: targetExists,
           },
@@ -311,13 +325,16 @@ export class MessageFlags {
       return 0;
     }
 
-    // Shared cache for all actor existence checks
-    const actorExistsCache = new Map();
-    const checkActorExists = (actorId) => {
-      if (!actorExistsCache.has(actorId)) {
-        actorExistsCache.set(actorId, !!game.actors.get(actorId));
+    // Shared cache for all target existence checks
+    const targetExistsCache = new Map();
+    const checkTargetExists = (targetRef) => {
+      if (!targetExistsCache.has(targetRef)) {
+        targetExistsCache.set(
+          targetRef,
+          TargetResolver.targetExists(targetRef),
+        );
       }
-      return actorExistsCache.get(actorId);
+      return targetExistsCache.get(targetRef);
     };
 
     let updatedCount = 0;
@@ -332,8 +349,10 @@ export class MessageFlags {
         const updates = {};
 
         // Check damage target validity
-        if (flag.damage && !flag.damage.applied && flag.damage.targetId) {
-          const targetExists = checkActorExists(flag.damage.targetId);
+        const damageTargetRef =
+          flag.damage?.targetUuid ?? flag.damage?.targetId;
+        if (flag.damage && !flag.damage.applied && damageTargetRef) {
+          const targetExists = checkTargetExists(damageTargetRef);
           if (flag.damage.targetValid !== targetExists) {
             updates.damage = { ...flag.damage, targetValid: targetExists };
             needsUpdate = true;
@@ -341,8 +360,10 @@ export class MessageFlags {
         }
 
         // Check status target validity
-        if (flag.status && !flag.status.applied && flag.status.targetId) {
-          const targetExists = checkActorExists(flag.status.targetId);
+        const statusTargetRef =
+          flag.status?.targetUuid ?? flag.status?.targetId;
+        if (flag.status && !flag.status.applied && statusTargetRef) {
+          const targetExists = checkTargetExists(statusTargetRef);
           if (flag.status.targetValid !== targetExists) {
             updates.status = { ...flag.status, targetValid: targetExists };
             needsUpdate = true;
@@ -394,7 +415,7 @@ export class MessageFlags {
         totalMessages: messages.length,
         pendingMessages: pendingMessages.length,
         updatedCount,
-        cacheSize: actorExistsCache.size,
+        cacheSize: targetExistsCache.size,
       },
       "MESSAGE_FLAGS",
     );
@@ -480,10 +501,12 @@ export class MessageFlags {
    * Create a player action approval flag structure
    * @param {Object} options - Options for creating the flag
    * @param {string} options.actorId - ID of the actor who used the action card
+   * @param {string} [options.actorUuid] - UUID of the actor who used the action card (unlinked token actors)
    * @param {string} options.actionCardId - ID of the action card being used
    * @param {string} options.playerId - ID of the player requesting approval
    * @param {string} options.playerName - Name of the player requesting approval
    * @param {Array} options.targetIds - Array of target actor IDs
+   * @param {string[]} [options.targetUuids] - Array of target token UUIDs
    * @param {Object[]} options.lockedTargets - Locked targets from popup
    * @param {Object} options.rollResult - Roll result data for the action
    * @param {Object} options.transformationSelections - Map of target IDs to selected transformation IDs
@@ -492,11 +515,13 @@ export class MessageFlags {
    */
   static createPlayerActionApprovalFlag({
     actorId,
+    actorUuid = null,
     actionCardId,
     actionCardData,
     playerId,
     playerName,
     targetIds,
+    targetUuids,
     lockedTargets,
     rollResult,
     transformationSelections,
@@ -516,7 +541,9 @@ export class MessageFlags {
       actionCardData, // Store the full action card data for transformation support
       playerId,
       playerName,
+      actorUuid,
       targetIds: targetIds || [],
+      targetUuids: targetUuids || [],
       lockedTargets,
       rollResult,
       transformationSelections,
@@ -115,7 +115,7 @@ export class StatusIntensification {
   /**
    * Intensify an existing status effect using configurable intensify amounts
    * @param {Item} existingStatus - The existing status item to intensify
-   * @param {Object} _newEffectData - The new effect data (currently not used)
+   * @param {Object} newEffectData - The new effect data (used to refresh timed durations)
    * @param {Object} [intensifyConfig] - Configuration for how much to intensify each effect type
    * @param {number} [intensifyConfig.add] - Amount to intensify additive effects (default: 1)
    * @param {number} [intensifyConfig.advantage] - Amount to intensify advantage effects (default: 1)
@@ -130,11 +130,7 @@ export class StatusIntensification {
    * @param {number} [intensifyConfig.transformChange] - Amount to intensify transformChange effects (default: 1)
    * @returns {Promise<boolean>} True if intensification was successful
    */
-  static async intensifyStatus(
-    existingStatus,
-    _newEffectData,
-    intensifyConfig,
-  ) {
+  static async intensifyStatus(existingStatus, newEffectData, intensifyConfig) {
     Logger.methodEntry("StatusIntensification", "intensifyStatus", {
       statusName: existingStatus.name,
       targetName: existingStatus.actor.name,
@@ -221,6 +217,30 @@ export class StatusIntensification {
         },
       ]);
 
+      // Re-applying a timed status refreshes its countdown to the longer duration
+      const newDuration = newEffectData?.system?.duration;
+      if (newDuration?.unit && newDuration.unit !== "none") {
+        const currentDuration = existingStatus.system.duration;
+        const currentRemaining =
+          currentDuration?.unit === newDuration.unit
+            ? (currentDuration.remaining ?? 0)
+            : 0;
+        await existingStatus.update({
+          "system.duration.unit": newDuration.unit,
+          "system.duration.value": newDuration.value,
+          "system.duration.remaining": Math.max(
+            currentRemaining,
+            newDuration.value,
+          ),
+        });
+      }
+
+      // The latest application decides whose AC a cleanse is rolled against
+      const creator = newEffectData?.flags?.["eventide-rp-system"]?.creator;
+      if (creator) {
+        await existingStatus.setFlag("eventide-rp-system", "creator", creator);
+      }
+
       // Trigger the erpsUpdateItem hook for consistency with manual status updates
       Hooks.call("erpsUpdateItem", existingStatus, {}, {}, game.user.id);
 
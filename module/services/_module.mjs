@@ -19,6 +19,9 @@ export * from "./permission-validator.mjs";
 export * from "./embedded-item-manager.mjs";
 export * from "./resource-validator.mjs";
 export * from "./transformation-applicator.mjs";
+export * from "./transformation-stacking.mjs";
+export * from "./transformation-duration.mjs";
+export * from "./encumbrance.mjs";
 export * from "./repetition-handler.mjs";
 export * from "./status-effect-applicator.mjs";
 export * from "./attack-chain-executor.mjs";
@@ -35,3 +38,19 @@ export * from "./character-effects-processor.mjs";
 export * from "./formula-validator.mjs";
 export * from "./npc-generator.mjs";
 export * from "./action-card-presets.mjs";
+export * from "./action-economy.mjs";
+export * from "./action-recovery.mjs";
+export * from "./status-duration.mjs";
+export * from "./opposed-challenge.mjs";
+export * from "./status-cleanse.mjs";
+export * from "./scene-hazards.mjs";
+export * from "./prepared-actions.mjs";
+export * from "./downed-state.mjs";
+export * from "./undo-history.mjs";
+export * from "./system-socket.mjs";
+export * from "./combatant-overview.mjs";
+export * from "./advancement.mjs";
+export * from "./character-creation.mjs";
+export * from "./roll-log.mjs";
+export * from "./encounter-planner.mjs";
+export * from "./experience-awards.mjs";
@@ -631,3 +631,84 @@ export const mergePresetData = (presetId, userOverrides = {}) => {
 
   return merged;
 };
+
+/**
+ * Create an action card from a preset on an actor, optionally with a new
+ * combat power created alongside it and linked as the card's embedded item
+ *
+ * If the combat power cannot be linked, it is deleted again and the error is
+ * rethrown. Saved damage presets never get a combat power.
+ *
+ * @param {Actor} actor - The actor to create the action card on
+ * @param {string} presetId - The preset ID
+ * @param {Object} [options={}] - Creation options
+ * @param {string} [options.name] - Card name, defaults to the preset label
+ * @param {Object} [options.overrides={}] - System data overrides, see mergePresetData
+ * @param {Object|null} [options.power=null] - Combat power to create and link
+ * @param {string} options.power.name - Combat power name
+ * @param {string} [options.power.rollType="roll"] - Combat power roll type
+ * @param {string} [options.power.ability="unaugmented"] - Combat power roll ability
+ * @param {number} [options.power.cost=1] - Combat power cost
+ * @returns {Promise<Item|null>} The created action card, or null if the preset was not found
+ */
+export const createPresetActionCard = async (
+  actor,
+  presetId,
+  { name, overrides = {}, power = null } = {},
+) => {
+  const systemData = mergePresetData(presetId, overrides);
+  if (!systemData) return null;
+
+  const preset = getActionCardPreset(presetId);
+  const [card] = await actor.createEmbeddedDocuments("Item", [
+    {
+      name: name || game.i18n.localize(preset.label),
+      type: "actionCard",
+      img: "icons/svg/item-bag.svg",
+      system: systemData,
+    },
+  ]);
+  if (!card || !power?.name || preset.systemData.mode === "savedDamage") {
+    return card ?? null;
+  }
+
+  const powerRollData = DefaultDataFactory.getDefaultRollData();
+  powerRollData.type = power.rollType || "roll";
+  powerRollData.ability = power.ability || "unaugmented";
+  powerRollData.bonus = 0;
+  powerRollData.diceAdjustments = {
+    advantage: 0,
+    disadvantage: 0,
+    total: 0,
+    absTotal: 0,
+  };
+
+  // Create the combat power as a real item on the actor and link
+  const createdPowers = await actor.createEmbeddedDocuments("Item", [
+    {
+      name: power.name,
+      type: "combatPower",
+      img: "icons/svg/item-bag.svg",
+      system: {
+        ...DefaultDataFactory.getSystemData("combatPower"),
+        roll: powerRollData,
+        cost: Number(power.cost) || 1,
+        description: "",
+      },
+      effects: [],
+    },
+  ]);
+  if (!createdPowers || createdPowers.length === 0) {
+    throw new Error("Failed to create combat power on actor");
+  }
+
+  // Attempt linking — clean up the orphaned combat power on failure
+  try {
+    await card.setEmbeddedItem(createdPowers[0]);
+  } catch (linkError) {
+    await actor.deleteEmbeddedDocuments("Item", [createdPowers[0].id]);
+    throw linkError;
+  }
+
+  return card;
+};
@@ -0,0 +1,729 @@
+/**
+ * ActionEconomy Service
+ *
+ * Tracks the per-combatant action pools defined by the combat rules
+ * (2 Full Actions, 1 Move, 1 Cleanse and 1 Reaction per turn). Pools are
+ * stored as a flag on the Combatant document so they live and die with the
+ * encounter, refresh at the start of each combatant's turn, and grant every
+ * combatant a Reaction when combat begins. Optionally, criticals on the first
+ * roll of an action card grant or cost Full Actions. A combatant may also
+ * declare a Push, trading their Move, Cleanse and Reaction for an extra Full
+ * Action at the risk of losing next turn's Full Actions on a critical miss.
+ *
+ * @module ActionEconomy
+ * @see module:services/hooks/combat
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { ERPSRollUtilities } from "../utils/roll-utilities.mjs";
+
+const { renderTemplate } = foundry.applications.handlebars;
+
+/**
+ * @typedef {Object} ActionPools
+ * @property {number} full - Remaining Full Actions
+ * @property {number} move - Remaining Move Actions
+ * @property {number} cleanse - Remaining Cleanse Actions
+ * @property {number} reaction - Remaining Reactions
+ */
+
+/**
+ * @typedef {Object} ActionSpendResult
+ * @property {boolean} tracked - Whether the actor is in a tracked combat
+ * @property {boolean} spent - Whether the action was successfully spent
+ * @property {ActionPools|null} pools - The pools after spending (null if untracked)
+ * @property {boolean} [pushing] - Set when the action was refused because the combatant is pushing
+ */
+
+/**
+ * @typedef {Object} CriticalActionResult
+ * @property {string} outcome - "hit" or "miss"
+ * @property {number} bonusFull - Full Actions granted immediately
+ * @property {number} lostNow - Full Actions lost from the current pools
+ * @property {number} lostNextTurn - Full Actions queued to be lost next turn
+ * @property {boolean} pushing - Whether the miss happened during a Push
+ */
+
+/**
+ * ActionEconomy class for managing combatant action pools
+ *
+ * @class ActionEconomy
+ */
+export class ActionEconomy {
+  /**
+   * Flag key used to store action pools on combatants
+   * @type {string}
+   */
+  static FLAG_KEY = "actionEconomy";
+
+  /**
+   * Flag key counting Full Actions a combatant loses on their next turn
+   * @type {string}
+   */
+  static PENALTY_FLAG_KEY = "lostFullActions";
+
+  /**
+   * Flag key marking a combatant as pushing for their current turn
+   * @type {string}
+   */
+  static PUSH_FLAG_KEY = "pushing";
+
+  /**
+   * Action types given up to push; Cleanse and Reaction stay blocked for the turn
+   * @type {string[]}
+   */
+  static PUSH_CONVERTED_TYPES = ["move", "cleanse", "reaction"];
+
+  /**
+   * Chat card template announcing criticals and pushes
+   * @type {string}
+   */
+  static MESSAGE_TEMPLATE =
+    "systems/eventide-rp-system/templates/chat/action-economy-message.hbs";
+
+  /**
+   * Action types in display order
+   * @type {string[]}
+   */
+  static ACTION_TYPES = ["full", "move", "cleanse", "reaction"];
+
+  /**
+   * Actions granted at the start of each turn
+   * @type {Readonly<ActionPools>}
+   */
+  static DEFAULT_POOLS = Object.freeze({
+    full: 2,
+    move: 1,
+    cleanse: 1,
+    reaction: 1,
+  });
+
+  /**
+   * Font Awesome icons for each action type
+   * @type {Readonly<Object<string, string>>}
+   */
+  static ICONS = Object.freeze({
+    full: "fas fa-fist-raised",
+    move: "fas fa-running",
+    cleanse: "fas fa-hand-sparkles",
+    reaction: "fas fa-shield-alt",
+  });
+
+  /**
+   * Check whether action economy tracking is enabled for this world
+   *
+   * @static
+   * @returns {boolean} True if tracking is enabled
+   */
+  static isEnabled() {
+    try {
+      return game.settings.get("eventide-rp-system", "enableActionEconomy");
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether criticals should change the action economy automatically
+   *
+   * @static
+   * @returns {boolean} True if tracking and critical automation are both enabled
+   */
+  static isCriticalAutomationEnabled() {
+    if (!this.isEnabled()) return false;
+    try {
+      return game.settings.get("eventide-rp-system", "automateCriticalActions");
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Find the combatant representing an actor in a started combat
+   *
+   * @static
+   * @param {Actor} actor - The actor to look up
+   * @param {Combat} [combat=game.combat] - The combat to search
+   * @returns {Combatant|null} The combatant, or null if not in a started combat
+   */
+  static getCombatant(actor, combat = game.combat) {
+    if (!actor || !combat?.started) return null;
+    return combat.getCombatantsByActor(actor)[0] ?? null;
+  }
+
+  /**
+   * Get the current action pools for a combatant
+   *
+   * Combatants without stored pools (e.g. added mid-combat) are treated as
+   * having a fresh turn's worth of actions.
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant to read
+   * @returns {ActionPools} The combatant's current pools
+   */
+  static getPools(combatant) {
+    const stored =
+      combatant?.getFlag("eventide-rp-system", this.FLAG_KEY) ?? {};
+    const pools = {};
+    for (const type of this.ACTION_TYPES) {
+      const value = Number(stored[type]);
+      pools[type] = Number.isFinite(value)
+        ? Math.max(0, value)
+        : this.DEFAULT_POOLS[type];
+    }
+    return pools;
+  }
+
+  /**
+   * Get the current action pools for an actor in the active combat
+   *
+   * @static
+   * @param {Actor} actor - The actor to look up
+   * @returns {ActionPools|null} The pools, or null if not tracked
+   */
+  static getPoolsForActor(actor) {
+    if (!this.isEnabled()) return null;
+    const combatant = this.getCombatant(actor);
+    return combatant ? this.getPools(combatant) : null;
+  }
+
+  /**
+   * Spend one or more actions of a given type for an actor
+   *
+   * Does nothing (and reports `tracked: false`) when tracking is disabled or
+   * the actor is not part of a started combat.
+   *
+   * @static
+   * @param {Actor} actor - The actor spending the action
+   * @param {string} type - The action type ("full" | "move" | "cleanse" | "reaction")
+   * @param {number} [amount=1] - Number of actions to spend
+   * @returns {Promise<ActionSpendResult>} The spend result
+   */
+  static async spendAction(actor, type, amount = 1) {
+    Logger.methodEntry("ActionEconomy", "spendAction", {
+      actorName: actor?.name,
+      type,
+      amount,
+    });
+
+    if (!this.ACTION_TYPES.includes(type)) {
+      throw new Error(`Unknown action type: ${type}`);
+    }
+
+    const combatant = this.isEnabled() ? this.getCombatant(actor) : null;
+    if (!combatant) {
+      const result = { tracked: false, spent: false, pools: null };
+      Logger.methodExit("ActionEconomy", "spendAction", result);
+      return result;
+    }
+
+    const pools = this.getPools(combatant);
+    if (this.isPushing(combatant) && this.PUSH_CONVERTED_TYPES.includes(type)) {
+      const result = { tracked: true, spent: false, pools, pushing: true };
+      Logger.methodExit("ActionEconomy", "spendAction", result);
+      return result;
+    }
+    if (pools[type] < amount) {
+      const result = { tracked: true, spent: false, pools };
+      Logger.methodExit("ActionEconomy", "spendAction", result);
+      return result;
+    }
+
+    pools[type] -= amount;
+    const [, error] = await this._setPools(combatant, pools);
+
+    const result = { tracked: true, spent: !error, pools };
+    Logger.methodExit("ActionEconomy", "spendAction", result);
+    return result;
+  }
+
+  /**
+   * Give back actions spent on something that never happened, such as an
+   * action card that found no targets
+   *
+   * @static
+   * @param {Actor} actor - The actor to refund
+   * @param {string} type - The action type ("full" | "move" | "cleanse" | "reaction")
+   * @param {number} [amount=1] - Number of actions to refund
+   * @returns {Promise<void>}
+   */
+  static async refundAction(actor, type, amount = 1) {
+    const combatant = this.isEnabled() ? this.getCombatant(actor) : null;
+    if (!combatant) return;
+
+    Logger.debug(
+      "Refunding unused action",
+      { actorName: actor.name, type, amount },
+      "ACTION_ECONOMY",
+    );
+
+    const pools = this.getPools(combatant);
+    pools[type] += amount;
+    await this._setPools(combatant, pools);
+  }
+
+  /**
+   * Get the warning shown when an action could not be spent
+   *
+   * @static
+   * @param {Actor} actor - The actor that tried to spend the action
+   * @param {string} type - The action type
+   * @param {ActionSpendResult} result - The failed spend result
+   * @returns {string} The localized warning
+   */
+  static getUnavailableMessage(actor, type, result) {
+    const data = {
+      actor: actor.name,
+      type: game.i18n.localize(
+        `EVENTIDE_RP_SYSTEM.ActionEconomy.Types.${type}`,
+      ),
+    };
+    return result.pushing
+      ? game.i18n.format("EVENTIDE_RP_SYSTEM.ActionEconomy.Push.Blocked", data)
+      : game.i18n.format(
+          "EVENTIDE_RP_SYSTEM.ActionEconomy.NoneRemaining",
+          data,
+        );
+  }
+
+  /**
+   * Check whether a combatant has declared a Push this turn
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant to check
+   * @returns {boolean} True if the combatant is pushing
+   */
+  static isPushing(combatant) {
+    return !!combatant?.getFlag("eventide-rp-system", this.PUSH_FLAG_KEY);
+  }
+
+  /**
+   * Check whether a combatant may declare a Push right now: it must be their
+   * turn, they must not already be pushing, and their Move, Cleanse and
+   * Reaction must all be unspent
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant to check
+   * @returns {string|null} Localization key of the reason a Push is refused, or null if allowed
+   */
+  static getPushRefusal(combatant) {
+    if (!combatant) return "EVENTIDE_RP_SYSTEM.ActionEconomy.Push.NotInCombat";
+    if (combatant.combat?.combatant?.id !== combatant.id) {
+      return "EVENTIDE_RP_SYSTEM.ActionEconomy.Push.NotYourTurn";
+    }
+    if (this.isPushing(combatant)) {
+      return "EVENTIDE_RP_SYSTEM.ActionEconomy.Push.AlreadyPushing";
+    }
+
+    const pools = this.getPools(combatant);
+    const converted = this.PUSH_CONVERTED_TYPES.every(
+      (type) => pools[type] >= this.DEFAULT_POOLS[type],
+    );
+    return converted
+      ? null
+      : "EVENTIDE_RP_SYSTEM.ActionEconomy.Push.ActionsSpent";
+  }
+
+  /**
+   * Declare a Push for a combatant, converting their Move, Cleanse and
+   * Reaction into one extra Full Action for the rest of the turn
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant pushing
+   * @returns {Promise<boolean>} True if the Push was recorded
+   */
+  static async declarePush(combatant) {
+    Logger.methodEntry("ActionEconomy", "declarePush", {
+      combatantName: combatant?.name,
+    });
+
+    const refusal = this.isEnabled()
+      ? this.getPushRefusal(combatant)
+      : "EVENTIDE_RP_SYSTEM.ActionEconomy.Push.NotInCombat";
+    if (refusal) {
+      ui.notifications.warn(
+        game.i18n.format(refusal, { actor: combatant?.name ?? "" }),
+      );
+      Logger.methodExit("ActionEconomy", "declarePush", false);
+      return false;
+    }
+
+    const pools = this.getPools(combatant);
+    for (const type of this.PUSH_CONVERTED_TYPES) pools[type] = 0;
+    pools.full += 1;
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      combatant.update({
+        [`flags.eventide-rp-system.${this.FLAG_KEY}`]: pools,
+        [`flags.eventide-rp-system.${this.PUSH_FLAG_KEY}`]: true,
+      }),
+      "declare push",
+      "combatant",
+    );
+
+    if (!error) {
+      await this._postMessage(combatant.actor, {
+        variant: "push",
+        icon: "fas fa-angle-double-right",
+        title: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.ActionEconomy.Push.Title",
+        ),
+        notes: [
+          game.i18n.format("EVENTIDE_RP_SYSTEM.ActionEconomy.Push.Declared", {
+            actor: combatant.name,
+          }),
+        ],
+      });
+    }
+
+    Logger.methodExit("ActionEconomy", "declarePush", !error);
+    return !error;
+  }
+
+  /**
+   * Spend a Full Action for an actor executing an action card, warning the
+   * user if the actor has none left. Execution is never blocked; the GM
+   * remains the final arbiter of the action economy.
+   *
+   * @static
+   * @param {Actor} actor - The actor executing the action card
+   * @param {string} actionName - Name of the action for the warning
+   * @returns {Promise<ActionSpendResult>} The spend result
+   */
+  static async spendFullActionForCard(actor, actionName) {
+    const result = await this.spendAction(actor, "full");
+
+    if (result.tracked && !result.spent) {
+      ui.notifications.warn(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.ActionEconomy.NoFullActions", {
+          actor: actor.name,
+          action: actionName,
+        }),
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Classify the critical state of a roll for action economy purposes.
+   * Stolen crits and saved misses do not count.
+   *
+   * @static
+   * @param {Actor} actor - The actor who made the roll
+   * @param {Roll} roll - The roll to check
+   * @param {boolean} [critAllowed=true] - Whether the rolled item can crit at all
+   * @returns {string|null} "hit", "miss", or null if the roll was not critical
+   */
+  static getCriticalOutcome(actor, roll, critAllowed = true) {
+    if (!roll?.formula) return null;
+
+    const states = ERPSRollUtilities.determineCriticalStates({
+      roll,
+      thresholds: actor.getRollData().hiddenAbilities,
+      formula: roll.formula,
+      critAllowed,
+    });
+
+    if (states.critHit && !states.stolenCrit) return "hit";
+    if (states.critMiss && !states.savedMiss) return "miss";
+    return null;
+  }
+
+  /**
+   * Apply the action economy consequences of the first roll of an action
+   * card. A critical hit grants an immediate bonus Full Action. A critical
+   * miss costs the actor's remaining Full Action this turn, or one of next
+   * turn's if none remain. A critical miss during a Push always costs both of
+   * next turn's Full Actions, even with the automation setting off. Callers
+   * must only pass the first roll of a chain.
+   *
+   * @static
+   * @param {Actor} actor - The actor executing the action card
+   * @param {Roll} roll - The first roll of the action chain
+   * @param {string} actionName - Name of the action card for the chat note
+   * @param {Object} [options={}] - Additional options
+   * @param {boolean} [options.critAllowed=true] - Whether the embedded item's roll can crit
+   * @returns {Promise<CriticalActionResult|null>} The changes made, or null if none
+   */
+  static async applyCriticalResult(
+    actor,
+    roll,
+    actionName,
+    { critAllowed = true } = {},
+  ) {
+    if (!this.isEnabled()) return null;
+
+    const combatant = this.getCombatant(actor);
+    if (!combatant) return null;
+
+    const automated = this.isCriticalAutomationEnabled();
+    // A Push only lasts for the pusher's own turn
+    const pushing =
+      this.isPushing(combatant) &&
+      combatant.combat?.combatant?.id === combatant.id;
+    if (!automated && !pushing) return null;
+
+    const outcome = this.getCriticalOutcome(actor, roll, critAllowed);
+    if (!outcome) return null;
+    if (!automated && outcome !== "miss") return null;
+
+    Logger.methodEntry("ActionEconomy", "applyCriticalResult", {
+      actorName: actor.name,
+      outcome,
+      actionName,
+    });
+
+    const pools = this.getPools(combatant);
+    const result = {
+      outcome,
+      bonusFull: 0,
+      lostNow: 0,
+      lostNextTurn: 0,
+      pushing: pushing && outcome === "miss",
+    };
+
+    if (outcome === "hit") {
+      result.bonusFull = 1;
+    } else if (automated && pools.full > 0) {
+      result.lostNow = 1;
+    } else if (automated) {
+      result.lostNextTurn = 1;
+    }
+
+    // Missing while pushing costs both of next turn's Full Actions
+    if (result.pushing) {
+      result.lostNextTurn = this.DEFAULT_POOLS.full;
+    }
+
+    pools.full += result.bonusFull - result.lostNow;
+    const updates = {
+      [`flags.eventide-rp-system.${this.FLAG_KEY}`]: pools,
+    };
+    if (result.lostNextTurn) {
+      updates[`flags.eventide-rp-system.${this.PENALTY_FLAG_KEY}`] =
+        this.getQueuedPenalty(combatant) + result.lostNextTurn;
+    }
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      combatant.update(updates),
+      "apply critical action economy",
+      "combatant",
+    );
+
+    if (error) {
+      Logger.methodExit("ActionEconomy", "applyCriticalResult", null);
+      return null;
+    }
+
+    await this._postCriticalMessage(actor, actionName, result);
+
+    Logger.methodExit("ActionEconomy", "applyCriticalResult", result);
+    return result;
+  }
+
+  /**
+   * Get the number of Full Actions a combatant will lose on their next turn
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant to read
+   * @returns {number} Queued Full Action losses
+   */
+  static getQueuedPenalty(combatant) {
+    const value = Number(
+      combatant?.getFlag("eventide-rp-system", this.PENALTY_FLAG_KEY),
+    );
+    return Number.isFinite(value) ? Math.max(0, value) : 0;
+  }
+
+  /**
+   * Refresh a combatant's pools at the start of their turn, deducting any
+   * Full Actions queued to be lost by a critical miss
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant whose turn is starting
+   * @returns {Promise<void>}
+   */
+  static async refreshForTurn(combatant) {
+    if (!combatant) return;
+
+    const penalty = this.getQueuedPenalty(combatant);
+    const pushing = this.isPushing(combatant);
+
+    Logger.debug(
+      "Refreshing action pools for turn start",
+      { combatantName: combatant.name, lostFullActions: penalty, pushing },
+      "ACTION_ECONOMY",
+    );
+
+    const pools = { ...this.DEFAULT_POOLS };
+    if (!penalty && !pushing) {
+      await this._setPools(combatant, pools);
+      return;
+    }
+
+    pools.full = Math.max(0, pools.full - penalty);
+    await ErrorHandler.handleDocumentOperation(
+      combatant.update({
+        [`flags.eventide-rp-system.${this.FLAG_KEY}`]: pools,
+        [`flags.eventide-rp-system.${this.PENALTY_FLAG_KEY}`]: 0,
+        [`flags.eventide-rp-system.${this.PUSH_FLAG_KEY}`]: false,
+      }),
+      "update action economy",
+      "combatant",
+    );
+  }
+
+  /**
+   * End a combatant's Push when their turn ends so rolls made outside their
+   * turn are not penalised as pushed
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant whose turn just ended
+   * @returns {Promise<void>}
+   */
+  static async endPush(combatant) {
+    if (!this.isPushing(combatant)) return;
+
+    await ErrorHandler.handleDocumentOperation(
+      combatant.update({
+        [`flags.eventide-rp-system.${this.PUSH_FLAG_KEY}`]: false,
+      }),
+      "end push",
+      "combatant",
+    );
+  }
+
+  /**
+   * Give every combatant their starting Reaction when combat begins. The
+   * combatant taking the first turn is skipped since their turn-start refresh
+   * grants a full set of actions.
+   *
+   * @static
+   * @param {Combat} combat - The combat being started
+   * @param {string|null} [startingCombatantId=null] - ID of the first combatant to act
+   * @returns {Promise<void>}
+   */
+  static async grantCombatStartReactions(combat, startingCombatantId = null) {
+    const updates = combat.combatants
+      .filter((combatant) => combatant.id !== startingCombatantId)
+      .map((combatant) => ({
+        _id: combatant.id,
+        [`flags.eventide-rp-system.${this.FLAG_KEY}`]: {
+          full: 0,
+          move: 0,
+          cleanse: 0,
+          reaction: this.DEFAULT_POOLS.reaction,
+        },
+      }));
+
+    if (!updates.length) return;
+
+    Logger.debug(
+      "Granting combat start reactions",
+      { combatId: combat.id, combatantCount: updates.length },
+      "ACTION_ECONOMY",
+    );
+
+    await ErrorHandler.handleDocumentOperation(
+      combat.updateEmbeddedDocuments("Combatant", updates),
+      "grant combat start reactions",
+      "combat",
+    );
+  }
+
+  /**
+   * Build template-friendly display data for a set of pools
+   *
+   * @static
+   * @param {ActionPools} pools - The pools to display
+   * @returns {Object[]} One entry per action type with label, icon and counts
+   */
+  static getDisplayData(pools) {
+    return this.ACTION_TYPES.map((type) => {
+      const available = pools[type];
+      const max = Math.max(this.DEFAULT_POOLS[type], available);
+      return {
+        type,
+        available,
+        max,
+        icon: this.ICONS[type],
+        label: game.i18n.localize(
+          `EVENTIDE_RP_SYSTEM.ActionEconomy.Types.${type}`,
+        ),
+      };
+    });
+  }
+
+  /**
+   * Post a chat note explaining a critical action economy change
+   *
+   * @static
+   * @private
+   * @param {Actor} actor - The actor affected
+   * @param {string} actionName - Name of the action card that was rolled
+   * @param {CriticalActionResult} result - The changes made
+   * @returns {Promise<ChatMessage>} The created message
+   */
+  static async _postCriticalMessage(actor, actionName, result) {
+    const keys = [];
+    if (result.bonusFull) keys.push("BonusFull");
+    if (result.lostNow) keys.push("LostNow");
+    if (result.pushing) keys.push("PushLost");
+    else if (result.lostNextTurn) keys.push("LostNextTurn");
+
+    const hit = result.outcome === "hit";
+    return this._postMessage(actor, {
+      variant: result.outcome,
+      icon: hit ? "fas fa-star" : "fas fa-skull",
+      title: game.i18n.localize(
+        `EVENTIDE_RP_SYSTEM.ActionEconomy.Critical.${hit ? "HitTitle" : "MissTitle"}`,
+      ),
+      actionName,
+      notes: keys.map((key) =>
+        game.i18n.format(`EVENTIDE_RP_SYSTEM.ActionEconomy.Critical.${key}`, {
+          actor: actor.name,
+        }),
+      ),
+      footer: game.i18n.localize(
+        "EVENTIDE_RP_SYSTEM.ActionEconomy.Critical.FirstRollOnly",
+      ),
+    });
+  }
+
+  /**
+   * Render and post an action economy chat note
+   *
+   * @static
+   * @private
+   * @param {Actor} actor - The actor the note is spoken by
+   * @param {Object} data - Template data (variant, icon, title, actionName, notes, footer)
+   * @returns {Promise<ChatMessage>} The created message
+   */
+  static async _postMessage(actor, data) {
+    const content = await renderTemplate(this.MESSAGE_TEMPLATE, data);
+
+    return ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content,
+    });
+  }
+
+  /**
+   * Write pools to a combatant's flags
+   *
+   * @static
+   * @private
+   * @param {Combatant} combatant - The combatant to update
+   * @param {ActionPools} pools - The pools to store
+   * @returns {Promise<[Combatant|null, Error|null]>} Result tuple from ErrorHandler
+   */
+  static async _setPools(combatant, pools) {
+    return ErrorHandler.handleDocumentOperation(
+      combatant.setFlag("eventide-rp-system", this.FLAG_KEY, pools),
+      "update action economy",
+      "combatant",
+    );
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * ActionRecovery Service
+ *
+ * Converts the actions a combatant has left at the end of their turn into
+ * recovery, as described in the Turn Flow rules: any Full Action, Move Action
+ * or Reaction can restore Resolve or Power instead of going to waste. The
+ * amounts come from world formula settings, and depending on the recovery
+ * mode the owning player is prompted or the conversion happens automatically.
+ *
+ * @module ActionRecovery
+ * @see module:services/action-economy
+ */
+
+import { Logger } from "./logger.mjs";
+import { ActionEconomy } from "./action-economy.mjs";
+import { erpsMessageHandler } from "./managers/system-messages.mjs";
+
+/**
+ * @typedef {Object} RecoveryChoice
+ * @property {string} type - Action type converted ("full" | "move" | "reaction")
+ * @property {string} into - Resource restored ("resolve" | "power")
+ */
+
+/**
+ * @typedef {Object} RecoveryResult
+ * @property {number} resolve - Resolve restored
+ * @property {number} power - Power restored
+ * @property {number} actions - Number of actions converted
+ */
+
+/**
+ * ActionRecovery class for converting unused actions into Resolve or Power
+ *
+ * @class ActionRecovery
+ */
+export class ActionRecovery {
+  /**
+   * Action types that can be converted into recovery (never Cleanse Actions)
+   * @type {string[]}
+   */
+  static RECOVERABLE_TYPES = ["full", "move", "reaction"];
+
+  /**
+   * Resources an action can be converted into
+   * @type {string[]}
+   */
+  static RESOURCES = ["resolve", "power"];
+
+  /**
+   * Get the recovery mode
+   *
+   * @static
+   * @returns {"off"|"prompt"|"automatic"} The configured mode
+   */
+  static getMode() {
+    try {
+      return game.settings.get("eventide-rp-system", "actionRecoveryMode");
+    } catch {
+      return "off";
+    }
+  }
+
+  /**
+   * Get the recovery formula for a resource
+   *
+   * @static
+   * @param {string} resource - "resolve" or "power"
+   * @returns {string} The formula setting value
+   */
+  static getFormula(resource) {
+    return game.settings.get(
+      "eventide-rp-system",
+      resource === "power" ? "recoveryPowerFormula" : "recoveryResolveFormula",
+    );
+  }
+
+  /**
+   * Get the actions a combatant could convert into recovery. While pushing,
+   * only Full Actions remain since the other actions were traded away.
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant whose turn ended
+   * @returns {string[]} One action type per convertible action
+   */
+  static getRecoverableActions(combatant) {
+    const pools = ActionEconomy.getPools(combatant);
+    const pushing = ActionEconomy.isPushing(combatant);
+
+    return this.RECOVERABLE_TYPES.filter(
+      (type) => !pushing || !ActionEconomy.PUSH_CONVERTED_TYPES.includes(type),
+    ).flatMap((type) => Array(pools[type]).fill(type));
+  }
+
+  /**
+   * Get the user who should be asked about a combatant's recovery: an active
+   * player who owns the actor, or the active GM if no such player is online
+   *
+   * @static
+   * @param {Actor} actor - The actor whose turn ended
+   * @returns {User|null} The user to prompt
+   */
+  static getPromptUser(actor) {
+    const players = game.users.filter(
+      (user) =>
+        user.active && !user.isGM && actor.testUserPermission(user, "OWNER"),
+    );
+
+    return (
+      players.find((user) => user.character?.id === actor.id) ??
+      players[0] ??
+      game.users.activeGM
+    );
+  }
+
+  /**
+   * Offer recovery for the combatant whose turn just ended
+   *
+   * @static
+   * @param {Combat} combat - The combat that was updated
+   * @param {Object} changed - The differential data that was changed
+   * @param {Object} [options={}] - Update options (direction is set by turn/round navigation)
+   * @returns {Promise<RecoveryResult|null>} The recovery applied, or null if none
+   */
+  static async processCombatUpdate(combat, changed, options = {}) {
+    if (!("turn" in changed) && !("round" in changed)) return null;
+    if (!combat.started || options.direction < 0) return null;
+
+    const mode = this.getMode();
+    if (mode === "off" || !ActionEconomy.isEnabled()) return null;
+
+    const combatant = combat.combatants.get(combat.previous?.combatantId);
+    const actor = combatant?.actor;
+    if (!actor) return null;
+
+    const actions = this.getRecoverableActions(combatant);
+    if (!actions.length) return null;
+
+    if (mode === "automatic") {
+      if (!game.users.activeGM?.isSelf) return null;
+      return this.recover(combatant, this.chooseAutomatically(actor, actions));
+    }
+
+    if (!this.getPromptUser(actor)?.isSelf) return null;
+    const choices = await this.promptRecovery(actor, actions);
+    return choices?.length ? this.recover(combatant, choices) : null;
+  }
+
+  /**
+   * Choose recovery without asking: every action restores Resolve while it is
+   * below maximum, otherwise Power; nothing is converted if both are full
+   *
+   * @static
+   * @param {Actor} actor - The recovering actor
+   * @param {string[]} actions - Convertible action types
+   * @returns {RecoveryChoice[]} The chosen conversions
+   */
+  static chooseAutomatically(actor, actions) {
+    const into = this.RESOURCES.find(
+      (resource) => actor.system[resource].value < actor.system[resource].max,
+    );
+    return into ? actions.map((type) => ({ type, into })) : [];
+  }
+
+  /**
+   * Ask the current user how to convert each remaining action
+   *
+   * @static
+   * @param {Actor} actor - The recovering actor
+   * @param {string[]} actions - Convertible action types
+   * @returns {Promise<RecoveryChoice[]|null>} The chosen conversions, or null if dismissed
+   */
+  static async promptRecovery(actor, actions) {
+    const option = (value, label) =>
+      `<option value="${value}">${label}</option>`;
+    const choices = [
+      option("resolve", this._getResourceLabel("resolve")),
+      option("power", this._getResourceLabel("power")),
+      option(
+        "",
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.ActionEconomy.Recovery.Skip"),
+      ),
+    ].join("");
+
+    const rows = actions
+      .map(
+        (type, index) => `
+        <div class="form-group">
+          <label>${game.i18n.localize(`EVENTIDE_RP_SYSTEM.ActionEconomy.Recovery.Types.${type}`)}</label>
+          <select name="action-${index}" data-action-type="${type}">
+            ${choices}
+          </select>
+        </div>`,
+      )
+      .join("");
+
+    const content = `
+      <p>${game.i18n.format("EVENTIDE_RP_SYSTEM.ActionEconomy.Recovery.Prompt", { actor: actor.name })}</p>
+      ${rows}
+    `;
+
+    return foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.ActionEconomy.Recovery.Title",
+        ),
+      },
+      content,
+      ok: {
+        label: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.ActionEconomy.Recovery.Confirm",
+        ),
+        onClick: (event, button, _dialog) =>
+          Array.from(button.form.querySelectorAll("select[data-action-type]"))
+            .filter((select) => select.value)
+            .map((select) => ({
+              type: select.dataset.actionType,
+              into: select.value,
+            })),
+      },
+      rejectClose: false,
+      position: {
+        width: 340,
+      },
+    });
+  }
+
+  /**
+   * Spend the chosen actions and restore the matching Resolve and Power.
+   * Actions that have been used since the turn ended are skipped. Each
+   * converted action rolls its recovery formula once, and one restore
+   * message summarises the result.
+   *
+   * @static
+   * @param {Combatant} combatant - The recovering combatant
+   * @param {RecoveryChoice[]} choices - The conversions to make
+   * @returns {Promise<RecoveryResult|null>} The recovery applied, or null if none
+   */
+  static async recover(combatant, choices) {
+    const actor = combatant.actor;
+    Logger.methodEntry("ActionRecovery", "recover", {
+      actorName: actor?.name,
+      choices,
+    });
+
+    const converted = [];
+    for (const type of this.RECOVERABLE_TYPES) {
+      const ofType = choices.filter((choice) => choice.type === type);
+      if (!ofType.length) continue;
+
+      const spend = await ActionEconomy.spendAction(actor, type, ofType.length);
+      if (spend.spent) converted.push(...ofType);
+    }
+
+    if (!converted.length) {
+      Logger.methodExit("ActionRecovery", "recover", null);
+      return null;
+    }
+
+    const result = { resolve: 0, power: 0, actions: converted.length };
+    for (const { into } of converted) {
+      const roll = new Roll(this.getFormula(into), actor.getRollData());
+      await roll.evaluate();
+      result[into] += Math.max(0, roll.total);
+    }
+
+    if (result.resolve) await actor.addResolve(result.resolve);
+    if (result.power) await actor.addPower(result.power);
+
+    await erpsMessageHandler.createRestoreMessage({
+      all: false,
+      resolve: result.resolve > 0,
+      power: result.power > 0,
+      resolveAmount: result.resolve,
+      powerAmount: result.power,
+      description: game.i18n.format(
+        "EVENTIDE_RP_SYSTEM.ActionEconomy.Recovery.Description",
+        { actor: actor.name, count: result.actions },
+      ),
+      statuses: [],
+      actor,
+    });
+
+    Logger.info(
+      `${actor.name} converted ${result.actions} unused action(s) into recovery`,
+      result,
+      "ACTION_RECOVERY",
+    );
+    Logger.methodExit("ActionRecovery", "recover", result);
+    return result;
+  }
+
+  /**
+   * Get the prompt label for a resource, including its recovery formula
+   *
+   * @static
+   * @private
+   * @param {string} resource - "resolve" or "power"
+   * @returns {string} The localized label
+   */
+  static _getResourceLabel(resource) {
+    return game.i18n.format(
+      `EVENTIDE_RP_SYSTEM.ActionEconomy.Recovery.${resource === "power" ? "Power" : "Resolve"}`,
+      { formula: this.getFormula(resource) },
+    );
+  }
+}
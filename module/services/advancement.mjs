@@ -0,0 +1,359 @@
+/**
+ * Advancement Service
+ *
+ * Levels characters up within the budget of the Stat Points Formula setting
+ * (the same formula that sets statTotal.max). A level-up raises the level,
+ * spends stat points on ability base values, adds features and combat powers,
+ * and records what it changed in an advancement log on the actor so the GM
+ * can audit it or roll the latest level-up back.
+ *
+ * @module Advancement
+ * @see module:ui/macros/level-up-wizard
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { ItemSourceCollector } from "../helpers/item-source-collector.mjs";
+
+/**
+ * @typedef {Object} AdvancementEntry
+ * @property {string} id - Entry ID
+ * @property {number} timestamp - When the level-up happened
+ * @property {string} userName - Name of the user who levelled up
+ * @property {number} fromLevel - Level before the level-up
+ * @property {number} toLevel - Level after the level-up
+ * @property {number|null} budget - Stat points budget at the new level, or null if unlimited
+ * @property {Object<string, {from: number, to: number}>} abilities - Ability base values raised
+ * @property {Array<{id: string, name: string, type: string}>} items - Items added
+ */
+
+/**
+ * @typedef {Object} AdvancementValidation
+ * @property {number|null} budget - Stat points budget, or null when the formula is off
+ * @property {number} spent - Sum of the ability base values
+ * @property {number|null} remaining - Points left to spend, or null when unlimited
+ * @property {string[]} errors - Localized reasons the level-up is invalid
+ * @property {boolean} valid - Whether the level-up can be applied
+ */
+
+/**
+ * Advancement class for levelling characters up and rolling level-ups back
+ *
+ * @class Advancement
+ */
+export class Advancement {
+  /**
+   * Actor flag key of the advancement log
+   * @type {string}
+   */
+  static FLAG_KEY = "advancementLog";
+
+  /**
+   * Item types a level-up can add
+   * @type {string[]}
+   */
+  static ITEM_TYPES = ["feature", "combatPower"];
+
+  /**
+   * Get the stat points budget of an actor at a level
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @param {number} level - The level
+   * @returns {number|null} The budget, or null when the formula is "0" (no limit)
+   */
+  static getStatBudget(actor, level) {
+    const formula =
+      game.settings.get("eventide-rp-system", "statPointsFormula") ||
+      "14 + (2 * @lvl.value)";
+    if (formula.trim() === "0") return null;
+
+    try {
+      const rollData = {
+        ...foundry.utils.deepClone(actor.system.abilities),
+        lvl: { value: level },
+      };
+      const roll = new Roll(formula, rollData);
+      return Math.max(0, Math.floor(roll.evaluateSync().total));
+    } catch (error) {
+      Logger.warn("Error calculating stat points budget", error, "ADVANCEMENT");
+      return null;
+    }
+  }
+
+  /**
+   * Get the ability base values of an actor
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {Object<string, number>} Base values by ability key
+   */
+  static getAbilityValues(actor) {
+    return Object.fromEntries(
+      Object.keys(CONFIG.EVENTIDE_RP_SYSTEM.abilities).map((key) => [
+        key,
+        actor.system.abilities[key]?.value ?? 0,
+      ]),
+    );
+  }
+
+  /**
+   * Check a planned level-up against the rules: the level must rise, ability
+   * base values cannot drop, and their sum must fit the stat points budget
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @param {Object} plan - The planned level-up
+   * @param {number} plan.level - The new level
+   * @param {Object<string, number>} plan.abilities - The new ability base values
+   * @returns {AdvancementValidation} The validation result
+   */
+  static validate(actor, { level, abilities }) {
+    const current = this.getAbilityValues(actor);
+    const budget = this.getStatBudget(actor, level);
+    const spent = Object.keys(current).reduce(
+      (sum, key) => sum + (Number(abilities[key]) || 0),
+      0,
+    );
+    const remaining = budget === null ? null : budget - spent;
+    const errors = [];
+
+    if (!(level > actor.system.attributes.level.value)) {
+      errors.push(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.LevelUp.Errors.LevelNotRaised"),
+      );
+    }
+
+    for (const [key, value] of Object.entries(current)) {
+      if ((Number(abilities[key]) || 0) >= value) continue;
+      errors.push(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.LevelUp.Errors.AbilityLowered", {
+          ability: game.i18n.localize(CONFIG.EVENTIDE_RP_SYSTEM.abilities[key]),
+          value,
+        }),
+      );
+    }
+
+    if (remaining !== null && remaining < 0) {
+      errors.push(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.LevelUp.Errors.Overspent", {
+          spent,
+          budget,
+        }),
+      );
+    }
+
+    return { budget, spent, remaining, errors, valid: errors.length === 0 };
+  }
+
+  /**
+   * Get the features and combat powers in compendiums that an actor does not
+   * have yet
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {Promise<Object[]>} Index entries with uuid, name, type, img and source
+   */
+  static async getItemChoices(actor) {
+    const owned = new Set(
+      actor.items
+        .filter((item) => this.ITEM_TYPES.includes(item.type))
+        .map((item) => item.name),
+    );
+
+    const choices = await ItemSourceCollector.getCompendiumItems(
+      this.ITEM_TYPES,
+    );
+    return choices
+      .filter((choice) => !owned.has(choice.name))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the advancement log of an actor, oldest first
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {AdvancementEntry[]} The log entries
+   */
+  static getLog(actor) {
+    return actor.getFlag("eventide-rp-system", this.FLAG_KEY) ?? [];
+  }
+
+  /**
+   * Level an actor up and record it in their advancement log
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @param {Object} plan - The level-up
+   * @param {number} plan.level - The new level
+   * @param {Object<string, number>} plan.abilities - The new ability base values
+   * @param {string[]} [plan.itemUuids=[]] - UUIDs of the features and combat powers to add
+   * @returns {Promise<AdvancementEntry|null>} The log entry, or null if the level-up was not applied
+   */
+  static async levelUp(actor, { level, abilities, itemUuids = [] }) {
+    Logger.methodEntry("Advancement", "levelUp", {
+      actorName: actor.name,
+      level,
+      itemCount: itemUuids.length,
+    });
+
+    const validation = this.validate(actor, { level, abilities });
+    if (!validation.valid) {
+      ui.notifications.warn(validation.errors.join(" "));
+      Logger.methodExit("Advancement", "levelUp", null);
+      return null;
+    }
+
+    // Add the chosen items first; if they cannot be added, nothing changes
+    const sources = (await Promise.all(itemUuids.map((uuid) => fromUuid(uuid))))
+      .filter((item) => item && this.ITEM_TYPES.includes(item.type))
+      .map((item) => {
+        const data = item.toObject();
+        delete data._id;
+        return data;
+      });
+
+    let created = [];
+    if (sources.length) {
+      const [result, error] = await ErrorHandler.handleDocumentOperation(
+        actor.createEmbeddedDocuments("Item", sources),
+        "add level-up items",
+        "actor",
+      );
+      if (error) {
+        Logger.methodExit("Advancement", "levelUp", null);
+        return null;
+      }
+      created = result;
+    }
+
+    const current = this.getAbilityValues(actor);
+    const raised = Object.fromEntries(
+      Object.entries(current)
+        .filter(([key, value]) => Number(abilities[key]) > value)
+        .map(([key, value]) => [
+          key,
+          { from: value, to: Number(abilities[key]) },
+        ]),
+    );
+
+    /** @type {AdvancementEntry} */
+    const entry = {
+      id: foundry.utils.randomID(),
+      timestamp: Date.now(),
+      userName: game.user.name,
+      fromLevel: actor.system.attributes.level.value,
+      toLevel: level,
+      budget: validation.budget,
+      abilities: raised,
+      items: created.map((item) => ({
+        id: item.id,
+        name: item.name,
+        type: item.type,
+      })),
+    };
+
+    const updates = {
+      "system.attributes.level.value": level,
+      [`flags.eventide-rp-system.${this.FLAG_KEY}`]: [
+        ...this.getLog(actor),
+        entry,
+      ],
+    };
+    for (const [key, { to }] of Object.entries(raised)) {
+      updates[`system.abilities.${key}.value`] = to;
+    }
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      actor.update(updates),
+      "level up",
+      "actor",
+    );
+    if (error) {
+      Logger.methodExit("Advancement", "levelUp", null);
+      return null;
+    }
+
+    Logger.info(
+      `${actor.name} advanced to level ${level}`,
+      entry,
+      "ADVANCEMENT",
+    );
+    Logger.methodExit("Advancement", "levelUp", entry);
+    return entry;
+  }
+
+  /**
+   * Roll back the latest level-up of an actor: restore the level and ability
+   * base values and remove the items it added. GM only.
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @param {string} entryId - ID of the log entry; must be the latest
+   * @returns {Promise<boolean>} Whether the level-up was rolled back
+   */
+  static async rollBack(actor, entryId) {
+    const log = this.getLog(actor);
+    const entry = log.at(-1);
+
+    if (!game.user.isGM) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.GMOnly"),
+      );
+      return false;
+    }
+    if (!entry || entry.id !== entryId) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.LevelUp.Errors.NotLatest"),
+      );
+      return false;
+    }
+
+    Logger.methodEntry("Advancement", "rollBack", {
+      actorName: actor.name,
+      entryId,
+    });
+
+    const itemIds = entry.items
+      .map((item) => item.id)
+      .filter((id) => actor.items.get(id));
+    if (itemIds.length) {
+      const [, error] = await ErrorHandler.handleDocumentOperation(
+        actor.deleteEmbeddedDocuments("Item", itemIds),
+        "remove level-up items",
+        "actor",
+      );
+      if (error) {
+        Logger.methodExit("Advancement", "rollBack", false);
+        return false;
+      }
+    }
+
+    const updates = {
+      "system.attributes.level.value": entry.fromLevel,
+      [`flags.eventide-rp-system.${this.FLAG_KEY}`]: log.slice(0, -1),
+    };
+    for (const [key, { from }] of Object.entries(entry.abilities)) {
+      updates[`system.abilities.${key}.value`] = from;
+    }
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      actor.update(updates),
+      "roll back level-up",
+      "actor",
+    );
+    if (error) {
+      Logger.methodExit("Advancement", "rollBack", false);
+      return false;
+    }
+
+    Logger.info(
+      `Rolled back ${actor.name} to level ${entry.fromLevel}`,
+      entry,
+      "ADVANCEMENT",
+    );
+    Logger.methodExit("Advancement", "rollBack", true);
+    return true;
+  }
+}
@@ -0,0 +1,282 @@
+/**
+ * Character Creation Service
+ *
+ * Builds new characters following the ERPS character creation ruleset: ability
+ * points within the starting budget (capped per ability at the starting
+ * level), background features from the core features compendium, starting
+ * gear, and a first combat power with an action card built from a preset.
+ * The rules come from CONFIG.EVENTIDE_RP_SYSTEM.characterCreation.
+ *
+ * @module CharacterCreation
+ * @see module:ui/macros/character-creation-wizard
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { ItemSourceCollector } from "../helpers/item-source-collector.mjs";
+import { Advancement } from "./advancement.mjs";
+import { createPresetActionCard } from "./action-card-presets.mjs";
+
+/**
+ * @typedef {Object} CharacterCreationPlan
+ * @property {Object<string, number>} abilities - Ability base values
+ * @property {string[]} featureUuids - UUIDs of the background features
+ * @property {string[]} gearUuids - UUIDs of the starting gear
+ * @property {Object} power - The first combat power
+ * @property {string} power.name - Combat power name, also used for its action card
+ * @property {string} power.presetId - Action card preset ID
+ * @property {string} power.ability - Ability the combat power rolls
+ * @property {number} power.cost - Power cost
+ */
+
+/**
+ * CharacterCreation class for building new characters
+ *
+ * @class CharacterCreation
+ */
+export class CharacterCreation {
+  /**
+   * Actor flag key marking a character as created
+   * @type {string}
+   */
+  static FLAG_KEY = "creationComplete";
+
+  /**
+   * Get the character creation rules
+   *
+   * @static
+   * @returns {Object} CONFIG.EVENTIDE_RP_SYSTEM.characterCreation
+   */
+  static get rules() {
+    return CONFIG.EVENTIDE_RP_SYSTEM.characterCreation;
+  }
+
+  /**
+   * Whether the creation wizard should open for a newly created actor: a new,
+   * empty character created by this user while the wizard is turned on
+   *
+   * @static
+   * @param {Actor} actor - The created actor
+   * @param {string} userId - ID of the user who created it
+   * @returns {boolean} Whether to open the wizard
+   */
+  static shouldOpen(actor, userId) {
+    return (
+      actor.type === "character" &&
+      userId === game.user.id &&
+      game.settings.get("eventide-rp-system", "characterCreationWizard") &&
+      actor.items.size === 0 &&
+      !actor.getFlag("eventide-rp-system", this.FLAG_KEY)
+    );
+  }
+
+  /**
+   * Get the starting plan for a character: every ability at the minimum and
+   * a basic attack as the first combat power
+   *
+   * @static
+   * @returns {CharacterCreationPlan} The plan
+   */
+  static getDefaultPlan() {
+    return {
+      abilities: Object.fromEntries(
+        Object.keys(CONFIG.EVENTIDE_RP_SYSTEM.abilities).map((key) => [
+          key,
+          this.rules.minAbility,
+        ]),
+      ),
+      featureUuids: [],
+      gearUuids: [],
+      power: {
+        name: "",
+        presetId: this.rules.powerPresets[0],
+        ability: "unaugmented",
+        cost: 1,
+      },
+    };
+  }
+
+  /**
+   * Check a character against the creation rules
+   *
+   * @static
+   * @param {Actor} actor - The actor being created
+   * @param {CharacterCreationPlan} plan - The plan
+   * @returns {AdvancementValidation} The validation result
+   */
+  static validate(actor, { abilities, power }) {
+    const { minAbility, maxAbility, startingLevel, powerPresets } = this.rules;
+    const budget = Advancement.getStatBudget(actor, startingLevel);
+    const keys = Object.keys(CONFIG.EVENTIDE_RP_SYSTEM.abilities);
+    const spent = keys.reduce(
+      (sum, key) => sum + (Number(abilities[key]) || 0),
+      0,
+    );
+    const remaining = budget === null ? null : budget - spent;
+    const errors = [];
+
+    for (const key of keys) {
+      const value = Number(abilities[key]) || 0;
+      if (value >= minAbility && value <= maxAbility) continue;
+      errors.push(
+        game.i18n.format(
+          "EVENTIDE_RP_SYSTEM.CharacterCreation.Errors.Ability",
+          {
+            ability: game.i18n.localize(
+              CONFIG.EVENTIDE_RP_SYSTEM.abilities[key],
+            ),
+            min: minAbility,
+            max: maxAbility,
+          },
+        ),
+      );
+    }
+
+    if (remaining !== null && remaining < 0) {
+      errors.push(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.LevelUp.Errors.Overspent", {
+          spent,
+          budget,
+        }),
+      );
+    }
+
+    if (!power.name?.trim()) {
+      errors.push(
+        game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.CharacterCreation.Errors.PowerName",
+        ),
+      );
+    }
+    if (!powerPresets.includes(power.presetId)) {
+      errors.push(
+        game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.CharacterCreation.Errors.PowerPreset",
+        ),
+      );
+    }
+
+    return { budget, spent, remaining, errors, valid: errors.length === 0 };
+  }
+
+  /**
+   * Get the background features in the core features compendium
+   *
+   * @static
+   * @returns {Promise<Object[]>} Index entries with uuid, name, type and img
+   */
+  static async getFeatureChoices() {
+    const pack = game.packs.get(this.rules.featureCompendium);
+    if (!pack) {
+      Logger.warn(
+        `Feature compendium not found: ${this.rules.featureCompendium}`,
+        null,
+        "CHARACTER_CREATION",
+      );
+      return [];
+    }
+
+    const index = await pack.getIndex({ fields: ["type", "img"] });
+    return index
+      .filter((entry) => entry.type === "feature")
+      .map((entry) => ({
+        uuid: entry.uuid ?? `Compendium.${pack.collection}.Item.${entry._id}`,
+        name: entry.name,
+        type: entry.type,
+        img: entry.img || "icons/svg/item-bag.svg",
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the gear in compendiums and the world
+   *
+   * @static
+   * @returns {Promise<Object[]>} Formatted items with uuid, name, img and source
+   */
+  static async getGearChoices() {
+    return ItemSourceCollector.getAllAccessibleItems(
+      game.user,
+      ["gear"],
+      ["compendium", "world"],
+    );
+  }
+
+  /**
+   * Build a character from a plan: set the starting level and abilities, add
+   * the features, gear and first combat power with its action card, and fill
+   * Resolve and Power
+   *
+   * @static
+   * @param {Actor} actor - The actor being created
+   * @param {CharacterCreationPlan} plan - The plan
+   * @returns {Promise<boolean>} Whether the character was built
+   */
+  static async create(actor, plan) {
+    Logger.methodEntry("CharacterCreation", "create", {
+      actorName: actor.name,
+      featureCount: plan.featureUuids.length,
+      gearCount: plan.gearUuids.length,
+    });
+
+    const validation = this.validate(actor, plan);
+    if (!validation.valid) {
+      ui.notifications.warn(validation.errors.join(" "));
+      Logger.methodExit("CharacterCreation", "create", false);
+      return false;
+    }
+
+    const sources = (
+      await Promise.all(
+        [...plan.featureUuids, ...plan.gearUuids].map((uuid) => fromUuid(uuid)),
+      )
+    )
+      .filter(Boolean)
+      .map((item) => {
+        const data = item.toObject();
+        delete data._id;
+        return data;
+      });
+
+    const updates = {
+      "system.attributes.level.value": this.rules.startingLevel,
+      [`flags.eventide-rp-system.${this.FLAG_KEY}`]: true,
+    };
+    for (const [key, value] of Object.entries(plan.abilities)) {
+      updates[`system.abilities.${key}.value`] = Number(value);
+    }
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      (async () => {
+        if (sources.length) {
+          await actor.createEmbeddedDocuments("Item", sources);
+        }
+        await createPresetActionCard(actor, plan.power.presetId, {
+          name: plan.power.name.trim(),
+          power: {
+            name: plan.power.name.trim(),
+            ability: plan.power.ability,
+            cost: plan.power.cost,
+          },
+        });
+        await actor.update(updates);
+
+        // Start at full Resolve and Power, now that the abilities set the maximums
+        await actor.update({
+          "system.resolve.value": actor.system.resolve.max,
+          "system.power.value": actor.system.power.max,
+        });
+      })(),
+      "create character",
+      "actor",
+    );
+    if (error) {
+      Logger.methodExit("CharacterCreation", "create", false);
+      return false;
+    }
+
+    Logger.info(`Created character ${actor.name}`, plan, "CHARACTER_CREATION");
+    Logger.methodExit("CharacterCreation", "create", true);
+    return true;
+  }
+}
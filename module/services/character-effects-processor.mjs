@@ -12,18 +12,19 @@ export class CharacterEffectsProcessor {
    *
    * Extracts character effects data from form fields with the pattern
    * `characterEffects.{type}.{index}.{property}`. Filters out removed effects
-   * and returns a structured object with regular, hidden, and override effects.
+   * and returns a structured object with regular, hidden, override, and damage type effects.
    *
    * @static
    * @param {HTMLFormElement} form - The form element containing character effects fields
    * @param {Object} remove - Configuration for removing an effect
    * @param {number} [remove.index] - Index of the effect to remove
-   * @param {string} [remove.type] - Type of effect to remove (regularEffects, hiddenEffects, overrideEffects)
+   * @param {string} [remove.type] - Type of effect to remove (regularEffects, hiddenEffects, overrideEffects, damageEffects)
    * @returns {CharacterEffectsData} Parsed character effects data
    * @typedef {Object} CharacterEffectsData
    * @property {Array<CharacterEffect>} regularEffects - Regular ability effects
    * @property {Array<CharacterEffect>} hiddenEffects - Hidden ability effects
    * @property {Array<CharacterEffect>} overrideEffects - Power/resolve override effects
+   * @property {Array<CharacterEffect>} damageEffects - Damage type modifier effects (ability is the damage type, mode the modifier)
    * @typedef {Object} CharacterEffect
    * @property {string} ability - Ability identifier
    * @property {string} mode - Effect mode (add, override, advantage, disadvantage, AC, transformOverride, transformChange)
@@ -32,7 +33,7 @@ export class CharacterEffectsProcessor {
    * @example
    * const form = document.querySelector('form');
    * const effects = CharacterEffectsProcessor.parseCharacterEffectsForm(form, { index: 2, type: 'regularEffects' });
-   * // Returns: { regularEffects: [...], hiddenEffects: [], overrideEffects: [] }
+   * // Returns: { regularEffects: [...], hiddenEffects: [], overrideEffects: [], damageEffects: [] }
    */
   static parseCharacterEffectsForm(form, remove) {
     // Get all form elements that include "characterEffects" in their name
@@ -49,6 +50,7 @@ export class CharacterEffectsProcessor {
       regularEffects: [],
       hiddenEffects: [],
       overrideEffects: [],
+      damageEffects: [],
     };
 
     // Process each form element
@@ -59,7 +61,8 @@ export class CharacterEffectsProcessor {
       if (
         !name.includes("regularEffects") &&
         !name.includes("hiddenEffects") &&
-        !name.includes("overrideEffects")
+        !name.includes("overrideEffects") &&
+        !name.includes("damageEffects")
       ) {
         continue;
       }
@@ -88,6 +91,9 @@ export class CharacterEffectsProcessor {
     characterEffects.overrideEffects = characterEffects.overrideEffects.filter(
       (e) => e,
     );
+    characterEffects.damageEffects = characterEffects.damageEffects.filter(
+      (e) => e,
+    );
 
     return characterEffects;
   }
@@ -96,7 +102,8 @@ export class CharacterEffectsProcessor {
    * Process character effects into ActiveEffect changes array
    *
    * Converts character effects data into Foundry VTT ActiveEffect change objects
-   * with proper key paths and modes. Handles regular, hidden, and override effects.
+   * with proper key paths and modes. Handles regular, hidden, override, and
+   * damage type effects.
    *
    * @static
    * @param {CharacterEffectsData} characterEffects - Parsed character effects data
@@ -132,13 +139,45 @@ export class CharacterEffectsProcessor {
       });
     };
 
+    // Damage type modifiers always add to the actor's base value
+    const damageChanges = (characterEffects.damageEffects ?? []).map(
+      (effect) => ({
+        key: this.mapDamageEffectToKey(effect),
+        type: "add",
+        phase: "initial",
+        value: effect.value,
+      }),
+    );
+
     return [
       ...processEffects(characterEffects.regularEffects, true),
       ...processEffects(characterEffects.hiddenEffects, false),
       ...processEffects(characterEffects.overrideEffects, false),
+      ...damageChanges,
     ];
   }
 
+  /**
+   * Map a damage type effect to its system key path
+   *
+   * @static
+   * @param {CharacterEffect} effect - The effect to map (ability is the damage type)
+   * @returns {string} The dot-notation key path
+   *
+   * @example
+   * CharacterEffectsProcessor.mapDamageEffectToKey({ ability: 'fire', mode: 'resistance' });
+   * // Returns: 'system.damageModifiers.fire.resistance'
+   */
+  static mapDamageEffectToKey(effect) {
+    const modifier = Object.hasOwn(
+      CONFIG.EVENTIDE_RP_SYSTEM.damageModifiers ?? {},
+      effect.mode,
+    )
+      ? effect.mode
+      : "resistance";
+    return `system.damageModifiers.${effect.ability}.${modifier}`;
+  }
+
   /**
    * Map an effect mode to its corresponding system key path
    *
@@ -280,7 +319,7 @@ export class CharacterEffectsProcessor {
    *
    * @static
    * @param {Object} newEffect - Configuration for the new effect
-   * @param {string} newEffect.type - Type of effect (abilities, hiddenAbilities)
+   * @param {string} newEffect.type - Type of effect (abilities, hiddenAbilities, damageModifiers)
    * @param {string} newEffect.ability - Ability identifier
    * @returns {ActiveEffectChange} The generated change object
    *
@@ -301,6 +340,8 @@ export class CharacterEffectsProcessor {
       key = "system.power.restoreTarget";
     } else if (newEffect.ability === "resolveRestoreTarget") {
       key = "system.resolve.restoreTarget";
+    } else if (newEffect.type === "damageModifiers") {
+      key = `system.damageModifiers.${newEffect.ability}.resistance`;
     } else {
       key = `system.${newEffect.type}.${newEffect.ability}.change`;
     }
@@ -0,0 +1,230 @@
+/**
+ * CombatantOverview Service
+ *
+ * Gives the GM an overview of the fight from the combat tracker: each
+ * combatant row shows Resolve and Power bars, the combatant's statuses in
+ * their own colours and a badge for an active transformation. Players see the
+ * same overview for the combatants they own.
+ *
+ * When NPC initiative rolls are hidden, players see a masked initiative for
+ * NPC combatants, while the GM gets a column with the hidden roll.
+ *
+ * @module CombatantOverview
+ * @see module:services/hooks/combat
+ */
+
+/**
+ * @typedef {Object} OverviewResource
+ * @property {string} key - The resource key ("resolve" or "power")
+ * @property {string} label - Localized resource name
+ * @property {number} value - Current value
+ * @property {number} max - Maximum value
+ * @property {number} percent - Fill of the bar from 0 to 100
+ */
+
+/**
+ * @typedef {Object} OverviewData
+ * @property {OverviewResource[]} resources - Resolve and Power
+ * @property {Array<{name: string, img: string, bgColor: string}>} statuses - Active statuses
+ * @property {string|null} transformation - Name of the active transformation
+ */
+
+/**
+ * CombatantOverview class for the combat tracker's per-combatant overview
+ *
+ * @class CombatantOverview
+ */
+export class CombatantOverview {
+  /**
+   * Resources shown as bars, with their label keys
+   * @type {Array<{key: string, label: string}>}
+   */
+  static RESOURCES = [
+    {
+      key: "resolve",
+      label: "EVENTIDE_RP_SYSTEM.Actor.Attributes.Resolve.Value.label",
+    },
+    {
+      key: "power",
+      label: "EVENTIDE_RP_SYSTEM.Actor.Attributes.Power.Value.label",
+    },
+  ];
+
+  /**
+   * Shown to players in place of a hidden initiative roll
+   * @type {string}
+   */
+  static MASKED_INITIATIVE = "?";
+
+  /**
+   * Delay before re-rendering the tracker, so a burst of changes (such as an
+   * area attack) renders it once
+   * @type {number}
+   */
+  static REFRESH_DELAY_MS = 100;
+
+  /**
+   * Pending tracker re-render
+   * @type {number|null}
+   * @private
+   */
+  static _refreshTimeout = null;
+
+  /**
+   * Get the overview data for a combatant
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant
+   * @returns {OverviewData|null} The overview data, or null without an actor
+   */
+  static getData(combatant) {
+    const actor = combatant?.actor;
+    if (!actor) return null;
+
+    const resources = this.RESOURCES.map(({ key, label }) => {
+      const value = Number(actor.system[key]?.value) || 0;
+      const max = Number(actor.system[key]?.max) || 0;
+      return {
+        key,
+        label: game.i18n.localize(label),
+        value,
+        max,
+        percent:
+          max > 0
+            ? Math.min(Math.max(Math.round((value / max) * 100), 0), 100)
+            : 0,
+      };
+    });
+
+    const statuses = actor.items
+      .filter(
+        (item) => item.type === "status" && !item.effects.contents[0]?.disabled,
+      )
+      .map((item) => ({
+        name: item.name,
+        img: item.img,
+        bgColor: item.system.bgColor,
+      }));
+
+    const transformation = actor.getFlag(
+      "eventide-rp-system",
+      "activeTransformation",
+    )
+      ? (actor.getFlag("eventide-rp-system", "activeTransformationName") ??
+        null)
+      : null;
+
+    return { resources, statuses, transformation };
+  }
+
+  /**
+   * Build the overview HTML for a combatant row
+   *
+   * @static
+   * @param {OverviewData} data - The combatant's overview data
+   * @returns {string} HTML for the overview
+   */
+  static renderOverview({ resources, statuses, transformation }) {
+    const { escapeHTML } = foundry.utils;
+
+    const bars = resources
+      .map(
+        (resource) => `
+        <div class="erps-combatant-overview__bar erps-combatant-overview__bar--${resource.key}"
+             data-tooltip="${escapeHTML(resource.label)}: ${resource.value}/${resource.max}">
+          <span class="erps-combatant-overview__fill" style="width: ${resource.percent}%"></span>
+        </div>`,
+      )
+      .join("");
+
+    const icons = statuses
+      .map(
+        (status) => `
+        <img class="erps-combatant-overview__status" src="${escapeHTML(status.img)}"
+             style="background-color: ${escapeHTML(status.bgColor)}"
+             data-tooltip="${escapeHTML(status.name)}" alt="${escapeHTML(status.name)}">`,
+      )
+      .join("");
+
+    const tooltip = escapeHTML(
+      game.i18n.format("EVENTIDE_RP_SYSTEM.CombatTracker.Transformation", {
+        name: transformation,
+      }),
+    );
+    const badge = transformation
+      ? `
+        <span class="erps-combatant-overview__transformation" data-tooltip="${tooltip}">
+          <i class="fas fa-paw"></i>${escapeHTML(transformation)}
+        </span>`
+      : "";
+
+    return `
+      <div class="erps-combatant-overview">
+        <div class="erps-combatant-overview__bars">${bars}</div>
+        ${icons || badge ? `<div class="erps-combatant-overview__statuses">${icons}${badge}</div>` : ""}
+      </div>`;
+  }
+
+  /**
+   * Check whether NPC initiative rolls are hidden from players
+   *
+   * @static
+   * @returns {boolean} True if the hideNpcInitiativeRolls setting is on
+   */
+  static isInitiativeHidden() {
+    try {
+      return !!game.settings.get(
+        "eventide-rp-system",
+        "hideNpcInitiativeRolls",
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a combatant's initiative roll is hidden from players: hidden
+   * rolls are on, the combatant is an NPC and has rolled
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant
+   * @returns {boolean} True if the roll is hidden
+   */
+  static hasHiddenInitiative(combatant) {
+    return (
+      this.isInitiativeHidden() &&
+      !!combatant?.actor &&
+      !combatant.actor.hasPlayerOwner &&
+      combatant.initiative !== null &&
+      combatant.initiative !== undefined
+    );
+  }
+
+  /**
+   * Check whether an actor fights in the combat shown by the tracker
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {boolean} True if a combatant of the viewed combat is the actor
+   */
+  static isTracked(actor) {
+    const combat = ui.combat?.viewed;
+    if (!actor || !combat) return false;
+
+    return combat.combatants.some((combatant) => combatant.actor === actor);
+  }
+
+  /**
+   * Re-render the combat tracker after the refresh delay, restarting the
+   * delay if a re-render is already pending
+   *
+   * @static
+   */
+  static scheduleRefresh() {
+    clearTimeout(this._refreshTimeout);
+    this._refreshTimeout = setTimeout(() => {
+      this._refreshTimeout = null;
+      ui.combat?.render();
+    }, this.REFRESH_DELAY_MS);
+  }
+}
@@ -30,6 +30,7 @@ import { ConditionEvaluator } from "../helpers/condition-evaluator.mjs";
  * @property {Item} actionCard - The action card item being executed
  * @property {string} damageFormula - The base damage formula
  * @property {string} damageType - The type of damage (e.g., "heal", "physical", etc.)
+ * @property {string} [damageKind] - Typed damage key from CONFIG.EVENTIDE_RP_SYSTEM.damageTypes
  * @property {string} damageCondition - Condition for damage application
  * @property {number} [damageThreshold=15] - Threshold for rollValue condition
  * @property {string} label - The label for the damage roll
@@ -46,6 +47,7 @@ import { ConditionEvaluator } from "../helpers/condition-evaluator.mjs";
  * @property {Item} actionCard - The action card item being executed
  * @property {string} formula - The saved damage formula
  * @property {string} type - The type of damage
+ * @property {string} [kind] - Typed damage key from CONFIG.EVENTIDE_RP_SYSTEM.damageTypes
  * @property {string} label - The label for the damage roll
  * @property {string} description - Description for the damage roll
  * @property {string} img - Image for the damage roll
@@ -121,6 +123,7 @@ export class DamageProcessor {
                 ? {
                     formula: context.damageFormula,
                     damageType: context.damageType,
+                    damageKind: context.damageKind,
                   }
                 : null,
               powerDamage: applyPower
@@ -189,6 +192,7 @@ export class DamageProcessor {
               ? {
                   formula: context.formula,
                   damageType: context.type,
+                  damageKind: context.kind,
                 }
               : null,
             powerDamage: applyPower
@@ -232,7 +236,7 @@ export class DamageProcessor {
    * @param {Array} results - Target hit results
    * @param {Roll|null} rollResult - The attack roll result
    * @param {Object} context - Self-damage context
-   * @param {Object} context.config - selfDamageConfig ({ condition, threshold, resolveFormula, resolveType, powerFormula, powerType })
+   * @param {Object} context.config - selfDamageConfig ({ condition, threshold, resolveFormula, resolveType, resolveKind, powerFormula, powerType })
    * @param {Actor} context.actor - The card owner (recipient of self-damage)
    * @param {Function} context.shouldApplyEffect - Condition evaluator function
    * @param {string} [context.label] - Label for the damage roll
@@ -276,7 +280,11 @@ export class DamageProcessor {
 
     return await DamageProcessor.resolveDamageBundleForTarget(actor, {
       resolveDamage: hasResolveFormula
-        ? { formula: config.resolveFormula, damageType: config.resolveType }
+        ? {
+            formula: config.resolveFormula,
+            damageType: config.resolveType,
+            damageKind: config.resolveKind,
+          }
         : null,
       powerDamage: hasPowerFormula
         ? { formula: config.powerFormula, damageType: config.powerType }
@@ -300,6 +308,7 @@ export class DamageProcessor {
    * @param {Object} context - Damage context with formula, type, and display properties
    * @param {string} context.damageFormula - The base damage formula
    * @param {string} context.damageType - The type of damage
+   * @param {string} [context.damageKind] - Typed damage key (fire, psychic, ...)
    * @param {string} context.label - Label for the damage roll
    * @param {string} context.description - Description for the damage roll
    * @param {string} context.img - Image for the damage roll
@@ -311,6 +320,7 @@ export class DamageProcessor {
     const {
       damageFormula,
       damageType,
+      damageKind = "",
       label,
       description,
       img,
@@ -332,6 +342,7 @@ export class DamageProcessor {
         damageFormula,
         damageType,
         target,
+        damageKind,
       );
     }
 
@@ -340,6 +351,11 @@ export class DamageProcessor {
       label,
       description,
       type: damageType,
+      damageInfo: DamageProcessor.getDamageTypeInfo(
+        target,
+        damageType,
+        damageKind,
+      ),
       img,
       bgColor,
       textColor,
@@ -359,7 +375,7 @@ export class DamageProcessor {
    * @static
    * @param {Actor} target - The target actor
    * @param {Object} context - Bundle context
-   * @param {Object|null} [context.resolveDamage] - Resolve damage payload ({ formula, damageType })
+   * @param {Object|null} [context.resolveDamage] - Resolve damage payload ({ formula, damageType, damageKind })
    * @param {Object|null} [context.powerDamage] - Power damage payload ({ formula, damageType })
    * @param {string} context.label - Label for the damage roll
    * @param {string} context.description - Description for the damage roll
@@ -384,6 +400,7 @@ export class DamageProcessor {
     if (resolveDamage) {
       let resolveFormula = resolveDamage.formula;
       const resolveType = resolveDamage.damageType;
+      const resolveKind = resolveDamage.damageKind ?? "";
       if (resolveType === "heal") {
         resolveFormula = DamageProcessor.applyHealingIncreaseModifierToFormula(
           resolveFormula,
@@ -394,9 +411,18 @@ export class DamageProcessor {
           resolveFormula,
           resolveType,
           target,
+          resolveKind,
         );
       }
-      resolvePayload = { formula: resolveFormula, type: resolveType };
+      resolvePayload = {
+        formula: resolveFormula,
+        type: resolveType,
+        damageInfo: DamageProcessor.getDamageTypeInfo(
+          target,
+          resolveType,
+          resolveKind,
+        ),
+      };
     }
 
     // Power damage uses the raw formula (no vulnerability concept for power)
@@ -422,6 +448,7 @@ export class DamageProcessor {
         resolveRoll: await target.damageResolve({
           formula: resolvePayload.formula,
           type: resolvePayload.type,
+          damageInfo: resolvePayload.damageInfo,
           ...displayProps,
         }),
         powerRoll: null,
@@ -567,22 +594,143 @@ export class DamageProcessor {
    * Constructs a formula that properly represents vulnerability modifications
    * including additive and multiplicative effects.
    *
+   * Typed damage then applies the target's per-type modifiers on top:
+   * immunity reduces the damage to "0", otherwise the type's vulnerability
+   * minus its resistance is added (never dropping below 0).
+   *
    * Example outputs:
    * - Add mode: "d20 + 5" for vuln with value=5
    * - Multiply mode: "2 * (d20 + 3)" for vuln with value=3 and multiplyNeutral=2
+   * - Fire resistance 4: "max(0, (2d6) - 4)"
    *
    * @static
    * @param {string} originalFormula - The original damage formula
    * @param {string} damageType - The type of damage
    * @param {Actor} target - The target actor
+   * @param {string} [damageKind=""] - Typed damage key (fire, psychic, ...)
    * @returns {string} The modified formula with vulnerability applied
    */
-  static applyVulnerabilityModifier(originalFormula, damageType, target) {
+  static applyVulnerabilityModifier(
+    originalFormula,
+    damageType,
+    target,
+    damageKind = "",
+  ) {
     // Only apply vulnerability for non-healing damage
     if (damageType === "heal") {
       return originalFormula;
     }
 
+    const formula = DamageProcessor._applyGenericVulnerability(
+      originalFormula,
+      target,
+    );
+
+    return DamageProcessor.applyDamageTypeModifiers(
+      formula,
+      target,
+      damageKind,
+    );
+  }
+
+  /**
+   * Get a target's modifiers for one damage type
+   *
+   * @static
+   * @param {Actor} target - The target actor
+   * @param {string} damageKind - Typed damage key (fire, psychic, ...)
+   * @returns {{resistance: number, vulnerability: number, immunity: number}|null} The modifiers, or null for untyped damage
+   */
+  static getDamageTypeModifiers(target, damageKind) {
+    if (!damageKind) return null;
+
+    const modifiers = target.system?.damageModifiers?.[damageKind];
+    return {
+      resistance: Math.max(0, modifiers?.resistance || 0),
+      vulnerability: Math.max(0, modifiers?.vulnerability || 0),
+      immunity: Math.max(0, modifiers?.immunity || 0),
+    };
+  }
+
+  /**
+   * Apply a target's per-type resistance, vulnerability and immunity
+   *
+   * @static
+   * @param {string} formula - The damage formula
+   * @param {Actor} target - The target actor
+   * @param {string} damageKind - Typed damage key (fire, psychic, ...)
+   * @returns {string} The modified formula
+   */
+  static applyDamageTypeModifiers(formula, target, damageKind) {
+    const modifiers = DamageProcessor.getDamageTypeModifiers(
+      target,
+      damageKind,
+    );
+    if (!modifiers) return formula;
+    if (modifiers.immunity > 0) return "0";
+
+    const net = modifiers.vulnerability - modifiers.resistance;
+    if (net > 0) return `(${formula}) + ${net}`;
+    if (net < 0) return `max(0, (${formula}) - ${-net})`;
+    return formula;
+  }
+
+  /**
+   * Describe the damage type of a roll for its chat card: the type's label
+   * and the target's modifiers that applied to it
+   *
+   * @static
+   * @param {Actor} target - The target actor
+   * @param {string} damageType - "damage" or "heal"
+   * @param {string} damageKind - Typed damage key (fire, psychic, ...)
+   * @returns {{label: string, notes: string[]}|null} The chat info, or null for untyped damage and healing
+   */
+  static getDamageTypeInfo(target, damageType, damageKind) {
+    if (damageType === "heal") return null;
+
+    const label = CONFIG.EVENTIDE_RP_SYSTEM.damageTypes?.[damageKind];
+    const modifiers = DamageProcessor.getDamageTypeModifiers(
+      target,
+      damageKind,
+    );
+    if (!label || !modifiers) return null;
+
+    const notes = [];
+    if (modifiers.immunity > 0) {
+      notes.push(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.DamageTypes.Chat.Immune"),
+      );
+    } else {
+      if (modifiers.resistance > 0) {
+        notes.push(
+          game.i18n.format("EVENTIDE_RP_SYSTEM.DamageTypes.Chat.Resistance", {
+            value: modifiers.resistance,
+          }),
+        );
+      }
+      if (modifiers.vulnerability > 0) {
+        notes.push(
+          game.i18n.format(
+            "EVENTIDE_RP_SYSTEM.DamageTypes.Chat.Vulnerability",
+            { value: modifiers.vulnerability },
+          ),
+        );
+      }
+    }
+
+    return { label: game.i18n.localize(label), notes };
+  }
+
+  /**
+   * Apply the target's generic (untyped) vulnerability hidden ability
+   *
+   * @static
+   * @private
+   * @param {string} originalFormula - The original damage formula
+   * @param {Actor} target - The target actor
+   * @returns {string} The modified formula
+   */
+  static _applyGenericVulnerability(originalFormula, target) {
     const vuln = target.system?.hiddenAbilities?.vuln;
     if (!vuln) {
       return originalFormula;
@@ -0,0 +1,486 @@
+/**
+ * DownedState Service
+ *
+ * Implements the 0 Resolve rule from the combat rules: a character who drops
+ * to 0 Resolve cannot act until a directly adjacent ally spends an action to
+ * help them up, restoring 10 Resolve. Helping someone up gives every nearby
+ * threat an immediate Full Action, so the help up card warns which hostile
+ * tokens are in range.
+ *
+ * The downed state is a status item flagged as the downed marker. It is
+ * applied by the active GM when Resolve reaches 0 and removed once Resolve
+ * rises above 0 again.
+ *
+ * @module DownedState
+ * @see module:services/hooks/combat
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { ActionEconomy } from "./action-economy.mjs";
+
+const { renderTemplate } = foundry.applications.handlebars;
+
+/**
+ * @typedef {Object} HelpUpResult
+ * @property {number} amount - Resolve restored to the downed actor
+ * @property {string[]} threats - Names of the hostile tokens in range
+ */
+
+/**
+ * DownedState class for downing actors at 0 Resolve and helping them up
+ *
+ * @class DownedState
+ */
+export class DownedState {
+  /**
+   * Item flag key marking the downed status
+   * @type {string}
+   */
+  static FLAG_KEY = "downed";
+
+  /**
+   * Chat message flag key holding a pending help up
+   * @type {string}
+   */
+  static HELP_UP_FLAG_KEY = "helpUp";
+
+  /**
+   * Resolve restored when an ally helps a downed character up
+   * @type {number}
+   */
+  static HELP_UP_RESOLVE = 10;
+
+  /**
+   * Template used for downed and help up chat cards
+   * @type {string}
+   */
+  static MESSAGE_TEMPLATE =
+    "systems/eventide-rp-system/templates/chat/downed-message.hbs";
+
+  /**
+   * IDs of the downed statuses the GM has applied a help up for this session
+   * @type {Set<string>}
+   * @private
+   */
+  static _usedHelpUps = new Set();
+
+  /**
+   * Get the downed status on an actor
+   *
+   * @static
+   * @param {Actor} actor - The actor to check
+   * @returns {Item|null} The downed status item, or null if not downed
+   */
+  static getDownedStatus(actor) {
+    return (
+      actor?.items.find(
+        (item) =>
+          item.type === "status" &&
+          item.getFlag("eventide-rp-system", this.FLAG_KEY),
+      ) ?? null
+    );
+  }
+
+  /**
+   * Check whether an actor is downed
+   *
+   * @static
+   * @param {Actor} actor - The actor to check
+   * @returns {boolean} True if the actor carries the downed status
+   */
+  static isDowned(actor) {
+    return !!this.getDownedStatus(actor);
+  }
+
+  /**
+   * Build the status item data applied to downed actors: the status chosen in
+   * the Downed Status setting, or a built-in Downed status if none is set
+   *
+   * @static
+   * @returns {Promise<Object>} Item creation data
+   */
+  static async getStatusData() {
+    const uuid = game.settings.get("eventide-rp-system", "downedStatusUuid");
+    let data = null;
+
+    if (uuid) {
+      const status = await fromUuid(uuid);
+      if (status?.type === "status") {
+        data = status.toObject();
+      } else {
+        Logger.warn(
+          `Downed status "${uuid}" is not a status item, using the default`,
+          null,
+          "DOWNED_STATE",
+        );
+      }
+    }
+
+    data ??= {
+      name: game.i18n.localize("EVENTIDE_RP_SYSTEM.Downed.StatusName"),
+      type: "status",
+      img: "icons/svg/unconscious.svg",
+      system: {
+        description: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.Downed.StatusDescription",
+        ),
+        bgColor: "#8b1e1e",
+        textColor: "#ffffff",
+      },
+    };
+
+    delete data._id;
+    foundry.utils.setProperty(
+      data,
+      `flags.eventide-rp-system.${this.FLAG_KEY}`,
+      true,
+    );
+    return data;
+  }
+
+  /**
+   * Down or revive an actor whose Resolve changed
+   *
+   * @static
+   * @param {Actor} actor - The updated actor
+   * @param {Object} changed - The differential data that was changed
+   * @returns {Promise<Item|boolean|null>} The downed status created, true if it was removed, or null if nothing changed
+   */
+  static async processActorUpdate(actor, changed) {
+    if (!foundry.utils.hasProperty(changed, "system.resolve.value")) {
+      return null;
+    }
+
+    const atZero = actor.system.resolve.value <= 0;
+    if (atZero === this.isDowned(actor)) return null;
+
+    return atZero ? this.applyDowned(actor) : this.removeDowned(actor);
+  }
+
+  /**
+   * Apply the downed status and announce it in chat
+   *
+   * @static
+   * @param {Actor} actor - The actor at 0 Resolve
+   * @returns {Promise<Item|null>} The created status, or null on failure
+   */
+  static async applyDowned(actor) {
+    Logger.methodEntry("DownedState", "applyDowned", {
+      actorName: actor?.name,
+    });
+
+    const [created, error] = await ErrorHandler.handleDocumentOperation(
+      actor.createEmbeddedDocuments("Item", [await this.getStatusData()]),
+      "apply downed status",
+      "actor",
+    );
+    if (error) {
+      Logger.methodExit("DownedState", "applyDowned", null);
+      return null;
+    }
+
+    const token = actor.getActiveTokens(false, true)[0] ?? null;
+    await this._postMessage(
+      actor,
+      {
+        variant: "downed",
+        icon: "fas fa-skull-crossbones",
+        title: game.i18n.format("EVENTIDE_RP_SYSTEM.Downed.Title", {
+          actor: actor.name,
+        }),
+        notes: [
+          game.i18n.format("EVENTIDE_RP_SYSTEM.Downed.CannotAct", {
+            actor: actor.name,
+            amount: this.HELP_UP_RESOLVE,
+          }),
+        ],
+        showHelpUp: !!token,
+      },
+      { [this.FLAG_KEY]: { actorUuid: actor.uuid, tokenUuid: token?.uuid } },
+    );
+
+    Logger.info(`${actor.name} is downed`, null, "DOWNED_STATE");
+    Logger.methodExit("DownedState", "applyDowned", created[0]);
+    return created[0];
+  }
+
+  /**
+   * Remove the downed status from an actor
+   *
+   * @static
+   * @param {Actor} actor - The revived actor
+   * @returns {Promise<boolean>} True if the status was removed
+   */
+  static async removeDowned(actor) {
+    const ids = actor.items
+      .filter(
+        (item) =>
+          item.type === "status" &&
+          item.getFlag("eventide-rp-system", this.FLAG_KEY),
+      )
+      .map((item) => item.id);
+    if (!ids.length) return false;
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      actor.deleteEmbeddedDocuments("Item", ids),
+      "remove downed status",
+      "actor",
+    );
+
+    if (!error) Logger.info(`${actor.name} is back up`, null, "DOWNED_STATE");
+    return !error;
+  }
+
+  /**
+   * Check whether the active GM should skip the combatant whose turn began:
+   * the Skip Downed Turns setting is on, the combatant is downed, and at
+   * least one combatant is still able to act
+   *
+   * @static
+   * @param {Combat} combat - The combat that was updated
+   * @returns {boolean} True if the turn should be skipped
+   */
+  static shouldSkipTurn(combat) {
+    if (!combat?.started || !this.isDowned(combat.combatant?.actor)) {
+      return false;
+    }
+    if (!game.settings.get("eventide-rp-system", "skipDownedTurns")) {
+      return false;
+    }
+
+    return combat.turns.some((combatant) => !this.isDowned(combatant.actor));
+  }
+
+  /**
+   * Get the token the current user helps with: their first controlled token,
+   * or their assigned character's token on the viewed scene
+   *
+   * @static
+   * @returns {Token|null} The helping token
+   */
+  static getHelperToken() {
+    return (
+      canvas.tokens?.controlled[0] ??
+      game.user.character?.getActiveTokens()[0] ??
+      null
+    );
+  }
+
+  /**
+   * Check whether two tokens are directly adjacent, including diagonally
+   *
+   * @static
+   * @param {Token} first - The first token
+   * @param {Token} second - The second token
+   * @returns {boolean} True if less than one grid space separates them
+   */
+  static isAdjacent(first, second) {
+    const size = canvas.dimensions.size;
+    const a = first.document;
+    const b = second.document;
+    const gap = (startA, spanA, startB, spanB) =>
+      Math.max(
+        0,
+        startA - (startB + spanB * size),
+        startB - (startA + spanA * size),
+      );
+
+    return (
+      gap(a.x, a.width, b.x, b.width) < size &&
+      gap(a.y, a.height, b.y, b.height) < size
+    );
+  }
+
+  /**
+   * Get the visible tokens hostile to the helper within the threat range
+   * setting. Downed tokens are not a threat.
+   *
+   * @static
+   * @param {Token} helperToken - The helping token
+   * @returns {Token[]} Hostile tokens in range
+   */
+  static getThreats(helperToken) {
+    const { FRIENDLY, HOSTILE } = CONST.TOKEN_DISPOSITIONS;
+    const hostile =
+      helperToken.document.disposition === HOSTILE ? FRIENDLY : HOSTILE;
+    const range = game.settings.get("eventide-rp-system", "helpUpThreatRange");
+
+    return canvas.tokens.placeables.filter(
+      (token) =>
+        token !== helperToken &&
+        token.actor &&
+        !token.document.hidden &&
+        token.document.disposition === hostile &&
+        !this.isDowned(token.actor) &&
+        canvas.grid.measurePath([helperToken.center, token.center]).spaces <=
+          range,
+    );
+  }
+
+  /**
+   * Help a downed token up: the helper spends a Full Action, the downed actor
+   * regains Resolve, and a chat card warns of the threats in range. If the
+   * current user does not own the downed actor, the active GM applies the
+   * Resolve when the card is posted.
+   *
+   * @static
+   * @param {Token} helperToken - The adjacent ally helping
+   * @param {Token} downedToken - The downed token
+   * @returns {Promise<HelpUpResult|null>} The result, or null if it was refused
+   */
+  static async helpUp(helperToken, downedToken) {
+    const helper = helperToken?.actor;
+    const downed = downedToken?.actor;
+    Logger.methodEntry("DownedState", "helpUp", {
+      helperName: helper?.name,
+      downedName: downed?.name,
+    });
+
+    let refusal = null;
+    if (!helper) {
+      refusal = "EVENTIDE_RP_SYSTEM.Downed.Errors.NoHelper";
+    } else if (!this.isDowned(downed)) {
+      refusal = "EVENTIDE_RP_SYSTEM.Downed.Errors.NotDowned";
+    } else if (helper === downed || this.isDowned(helper)) {
+      refusal = "EVENTIDE_RP_SYSTEM.Downed.Errors.HelperDowned";
+    } else if (!this.isAdjacent(helperToken, downedToken)) {
+      refusal = "EVENTIDE_RP_SYSTEM.Downed.Errors.NotAdjacent";
+    }
+    if (refusal) {
+      ui.notifications.warn(
+        game.i18n.format(refusal, { actor: downed?.name ?? "" }),
+      );
+      Logger.methodExit("DownedState", "helpUp", null);
+      return null;
+    }
+
+    const spend = await ActionEconomy.spendAction(helper, "full");
+    if (spend.tracked && !spend.spent) {
+      ui.notifications.warn(
+        ActionEconomy.getUnavailableMessage(helper, "full", spend),
+      );
+      Logger.methodExit("DownedState", "helpUp", null);
+      return null;
+    }
+
+    const amount = this.HELP_UP_RESOLVE;
+    const statusId = this.getDownedStatus(downed).id;
+    const applied = downed.isOwner;
+    if (applied) await downed.addResolve(amount);
+
+    const threats = this.getThreats(helperToken).map((token) => token.name);
+    const names = { helper: helper.name, actor: downed.name };
+    await this._postMessage(
+      helper,
+      {
+        variant: "help-up",
+        icon: "fas fa-hands-helping",
+        title: game.i18n.format(
+          "EVENTIDE_RP_SYSTEM.Downed.HelpUp.Title",
+          names,
+        ),
+        notes: [
+          game.i18n.format("EVENTIDE_RP_SYSTEM.Downed.HelpUp.Restored", {
+            ...names,
+            amount,
+          }),
+        ],
+        threats,
+        threatWarning: game.i18n.format(
+          threats.length
+            ? "EVENTIDE_RP_SYSTEM.Downed.HelpUp.Threats"
+            : "EVENTIDE_RP_SYSTEM.Downed.HelpUp.NoThreats",
+          names,
+        ),
+      },
+      {
+        [this.HELP_UP_FLAG_KEY]: {
+          helperTokenUuid: helperToken.document.uuid,
+          downedTokenUuid: downedToken.document.uuid,
+          statusId,
+          applied,
+        },
+      },
+    );
+
+    const result = { amount, threats };
+    Logger.info(
+      `${helper.name} helped ${downed.name} up`,
+      result,
+      "DOWNED_STATE",
+    );
+    Logger.methodExit("DownedState", "helpUp", result);
+    return result;
+  }
+
+  /**
+   * Restore the Resolve of a help up the helper could not apply themselves.
+   * Called by the active GM when the help up card is created. Message flags
+   * can be written by any client, so the help up is only honoured if the
+   * card's author owns the helper, the helper is still adjacent, and the
+   * downed status it names has not been helped up already.
+   *
+   * @static
+   * @param {ChatMessage} message - The help up chat message
+   * @returns {Promise<boolean>} True if Resolve was restored
+   */
+  static async applyPendingHelpUp(message) {
+    const pending = message.getFlag(
+      "eventide-rp-system",
+      this.HELP_UP_FLAG_KEY,
+    );
+    if (!pending || pending.applied) return false;
+
+    const helperToken = fromUuidSync(pending.helperTokenUuid)?.object;
+    const downedToken = fromUuidSync(pending.downedTokenUuid)?.object;
+    const helper = helperToken?.actor;
+    const downed = downedToken?.actor;
+    if (
+      !helper?.testUserPermission(message.author, "OWNER") ||
+      this.isDowned(helper) ||
+      this.getDownedStatus(downed)?.id !== pending.statusId ||
+      this._usedHelpUps.has(pending.statusId) ||
+      !this.isAdjacent(helperToken, downedToken)
+    ) {
+      Logger.warn(
+        "Ignoring a help up that cannot be applied",
+        { messageId: message.id, pending },
+        "DOWNED_STATE",
+      );
+      return false;
+    }
+
+    this._usedHelpUps.add(pending.statusId);
+    await ErrorHandler.handleDocumentOperation(
+      message.setFlag("eventide-rp-system", this.HELP_UP_FLAG_KEY, {
+        ...pending,
+        applied: true,
+      }),
+      "mark help up applied",
+      "chat message",
+    );
+    await downed.addResolve(this.HELP_UP_RESOLVE);
+    return true;
+  }
+
+  /**
+   * Render and post a downed or help up chat card
+   *
+   * @static
+   * @private
+   * @param {Actor} actor - The actor the card is spoken by
+   * @param {Object} data - Template data (variant, icon, title, notes, threats, threatWarning, showHelpUp)
+   * @param {Object} flags - System flags stored on the message
+   * @returns {Promise<ChatMessage>} The created message
+   */
+  static async _postMessage(actor, data, flags) {
+    const content = await renderTemplate(this.MESSAGE_TEMPLATE, data);
+
+    return ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content,
+      flags: { "eventide-rp-system": flags },
+    });
+  }
+}
@@ -0,0 +1,335 @@
+/**
+ * Encounter Planner Service
+ *
+ * Plans combat encounters from NPCs: totals their XP (derived from CR by the
+ * CR to XP formula), rates the encounter against the party's level and size
+ * on the DC scale of the Sweet Spot Guidelines, and places it onto a scene
+ * and into a new combat. The difficulty tiers come from
+ * CONFIG.EVENTIDE_RP_SYSTEM.encounterDifficulty.
+ *
+ * @module EncounterPlanner
+ * @see module:ui/macros/encounter-builder
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+
+/**
+ * @typedef {Object} EncounterEntry
+ * @property {string} uuid - UUID of the NPC, in the world or a compendium
+ * @property {string} name - NPC name
+ * @property {string} img - NPC image
+ * @property {number} cr - Challenge rating
+ * @property {number} xp - XP for one of this NPC
+ * @property {number} count - How many of this NPC the encounter has
+ */
+
+/**
+ * @typedef {Object} EncounterAssessment
+ * @property {number} totalXP - XP of the whole encounter
+ * @property {number} budget - XP of a sweet spot encounter for the party
+ * @property {number|null} ratio - Encounter XP over the sweet spot budget
+ * @property {number|null} dc - DC the encounter plays like
+ * @property {string|null} band - trivial, easy, sweetSpot, difficult or nearImpossible
+ * @property {Object} tier - The party's difficulty tier
+ */
+
+/**
+ * EncounterPlanner class for rating and placing encounters
+ *
+ * @class EncounterPlanner
+ */
+export class EncounterPlanner {
+  /**
+   * DC added to an encounter's rating each time its XP doubles
+   * @type {number}
+   */
+  static DC_STEP = 5;
+
+  /**
+   * Difficulty bands from easiest to hardest
+   * @type {string[]}
+   */
+  static BANDS = [
+    "trivial",
+    "easy",
+    "sweetSpot",
+    "difficult",
+    "nearImpossible",
+  ];
+
+  /**
+   * Get the XP for a challenge rating from the CR to XP formula
+   *
+   * @static
+   * @param {number} cr - The challenge rating
+   * @returns {number} The XP value
+   */
+  static getXPForCR(cr) {
+    try {
+      const formula =
+        game.settings?.get("eventide-rp-system", "crToXpFormula") ||
+        "@cr * 200 + @cr * @cr * 50";
+      const roll = new Roll(formula.replace(/@cr/g, cr), { cr });
+      return Math.max(0, Math.floor(roll.evaluateSync().total));
+    } catch (error) {
+      Logger.warn("Error calculating XP from CR", error, "ENCOUNTER_PLANNER");
+      return Math.max(10, Math.floor(cr * 200));
+    }
+  }
+
+  /**
+   * Get the party: player-owned characters, with their average level
+   *
+   * @static
+   * @returns {{actors: Actor[], level: number, size: number}} The party
+   */
+  static getParty() {
+    const actors = game.actors.filter(
+      (actor) => actor.type === "character" && actor.hasPlayerOwner,
+    );
+    const totalLevel = actors.reduce(
+      (sum, actor) => sum + (actor.system.attributes?.level?.value ?? 1),
+      0,
+    );
+    return {
+      actors,
+      level: actors.length ? Math.round(totalLevel / actors.length) : 1,
+      size: actors.length,
+    };
+  }
+
+  /**
+   * Get the difficulty tier for a party level
+   *
+   * @static
+   * @param {number} level - The party level
+   * @returns {Object} The tier, the highest one for levels beyond the table
+   */
+  static getTier(level) {
+    const tiers = CONFIG.EVENTIDE_RP_SYSTEM.encounterDifficulty;
+    return tiers.find((tier) => level <= tier.maxLevel) ?? tiers.at(-1);
+  }
+
+  /**
+   * Build an encounter entry for an NPC
+   *
+   * @static
+   * @param {Actor} actor - The NPC
+   * @returns {EncounterEntry|null} The entry, or null if the actor is not an NPC
+   */
+  static createEntry(actor) {
+    if (actor?.type !== "npc") return null;
+    return {
+      uuid: actor.uuid,
+      name: actor.name,
+      img: actor.img,
+      cr: actor.system.cr,
+      xp: actor.system.xp,
+      count: 1,
+    };
+  }
+
+  /**
+   * Rate an encounter against the party. A sweet spot encounter has one NPC
+   * of the party's level per character; every doubling of XP above that
+   * raises the encounter's DC by one step and every halving lowers it.
+   *
+   * @static
+   * @param {EncounterEntry[]} entries - The encounter's NPCs
+   * @param {Object} party - The party
+   * @param {number} party.level - Party level
+   * @param {number} party.size - Number of characters
+   * @returns {EncounterAssessment} The rating
+   */
+  static assess(entries, { level, size }) {
+    const tier = this.getTier(level);
+    const totalXP = entries.reduce(
+      (sum, entry) => sum + entry.xp * entry.count,
+      0,
+    );
+    const budget = this.getXPForCR(level) * size;
+    if (!totalXP || !budget) {
+      return { totalXP, budget, ratio: null, dc: null, band: null, tier };
+    }
+
+    const ratio = totalXP / budget;
+    const dc = tier.sweetSpot + this.DC_STEP * Math.round(Math.log2(ratio));
+    let band;
+    if (dc >= tier.nearImpossible) band = "nearImpossible";
+    else if (dc >= tier.difficult[0]) band = "difficult";
+    else if (dc >= tier.sweetSpot) band = "sweetSpot";
+    else if (dc >= tier.sweetSpot - this.DC_STEP) band = "easy";
+    else band = "trivial";
+
+    return { totalXP, budget, ratio, dc, band, tier };
+  }
+
+  /**
+   * Place an encounter onto a scene and start a new combat with it. NPCs
+   * from compendiums are imported into the world first, reusing an earlier
+   * import when there is one. Party tokens already on the scene join the
+   * combat too.
+   *
+   * @static
+   * @param {EncounterEntry[]} entries - The encounter's NPCs
+   * @param {Object} [options={}] - Placement options
+   * @param {Scene} [options.scene] - Scene to place on (defaults to the viewed scene)
+   * @param {{x: number, y: number}} [options.center] - Where to center the tokens
+   * @param {boolean} [options.hidden=false] - Whether to place the tokens hidden
+   * @returns {Promise<Combat|null>} The new combat, or null if nothing was placed
+   */
+  static async place(
+    entries,
+    { scene = canvas?.scene, center, hidden = false } = {},
+  ) {
+    Logger.methodEntry("EncounterPlanner", "place", {
+      entries: entries.length,
+      scene: scene?.name,
+    });
+
+    if (!game.user.isGM) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.EncounterBuilder.Errors.GMOnly"),
+      );
+      return null;
+    }
+    if (!scene) {
+      ui.notifications.warn(
+        game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.EncounterBuilder.Errors.NoScene",
+        ),
+      );
+      return null;
+    }
+
+    const actors = [];
+    for (const entry of entries) {
+      const actor = await this._getWorldActor(entry.uuid);
+      if (!actor) {
+        Logger.warn(
+          `Encounter NPC not found: ${entry.uuid}`,
+          null,
+          "ENCOUNTER_PLANNER",
+        );
+        continue;
+      }
+      for (let i = 0; i < entry.count; i++) actors.push(actor);
+    }
+    if (!actors.length) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.EncounterBuilder.Errors.Empty"),
+      );
+      return null;
+    }
+
+    const positions = this._layout(actors, scene, center);
+    const tokenData = await Promise.all(
+      actors.map(async (actor, i) =>
+        (await actor.getTokenDocument({ ...positions[i], hidden })).toObject(),
+      ),
+    );
+    const [tokens, tokenError] = await ErrorHandler.handleDocumentOperation(
+      scene.createEmbeddedDocuments("Token", tokenData),
+      "place encounter",
+      "token",
+    );
+    if (tokenError) return null;
+
+    const partyIds = new Set(this.getParty().actors.map((actor) => actor.id));
+    const partyTokens = scene.tokens.filter((token) =>
+      partyIds.has(token.actorId),
+    );
+
+    const [combat, combatError] = await ErrorHandler.handleDocumentOperation(
+      Combat.implementation.create({ scene: scene.id, active: true }),
+      "create encounter combat",
+      "combat",
+    );
+    if (combatError) return null;
+
+    await ErrorHandler.handleDocumentOperation(
+      combat.createEmbeddedDocuments(
+        "Combatant",
+        [...partyTokens, ...tokens].map((token) => ({
+          tokenId: token.id,
+          sceneId: scene.id,
+          actorId: token.actorId,
+          hidden: token.hidden,
+        })),
+      ),
+      "add encounter combatants",
+      "combatant",
+    );
+
+    Logger.info(
+      `Placed ${tokens.length} NPCs on ${scene.name}`,
+      null,
+      "ENCOUNTER_PLANNER",
+    );
+    Logger.methodExit("EncounterPlanner", "place", combat);
+    return combat;
+  }
+
+  /**
+   * Get a world actor for an NPC, importing it from its compendium if needed
+   *
+   * @static
+   * @param {string} uuid - UUID of the NPC
+   * @returns {Promise<Actor|null>} The world actor
+   * @private
+   */
+  static async _getWorldActor(uuid) {
+    const actor = await fromUuid(uuid);
+    if (!actor?.pack) return actor ?? null;
+
+    const imported = game.actors.find(
+      (worldActor) => worldActor._stats?.compendiumSource === uuid,
+    );
+    if (imported) return imported;
+
+    const [created] = await ErrorHandler.handleDocumentOperation(
+      game.actors.importFromCompendium(game.packs.get(actor.pack), actor.id),
+      "import encounter NPC",
+      "actor",
+    );
+    return created;
+  }
+
+  /**
+   * Lay tokens out in a grid around a point, snapped to the scene grid
+   *
+   * @static
+   * @param {Actor[]} actors - One actor per token
+   * @param {Scene} scene - The scene the tokens go on
+   * @param {{x: number, y: number}} [center] - Center of the layout (defaults to the scene center)
+   * @returns {{x: number, y: number}[]} Top-left position of each token
+   * @private
+   */
+  static _layout(actors, scene, center) {
+    const gridSize = scene.grid.size;
+    const spacing =
+      Math.max(
+        1,
+        ...actors.map((actor) =>
+          Math.max(actor.prototypeToken.width, actor.prototypeToken.height),
+        ),
+      ) * gridSize;
+    const columns = Math.ceil(Math.sqrt(actors.length));
+    const rows = Math.ceil(actors.length / columns);
+    const { sceneX, sceneY, sceneWidth, sceneHeight } = scene.dimensions;
+    const origin = center ?? {
+      x: sceneX + sceneWidth / 2,
+      y: sceneY + sceneHeight / 2,
+    };
+    const left = origin.x - (columns * spacing) / 2;
+    const top = origin.y - (rows * spacing) / 2;
+
+    return actors.map((_actor, i) => ({
+      x: Math.round((left + (i % columns) * spacing) / gridSize) * gridSize,
+      y:
+        Math.round((top + Math.floor(i / columns) * spacing) / gridSize) *
+        gridSize,
+    }));
+  }
+}
@@ -0,0 +1,314 @@
+/**
+ * Encumbrance Service
+ *
+ * Totals the weight of an actor's gear (weight times quantity, equipped and
+ * carried alike) and compares it to the carrying capacity from the Carrying
+ * Capacity Formula setting. Setting the formula to "0" turns encumbrance off.
+ *
+ * Loads beyond a tier's threshold (a multiple of the capacity) apply the tier
+ * from CONFIG.EVENTIDE_RP_SYSTEM.encumbranceTiers as a managed status item
+ * flagged as the encumbrance marker. The active GM keeps the status in step
+ * with the load.
+ *
+ * @module Encumbrance
+ * @see module:services/hooks/encumbrance-hooks
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { CharacterEffectsProcessor } from "./character-effects-processor.mjs";
+import { DefaultDataFactory } from "./default-data-factory.mjs";
+
+/**
+ * @typedef {Object} EncumbranceLoad
+ * @property {number} equipped - Weight of equipped gear
+ * @property {number} carried - Weight of unequipped gear
+ * @property {number} total - Total weight
+ */
+
+/**
+ * @typedef {Object} EncumbranceTier
+ * @property {string} key - Tier key in the encumbranceTiers config
+ * @property {string} label - Localization key of the tier name
+ * @property {number} threshold - Multiple of the capacity the load must exceed
+ * @property {Array<{ability: string, mode: string, value: number}>} effects - Ability changes of the tier
+ */
+
+/**
+ * @typedef {EncumbranceLoad} EncumbranceData
+ * @property {boolean} enabled - Whether encumbrance is on
+ * @property {number} capacity - Carrying capacity
+ * @property {number} percent - Load as a percentage of capacity, up to 100
+ * @property {EncumbranceTier|null} tier - The tier reached, or null if unencumbered
+ */
+
+/**
+ * Encumbrance class for gear weight and the penalties of heavy loads
+ *
+ * @class Encumbrance
+ */
+export class Encumbrance {
+  /**
+   * Item flag key marking the encumbrance status; its value is the tier key
+   * @type {string}
+   */
+  static FLAG_KEY = "encumbrance";
+
+  /**
+   * Pending status updates per actor UUID, so bursts of gear changes apply in
+   * order and never create the status twice
+   * @type {Map<string, Promise>}
+   * @private
+   */
+  static _pending = new Map();
+
+  /**
+   * Total the weight of an actor's gear
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @param {Object} [extra] - Gear to add to the load, such as an incoming transfer
+   * @param {number} [extra.weight=0] - Extra weight, carried unequipped
+   * @returns {EncumbranceLoad} The load
+   */
+  static getLoad(actor, { weight = 0 } = {}) {
+    let equipped = 0;
+    let carried = Number(weight) || 0;
+
+    for (const item of actor?.items ?? []) {
+      if (item.type !== "gear") continue;
+
+      const itemWeight =
+        (Number(item.system.weight) || 0) * (Number(item.system.quantity) || 0);
+      if (item.system.equipped) equipped += itemWeight;
+      else carried += itemWeight;
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      equipped: round(equipped),
+      carried: round(carried),
+      total: round(equipped + carried),
+    };
+  }
+
+  /**
+   * Get an actor's carrying capacity
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {number} The capacity, or 0 when encumbrance is off
+   */
+  static getCapacity(actor) {
+    const formula = game.settings.get(
+      "eventide-rp-system",
+      "carryCapacityFormula",
+    );
+    if (!formula?.trim() || formula.trim() === "0") return 0;
+
+    try {
+      const roll = new Roll(formula, actor.getRollData());
+      return Math.max(0, Math.floor(roll.evaluateSync().total));
+    } catch (error) {
+      Logger.warn("Error calculating carrying capacity", error, "ENCUMBRANCE");
+      return 0;
+    }
+  }
+
+  /**
+   * Get the tier a load reaches: the one with the highest threshold the load
+   * exceeds
+   *
+   * @static
+   * @param {number} load - The total load
+   * @param {number} capacity - The carrying capacity
+   * @returns {EncumbranceTier|null} The tier, or null if unencumbered
+   */
+  static getTier(load, capacity) {
+    if (capacity <= 0) return null;
+
+    return (
+      Object.entries(CONFIG.EVENTIDE_RP_SYSTEM.encumbranceTiers ?? {})
+        .map(([key, tier]) => ({ key, ...tier }))
+        .filter((tier) => load > tier.threshold * capacity)
+        .sort((a, b) => b.threshold - a.threshold)[0] ?? null
+    );
+  }
+
+  /**
+   * Get the encumbrance of an actor
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @param {Object} [extra] - Gear to add to the load, see getLoad
+   * @returns {EncumbranceData} The encumbrance
+   */
+  static getData(actor, extra) {
+    const load = this.getLoad(actor, extra);
+    const capacity = this.getCapacity(actor);
+
+    return {
+      ...load,
+      enabled: capacity > 0,
+      capacity,
+      percent:
+        capacity > 0
+          ? Math.min(Math.round((load.total / capacity) * 100), 100)
+          : 0,
+      tier: this.getTier(load.total, capacity),
+    };
+  }
+
+  /**
+   * Get the encumbrance statuses on an actor
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {Item[]} The statuses flagged as the encumbrance marker
+   */
+  static getStatuses(actor) {
+    return actor.items.filter(
+      (item) =>
+        item.type === "status" &&
+        item.getFlag("eventide-rp-system", this.FLAG_KEY),
+    );
+  }
+
+  /**
+   * Build the status item data for an encumbrance tier
+   *
+   * @static
+   * @param {EncumbranceTier} tier - The tier
+   * @returns {Promise<Object>} Item creation data
+   */
+  static async getStatusData(tier) {
+    const data = DefaultDataFactory.getStatusData({
+      name: game.i18n.localize(tier.label),
+      img: "icons/svg/anchor.svg",
+      system: {
+        description: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.Encumbrance.StatusDescription",
+        ),
+        bgColor: "#6b4f2a",
+        textColor: "#ffffff",
+      },
+    });
+
+    data.effects[0].system.changes =
+      await CharacterEffectsProcessor.processEffectsToChanges({
+        regularEffects: tier.effects ?? [],
+        hiddenEffects: [],
+        overrideEffects: [],
+      });
+    foundry.utils.setProperty(
+      data,
+      `flags.eventide-rp-system.${this.FLAG_KEY}`,
+      tier.key,
+    );
+    return data;
+  }
+
+  /**
+   * Apply, change or remove an actor's encumbrance status to match their load
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {Promise<EncumbranceTier|null|undefined>} The new tier, null if no
+   *   longer encumbered, or undefined if nothing changed
+   */
+  static update(actor) {
+    const previous = this._pending.get(actor.uuid) ?? Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this._update(actor));
+    this._pending.set(actor.uuid, next);
+    return next;
+  }
+
+  /**
+   * Apply, change or remove an actor's encumbrance status
+   *
+   * @static
+   * @private
+   * @param {Actor} actor - The actor
+   * @returns {Promise<EncumbranceTier|null|undefined>} See update
+   */
+  static async _update(actor) {
+    const { tier } = this.getData(actor);
+    const statuses = this.getStatuses(actor);
+    const currentKey =
+      statuses.length === 1
+        ? statuses[0].getFlag("eventide-rp-system", this.FLAG_KEY)
+        : null;
+    if (currentKey === (tier?.key ?? null) && statuses.length <= 1) {
+      return undefined;
+    }
+
+    Logger.methodEntry("Encumbrance", "update", {
+      actorName: actor.name,
+      from: currentKey,
+      to: tier?.key ?? null,
+    });
+
+    if (statuses.length) {
+      const [, error] = await ErrorHandler.handleDocumentOperation(
+        actor.deleteEmbeddedDocuments(
+          "Item",
+          statuses.map((status) => status.id),
+        ),
+        "remove encumbrance status",
+        "actor",
+      );
+      if (error) {
+        Logger.methodExit("Encumbrance", "update", undefined);
+        return undefined;
+      }
+    }
+
+    if (tier) {
+      const [, error] = await ErrorHandler.handleDocumentOperation(
+        actor.createEmbeddedDocuments("Item", [await this.getStatusData(tier)]),
+        "apply encumbrance status",
+        "actor",
+      );
+      if (error) {
+        Logger.methodExit("Encumbrance", "update", undefined);
+        return undefined;
+      }
+    }
+
+    Logger.info(
+      `${actor.name} is ${tier ? tier.key : "no longer encumbered"}`,
+      null,
+      "ENCUMBRANCE",
+    );
+    Logger.methodExit("Encumbrance", "update", tier);
+    return tier;
+  }
+
+  /**
+   * Get the warning for a gear transfer that would overload the recipient:
+   * push them into a heavier encumbrance tier
+   *
+   * @static
+   * @param {Actor} actor - The receiving actor
+   * @param {Item} item - The gear item being transferred
+   * @param {number} quantity - The quantity transferred
+   * @returns {string|null} The localized warning, or null if the load is fine
+   */
+  static getTransferWarning(actor, item, quantity) {
+    const weight = (Number(item.system.weight) || 0) * quantity;
+    if (weight <= 0) return null;
+
+    const before = this.getData(actor);
+    const after = this.getData(actor, { weight });
+    if (!after.tier || after.tier.threshold <= (before.tier?.threshold ?? 0)) {
+      return null;
+    }
+
+    return game.i18n.format("EVENTIDE_RP_SYSTEM.Encumbrance.TransferWarning", {
+      actor: actor.name,
+      tier: game.i18n.localize(after.tier.label),
+      load: after.total,
+      capacity: after.capacity,
+    });
+  }
+}
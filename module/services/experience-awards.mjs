@@ -0,0 +1,503 @@
+/**
+ * Experience Awards Service
+ *
+ * Hands out the XP of the NPCs defeated in a combat when it ends. Defeated NPCs
+ * are the NPC combatants marked defeated, downed or at 0 Resolve when the
+ * combat ends, plus any NPC combatants removed while it ran. Their XP is split
+ * among the player characters who fought, evenly or per kill (crediting the
+ * character whose turn it was when the NPC fell), stored on each character
+ * with an award log, and summarized in chat. Characters whose total reaches
+ * the next level in the XP Table setting are flagged as ready to level up.
+ *
+ * @module ExperienceAwards
+ * @see module:ui/macros/xp-award-dialog
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { DownedState } from "./downed-state.mjs";
+
+const { renderTemplate } = foundry.applications.handlebars;
+
+/**
+ * @typedef {Object} DefeatedNpc
+ * @property {string} id - Combatant ID
+ * @property {string} name - Combatant name
+ * @property {string} img - Combatant image
+ * @property {number} xp - XP the NPC is worth
+ * @property {string|null} defeatedBy - ID of the character credited with the kill
+ * @property {boolean} removed - Whether the combatant was removed before the combat ended
+ */
+
+/**
+ * @typedef {Object} ExperienceData
+ * @property {number} total - XP earned so far
+ * @property {Array<{id: string, timestamp: number, source: string, xp: number}>} log - Awards, oldest first
+ */
+
+/**
+ * ExperienceAwards class for awarding XP and tracking level-up readiness
+ *
+ * @class ExperienceAwards
+ */
+export class ExperienceAwards {
+  /**
+   * Actor flag key holding earned XP and the award log
+   * @type {string}
+   */
+  static FLAG_KEY = "experience";
+
+  /**
+   * Actor flag key marking a character as ready to level up
+   * @type {string}
+   */
+  static READY_FLAG_KEY = "levelUpReady";
+
+  /**
+   * Combatant flag key holding the ID of the character credited with the kill
+   * @type {string}
+   */
+  static DEFEATED_BY_FLAG_KEY = "defeatedBy";
+
+  /**
+   * Combat flag key holding the NPC combatants removed during the combat
+   * @type {string}
+   */
+  static REMOVED_FLAG_KEY = "removedCombatants";
+
+  /**
+   * Ways to split XP among the characters
+   * @type {string[]}
+   */
+  static SPLIT_MODES = ["even", "perKill", "manual"];
+
+  /**
+   * Template used for the award summary card
+   * @type {string}
+   */
+  static SUMMARY_TEMPLATE =
+    "systems/eventide-rp-system/templates/chat/xp-award.hbs";
+
+  /**
+   * Check whether an actor is a player character who can earn XP
+   *
+   * @static
+   * @param {Actor} actor - The actor to check
+   * @returns {boolean} True for player-owned characters
+   */
+  static isPartyMember(actor) {
+    return actor?.type === "character" && !!actor.hasPlayerOwner;
+  }
+
+  /**
+   * Get the XP Table setting as numbers
+   *
+   * @static
+   * @returns {number[]} Total XP needed for level 2, 3, 4, ...
+   */
+  static getXPTable() {
+    const table = game.settings.get("eventide-rp-system", "xpTable") ?? "";
+    return table
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .map(Number)
+      .filter(Number.isFinite);
+  }
+
+  /**
+   * Get the total XP needed to reach the level after a given one
+   *
+   * @static
+   * @param {number} level - The current level
+   * @returns {number|null} The XP needed, or null past the end of the table
+   */
+  static getNextLevelXP(level) {
+    return this.getXPTable()[level - 1] ?? null;
+  }
+
+  /**
+   * Get the XP a character has earned
+   *
+   * @static
+   * @param {Actor} actor - The character
+   * @returns {ExperienceData} Earned XP and the award log
+   */
+  static getExperience(actor) {
+    return (
+      actor.getFlag("eventide-rp-system", this.FLAG_KEY) ?? {
+        total: 0,
+        log: [],
+      }
+    );
+  }
+
+  /**
+   * Check whether a character has earned enough XP for their next level
+   *
+   * @static
+   * @param {Actor} actor - The character
+   * @param {number} [total] - XP total to check (defaults to the earned XP)
+   * @returns {boolean} True if the XP Table says they can level up
+   */
+  static isReadyToLevel(actor, total = this.getExperience(actor).total) {
+    const next = this.getNextLevelXP(actor.system.attributes.level.value);
+    return next !== null && total >= next;
+  }
+
+  /**
+   * Bring a character's ready to level up flag in line with their XP
+   *
+   * @static
+   * @param {Actor} actor - The character
+   * @returns {Promise<boolean>} Whether the character is ready to level up
+   */
+  static async refreshReadiness(actor) {
+    const ready = this.isReadyToLevel(actor);
+    if (ready === !!actor.getFlag("eventide-rp-system", this.READY_FLAG_KEY)) {
+      return ready;
+    }
+
+    await ErrorHandler.handleDocumentOperation(
+      actor.setFlag("eventide-rp-system", this.READY_FLAG_KEY, ready),
+      "update level up readiness",
+      "actor",
+    );
+    return ready;
+  }
+
+  /**
+   * Check whether a combatant counts as defeated
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant
+   * @returns {boolean} True if defeated, downed or at 0 Resolve
+   */
+  static isDefeated(combatant) {
+    const actor = combatant.actor;
+    return (
+      !!combatant.isDefeated ||
+      DownedState.isDowned(actor) ||
+      (actor?.system.resolve?.value ?? 1) <= 0
+    );
+  }
+
+  /**
+   * Get the party member whose turn it is in a combat
+   *
+   * @static
+   * @param {Combat} combat - The combat
+   * @returns {Actor|null} The character, or null on anyone else's turn
+   * @private
+   */
+  static _getTurnCharacter(combat) {
+    const actor = combat?.combatant?.actor;
+    return this.isPartyMember(actor) ? actor : null;
+  }
+
+  /**
+   * Credit an NPC's defeat to the character whose turn it is
+   *
+   * @static
+   * @param {Combatant} combatant - The defeated NPC combatant
+   * @returns {Promise<string|null>} ID of the credited character, or null if none
+   */
+  static async recordDefeat(combatant) {
+    if (
+      combatant.actor?.type !== "npc" ||
+      !combatant.combat?.started ||
+      combatant.getFlag("eventide-rp-system", this.DEFEATED_BY_FLAG_KEY)
+    ) {
+      return null;
+    }
+
+    const character = this._getTurnCharacter(combatant.combat);
+    if (!character) return null;
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      combatant.setFlag(
+        "eventide-rp-system",
+        this.DEFEATED_BY_FLAG_KEY,
+        character.id,
+      ),
+      "record defeat",
+      "combatant",
+    );
+    return error ? null : character.id;
+  }
+
+  /**
+   * Credit NPCs dropping to 0 Resolve and refresh readiness on level changes
+   *
+   * @static
+   * @param {Actor} actor - The updated actor
+   * @param {Object} changed - The differential data that was changed
+   * @returns {Promise<void>}
+   */
+  static async processActorUpdate(actor, changed) {
+    if (
+      this.isPartyMember(actor) &&
+      foundry.utils.hasProperty(changed, "system.attributes.level.value")
+    ) {
+      await this.refreshReadiness(actor);
+      return;
+    }
+
+    if (
+      actor.type !== "npc" ||
+      !foundry.utils.hasProperty(changed, "system.resolve.value") ||
+      actor.system.resolve.value > 0
+    ) {
+      return;
+    }
+
+    for (const combat of game.combats.filter((c) => c.started)) {
+      for (const combatant of combat.combatants) {
+        if (combatant.actor === actor) await this.recordDefeat(combatant);
+      }
+    }
+  }
+
+  /**
+   * Credit NPCs marked defeated in the combat tracker
+   *
+   * @static
+   * @param {Combatant} combatant - The updated combatant
+   * @param {Object} changed - The differential data that was changed
+   * @returns {Promise<void>}
+   */
+  static async processCombatantUpdate(combatant, changed) {
+    if (changed.defeated === true) await this.recordDefeat(combatant);
+  }
+
+  /**
+   * Remember NPC combatants removed from a running combat so their XP can
+   * still be awarded when it ends
+   *
+   * @static
+   * @param {Combatant} combatant - The deleted combatant
+   * @returns {Promise<void>}
+   */
+  static async processCombatantDeletion(combatant) {
+    const combat = combatant.combat;
+    const actor = combatant.actor ?? game.actors.get(combatant.actorId);
+    if (!combat?.started || actor?.type !== "npc") return;
+
+    /** @type {DefeatedNpc} */
+    const removed = {
+      id: combatant.id,
+      name: combatant.name,
+      img: combatant.img,
+      xp: actor.system.xp ?? 0,
+      defeatedBy:
+        combatant.getFlag("eventide-rp-system", this.DEFEATED_BY_FLAG_KEY) ??
+        this._getTurnCharacter(combat)?.id ??
+        null,
+      removed: true,
+    };
+
+    await ErrorHandler.handleDocumentOperation(
+      combat.setFlag("eventide-rp-system", this.REMOVED_FLAG_KEY, [
+        ...(combat.getFlag("eventide-rp-system", this.REMOVED_FLAG_KEY) ?? []),
+        removed,
+      ]),
+      "record removed combatant",
+      "combat",
+    );
+  }
+
+  /**
+   * Get the NPCs defeated in a combat, including those removed from it
+   *
+   * @static
+   * @param {Combat} combat - The combat
+   * @returns {DefeatedNpc[]} The defeated NPCs
+   */
+  static getDefeated(combat) {
+    const defeated = combat.combatants
+      .filter(
+        (combatant) =>
+          combatant.actor?.type === "npc" && this.isDefeated(combatant),
+      )
+      .map((combatant) => ({
+        id: combatant.id,
+        name: combatant.name,
+        img: combatant.img,
+        xp: combatant.actor.system.xp ?? 0,
+        defeatedBy:
+          combatant.getFlag("eventide-rp-system", this.DEFEATED_BY_FLAG_KEY) ??
+          null,
+        removed: false,
+      }));
+
+    return [
+      ...defeated,
+      ...(combat.getFlag("eventide-rp-system", this.REMOVED_FLAG_KEY) ?? []),
+    ];
+  }
+
+  /**
+   * Get the player characters who fought in a combat
+   *
+   * @static
+   * @param {Combat} combat - The combat
+   * @returns {Actor[]} The characters, once each
+   */
+  static getParticipants(combat) {
+    const participants = new Map();
+    for (const combatant of combat.combatants) {
+      const actor = combatant.actor;
+      if (this.isPartyMember(actor)) participants.set(actor.id, actor);
+    }
+    return [...participants.values()];
+  }
+
+  /**
+   * Split the XP of defeated NPCs among characters. Per kill, each NPC's XP
+   * goes to the character credited with it, and the XP of NPCs nobody in the
+   * party is credited with is split evenly. Shares are rounded down.
+   *
+   * @static
+   * @param {DefeatedNpc[]} defeated - The defeated NPCs
+   * @param {Actor[]} participants - The characters sharing the XP
+   * @param {string} [mode="even"] - "even" or "perKill"
+   * @returns {Object<string, number>} XP by character ID
+   */
+  static split(defeated, participants, mode = "even") {
+    const awards = Object.fromEntries(participants.map((a) => [a.id, 0]));
+    if (!participants.length) return awards;
+
+    let pool = 0;
+    for (const npc of defeated) {
+      if (mode === "perKill" && npc.defeatedBy in awards) {
+        awards[npc.defeatedBy] += npc.xp;
+      } else {
+        pool += npc.xp;
+      }
+    }
+
+    const share = Math.floor(pool / participants.length);
+    for (const id of Object.keys(awards)) awards[id] += share;
+    return awards;
+  }
+
+  /**
+   * Award XP to characters, flag those ready to level up and post a summary
+   *
+   * @static
+   * @param {Array<{actor: Actor, xp: number}>} awards - XP for each character
+   * @param {Object} [options={}] - Award options
+   * @param {string} [options.source=""] - What the XP was earned for, shown in the log and chat
+   * @param {DefeatedNpc[]} [options.defeated=[]] - The NPCs the XP came from
+   * @returns {Promise<Array<{actor: Actor, xp: number, total: number, ready: boolean}>>} The awards made
+   */
+  static async award(awards, { source = "", defeated = [] } = {}) {
+    Logger.methodEntry("ExperienceAwards", "award", {
+      characters: awards.length,
+      source,
+    });
+
+    if (!game.user.isGM) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.XpAward.Errors.GMOnly"),
+      );
+      return [];
+    }
+
+    const results = [];
+    for (const { actor, xp } of awards) {
+      const amount = Math.floor(Number(xp) || 0);
+      if (amount <= 0) continue;
+
+      const experience = this.getExperience(actor);
+      const total = experience.total + amount;
+      const ready = this.isReadyToLevel(actor, total);
+      const [, error] = await ErrorHandler.handleDocumentOperation(
+        actor.update({
+          [`flags.eventide-rp-system.${this.FLAG_KEY}`]: {
+            total,
+            log: [
+              ...experience.log,
+              {
+                id: foundry.utils.randomID(),
+                timestamp: Date.now(),
+                source,
+                xp: amount,
+              },
+            ],
+          },
+          [`flags.eventide-rp-system.${this.READY_FLAG_KEY}`]: ready,
+        }),
+        "award XP",
+        "actor",
+      );
+      if (!error) results.push({ actor, xp: amount, total, ready });
+    }
+
+    if (results.length) await this._postSummary(results, source, defeated);
+
+    Logger.info(
+      `Awarded XP to ${results.length} characters`,
+      { source },
+      "EXPERIENCE_AWARDS",
+    );
+    Logger.methodExit("ExperienceAwards", "award", results);
+    return results;
+  }
+
+  /**
+   * Offer the XP of the NPCs defeated in an ending combat to the party
+   *
+   * @static
+   * @param {Combat} combat - The combat that ended
+   * @returns {Promise<Application|null>} The award dialog, or null if there is nothing to award
+   */
+  static async processCombatEnd(combat) {
+    if (!game.settings.get("eventide-rp-system", "xpAwardPrompt")) return null;
+
+    const defeated = this.getDefeated(combat).filter((npc) => npc.xp > 0);
+    const participants = this.getParticipants(combat);
+    if (!defeated.length || !participants.length) return null;
+
+    const { XpAwardDialog } = await import("../ui/macros/xp-award-dialog.mjs");
+    return new XpAwardDialog({
+      source: combat.scene
+        ? game.i18n.format("EVENTIDE_RP_SYSTEM.XpAward.Source", {
+            scene: combat.scene.name,
+          })
+        : "",
+      defeated,
+      participants,
+    }).render(true);
+  }
+
+  /**
+   * Post the award summary card
+   *
+   * @static
+   * @param {Array<{actor: Actor, xp: number, total: number, ready: boolean}>} results - The awards made
+   * @param {string} source - What the XP was earned for
+   * @param {DefeatedNpc[]} defeated - The NPCs the XP came from
+   * @returns {Promise<ChatMessage>} The chat message
+   * @private
+   */
+  static async _postSummary(results, source, defeated) {
+    const content = await renderTemplate(this.SUMMARY_TEMPLATE, {
+      source,
+      defeated,
+      characters: results.map(({ actor, xp, total, ready }) => ({
+        name: actor.name,
+        xp,
+        total,
+        ready,
+      })),
+    });
+
+    return ChatMessage.create({
+      speaker: {
+        alias: game.i18n.localize("EVENTIDE_RP_SYSTEM.XpAward.Title"),
+      },
+      content,
+    });
+  }
+}
@@ -1062,6 +1062,9 @@ export class FormulaValidator {
       case "maxPower":
       case "maxResolve":
       case "statPoints":
+      case "recoveryResolve":
+      case "recoveryPower":
+      case "carryCapacity":
         // All setting types accept any valid roll formula
         // No opinionated validation - let users customize freely
         break;
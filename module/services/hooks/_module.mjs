@@ -8,3 +8,5 @@ export * from "./combat.mjs";
 export * from "./chat-listeners.mjs";
 export * from "./gm-control-hooks.mjs";
 export * from "./popup-listeners.mjs";
+export * from "./token-hud-panel.mjs";
+export * from "./encumbrance-hooks.mjs";
@@ -6,6 +6,10 @@
 import { Logger } from "../logger.mjs";
 import { gmControlManager } from "../managers/gm-control.mjs";
 import { ImageZoomService } from "../image-zoom.mjs";
+import { OpposedChallenge } from "../opposed-challenge.mjs";
+import { PreparedActions } from "../prepared-actions.mjs";
+import { DownedState } from "../downed-state.mjs";
+import { UndoHistory } from "../undo-history.mjs";
 
 /**
  * Initializes all chat-related event listeners for the Eventide RP System
@@ -31,9 +35,55 @@ const setupChatMessageRendering = () => {
   Hooks.on("renderChatMessageHTML", (message, html, _data) => {
     addFormulaToggleFunctionality(html);
     addPlayerActionApprovalButtons(html, message);
+    addChallengeButtons(html, message);
+    addHelpUpButton(html, message);
+    addUndoButton(html, message);
     addImageZoomFunctionality(html);
     removeRestrictedElementsForNonGMs(html);
   });
+
+  // Re-render the previous step of a challenge so its buttons disappear
+  Hooks.on("createChatMessage", (message) => {
+    const previousId = OpposedChallenge.getState(message)?.previousMessageId;
+    const previous = previousId ? game.messages.get(previousId) : null;
+    if (previous) ui.chat?.updateMessage(previous);
+  });
+
+  // A finished challenge fired by a prepared action settles the preparation,
+  // resolving its action card if the preparer won
+  Hooks.on("createChatMessage", (message) => {
+    if (!game.users.activeGM?.isSelf) return;
+
+    const state = OpposedChallenge.getState(message);
+    if (!state?.winner || !state.preparedAction) return;
+
+    PreparedActions.resolveChallenge(message).catch((error) =>
+      Logger.error(
+        "Failed to resolve prepared action",
+        error,
+        "CHAT_LISTENERS",
+      ),
+    );
+  });
+
+  // Restore the Resolve of a help up the helper could not apply themselves
+  Hooks.on("createChatMessage", (message) => {
+    if (!game.users.activeGM?.isSelf) return;
+
+    DownedState.applyPendingHelpUp(message).catch((error) =>
+      Logger.error("Failed to apply help up", error, "CHAT_LISTENERS"),
+    );
+  });
+
+  // Keep the GM's undo history in step with the undo data on chat cards
+  const syncUndoHistory = (message) => {
+    if (!game.user.isGM || !UndoHistory.getMessageEntry(message)) return;
+
+    UndoHistory.rememberMessage(message);
+    foundry.applications.instances.get("undo-history")?.render();
+  };
+  Hooks.on("createChatMessage", syncUndoHistory);
+  Hooks.on("updateChatMessage", syncUndoHistory);
 };
 
 /**
@@ -143,6 +193,140 @@ const addPlayerActionApprovalButtons = (html, message) => {
   });
 };
 
+/**
+ * Wire up the roll and status removal buttons on challenge cards, removing
+ * them for users who cannot act on them
+ *
+ * @private
+ * @param {HTMLElement} html - The chat message HTML element
+ * @param {ChatMessage} message - The chat message document
+ */
+const addChallengeButtons = (html, message) => {
+  const state = OpposedChallenge.getState(message);
+  if (!state) return;
+
+  const rollButton = html.querySelector("[data-action='challengeRoll']");
+  if (rollButton) {
+    if (!OpposedChallenge.canAnswer(message)) {
+      rollButton.closest(".chat-card__button-group")?.remove();
+    } else {
+      rollButton.addEventListener("click", async (event) => {
+        event.preventDefault();
+        rollButton.disabled = true;
+
+        try {
+          await OpposedChallenge.rollNext(message);
+        } catch (error) {
+          Logger.error("Error rolling challenge step", error, "CHAT_LISTENERS");
+          rollButton.disabled = false;
+        }
+      });
+    }
+  }
+
+  const removeButton = html.querySelector(
+    "[data-action='removeChallengeStatus']",
+  );
+  if (removeButton) {
+    const status = OpposedChallenge.getContestedStatus(state);
+    if (!status?.actor.isOwner) {
+      removeButton.closest(".chat-card__button-group")?.remove();
+    } else {
+      removeButton.addEventListener("click", async (event) => {
+        event.preventDefault();
+        removeButton.disabled = true;
+
+        try {
+          await OpposedChallenge.removeContestedStatus(state);
+        } catch (error) {
+          Logger.error(
+            "Error removing challenged status",
+            error,
+            "CHAT_LISTENERS",
+          );
+          removeButton.disabled = false;
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Wire up the Help Up button on downed cards, removing it once the actor is
+ * back up
+ *
+ * @private
+ * @param {HTMLElement} html - The chat message HTML element
+ * @param {ChatMessage} message - The chat message document
+ */
+const addHelpUpButton = (html, message) => {
+  const button = html.querySelector("[data-action='helpUp']");
+  if (!button) return;
+
+  const downed = message.getFlag("eventide-rp-system", DownedState.FLAG_KEY);
+  const downedToken = downed?.tokenUuid
+    ? fromUuidSync(downed.tokenUuid)?.object
+    : null;
+  if (!DownedState.isDowned(downedToken?.actor)) {
+    button.closest(".chat-card__button-group")?.remove();
+    return;
+  }
+
+  button.addEventListener("click", async (event) => {
+    event.preventDefault();
+    button.disabled = true;
+
+    try {
+      const result = await DownedState.helpUp(
+        DownedState.getHelperToken(),
+        downedToken,
+      );
+      if (!result) button.disabled = false;
+    } catch (error) {
+      Logger.error("Error helping a downed ally up", error, "CHAT_LISTENERS");
+      button.disabled = false;
+    }
+  });
+};
+
+/**
+ * Add the GM's Undo button to chat cards that recorded an applied change, or
+ * note that the change has already been undone
+ *
+ * @private
+ * @param {HTMLElement} html - The chat message HTML element
+ * @param {ChatMessage} message - The chat message document
+ */
+const addUndoButton = (html, message) => {
+  const entry = UndoHistory.getMessageEntry(message);
+  if (!entry || !game.user.isGM) return;
+
+  const container = document.createElement("div");
+  container.className = "chat-card__undo";
+
+  if (entry.undone) {
+    container.innerHTML = `<span class="chat-card__undo-label"><i class="fas fa-rotate-left"></i> ${game.i18n.localize("EVENTIDE_RP_SYSTEM.Undo.Undone")}</span>`;
+  } else {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "chat-card__undo-button";
+    button.innerHTML = `<i class="fas fa-rotate-left"></i> ${game.i18n.localize("EVENTIDE_RP_SYSTEM.Undo.Button")}`;
+    button.addEventListener("click", async (event) => {
+      event.preventDefault();
+      button.disabled = true;
+
+      try {
+        if (!(await UndoHistory.undo(entry.id))) button.disabled = false;
+      } catch (error) {
+        Logger.error("Error undoing applied change", error, "CHAT_LISTENERS");
+        button.disabled = false;
+      }
+    });
+    container.append(button);
+  }
+
+  (html.querySelector(".chat-card") ?? html).append(container);
+};
 
 /**
  * Handle approving a player action request
@@ -353,13 +537,15 @@ function setupItemCreationHooks() {
  * @private
  */
 function setupItemDeletionHooks() {
-  Hooks.on("deleteItem", (item, _options, triggerPlayer) => {
+  Hooks.on("deleteItem", (item, options, triggerPlayer) => {
     if (!item.actor) return;
     if (game.user.id !== triggerPlayer) return;
 
     // Handle status removal message
     if (item.type === "status") {
-      erps.messages.createDeleteStatusMessage(item);
+      erps.messages.createDeleteStatusMessage(item, {
+        description: options?.statusRemovalDescription,
+      });
     }
   });
 }
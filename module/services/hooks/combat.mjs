@@ -4,6 +4,15 @@
  */
 import { erpsRollHandler } from "../managers/_module.mjs";
 import { Logger } from "../logger.mjs";
+import { ActionEconomy } from "../action-economy.mjs";
+import { ActionRecovery } from "../action-recovery.mjs";
+import { StatusDuration } from "../status-duration.mjs";
+import { TransformationDuration } from "../transformation-duration.mjs";
+import { SceneHazards } from "../scene-hazards.mjs";
+import { PreparedActions } from "../prepared-actions.mjs";
+import { DownedState } from "../downed-state.mjs";
+import { CombatantOverview } from "../combatant-overview.mjs";
+import { ExperienceAwards } from "../experience-awards.mjs";
 
 /**
  * Initialize combat-related hooks
@@ -64,6 +73,459 @@ export const initializeCombatHooks = async () => {
       );
     }
   });
+
+  initializeActionEconomyHooks();
+  initializePreparedActionHooks();
+  initializeDownedStateHooks();
+  initializeCombatantOverviewHooks();
+  initializeTransformationDurationHooks();
+  initializeExperienceAwardHooks();
+
+  // Count down timed statuses as turns and rounds pass
+  Hooks.on("updateCombat", (combat, changed, options) => {
+    if (!isActiveGM()) return;
+
+    StatusDuration.processCombatUpdate(combat, changed, options).catch(
+      (error) =>
+        Logger.error(
+          "Failed to process status durations",
+          error,
+          "COMBAT_HOOKS",
+        ),
+    );
+  });
+
+  // Resolve state-based scene hazards when a round ends
+  Hooks.on("updateCombat", (combat, changed, options) => {
+    if (!isActiveGM()) return;
+
+    SceneHazards.processCombatUpdate(combat, changed, options).catch((error) =>
+      Logger.error("Failed to resolve scene hazards", error, "COMBAT_HOOKS"),
+    );
+  });
+};
+
+/**
+ * Check whether this client should perform document updates triggered by
+ * combat hooks. Only the active GM writes to avoid duplicate updates.
+ *
+ * @private
+ * @returns {boolean} True if this client is the active GM
+ */
+const isActiveGM = () => game.users.activeGM?.isSelf ?? game.user.isGM;
+
+/**
+ * Register hooks that keep combatant action pools up to date and visible
+ *
+ * @private
+ */
+const initializeActionEconomyHooks = () => {
+  // Every combatant starts the encounter with a Reaction
+  Hooks.on("combatStart", (combat, updateData) => {
+    if (!ActionEconomy.isEnabled() || !isActiveGM()) {
+      return;
+    }
+
+    const startingCombatant = combat.turns[updateData?.turn ?? 0];
+    ActionEconomy.grantCombatStartReactions(
+      combat,
+      startingCombatant?.id ?? null,
+    );
+  });
+
+  // Refresh the active combatant's pools whenever a new turn begins, ending
+  // the Push of the combatant whose turn just ended
+  Hooks.on("updateCombat", (combat, changed, options) => {
+    if (!ActionEconomy.isEnabled() || !isActiveGM()) {
+      return;
+    }
+    if (!("turn" in changed) && !("round" in changed)) return;
+    if (!combat.started || options?.direction < 0) return;
+
+    const previous = combat.combatants.get(combat.previous?.combatantId);
+    if (previous && previous.id !== combat.combatant?.id) {
+      ActionEconomy.endPush(previous);
+    }
+    ActionEconomy.refreshForTurn(combat.combatant);
+  });
+
+  // Offer recovery for the actions left over when a turn ends. Runs on every
+  // client; the service decides who is prompted or applies it automatically.
+  Hooks.on("updateCombat", (combat, changed, options) => {
+    ActionRecovery.processCombatUpdate(combat, changed, options).catch(
+      (error) =>
+        Logger.error(
+          "Failed to process end-of-turn recovery",
+          error,
+          "COMBAT_HOOKS",
+        ),
+    );
+  });
+
+  // Re-render the sheet of an actor whose pools changed
+  Hooks.on("updateCombatant", (combatant, changed) => {
+    const poolsChanged = foundry.utils.hasProperty(
+      changed,
+      `flags.eventide-rp-system.${ActionEconomy.FLAG_KEY}`,
+    );
+    const pushChanged = foundry.utils.hasProperty(
+      changed,
+      `flags.eventide-rp-system.${ActionEconomy.PUSH_FLAG_KEY}`,
+    );
+    if (!(poolsChanged || pushChanged) || !combatant.actor?.sheet?.rendered) {
+      return;
+    }
+
+    combatant.actor.sheet.render(false);
+  });
+
+  // Show each combatant's remaining actions in the combat tracker
+  Hooks.on("renderCombatTracker", (app, html) => {
+    const combat = app.viewed;
+    if (!ActionEconomy.isEnabled() || !combat?.started) return;
+
+    for (const row of html.querySelectorAll("[data-combatant-id]")) {
+      const combatant = combat.combatants.get(row.dataset.combatantId);
+      if (!combatant?.isOwner) continue;
+
+      const pools = ActionEconomy.getDisplayData(
+        ActionEconomy.getPools(combatant),
+      );
+      const pips = pools
+        .map(
+          (pool) => `
+          <span class="erps-action-pools__pool erps-action-pools__pool--${pool.type}${pool.available ? "" : " erps-action-pools__pool--empty"}"
+                data-tooltip="${pool.label}: ${pool.available}/${pool.max}">
+            <i class="${pool.icon}"></i>${pool.available}
+          </span>`,
+        )
+        .join("");
+
+      const target = row.querySelector(".token-name") ?? row;
+      target.insertAdjacentHTML(
+        "beforeend",
+        `<div class="erps-action-pools erps-action-pools--tracker">${pips}${getPushControl(combatant)}</div>`,
+      );
+    }
+
+    // Push buttons must not trigger the row's own click handling
+    for (const button of html.querySelectorAll("[data-erps-push]")) {
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const combatant = combat.combatants.get(button.dataset.erpsPush);
+        ActionEconomy.declarePush(combatant);
+      });
+    }
+  });
+};
+
+/**
+ * Register hooks that expire prepared actions and keep them visible
+ *
+ * @private
+ */
+const initializePreparedActionHooks = () => {
+  // Unfired preparations expire when the preparer's next turn begins
+  Hooks.on("updateCombat", (combat, changed, options) => {
+    if (!("turn" in changed) && !("round" in changed)) return;
+
+    // The panel defaults each target to the active combatant
+    foundry.applications.instances.get("prepared-actions-panel")?.render();
+
+    if (!isActiveGM() || !combat.started || options?.direction < 0) return;
+
+    PreparedActions.expireForTurn(combat.combatant).catch((error) =>
+      Logger.error("Failed to expire prepared actions", error, "COMBAT_HOOKS"),
+    );
+  });
+
+  // Refresh the preparer's sheet and the GM panel when preparations change
+  Hooks.on("updateCombatant", (combatant, changed) => {
+    if (
+      !foundry.utils.hasProperty(
+        changed,
+        `flags.eventide-rp-system.${PreparedActions.FLAG_KEY}`,
+      ) &&
+      !foundry.utils.hasProperty(
+        changed,
+        `flags.eventide-rp-system.-=${PreparedActions.FLAG_KEY}`,
+      )
+    ) {
+      return;
+    }
+
+    if (combatant.actor?.sheet?.rendered) combatant.actor.sheet.render(false);
+    foundry.applications.instances.get("prepared-actions-panel")?.render();
+  });
+
+  // Mark combatants holding a prepared action in the combat tracker
+  Hooks.on("renderCombatTracker", (app, html) => {
+    const combat = app.viewed;
+    if (!combat?.started) return;
+
+    for (const row of html.querySelectorAll("[data-combatant-id]")) {
+      const combatant = combat.combatants.get(row.dataset.combatantId);
+      const prepared = PreparedActions.getPrepared(combatant);
+      if (!combatant?.isOwner || !prepared.length) continue;
+
+      const tooltip = prepared
+        .map((entry) =>
+          game.i18n.format("EVENTIDE_RP_SYSTEM.PreparedActions.Entry", {
+            card: foundry.utils.escapeHTML(entry.actionCardName),
+            trigger: foundry.utils.escapeHTML(entry.trigger),
+          }),
+        )
+        .join("<br>");
+      const target = row.querySelector(".token-name") ?? row;
+      target.insertAdjacentHTML(
+        "beforeend",
+        `<span class="erps-prepared-indicator" data-tooltip="${tooltip}">
+          <i class="fas fa-hourglass-half"></i>${prepared.length}
+        </span>`,
+      );
+    }
+  });
+};
+
+/**
+ * Register hooks that down actors at 0 Resolve and show it in the tracker
+ *
+ * @private
+ */
+const initializeDownedStateHooks = () => {
+  // Apply or remove the downed status as Resolve reaches or leaves 0
+  Hooks.on("updateActor", (actor, changed) => {
+    if (!isActiveGM()) return;
+
+    DownedState.processActorUpdate(actor, changed).catch((error) =>
+      Logger.error("Failed to update downed state", error, "COMBAT_HOOKS"),
+    );
+  });
+
+  // Keep the tracker's downed markers current
+  const refreshTracker = (item) => {
+    if (item.getFlag("eventide-rp-system", DownedState.FLAG_KEY)) {
+      ui.combat?.render();
+    }
+  };
+  Hooks.on("createItem", refreshTracker);
+  Hooks.on("deleteItem", refreshTracker);
+
+  // Downed combatants cannot act, so optionally pass over their turns
+  Hooks.on("updateCombat", (combat, changed, options) => {
+    if (!("turn" in changed) && !("round" in changed)) return;
+    if (!isActiveGM() || options?.direction < 0) return;
+    if (!DownedState.shouldSkipTurn(combat)) return;
+
+    Logger.info(
+      `Skipping the turn of downed combatant ${combat.combatant.name}`,
+      null,
+      "COMBAT_HOOKS",
+    );
+    combat
+      .nextTurn()
+      .catch((error) =>
+        Logger.error("Failed to skip downed turn", error, "COMBAT_HOOKS"),
+      );
+  });
+
+  // Mark downed combatants in the combat tracker
+  Hooks.on("renderCombatTracker", (app, html) => {
+    const combat = app.viewed;
+    if (!combat) return;
+
+    const tooltip = game.i18n.localize("EVENTIDE_RP_SYSTEM.Downed.Tracker");
+    for (const row of html.querySelectorAll("[data-combatant-id]")) {
+      const combatant = combat.combatants.get(row.dataset.combatantId);
+      if (!DownedState.isDowned(combatant?.actor)) continue;
+
+      row.classList.add("erps-combatant--downed");
+      const target = row.querySelector(".token-name") ?? row;
+      target.insertAdjacentHTML(
+        "beforeend",
+        `<span class="erps-downed-indicator" data-tooltip="${tooltip}">
+          <i class="fas fa-skull-crossbones"></i>
+        </span>`,
+      );
+    }
+  });
+};
+
+/**
+ * Register hooks that show each combatant's resources, statuses and
+ * transformation in the combat tracker and keep them current
+ *
+ * @private
+ */
+const initializeCombatantOverviewHooks = () => {
+  const refreshForActor = (actor) => {
+    if (CombatantOverview.isTracked(actor)) CombatantOverview.scheduleRefresh();
+  };
+
+  Hooks.on("updateActor", (actor) => refreshForActor(actor));
+  for (const hook of ["createItem", "updateItem", "deleteItem"]) {
+    Hooks.on(hook, (item) => refreshForActor(item.parent));
+  }
+  for (const hook of [
+    "createActiveEffect",
+    "updateActiveEffect",
+    "deleteActiveEffect",
+  ]) {
+    Hooks.on(hook, (effect) => refreshForActor(effect.parent?.parent));
+  }
+
+  Hooks.on("renderCombatTracker", (app, html) => {
+    const combat = app.viewed;
+    if (!combat) return;
+
+    const hiddenLabel = game.i18n.localize(
+      "EVENTIDE_RP_SYSTEM.CombatTracker.HiddenInitiative",
+    );
+    for (const row of html.querySelectorAll("[data-combatant-id]")) {
+      const combatant = combat.combatants.get(row.dataset.combatantId);
+      if (!combatant) continue;
+
+      if (CombatantOverview.hasHiddenInitiative(combatant)) {
+        if (game.user.isGM) {
+          // GM-only column with the roll players cannot see
+          row.querySelector(".token-initiative")?.insertAdjacentHTML(
+            "beforebegin",
+            `<div class="erps-hidden-initiative" data-tooltip="${hiddenLabel}">
+              <i class="fas fa-eye-slash"></i>${combatant.initiative}
+            </div>`,
+          );
+        } else {
+          const initiative = row.querySelector(".token-initiative .initiative");
+          if (initiative) {
+            initiative.textContent = CombatantOverview.MASKED_INITIATIVE;
+          }
+        }
+      }
+
+      if (!combatant.isOwner) continue;
+
+      const data = CombatantOverview.getData(combatant);
+      if (!data) continue;
+
+      const target = row.querySelector(".token-name") ?? row;
+      target.insertAdjacentHTML(
+        "beforeend",
+        CombatantOverview.renderOverview(data),
+      );
+    }
+  });
+};
+
+/**
+ * Register hooks that revert timed and triggered transformations
+ *
+ * @private
+ */
+const initializeTransformationDurationHooks = () => {
+  const logError = (error) =>
+    Logger.error(
+      "Failed to revert timed transformations",
+      error,
+      "COMBAT_HOOKS",
+    );
+
+  // Count down round- and turn-based transformations
+  Hooks.on("updateCombat", (combat, changed, options) => {
+    if (!isActiveGM()) return;
+
+    TransformationDuration.processCombatUpdate(combat, changed, options).catch(
+      logError,
+    );
+  });
+
+  // Ending a combat deletes it
+  Hooks.on("deleteCombat", (combat) => {
+    if (!isActiveGM() || !combat.started) return;
+
+    TransformationDuration.processCombatEnd(combat).catch(logError);
+  });
+
+  Hooks.on("updateWorldTime", (worldTime) => {
+    if (!isActiveGM()) return;
+
+    TransformationDuration.processWorldTime(worldTime).catch(logError);
+  });
+
+  Hooks.on("updateActor", (actor, changed) => {
+    if (!isActiveGM()) return;
+
+    TransformationDuration.processActorUpdate(actor, changed).catch(logError);
+  });
+
+  Hooks.on("deleteItem", (item) => {
+    if (!isActiveGM()) return;
+
+    TransformationDuration.processItemDeletion(item).catch(logError);
+  });
+};
+
+/**
+ * Register hooks that credit defeated NPCs and offer their XP to the party
+ * when a combat ends
+ *
+ * @private
+ */
+const initializeExperienceAwardHooks = () => {
+  const logError = (error) =>
+    Logger.error("Failed to process experience awards", error, "COMBAT_HOOKS");
+
+  Hooks.on("updateActor", (actor, changed) => {
+    if (!isActiveGM()) return;
+
+    ExperienceAwards.processActorUpdate(actor, changed).catch(logError);
+  });
+
+  Hooks.on("updateCombatant", (combatant, changed) => {
+    if (!isActiveGM()) return;
+
+    ExperienceAwards.processCombatantUpdate(combatant, changed).catch(logError);
+  });
+
+  Hooks.on("deleteCombatant", (combatant) => {
+    if (!isActiveGM()) return;
+
+    ExperienceAwards.processCombatantDeletion(combatant).catch(logError);
+  });
+
+  // Ending a combat deletes it
+  Hooks.on("deleteCombat", (combat) => {
+    if (!isActiveGM() || !combat.started) return;
+
+    ExperienceAwards.processCombatEnd(combat).catch(logError);
+  });
+};
+
+/**
+ * Build the Push control shown with a combatant's pools in the combat
+ * tracker: an indicator while pushing, or a button on their turn while a Push
+ * is still possible.
+ *
+ * @private
+ * @param {Combatant} combatant - The combatant whose row is being rendered
+ * @returns {string} HTML for the control, or an empty string
+ */
+const getPushControl = (combatant) => {
+  if (ActionEconomy.isPushing(combatant)) {
+    return `
+      <span class="erps-action-pools__push erps-action-pools__push--active"
+            data-tooltip="${game.i18n.localize("EVENTIDE_RP_SYSTEM.ActionEconomy.Push.Active")}">
+        <i class="fas fa-angle-double-right"></i>
+      </span>`;
+  }
+  if (ActionEconomy.getPushRefusal(combatant)) return "";
+
+  return `
+    <button type="button" class="erps-action-pools__push" data-erps-push="${combatant.id}"
+            data-tooltip="${game.i18n.localize("EVENTIDE_RP_SYSTEM.ActionEconomy.Push.Button")}"
+            aria-label="${game.i18n.localize("EVENTIDE_RP_SYSTEM.ActionEconomy.Push.Title")}">
+      <i class="fas fa-angle-double-right"></i>
+    </button>`;
 };
 
 /**
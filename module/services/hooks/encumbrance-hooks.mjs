@@ -0,0 +1,33 @@
+/**
+ * Encumbrance hooks for the Eventide RP System
+ * @module services/hooks/encumbrance-hooks
+ */
+import { Logger } from "../logger.mjs";
+import { Encumbrance } from "../encumbrance.mjs";
+
+/**
+ * Initialize the hooks that keep encumbrance statuses in step with the load
+ *
+ * Gear changes alter the load, and changes to the actor or its other items can
+ * alter the carrying capacity. Only the active GM applies the status.
+ */
+export const initEncumbranceHooks = () => {
+  const update = (actor) => {
+    if (actor?.documentName !== "Actor") return;
+    if (!(game.users.activeGM?.isSelf ?? game.user.isGM)) return;
+
+    Encumbrance.update(actor).catch((error) =>
+      Logger.error("Failed to update encumbrance", error, "ENCUMBRANCE"),
+    );
+  };
+
+  Hooks.on("updateActor", (actor) => update(actor));
+  for (const hook of ["createItem", "updateItem", "deleteItem"]) {
+    Hooks.on(hook, (item) => {
+      // The encumbrance status itself never changes the load
+      if (item.getFlag("eventide-rp-system", Encumbrance.FLAG_KEY)) return;
+
+      update(item.parent);
+    });
+  }
+};
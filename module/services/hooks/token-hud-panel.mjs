@@ -0,0 +1,284 @@
+import { Logger } from "../logger.mjs";
+import { ErrorHandler } from "../../utils/error-handler.mjs";
+
+/**
+ * Token HUD Quick Panel
+ *
+ * Adds an Eventide button to the token HUD that opens a compact panel for the
+ * token's actor, so common adjustments don't need the full actor sheet:
+ * quick Resolve and Power changes, toggling the actor's statuses, executing
+ * its action cards and reverting its active transformation.
+ *
+ * Requires Foundry VTT v13+
+ */
+export class TokenHudPanel {
+  /**
+   * The panel template
+   * @type {string}
+   */
+  static TEMPLATE =
+    "systems/eventide-rp-system/templates/hud/token-quick-panel.hbs";
+
+  /**
+   * Resources the panel can adjust, with the actor method that changes them
+   * @type {Array<{key: string, method: string, label: string}>}
+   */
+  static RESOURCES = [
+    {
+      key: "resolve",
+      method: "addResolve",
+      label: "EVENTIDE_RP_SYSTEM.Actor.Attributes.Resolve.Value.label",
+    },
+    {
+      key: "power",
+      method: "addPower",
+      label: "EVENTIDE_RP_SYSTEM.Actor.Attributes.Power.Value.label",
+    },
+  ];
+
+  /**
+   * ID of the token whose panel is open, so it stays open across HUD re-renders
+   * @type {string|null}
+   * @private
+   */
+  static _openTokenId = null;
+
+  /**
+   * Initialize the token HUD hooks
+   */
+  static initialize() {
+    Hooks.on("renderTokenHUD", (hud, html) => {
+      this._onRenderTokenHUD(hud, html).catch((error) =>
+        Logger.error("Failed to render token HUD panel", error, "TOKEN_HUD"),
+      );
+    });
+
+    // Keep the panel current while the HUD is open
+    const refresh = (document) => this._refresh(document);
+    Hooks.on("updateActor", refresh);
+    Hooks.on("createItem", refresh);
+    Hooks.on("updateItem", refresh);
+    Hooks.on("deleteItem", refresh);
+    Hooks.on("updateActiveEffect", refresh);
+
+    Logger.debug("Token HUD panel hooks registered", null, "TOKEN_HUD");
+  }
+
+  /**
+   * Prepare the panel context for an actor
+   *
+   * @param {Actor} actor - The token's actor
+   * @returns {Object} The template context
+   */
+  static getContext(actor) {
+    const resources = this.RESOURCES.map(({ key, label }) => ({
+      key,
+      label: game.i18n.localize(label),
+      value: actor.system[key]?.value ?? 0,
+      max: actor.system[key]?.max ?? 0,
+    }));
+
+    const statuses = actor.items
+      .filter((item) => item.type === "status")
+      .map((item) => ({
+        id: item.id,
+        name: item.name,
+        img: item.img,
+        active: !item.effects.contents[0]?.disabled,
+      }));
+
+    const actionCards = actor.items
+      .filter(
+        (item) =>
+          item.type === "actionCard" && (game.user.isGM || !item.system.gmOnly),
+      )
+      .map((item) => ({ id: item.id, name: item.name, img: item.img }));
+
+    const transformationId = actor.getFlag(
+      "eventide-rp-system",
+      "activeTransformation",
+    );
+    const transformation = transformationId
+      ? {
+          name: actor.getFlag("eventide-rp-system", "activeTransformationName"),
+        }
+      : null;
+
+    return { resources, statuses, actionCards, transformation };
+  }
+
+  /**
+   * Add the panel button and panel to a rendered token HUD
+   *
+   * @param {TokenHUD} hud - The token HUD
+   * @param {HTMLElement} html - The HUD element
+   * @returns {Promise<void>}
+   * @private
+   */
+  static async _onRenderTokenHUD(hud, html) {
+    const token = hud.object;
+    const actor = token?.actor;
+    if (!actor?.isOwner) return;
+
+    const open = this._openTokenId === token.id;
+    const content = await foundry.applications.handlebars.renderTemplate(
+      this.TEMPLATE,
+      { ...this.getContext(actor), open },
+    );
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = `control-icon erps-token-hud-toggle${open ? " active" : ""}`;
+    toggle.dataset.tooltip = game.i18n.localize(
+      "EVENTIDE_RP_SYSTEM.TokenHud.Toggle",
+    );
+    toggle.innerHTML = '<i class="fas fa-bolt"></i>';
+    html.querySelector(".col.left")?.append(toggle);
+
+    html.insertAdjacentHTML("beforeend", content);
+    const panel = html.querySelector(".erps-token-hud");
+
+    toggle.addEventListener("click", (event) => {
+      event.preventDefault();
+      this._openTokenId = panel.classList.toggle("active") ? token.id : null;
+      toggle.classList.toggle("active", !!this._openTokenId);
+    });
+
+    // The HUD is a form; keep the panel's inputs from submitting it
+    panel.addEventListener("change", (event) => event.stopPropagation());
+    panel.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") event.preventDefault();
+    });
+
+    panel.addEventListener("click", (event) => {
+      const target = event.target.closest("[data-erps-hud-action]");
+      if (!target) return;
+
+      event.preventDefault();
+      this._onAction(actor, target.dataset.erpsHudAction, target).catch(
+        (error) =>
+          Logger.error("Token HUD panel action failed", error, "TOKEN_HUD"),
+      );
+    });
+  }
+
+  /**
+   * Run a panel action
+   *
+   * @param {Actor} actor - The token's actor
+   * @param {string} action - The action name
+   * @param {HTMLElement} target - The clicked element
+   * @returns {Promise<*>} The action result
+   * @private
+   */
+  static async _onAction(actor, action, target) {
+    switch (action) {
+      case "adjustResource": {
+        const row = target.closest("[data-resource]");
+        const amount = Number(row.querySelector("input").value) || 0;
+        return this.adjustResource(
+          actor,
+          row.dataset.resource,
+          amount * Number(target.dataset.direction),
+        );
+      }
+      case "toggleStatus":
+        return this.toggleStatus(actor, target.dataset.itemId);
+      case "executeActionCard":
+        return this.executeActionCard(actor, target.dataset.itemId);
+      case "revertTransformation":
+        return actor.removeTransformation();
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Change a resource by an amount using the actor's resource methods
+   *
+   * @param {Actor} actor - The actor to adjust
+   * @param {string} resource - "resolve" or "power"
+   * @param {number} amount - The amount to add (negative to remove)
+   * @returns {Promise<Actor|null>} The updated actor
+   */
+  static async adjustResource(actor, resource, amount) {
+    const entry = this.RESOURCES.find(({ key }) => key === resource);
+    if (!entry || !amount) return null;
+
+    Logger.debug(
+      `Adjusting ${resource} of ${actor.name} by ${amount}`,
+      null,
+      "TOKEN_HUD",
+    );
+    return actor[entry.method](amount);
+  }
+
+  /**
+   * Enable or disable one of the actor's statuses
+   *
+   * @param {Actor} actor - The actor owning the status
+   * @param {string} itemId - ID of the status item
+   * @returns {Promise<ActiveEffect|null>} The updated effect
+   */
+  static async toggleStatus(actor, itemId) {
+    const effect = actor.items.get(itemId)?.effects.contents[0];
+    if (!effect) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.EffectNotFound"),
+      );
+      return null;
+    }
+
+    const [result] = await ErrorHandler.handleDocumentOperation(
+      effect.update({ disabled: !effect.disabled }),
+      "toggle status",
+      "ActiveEffect",
+    );
+    return result;
+  }
+
+  /**
+   * Execute an action card the same way the actor sheet does: through the
+   * action card popup opened by the card's roll
+   *
+   * @param {Actor} actor - The actor owning the action card
+   * @param {string} itemId - ID of the action card
+   * @returns {Promise<*>} The roll result
+   */
+  static async executeActionCard(actor, itemId) {
+    const actionCard = actor.items.get(itemId);
+    if (actionCard?.type !== "actionCard") {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.ActionCardInvalid"),
+      );
+      return null;
+    }
+
+    try {
+      return await actionCard.roll();
+    } catch (error) {
+      await ErrorHandler.handleAsync(Promise.reject(error), {
+        context: `Execute action card for ${actor.name}`,
+        errorType: ErrorHandler.ERROR_TYPES.FOUNDRY_API,
+        userMessage: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.Errors.ActionCardExecuteError",
+        ),
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Re-render the token HUD if it shows the actor a document belongs to
+   *
+   * @param {ClientDocument} document - The changed actor, item or effect
+   * @private
+   */
+  static _refresh(document) {
+    let actor = document;
+    while (actor && actor.documentName !== "Actor") actor = actor.parent;
+
+    const hud = canvas?.tokens?.hud;
+    if (actor && hud?.rendered && hud.object?.actor === actor) hud.render();
+  }
+}
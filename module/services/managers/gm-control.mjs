@@ -2,6 +2,9 @@ import { Logger } from "../logger.mjs";
 import { MessageFlags } from "../../helpers/message-flags.mjs";
 import { StatusIntensification } from "../../helpers/status-intensification.mjs";
 import { DamageProcessor } from "../damage-processor.mjs";
+import { StatusEffectApplicator } from "../status-effect-applicator.mjs";
+import { TargetResolver } from "../target-resolver.mjs";
+import { UndoHistory } from "../undo-history.mjs";
 
 /**
  * Manager for GM control of action card effects
@@ -16,23 +19,23 @@ class GMControlManager {
   /**
    * Apply damage from a GM apply message
    * @param {ChatMessage} message - The message containing the GM apply flag
-   * @param {string} targetId - ID of the target actor
+   * @param {string} targetRef - Token UUID of the target (or a legacy actor ID)
    * @param {string} formula - Damage formula
    * @param {string} type - Damage type
    * @param {Object} [options={}] - Additional options
    * @returns {Promise<boolean>} True if application was successful
    */
-  async applyDamage(message, targetId, formula, type, _options = {}) {
+  async applyDamage(message, targetRef, formula, type, _options = {}) {
     Logger.methodEntry("GMControlManager", "applyDamage", {
       messageId: message.id,
-      targetId,
+      targetRef,
       formula,
       type,
     });
 
     try {
       // Find the target actor
-      const target = game.actors.get(targetId);
+      const target = await TargetResolver.resolveActor(targetRef);
       if (!target) {
         ui.notifications.warn(
           game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.TargetActorMissing"),
@@ -48,7 +51,7 @@ class GMControlManager {
       // Get action card info from the flag
       const flag = MessageFlags.getGMApplyFlag(message);
       const actionCardId = flag?.actionCardId;
-      const actorId = flag?.actorId;
+      const actorId = flag?.actorUuid ?? flag?.actorId;
 
       // Get the action card for proper labeling
       let actionCardName = "Action Card";
@@ -58,7 +61,7 @@ class GMControlManager {
       let textColor = null;
 
       if (actionCardId && actorId) {
-        const sourceActor = game.actors.get(actorId);
+        const sourceActor = await TargetResolver.resolveActor(actorId);
         if (sourceActor) {
           // First try to get action card from actor's items
           let actionCard = sourceActor.items.get(actionCardId);
@@ -93,15 +96,22 @@ class GMControlManager {
           target,
         );
 
-        damageRoll = await target.damageResolve({
-          formula: finalFormula,
-          label: actionCardName,
-          description: actionCardDescription,
-          type,
-          img: actionCardImg,
-          bgColor,
-          textColor,
-        });
+        damageRoll = await UndoHistory.track(
+          target,
+          actionCardName,
+          (createOptions) =>
+            target.damageResolve({
+              formula: finalFormula,
+              label: actionCardName,
+              description: actionCardDescription,
+              type,
+              img: actionCardImg,
+              bgColor,
+              textColor,
+              createOptions,
+            }),
+          { messages: [message] },
+        );
       } catch (damageError) {
         Logger.error("Failed to resolve damage", damageError, "GM_CONTROL");
         ui.notifications.error(
@@ -168,18 +178,18 @@ class GMControlManager {
   /**
    * Apply status effects from a GM apply message
    * @param {ChatMessage} message - The message containing the GM apply flag
-   * @param {string} targetId - ID of the target actor
+   * @param {string} targetRef - Token UUID of the target (or a legacy actor ID)
    * @returns {Promise<boolean>} True if application was successful
    */
-  async applyStatusEffects(message, targetId) {
+  async applyStatusEffects(message, targetRef) {
     Logger.methodEntry("GMControlManager", "applyStatusEffects", {
       messageId: message.id,
-      targetId,
+      targetRef,
     });
 
     try {
       // Find the target actor
-      const target = game.actors.get(targetId);
+      const target = await TargetResolver.resolveActor(targetRef);
       if (!target) {
         ui.notifications.warn(
           game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.TargetActorMissing"),
@@ -207,7 +217,12 @@ class GMControlManager {
       // Apply each status effect
       let appliedCount = 0;
       const effects = flag.status.effects;
+      const sourceActor = await TargetResolver.resolveActor(
+        flag.actorUuid ?? flag.actorId,
+      );
+      const sourceActionCard = sourceActor?.items.get(flag.actionCardId);
 
+      const recording = UndoHistory.start(target);
       for (const statusData of effects) {
         try {
           // Set flag for effects to trigger appropriate message via createItem hook
@@ -218,6 +233,15 @@ class GMControlManager {
             statusData.flags["eventide-rp-system"].isEffect = true;
           }
 
+          // Remember who applied a status so it can be cleansed against their AC
+          if (statusData.type === "status" && sourceActor) {
+            statusData.flags["eventide-rp-system"].creator =
+              StatusEffectApplicator.getCreatorData(
+                sourceActor,
+                sourceActionCard,
+              );
+          }
+
           // Prepare gear effects with equipped and quantity
           if (statusData.type === "gear") {
             statusData.system = statusData.system || {};
@@ -243,6 +267,12 @@ class GMControlManager {
           );
         }
       }
+      await UndoHistory.finish(
+        recording,
+        sourceActionCard?.name ??
+          game.i18n.localize("EVENTIDE_RP_SYSTEM.Undo.StatusEffects"),
+        { messages: [message] },
+      );
 
       // Mark as applied in the message
       await MessageFlags.updateGMApplyFlag(message, "status", {
@@ -470,7 +500,7 @@ class GMControlManager {
       if (flag.damage && !flag.damage.applied) {
         const damageResult = await this.applyDamage(
           message,
-          flag.damage.targetId,
+          flag.damage.targetUuid ?? flag.damage.targetId,
           flag.damage.formula,
           flag.damage.type,
         );
@@ -482,7 +512,7 @@ class GMControlManager {
       if (flag.status && !flag.status.applied) {
         const statusResult = await this.applyStatusEffects(
           message,
-          flag.status.targetId,
+          flag.status.targetUuid ?? flag.status.targetId,
         );
         results.push({ type: "status", success: statusResult });
         if (!statusResult) allSuccessful = false;
@@ -706,93 +736,20 @@ class GMControlManager {
       if (approved) {
         // Execute the action as if the GM initiated it
         try {
-          // Get the actor
-          const actor = game.actors.get(flag.actorId);
-          if (!actor) {
-            ui.notifications.error(game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.UnableToFindActor"));
-            Logger.methodExit("GMControlManager", "approvePlayerAction", false);
-            return false;
-          }
-
-          // Get the action card - first try from actor's items, then use stored data
-          let actionCard = actor.items.get(flag.actionCardId);
-
-          if (!actionCard && flag.actionCardData) {
-            // Action card not found in actor items (likely from transformation)
-            // Create a temporary action card from the stored data
-            actionCard = new CONFIG.Item.documentClass(flag.actionCardData, {
-              parent: actor,
-            });
-            Logger.debug("Using stored action card data for transformation-sourced action", {
-              actionCardId: flag.actionCardId,
-              actionCardName: actionCard.name,
-            });
-          }
-
-          if (!actionCard) {
-            ui.notifications.error(
-              "Unable to find action card for execution",
-            );
+          const result = await this.executePlayerAction(flag);
+          if (result.found === false) {
+            ui.notifications.error(result.reason);
             Logger.methodExit("GMControlManager", "approvePlayerAction", false);
             return false;
           }
 
-          // Set targets based on the stored target IDs
-          const targetTokens = [];
-          for (const targetId of flag.targetIds) {
-            const targetActor = game.actors.get(targetId);
-            if (targetActor) {
-              // Find tokens for this actor on the current scene
-              const tokens =
-                canvas.tokens?.placeables?.filter(
-                  (t) => t.actor?.id === targetId,
-                ) || [];
-              if (tokens.length > 0) {
-                targetTokens.push(tokens[0]); // Use the first token found
-              }
-            }
-          }
-
-          // Set targets for the execution using Foundry v13 API
-          let targetsSet = false;
-          if (targetTokens.length > 0) {
-            try {
-              // Use the correct Foundry v13 targeting API
-              canvas.tokens.setTargets(targetTokens.map((t) => t.id));
-              targetsSet = true;
-            } catch {
-              // Don't fail the entire operation - action cards can work without canvas targeting
-              // if the target information is passed directly to the execution
-            }
-          }
-
-          // Execute the action card with the stored roll result, locked targets, and transformation selections
-          const result = await actionCard.executeWithRollResult(
-            actor,
-            flag.rollResult,
-            {
-              lockedTargets: flag.lockedTargets,
-              transformationSelections: flag.transformationSelections,
-              selectedEffectIds: flag.selectedEffectIds,
-            },
-          );
-
           if (result.success) {
             ui.notifications.info(
-              `Action "${actionCard.name}" executed successfully for ${flag.playerName}`,
+              `Action "${result.actionCardName}" executed successfully for ${flag.playerName}`,
             );
           } else {
             ui.notifications.warn(`Action execution failed: ${result.reason}`);
           }
-
-          // Clear targets if they were set
-          if (targetsSet) {
-            try {
-              canvas.tokens.setTargets([]);
-            } catch {
-              // Non-critical error - don't fail the operation
-            }
-          }
         } catch (execError) {
           Logger.error("Failed to execute approved player action", execError);
           ui.notifications.error(game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.FailedToExecuteAction"));
@@ -816,6 +773,132 @@ class GMControlManager {
     }
   }
 
+  /**
+   * Execute a player's action card on this client as if the GM initiated it.
+   * Used when the GM approves a request and when trusted auto-apply sends the
+   * request over the system socket.
+   * @param {Object} request - Player action data, shaped like the player action approval flag
+   * @param {Object} [options={}] - Execution options
+   * @param {boolean} [options.allowCardData=true] - Whether an action card the actor
+   *   does not have may be built from the card data in the request. Requests over
+   *   the socket are not reviewed by the GM, so they may only use cards on the
+   *   actor or its active transformation.
+   * @returns {Promise<Object>} The execution result, including the action card name
+   *   (found is false when the actor or action card no longer exists)
+   */
+  async executePlayerAction(request, { allowCardData = true } = {}) {
+    Logger.methodEntry("GMControlManager", "executePlayerAction", {
+      actorId: request.actorId,
+      actionCardId: request.actionCardId,
+      playerId: request.playerId,
+    });
+
+    const actor = await TargetResolver.resolveActor(
+      request.actorUuid ?? request.actorId,
+    );
+    if (!actor) {
+      const result = {
+        success: false,
+        found: false,
+        reason: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.Errors.UnableToFindActor",
+        ),
+      };
+      Logger.methodExit("GMControlManager", "executePlayerAction", result);
+      return result;
+    }
+
+    // Get the action card - first try from actor's items and active
+    // transformation, then use stored data
+    let actionCard =
+      actor.items.get(request.actionCardId) ??
+      this._getTransformationActionCard(actor, request.actionCardId);
+
+    if (!actionCard && request.actionCardData && allowCardData) {
+      // Action card not found in actor items (likely from transformation)
+      // Create a temporary action card from the stored data
+      actionCard = new CONFIG.Item.documentClass(request.actionCardData, {
+        parent: actor,
+      });
+      Logger.debug(
+        "Using stored action card data for transformation-sourced action",
+        {
+          actionCardId: request.actionCardId,
+          actionCardName: actionCard.name,
+        },
+      );
+    }
+
+    if (!actionCard) {
+      const result = {
+        success: false,
+        found: false,
+        reason: "Unable to find action card for execution",
+      };
+      Logger.methodExit("GMControlManager", "executePlayerAction", result);
+      return result;
+    }
+
+    // Set targets based on the stored target token UUIDs (legacy requests
+    // only carry actor IDs, which match the first token of that actor)
+    const targetTokens = (request.targetUuids ?? request.targetIds)
+      .map((targetRef) => TargetResolver.getCanvasToken(targetRef))
+      .filter(Boolean);
+
+    // Set targets for the execution using Foundry v13 API
+    let targetsSet = false;
+    if (targetTokens.length > 0) {
+      try {
+        canvas.tokens.setTargets(targetTokens.map((t) => t.id));
+        targetsSet = true;
+      } catch {
+        // Don't fail the entire operation - action cards can work without canvas targeting
+        // if the target information is passed directly to the execution
+      }
+    }
+
+    try {
+      // Execute the action card with the stored roll result, locked targets, and transformation selections
+      const result = await actionCard.executeWithRollResult(
+        actor,
+        request.rollResult,
+        {
+          lockedTargets: request.lockedTargets,
+          transformationSelections: request.transformationSelections,
+          selectedEffectIds: request.selectedEffectIds,
+        },
+      );
+
+      Logger.methodExit("GMControlManager", "executePlayerAction", result);
+      return { ...result, actionCardName: actionCard.name };
+    } finally {
+      // Clear targets if they were set
+      if (targetsSet) {
+        try {
+          canvas.tokens.setTargets([]);
+        } catch {
+          // Non-critical error - don't fail the operation
+        }
+      }
+    }
+  }
+
+  /**
+   * Build an action card embedded in an actor's active transformation
+   * @param {Actor} actor - The transformed actor
+   * @param {string} actionCardId - ID of the embedded action card
+   * @returns {Item|null} A temporary action card, or null if the transformation has none with that ID
+   * @private
+   */
+  _getTransformationActionCard(actor, actionCardId) {
+    const actionCardData = actor
+      .getFlag("eventide-rp-system", "activeTransformationActionCards")
+      ?.find((data) => data._id === actionCardId);
+    if (!actionCardData) return null;
+
+    return new CONFIG.Item.documentClass(actionCardData, { parent: actor });
+  }
+
   /**
    * Get statistics about pending GM applications
    * @returns {Object} Statistics object
@@ -6,6 +6,7 @@
 import { getSetting } from "../_module.mjs";
 import { ERPSRollUtilities } from "../../utils/_module.mjs";
 import { Logger } from "../_module.mjs";
+import { RollLog } from "../roll-log.mjs";
 
 const { renderTemplate } = foundry.applications.handlebars;
 
@@ -112,6 +113,7 @@ class ERPSRollHandler {
    * @param {number} [options.total=0] - Roll total
    * @param {string} [options.rollMode="roll"] - Roll visibility mode
    * @param {string} [options.soundKey=null] - Optional custom sound key
+   * @param {Object} [options.details={}] - Extra roll flags for the roll log (item, crit, targets, sections)
    * @returns {Promise<Object>} ChatMessage creation data
    */
   async _createMessageData({
@@ -124,6 +126,7 @@ class ERPSRollHandler {
     total = 0,
     rollMode = "roll",
     soundKey = null,
+    details = {},
   }) {
     const { ChatMessageBuilder } = await import("../chat-message-builder.mjs");
 
@@ -134,7 +137,7 @@ class ERPSRollHandler {
       rolls,
       rollMode,
       soundKey,
-      rollFlags: { type, formula, total },
+      rollFlags: { type, formula, total, ...details },
     });
   }
 
@@ -153,6 +156,8 @@ class ERPSRollHandler {
     * @param {boolean} [options.toMessage=true] - Whether to create a chat message
     * @param {string} [options.rollMode=null] - Roll visibility mode
     * @param {string} [options.soundKey=null] - Optional sound key
+    * @param {Object|null} [options.damageInfo=null] - Damage type and modifiers to show on the card
+    * @param {Object} [options.createOptions={}] - Options for creating the chat message
     * @param {Actor} actor - Actor performing the roll
     * @returns {Promise<Roll>} The evaluated roll
     */
@@ -171,6 +176,8 @@ class ERPSRollHandler {
       img = null,
       bgColor = null,
       textColor = null,
+      damageInfo = null,
+      createOptions = {},
     } = {},
     actor,
   ) {
@@ -232,6 +239,7 @@ class ERPSRollHandler {
       bgColor,
       textColor,
       overhealing: result.overhealing || null,
+      damageInfo,
     });
 
     // Render the template and create chat message if requested
@@ -244,6 +252,7 @@ class ERPSRollHandler {
         templateData,
         rollMode,
         soundKey,
+        createOptions,
       });
     }
 
@@ -365,6 +374,7 @@ class ERPSRollHandler {
       // Legacy compat for templates referencing root roll vars
       roll: resolveSection?.roll ?? powerSection?.roll ?? null,
       overhealing: resolveSection?.overhealing ?? null,
+      damageInfo: resolveDamage?.damageInfo ?? null,
       actor,
       isGM: game.user.isGM,
       name: actor.name,
@@ -382,6 +392,15 @@ class ERPSRollHandler {
       formula: primaryRoll?.formula ?? "",
       total: primaryRoll?.total ?? 0,
       rollMode: "roll",
+      details: {
+        item: img ? label : null,
+        sections: [resolveSection, powerSection]
+          .filter(Boolean)
+          .map((section) => ({
+            type: section.pickedType,
+            total: section.roll.total,
+          })),
+      },
     });
     await ChatMessage.create(messageData);
 
@@ -504,6 +523,7 @@ class ERPSRollHandler {
     bgColor,
     textColor,
     overhealing = null,
+    damageInfo = null,
   }) {
     // Get styling for this roll type
     const pickedType = type.toLowerCase();
@@ -542,6 +562,8 @@ class ERPSRollHandler {
       isGM: game.user.isGM,
       // Overhealing for healing rolls (if applicable)
       overhealing,
+      // Damage type and the target's modifiers for typed damage
+      damageInfo,
     };
   }
 
@@ -560,6 +582,7 @@ class ERPSRollHandler {
     templateData,
     rollMode,
     soundKey,
+    createOptions = {},
   }) {
     // Render the appropriate template
     const content = await renderTemplate(this.templates.standard, templateData);
@@ -574,9 +597,19 @@ class ERPSRollHandler {
       total: roll.total,
       rollMode,
       soundKey,
+      details: {
+        item: templateData.item?.name ?? null,
+        crit: RollLog.getCritState(templateData),
+        targets: templateData.acCheck
+          ? RollLog.describeTargets(
+              templateData.targetArray.map((target) => target.actor),
+              roll.total,
+            )
+          : [],
+      },
     });
 
-    return await ChatMessage.create(messageData);
+    return await ChatMessage.create(messageData, createOptions);
   }
 
   /**
@@ -1,6 +1,7 @@
 import { ERPSRollUtilities } from "../../utils/_module.mjs";
 import { Logger } from "../logger.mjs";
 import { TargetResolver } from "../target-resolver.mjs";
+import { RollLog } from "../roll-log.mjs";
 
 const { renderTemplate } = foundry.applications.handlebars;
 const { TextEditor } = foundry.applications.ux;
@@ -275,7 +276,19 @@ class ERPSMessageHandler {
           messageMode,
         },
         { soundKey: "featureRoll" },
-        { type: item.system.roll.ability, formula: result.formula, total: result.total },
+        {
+          type: item.system.roll.ability,
+          formula: result.formula,
+          total: result.total,
+          item: item.name,
+          crit: RollLog.getCritState({ critHit, critMiss, savedMiss, stolenCrit }),
+          targets: addCheck
+            ? RollLog.describeTargets(
+                targetArray.map((target) => target.actor || target.token?.actor),
+                result.total,
+              )
+            : [],
+        },
       );
     } catch (error) {
       Logger.error(
@@ -335,10 +348,31 @@ class ERPSMessageHandler {
    * @param {boolean} options.power - Whether power was restored
    * @param {Item[]} options.statuses - Array of status effects that were removed
    * @param {Actor} options.actor - The actor being restored
+   * @param {number} [options.resolveAmount] - Amount of resolve restored, shown next to Resolve
+   * @param {number} [options.powerAmount] - Amount of power restored, shown next to Power
+   * @param {string} [options.description] - Custom description replacing the default text
    * @returns {Promise<ChatMessage>} The created chat message
    */
-  async createRestoreMessage({ all, resolve, power, statuses, actor }) {
-    const data = { all, resolve, power, statuses, actor };
+  async createRestoreMessage({
+    all,
+    resolve,
+    power,
+    statuses,
+    actor,
+    resolveAmount,
+    powerAmount,
+    description,
+  }) {
+    const data = {
+      all,
+      resolve,
+      power,
+      statuses,
+      actor,
+      resolveAmount,
+      powerAmount,
+      description,
+    };
 
     return this._createChatMessage(
       "restore",
@@ -560,7 +594,19 @@ class ERPSMessageHandler {
           messageMode,
         },
         { soundKey: "combatPower" },
-        { type: item.system.roll.ability, formula: result.formula, total: result.total },
+        {
+          type: item.system.roll.ability,
+          formula: result.formula,
+          total: result.total,
+          item: item.name,
+          crit: RollLog.getCritState({ critHit, critMiss, savedMiss, stolenCrit }),
+          targets: addCheck
+            ? RollLog.describeTargets(
+                targetArray.map((target) => target.actor || target.token?.actor),
+                result.total,
+              )
+            : [],
+        },
       );
     } catch (error) {
       Logger.error(
@@ -786,6 +832,7 @@ class ERPSMessageHandler {
    * @param {string} options.playerId - ID of the player requesting approval
    * @param {string} options.playerName - Name of the player requesting approval
    * @param {Actor[]} options.targets - Array of target actors
+   * @param {string[]} [options.targetUuids] - Target token UUIDs (defaults to each target actor's token)
    * @param {Object} options.rollResult - Roll result data
    * @param {Object[]} options.lockedTargets - Locked targets from popup
    * @param {Object} options.transformationSelections - Map of target IDs to selected transformation IDs
@@ -798,6 +845,7 @@ class ERPSMessageHandler {
     playerId,
     playerName,
     targets,
+    targetUuids = targets.map((t) => TargetResolver.getTargetUuid(t)),
     rollResult,
     lockedTargets,
     transformationSelections,
@@ -869,11 +917,13 @@ class ERPSMessageHandler {
     // Create player action approval flag
     const approvalFlag = MessageFlags.createPlayerActionApprovalFlag({
       actorId: actor.id,
+      actorUuid: actor.uuid,
       actionCardId: actionCard.id,
       actionCardData: actionCard.toObject(), // Store full action card data for transformation support
       playerId,
       playerName,
       targetIds: targets.map((t) => t.id),
+      targetUuids,
       lockedTargets,
       rollResult,
       transformationSelections,
@@ -8,3 +8,4 @@ export { EmbeddedImageMigration } from "./embedded-image-migration.mjs";
 export { SettingNameMigration } from "./setting-name-migration.mjs";
 export { V14ActiveEffectMigration } from "./v14-active-effect-migration.mjs";
 export { CombatPowerLinkingMigration } from "./combat-power-linking-migration.mjs";
+export { TargetUuidMigration } from "./target-uuid-migration.mjs";
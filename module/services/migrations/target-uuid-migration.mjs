@@ -0,0 +1,173 @@
+/**
+ * Target UUID Migration
+ *
+ * GM apply flags and player action approval requests now store their targets
+ * as token document UUIDs, so damage and status effects reach the right
+ * unlinked token instead of the base actor every copy of that token shares.
+ * This migration adds the UUIDs to chat messages that are still pending:
+ *
+ * 1. Unapplied damage and status sections of GM apply flags get a targetUuid
+ *    for the world actor their targetId pointed at (what applying them did
+ *    before), and the flag gets an actorUuid for the acting actor.
+ * 2. Unprocessed player action approvals get targetUuids built from their
+ *    locked target tokens, falling back to the world actors of targetIds.
+ *
+ * Messages that are already applied or processed are left alone. Old flags
+ * keep working without this migration as targets fall back to their IDs; it
+ * only makes sure pending messages carry the same data as new ones.
+ *
+ * This migration runs once and is tracked via the migrationVersion setting.
+ *
+ * @module TargetUuidMigration
+ */
+
+import { Logger } from "../logger.mjs";
+import { ErrorHandler } from "../../utils/error-handler.mjs";
+
+const MIGRATION_VERSION = 4;
+
+export class TargetUuidMigration {
+  /**
+   * Run the target UUID migration.
+   *
+   * @static
+   * @returns {Promise<number>} Number of chat messages migrated
+   */
+  static async run() {
+    if (!game.user.isGM) return 0;
+
+    const lastMigration = game.settings.get(
+      "eventide-rp-system",
+      "migrationVersion",
+    );
+    const migrationLevel = Math.floor(Number(lastMigration) || 0);
+
+    if (migrationLevel >= MIGRATION_VERSION) {
+      Logger.debug(
+        "Target UUID migration already completed",
+        { level: migrationLevel },
+        "MIGRATION",
+      );
+      return 0;
+    }
+
+    Logger.info("Starting target UUID migration...", null, "MIGRATION");
+
+    let migratedCount = 0;
+    let failureCount = 0;
+
+    for (const message of game.messages) {
+      const updates = TargetUuidMigration._getMessageUpdates(message);
+      if (!updates) continue;
+
+      try {
+        await message.update(updates);
+        migratedCount++;
+      } catch (error) {
+        failureCount++;
+        await ErrorHandler.handleAsync(Promise.reject(error), {
+          context: `Migrating targets of chat message ${message.id}`,
+          errorType: ErrorHandler.ERROR_TYPES.FOUNDRY_API,
+        });
+      }
+    }
+
+    if (failureCount > 0) {
+      Logger.warn(
+        `Target UUID migration completed with ${failureCount} failure(s). Migration version NOT updated — will retry on next load.`,
+        { migratedCount, failureCount },
+        "MIGRATION",
+      );
+    } else if (migrationLevel < MIGRATION_VERSION - 1) {
+      // An earlier migration failed and must retry on the next load
+      Logger.warn(
+        "Target UUID migration complete, but earlier migrations are pending. Migration version NOT updated.",
+        { migratedCount, level: migrationLevel },
+        "MIGRATION",
+      );
+    } else {
+      await game.settings.set(
+        "eventide-rp-system",
+        "migrationVersion",
+        MIGRATION_VERSION,
+      );
+
+      Logger.info(
+        `Target UUID migration complete. Migrated ${migratedCount} chat message(s).`,
+        { migratedCount, migrationVersion: MIGRATION_VERSION },
+        "MIGRATION",
+      );
+    }
+
+    return migratedCount;
+  }
+
+  /**
+   * Build the flag updates for a chat message, if it has pending targets
+   * keyed on actor IDs only.
+   *
+   * @param {ChatMessage} message - The chat message to check
+   * @returns {Object|null} Update data for the message, or null if none is needed
+   * @private
+   * @static
+   */
+  static _getMessageUpdates(message) {
+    const flags = message.flags?.["eventide-rp-system"];
+    const updates = {};
+
+    const gmApply = flags?.gmApplySection;
+    if (gmApply) {
+      let changed = false;
+      const section = foundry.utils.deepClone(gmApply);
+
+      for (const type of ["damage", "status"]) {
+        const entry = section[type];
+        if (!entry || entry.applied || entry.targetUuid || !entry.targetId) {
+          continue;
+        }
+        entry.targetUuid = game.actors.get(entry.targetId)?.uuid ?? null;
+        changed ||= !!entry.targetUuid;
+      }
+
+      if (changed) {
+        section.actorUuid ??= game.actors.get(section.actorId)?.uuid ?? null;
+        updates["flags.eventide-rp-system.gmApplySection"] = section;
+      }
+    }
+
+    const approval = flags?.playerActionApproval;
+    if (approval && !approval.processed && !approval.targetUuids) {
+      updates["flags.eventide-rp-system.playerActionApproval.targetUuids"] =
+        TargetUuidMigration._getApprovalTargetUuids(approval);
+      updates["flags.eventide-rp-system.playerActionApproval.actorUuid"] =
+        approval.actorUuid ?? game.actors.get(approval.actorId)?.uuid ?? null;
+    }
+
+    return Object.keys(updates).length > 0 ? updates : null;
+  }
+
+  /**
+   * Get token UUIDs for a legacy player action approval: from its locked
+   * targets where they name a scene token, otherwise from its target actor IDs.
+   *
+   * @param {Object} approval - The player action approval flag
+   * @returns {string[]} The target UUIDs
+   * @private
+   * @static
+   */
+  static _getApprovalTargetUuids(approval) {
+    if (approval.lockedTargets?.length) {
+      return approval.lockedTargets
+        .map((target) =>
+          target.sceneId && target.tokenId
+            ? `Scene.${target.sceneId}.Token.${target.tokenId}`
+            : target.uuid,
+        )
+        .filter(Boolean);
+    }
+
+    return (approval.targetIds ?? [])
+      .map((targetId) => game.actors.get(targetId)?.uuid)
+      .filter(Boolean);
+  }
+}
@@ -0,0 +1,412 @@
+/**
+ * OpposedChallenge Service
+ *
+ * Runs the back-and-forth Challenge exchange from the combat rules: two
+ * combatants take turns rolling their chosen abilities, each needing to top
+ * the previous roll, until one of them fails. Every step is posted as a chat
+ * card carrying the full challenge state in its flags; the side that has to
+ * answer rolls from that card, which posts the next step.
+ *
+ * @module OpposedChallenge
+ * @see module:services/hooks/chat-listeners
+ */
+
+import { Logger } from "./logger.mjs";
+import { erpsRollHandler } from "./managers/roll-dice.mjs";
+
+const { renderTemplate } = foundry.applications.handlebars;
+
+/**
+ * @typedef {Object} ChallengeParticipant
+ * @property {string} actorUuid - UUID of the participating actor
+ * @property {string} name - Actor name at the time the challenge started
+ * @property {string} img - Actor image
+ * @property {string} ability - Ability key rolled by this side
+ */
+
+/**
+ * @typedef {Object} ChallengeState
+ * @property {string} id - Identifier shared by every card of this challenge
+ * @property {number} step - Number of rolls made so far
+ * @property {ChallengeParticipant} attacker - The attacking side
+ * @property {ChallengeParticipant} defender - The defending side
+ * @property {{id: string, name: string, img: string}|null} status - Status contested by the defender
+ * @property {boolean} removeStatus - Whether to remove the status if the defender wins
+ * @property {number|null} toBeat - The total the next roll has to top
+ * @property {string|null} leader - Side holding the current best roll
+ * @property {string|null} next - Side that has to answer, null once resolved
+ * @property {Array<{side: string, total: number}>} history - Rolls made so far
+ * @property {string|null} winner - Winning side once resolved
+ * @property {string|null} previousMessageId - ID of the card this step replaces
+ * @property {import("./prepared-actions.mjs").PreparedChallengeData|null} preparedAction - Prepared action resolved if the attacker wins
+ */
+
+/**
+ * OpposedChallenge class for running challenge exchanges through chat
+ *
+ * @class OpposedChallenge
+ */
+export class OpposedChallenge {
+  /**
+   * Flag key used to store challenge state on chat messages
+   * @type {string}
+   */
+  static FLAG_KEY = "challenge";
+
+  /**
+   * Chat card template for each challenge step
+   * @type {string}
+   */
+  static TEMPLATE =
+    "systems/eventide-rp-system/templates/chat/challenge-message.hbs";
+
+  /**
+   * Get the challenge state stored on a chat message
+   *
+   * @static
+   * @param {ChatMessage} message - The message to read
+   * @returns {ChallengeState|null} The challenge state, or null if not a challenge card
+   */
+  static getState(message) {
+    return message?.getFlag("eventide-rp-system", this.FLAG_KEY) ?? null;
+  }
+
+  /**
+   * Get the opposing side
+   *
+   * @static
+   * @param {string} side - "attacker" or "defender"
+   * @returns {string} The other side
+   */
+  static otherSide(side) {
+    return side === "attacker" ? "defender" : "attacker";
+  }
+
+  /**
+   * Build the initial state for a new challenge
+   *
+   * When an opening total is given (e.g. the attack roll being challenged)
+   * the defender answers first; otherwise the attacker opens.
+   *
+   * @static
+   * @param {Object} options - Challenge options
+   * @param {Actor} options.attacker - The attacking actor
+   * @param {string} options.attackerAbility - Ability the attacker rolls
+   * @param {Actor} options.defender - The defending actor
+   * @param {string} options.defenderAbility - Ability the defender rolls
+   * @param {Item|null} [options.status=null] - Defender status being contested
+   * @param {boolean} [options.removeStatus=false] - Remove the status if the defender wins
+   * @param {number|null} [options.toBeat=null] - Opening total the defender must top
+   * @param {Object|null} [options.preparedAction=null] - Prepared action the attacker is firing
+   * @returns {ChallengeState} The initial challenge state
+   */
+  static createState({
+    attacker,
+    attackerAbility,
+    defender,
+    defenderAbility,
+    status = null,
+    removeStatus = false,
+    toBeat = null,
+    preparedAction = null,
+  }) {
+    const participant = (actor, ability) => ({
+      actorUuid: actor.uuid,
+      name: actor.name,
+      img: actor.img,
+      ability,
+    });
+    const hasOpening = Number.isFinite(toBeat);
+
+    return {
+      id: foundry.utils.randomID(),
+      step: 0,
+      attacker: participant(attacker, attackerAbility),
+      defender: participant(defender, defenderAbility),
+      status: status
+        ? { id: status.id, name: status.name, img: status.img }
+        : null,
+      removeStatus: !!status && removeStatus,
+      toBeat: hasOpening ? toBeat : null,
+      leader: hasOpening ? "attacker" : null,
+      next: hasOpening ? "defender" : "attacker",
+      history: [],
+      winner: null,
+      previousMessageId: null,
+      preparedAction: preparedAction
+        ? foundry.utils.deepClone(preparedAction)
+        : null,
+    };
+  }
+
+  /**
+   * Apply a roll to a challenge state. A roll that fails to top the current
+   * total (ties included) ends the challenge in favour of the other side.
+   *
+   * @static
+   * @param {ChallengeState} state - The current state
+   * @param {string} side - The side that rolled
+   * @param {number} total - The roll total
+   * @returns {ChallengeState} The next state
+   */
+  static resolveStep(state, side, total) {
+    const next = foundry.utils.deepClone(state);
+    next.step += 1;
+    next.history.push({ side, total });
+
+    if (next.toBeat === null || total > next.toBeat) {
+      next.toBeat = total;
+      next.leader = side;
+      next.next = this.otherSide(side);
+    } else {
+      next.winner = this.otherSide(side);
+      next.next = null;
+    }
+
+    return next;
+  }
+
+  /**
+   * Start a challenge and post its first card
+   *
+   * @static
+   * @param {Object} options - Challenge options, see {@link OpposedChallenge.createState}
+   * @returns {Promise<ChatMessage>} The posted challenge card
+   */
+  static async start(options) {
+    const state = this.createState(options);
+
+    Logger.info(
+      `Challenge started: ${state.attacker.name} vs ${state.defender.name}`,
+      { challengeId: state.id, status: state.status?.name },
+      "CHALLENGE",
+    );
+
+    return this._postCard(state, options.attacker);
+  }
+
+  /**
+   * Check whether a challenge card is the most recent step of its challenge
+   *
+   * @static
+   * @param {ChatMessage} message - The challenge card
+   * @returns {boolean} True if no later step has been posted
+   */
+  static isLatest(message) {
+    const state = this.getState(message);
+    if (!state) return false;
+
+    return !game.messages.some((other) => {
+      const otherState = this.getState(other);
+      return otherState?.id === state.id && otherState.step > state.step;
+    });
+  }
+
+  /**
+   * Check whether the current user can answer a challenge card
+   *
+   * @static
+   * @param {ChatMessage} message - The challenge card
+   * @returns {boolean} True if the user owns the side that has to roll
+   */
+  static canAnswer(message) {
+    const state = this.getState(message);
+    if (!state?.next) return false;
+
+    const actor = fromUuidSync(state[state.next].actorUuid);
+    return !!actor?.isOwner && this.isLatest(message);
+  }
+
+  /**
+   * Roll for the side that has to answer a challenge card and post the next
+   * step. Removes the contested status when the defender wins, if requested
+   * and permitted.
+   *
+   * @static
+   * @param {ChatMessage} message - The challenge card being answered
+   * @returns {Promise<ChatMessage|null>} The next challenge card, or null if the roll was refused
+   */
+  static async rollNext(message) {
+    const state = this.getState(message);
+    if (!state?.next) return null;
+
+    Logger.methodEntry("OpposedChallenge", "rollNext", {
+      challengeId: state.id,
+      step: state.step,
+      side: state.next,
+    });
+
+    const participant = state[state.next];
+    const actor = fromUuidSync(participant.actorUuid);
+
+    if (!actor) {
+      ui.notifications.error(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Challenge.Errors.ActorMissing"),
+      );
+      Logger.methodExit("OpposedChallenge", "rollNext", null);
+      return null;
+    }
+    if (!actor.isOwner) {
+      ui.notifications.warn(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.Challenge.Errors.NotYourTurn", {
+          name: actor.name,
+        }),
+      );
+      Logger.methodExit("OpposedChallenge", "rollNext", null);
+      return null;
+    }
+    if (!this.isLatest(message)) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Challenge.Errors.Stale"),
+      );
+      Logger.methodExit("OpposedChallenge", "rollNext", null);
+      return null;
+    }
+
+    const roll = await erpsRollHandler.handleRoll(
+      {
+        formula: await actor.getRollFormula({ ability: participant.ability }),
+        label: game.i18n.format("EVENTIDE_RP_SYSTEM.Challenge.RollLabel", {
+          ability: this._getAbilityLabel(participant.ability),
+        }),
+        type: participant.ability,
+        acCheck: false,
+        soundKey: "diceRoll",
+      },
+      actor,
+    );
+
+    const nextState = this.resolveStep(state, state.next, roll.total);
+    nextState.previousMessageId = message.id;
+
+    // A prepared action resolves with the preparer's latest challenge roll
+    if (nextState.preparedAction && state.next === "attacker") {
+      nextState.preparedAction.roll = roll.toJSON();
+    }
+
+    if (nextState.winner) {
+      Logger.info(
+        `Challenge resolved in favour of ${nextState[nextState.winner].name}`,
+        { challengeId: nextState.id, rolls: nextState.step },
+        "CHALLENGE",
+      );
+    }
+
+    const card = await this._postCard(nextState, actor);
+
+    if (nextState.winner === "defender" && nextState.removeStatus) {
+      await this.removeContestedStatus(nextState);
+    }
+
+    Logger.methodExit("OpposedChallenge", "rollNext", card);
+    return card;
+  }
+
+  /**
+   * Get the contested status if it is still on the defender
+   *
+   * @static
+   * @param {ChallengeState} state - The challenge state
+   * @returns {Item|null} The status item, or null if it is gone
+   */
+  static getContestedStatus(state) {
+    if (!state?.status) return null;
+    const defender = fromUuidSync(state.defender.actorUuid);
+    return defender?.items.get(state.status.id) ?? null;
+  }
+
+  /**
+   * Remove the contested status from the defender. Does nothing if the
+   * current user does not own the defender or the status is already gone.
+   *
+   * @static
+   * @param {ChallengeState} state - A challenge state won by the defender
+   * @returns {Promise<boolean>} True if the status was removed
+   */
+  static async removeContestedStatus(state) {
+    const status = this.getContestedStatus(state);
+    const defender = status?.actor;
+    if (!status || !defender.isOwner) return false;
+
+    await defender._removeStatusEffects([status.id], {
+      statusRemovalDescription: game.i18n.format(
+        "EVENTIDE_RP_SYSTEM.Challenge.StatusRemoved",
+        { name: defender.name },
+      ),
+    });
+
+    return true;
+  }
+
+  /**
+   * Render and post a challenge card
+   *
+   * @static
+   * @private
+   * @param {ChallengeState} state - The state to post
+   * @param {Actor} actor - The actor the card is spoken by
+   * @returns {Promise<ChatMessage>} The created message
+   */
+  static async _postCard(state, actor) {
+    const content = await renderTemplate(
+      this.TEMPLATE,
+      this._getTemplateData(state),
+    );
+
+    return ChatMessage.create({
+      speaker: ChatMessage.getSpeaker({ actor }),
+      content,
+      flags: { "eventide-rp-system": { [this.FLAG_KEY]: state } },
+    });
+  }
+
+  /**
+   * Build template data for a challenge card
+   *
+   * @static
+   * @private
+   * @param {ChallengeState} state - The state to display
+   * @returns {Object} Template data
+   */
+  static _getTemplateData(state) {
+    const describe = (side) => ({
+      ...state[side],
+      side,
+      abilityLabel: this._getAbilityLabel(state[side].ability),
+    });
+
+    return {
+      state,
+      participants: [describe("attacker"), describe("defender")],
+      next: state.next ? describe(state.next) : null,
+      winner: state.winner ? describe(state.winner) : null,
+      history: state.history.map((entry) => ({
+        ...entry,
+        name: state[entry.side].name,
+      })),
+      showRemoveStatus: state.winner === "defender" && !!state.status,
+      preparedResult:
+        state.preparedAction && state.winner
+          ? game.i18n.format(
+              state.winner === "attacker"
+                ? "EVENTIDE_RP_SYSTEM.PreparedActions.Challenge.Resolves"
+                : "EVENTIDE_RP_SYSTEM.PreparedActions.Challenge.Lost",
+              { card: state.preparedAction.actionCardName },
+            )
+          : null,
+    };
+  }
+
+  /**
+   * Get the localized label for an ability key
+   *
+   * @static
+   * @private
+   * @param {string} ability - The ability key
+   * @returns {string} The localized label
+   */
+  static _getAbilityLabel(ability) {
+    const key = CONFIG.EVENTIDE_RP_SYSTEM.abilities[ability];
+    return key ? game.i18n.localize(key) : ability;
+  }
+}
@@ -0,0 +1,362 @@
+/**
+ * PreparedActions Service
+ *
+ * Tracks Prepared Actions from the combat rules: a combatant converts a Full
+ * Action into a response (one of their action cards) that waits for a
+ * declared trigger. Pending preparations are stored on the combatant until
+ * the GM fires them, which starts a Challenge between the preparer and the
+ * combatant being interrupted; if the preparer wins, the action card resolves
+ * out of turn using their winning roll. Unfired preparations expire when the
+ * preparer's next turn begins.
+ *
+ * Challenge cards only carry the ID of a fired preparation. The action card
+ * and its targets stay on the combatant until the active GM resolves or
+ * discards them, so a copied or forged card cannot run an action card.
+ *
+ * @module PreparedActions
+ * @see module:services/opposed-challenge
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { ActionEconomy } from "./action-economy.mjs";
+import { OpposedChallenge } from "./opposed-challenge.mjs";
+import { TargetResolver } from "./target-resolver.mjs";
+
+/**
+ * @typedef {Object} PreparedActionData
+ * @property {string} id - Unique ID of the preparation
+ * @property {string} actionCardId - ID of the action card on the preparer's actor
+ * @property {string} actionCardName - Name of the action card when prepared
+ * @property {string} trigger - Free-text trigger declared by the player
+ * @property {number} round - Combat round the action was prepared in
+ */
+
+/**
+ * @typedef {Object} FiredActionData
+ * @property {string} id - ID of the fired preparation
+ * @property {string} actionCardId - ID of the action card on the preparer's actor
+ * @property {string} actionCardName - Name of the action card
+ * @property {Object[]} lockedTargets - Targets the action card resolves against
+ */
+
+/**
+ * @typedef {Object} PreparedChallengeData
+ * @property {string} combatantUuid - UUID of the preparing combatant
+ * @property {string} preparedId - ID of the fired preparation on the combatant
+ * @property {string} actionCardName - Name of the action card
+ * @property {string} trigger - The declared trigger
+ * @property {Object|null} roll - The preparer's latest challenge roll data
+ */
+
+/**
+ * PreparedActions class for queuing and firing prepared actions
+ *
+ * @class PreparedActions
+ */
+export class PreparedActions {
+  /**
+   * Combatant flag key holding pending preparations
+   * @type {string}
+   */
+  static FLAG_KEY = "preparedActions";
+
+  /**
+   * Combatant flag key holding fired preparations awaiting their challenge
+   * @type {string}
+   */
+  static FIRED_FLAG_KEY = "firedActions";
+
+  /**
+   * Get the pending preparations of a combatant
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant to read
+   * @returns {PreparedActionData[]} Pending preparations
+   */
+  static getPrepared(combatant) {
+    return combatant?.getFlag("eventide-rp-system", this.FLAG_KEY) ?? [];
+  }
+
+  /**
+   * Get the fired preparations of a combatant that await their challenge
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant to read
+   * @returns {FiredActionData[]} Fired preparations
+   */
+  static getFired(combatant) {
+    return combatant?.getFlag("eventide-rp-system", this.FIRED_FLAG_KEY) ?? [];
+  }
+
+  /**
+   * Get every pending preparation in a combat
+   *
+   * @static
+   * @param {Combat} [combat=game.combat] - The combat to read
+   * @returns {Array<{combatant: Combatant, prepared: PreparedActionData}>} Pending preparations in turn order
+   */
+  static getPending(combat = game.combat) {
+    if (!combat?.started) return [];
+
+    return combat.turns.flatMap((combatant) =>
+      this.getPrepared(combatant).map((prepared) => ({
+        combatant,
+        prepared,
+      })),
+    );
+  }
+
+  /**
+   * Get the action cards an actor can prepare
+   *
+   * @static
+   * @param {Actor} actor - The preparing actor
+   * @returns {Item[]} The actor's action cards
+   */
+  static getPreparableCards(actor) {
+    return actor?.items.filter((item) => item.type === "actionCard") ?? [];
+  }
+
+  /**
+   * Convert one of an actor's Full Actions into a prepared action
+   *
+   * @static
+   * @param {Actor} actor - The preparing actor
+   * @param {Item} actionCard - The action card to respond with
+   * @param {string} trigger - What the actor is watching for
+   * @returns {Promise<PreparedActionData|null>} The preparation, or null if it was refused
+   */
+  static async prepare(actor, actionCard, trigger) {
+    Logger.methodEntry("PreparedActions", "prepare", {
+      actorName: actor?.name,
+      actionCardName: actionCard?.name,
+    });
+
+    const combatant = ActionEconomy.getCombatant(actor);
+    let refusal = null;
+    if (!combatant) {
+      refusal = "EVENTIDE_RP_SYSTEM.PreparedActions.Errors.NotInCombat";
+    } else if (actionCard?.type !== "actionCard") {
+      refusal = "EVENTIDE_RP_SYSTEM.PreparedActions.Errors.NoActionCard";
+    } else if (!trigger?.trim()) {
+      refusal = "EVENTIDE_RP_SYSTEM.PreparedActions.Errors.NoTrigger";
+    }
+    if (refusal) {
+      ui.notifications.warn(game.i18n.localize(refusal));
+      Logger.methodExit("PreparedActions", "prepare", null);
+      return null;
+    }
+
+    const spend = await ActionEconomy.spendAction(actor, "full");
+    if (spend.tracked && !spend.spent) {
+      ui.notifications.warn(
+        ActionEconomy.getUnavailableMessage(actor, "full", spend),
+      );
+      Logger.methodExit("PreparedActions", "prepare", null);
+      return null;
+    }
+
+    const prepared = {
+      id: foundry.utils.randomID(),
+      actionCardId: actionCard.id,
+      actionCardName: actionCard.name,
+      trigger: trigger.trim(),
+      round: combatant.combat?.round ?? 0,
+    };
+
+    await ErrorHandler.handleDocumentOperation(
+      combatant.setFlag("eventide-rp-system", this.FLAG_KEY, [
+        ...this.getPrepared(combatant),
+        prepared,
+      ]),
+      "prepare action",
+      "combatant",
+    );
+
+    Logger.info(
+      `${actor.name} prepared "${actionCard.name}"`,
+      { trigger: prepared.trigger },
+      "PREPARED_ACTIONS",
+    );
+
+    Logger.methodExit("PreparedActions", "prepare", prepared);
+    return prepared;
+  }
+
+  /**
+   * Remove a pending preparation without firing it
+   *
+   * @static
+   * @param {Combatant} combatant - The preparing combatant
+   * @param {string} preparedId - ID of the preparation
+   * @returns {Promise<void>}
+   */
+  static async dismiss(combatant, preparedId) {
+    await ErrorHandler.handleDocumentOperation(
+      combatant.setFlag(
+        "eventide-rp-system",
+        this.FLAG_KEY,
+        this.getPrepared(combatant).filter(
+          (prepared) => prepared.id !== preparedId,
+        ),
+      ),
+      "dismiss prepared action",
+      "combatant",
+    );
+  }
+
+  /**
+   * Clear a combatant's preparations when their turn begins
+   *
+   * @static
+   * @param {Combatant} combatant - The combatant whose turn is starting
+   * @returns {Promise<void>}
+   */
+  static async expireForTurn(combatant) {
+    if (!this.getPrepared(combatant).length) return;
+
+    Logger.debug(
+      "Expiring unused prepared actions at turn start",
+      { combatantName: combatant.name },
+      "PREPARED_ACTIONS",
+    );
+
+    await ErrorHandler.handleDocumentOperation(
+      combatant.unsetFlag("eventide-rp-system", this.FLAG_KEY),
+      "expire prepared actions",
+      "combatant",
+    );
+  }
+
+  /**
+   * Fire a preparation: it moves to the combatant's fired preparations, and a
+   * Challenge starts between the preparer and the combatant they are
+   * interrupting
+   *
+   * @static
+   * @param {Combatant} combatant - The preparing combatant
+   * @param {string} preparedId - ID of the preparation
+   * @param {Object} options - Challenge options
+   * @param {Combatant} options.target - The combatant being interrupted
+   * @param {string} options.attackerAbility - Ability the preparer rolls
+   * @param {string} options.defenderAbility - Ability the interrupted combatant rolls
+   * @returns {Promise<ChatMessage|null>} The first challenge card, or null if nothing fired
+   */
+  static async fire(
+    combatant,
+    preparedId,
+    { target, attackerAbility, defenderAbility },
+  ) {
+    const prepared = this.getPrepared(combatant).find(
+      (entry) => entry.id === preparedId,
+    );
+    if (!prepared || !combatant.actor || !target?.actor) return null;
+
+    Logger.methodEntry("PreparedActions", "fire", {
+      preparer: combatant.name,
+      target: target.name,
+      actionCardName: prepared.actionCardName,
+    });
+
+    await this.dismiss(combatant, preparedId);
+    await ErrorHandler.handleDocumentOperation(
+      combatant.setFlag("eventide-rp-system", this.FIRED_FLAG_KEY, [
+        ...this.getFired(combatant),
+        {
+          id: prepared.id,
+          actionCardId: prepared.actionCardId,
+          actionCardName: prepared.actionCardName,
+          lockedTargets: target.token
+            ? TargetResolver.lockTargets([target.token])
+            : [],
+        },
+      ]),
+      "fire prepared action",
+      "combatant",
+    );
+
+    const card = await OpposedChallenge.start({
+      attacker: combatant.actor,
+      attackerAbility,
+      defender: target.actor,
+      defenderAbility,
+      preparedAction: {
+        combatantUuid: combatant.uuid,
+        preparedId: prepared.id,
+        actionCardName: prepared.actionCardName,
+        trigger: prepared.trigger,
+        roll: null,
+      },
+    });
+
+    Logger.methodExit("PreparedActions", "fire", card);
+    return card;
+  }
+
+  /**
+   * Settle the fired preparation of a finished challenge card. Called by the
+   * active GM when the card is created. The preparation is cleared from the
+   * combatant either way; if the preparer won, its action card runs out of
+   * turn with their winning challenge roll and does not cost another Full
+   * Action. Cards whose author does not own the preparing combatant, or whose
+   * preparation was already settled, are ignored.
+   *
+   * @static
+   * @param {ChatMessage} message - The final challenge card
+   * @returns {Promise<Object|null>} The execution result, or null if nothing ran
+   */
+  static async resolveChallenge(message) {
+    const state = OpposedChallenge.getState(message);
+    const preparedAction = state?.preparedAction;
+    if (!state?.winner || !preparedAction) return null;
+
+    const combatant = fromUuidSync(preparedAction.combatantUuid);
+    const fired = this.getFired(combatant).find(
+      (entry) => entry.id === preparedAction.preparedId,
+    );
+    if (!fired || !combatant.testUserPermission(message.author, "OWNER")) {
+      Logger.warn(
+        "Ignoring a challenge card without a matching fired preparation",
+        { messageId: message.id, challengeId: state.id },
+        "PREPARED_ACTIONS",
+      );
+      return null;
+    }
+
+    // Clear the preparation before running it so it can only resolve once
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      combatant.setFlag(
+        "eventide-rp-system",
+        this.FIRED_FLAG_KEY,
+        this.getFired(combatant).filter((entry) => entry.id !== fired.id),
+      ),
+      "settle prepared action",
+      "combatant",
+    );
+    if (error || state.winner !== "attacker") return null;
+
+    const actor = combatant.actor;
+    const actionCard = actor?.items.get(fired.actionCardId);
+    if (!actionCard) {
+      ui.notifications.warn(
+        game.i18n.format(
+          "EVENTIDE_RP_SYSTEM.PreparedActions.Errors.CardMissing",
+          { card: fired.actionCardName },
+        ),
+      );
+      return null;
+    }
+
+    Logger.info(
+      `Resolving prepared action "${actionCard.name}" for ${actor.name}`,
+      { challengeId: state.id },
+      "PREPARED_ACTIONS",
+    );
+
+    return actionCard.executeWithRollResult(actor, preparedAction.roll, {
+      lockedTargets: fired.lockedTargets,
+      skipActionCost: true,
+    });
+  }
+}
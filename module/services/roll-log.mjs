@@ -0,0 +1,568 @@
+/**
+ * Roll Log Service
+ *
+ * Keeps a persistent, per-world log of system rolls in a world compendium only
+ * GMs can open, one document per roll, trimmed to the Roll Log Retention
+ * setting. Whispered and blind rolls are never logged. Each entry records
+ * who rolled, the ability and item, the critical state, the targets whose ACs
+ * the roll beat, and the damage or healing a damage card rolled. Damage is
+ * credited to the last actor whose roll targeted the damaged actor shortly
+ * before, since damage cards are rolled by the target.
+ *
+ * Only the active GM writes the log; players ask the active GM for the rolls
+ * of the actors they own. The analytics helpers group entries into sessions
+ * and summarize them for the Roll Statistics window.
+ *
+ * @module RollLog
+ * @see module:ui/macros/roll-statistics
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+
+/**
+ * @typedef {Object} RollLogTarget
+ * @property {string|null} actorId - The targeted actor
+ * @property {string} name - The targeted actor's name
+ * @property {string[]} hits - Abilities whose AC the roll met or beat
+ */
+
+/**
+ * @typedef {Object} RollLogEntry
+ * @property {string} id - ID of the chat message
+ * @property {number} timestamp - When the roll was made
+ * @property {string|null} actorId - The rolling actor
+ * @property {string} actorName - The rolling actor's name
+ * @property {string} userName - The user who rolled
+ * @property {string} type - Roll type (ability key, "damage", "heal", "initiative", ...)
+ * @property {string|null} ability - Ability rolled, if any
+ * @property {string|null} item - Name of the item rolled, if any
+ * @property {string} formula - Roll formula
+ * @property {number} total - Roll total
+ * @property {string|null} crit - "critHit", "critMiss", "savedMiss", "stolenCrit" or null
+ * @property {RollLogTarget[]} targets - Targets checked against their AC
+ * @property {number} damage - Resolve and Power damage rolled against the actor
+ * @property {number} healing - Resolve and Power restored to the actor
+ * @property {string|null} sourceActorId - Actor credited with the damage
+ * @property {string|null} sourceActorName - Name of the actor credited with the damage
+ */
+
+/**
+ * @typedef {Object} RollLogSummary
+ * @property {number} rolls - Checks rolled (rolls that are not damage, healing or initiative)
+ * @property {number|null} average - Average check total
+ * @property {number} critHits - Critical hits, including stolen crits
+ * @property {number} critMisses - Critical misses, including saved misses
+ * @property {number|null} critRate - Share of checks that were critical hits
+ * @property {number|null} critMissRate - Share of checks that were critical misses
+ * @property {number} acChecks - Targets checked against the AC of the rolled ability
+ * @property {number} acHits - Targets whose AC of the rolled ability was met or beaten
+ * @property {number|null} hitRate - Share of AC checks that hit
+ * @property {number} damageDealt - Damage credited to the actor
+ * @property {number} damageTaken - Damage rolled against the actor
+ * @property {number} healing - Healing rolled for the actor
+ * @property {Array<{total: number, count: number, percent: number}>} distribution - Check totals
+ */
+
+/**
+ * RollLog class for recording and analysing system rolls
+ *
+ * @class RollLog
+ */
+export class RollLog {
+  /**
+   * World compendium holding the log, one JournalEntry per roll
+   * @type {string}
+   */
+  static PACK_ID = "world.rolllog";
+
+  /**
+   * Flag holding the log entry on its JournalEntry
+   * @type {string}
+   */
+  static FLAG_KEY = "rollLogEntry";
+
+  /**
+   * Gap between rolls that starts a new session
+   * @type {number}
+   */
+  static SESSION_GAP = 4 * 60 * 60 * 1000;
+
+  /**
+   * How long after a targeted roll its damage is credited to the roller
+   * @type {number}
+   */
+  static DAMAGE_WINDOW = 60 * 1000;
+
+  /**
+   * Roll types that damage a resource
+   * @type {string[]}
+   */
+  static DAMAGE_TYPES = ["damage", "power-damage"];
+
+  /**
+   * Roll types that restore a resource
+   * @type {string[]}
+   */
+  static HEAL_TYPES = ["heal", "power-heal"];
+
+  /**
+   * Pending writes, so concurrent rolls never overwrite each other
+   * @type {Promise<void>}
+   */
+  static #queue = Promise.resolve();
+
+  /**
+   * The logged entries, oldest first, as loaded from the compendium. Kept
+   * current by the active GM, who writes the log; other GMs reload it.
+   * @type {RollLogEntry[]|null}
+   * @private
+   */
+  static _entries = null;
+
+  /**
+   * Get the critical state of a roll
+   *
+   * @static
+   * @param {Object} states - Critical states from ERPSRollUtilities.determineCriticalStates
+   * @returns {string|null} The critical state, or null for a normal roll
+   */
+  static getCritState(states = {}) {
+    return (
+      ["stolenCrit", "critHit", "savedMiss", "critMiss"].find(
+        (key) => states[key],
+      ) ?? null
+    );
+  }
+
+  /**
+   * Describe the targets of a roll and the ACs it met or beat
+   *
+   * @static
+   * @param {Actor[]} actors - The targeted actors
+   * @param {number} total - The roll total
+   * @returns {RollLogTarget[]} The targets
+   */
+  static describeTargets(actors, total) {
+    return actors.filter(Boolean).map((actor) => {
+      const abilities = actor.getRollData()?.abilities ?? {};
+      return {
+        actorId: actor.id ?? null,
+        name: actor.name,
+        hits: Object.entries(abilities)
+          .filter(([, ability]) => total >= (ability?.ac?.total ?? Infinity))
+          .map(([key]) => key),
+      };
+    });
+  }
+
+  /**
+   * Get the logged rolls, oldest first. Only GMs can read the log.
+   *
+   * @static
+   * @returns {Promise<RollLogEntry[]>} The entries
+   */
+  static async getEntries() {
+    if (!game.user.isGM) return [];
+
+    if (!this._entries || !game.users.activeGM?.isSelf) {
+      const pack = game.packs.get(this.PACK_ID);
+      const documents = pack ? await pack.getDocuments() : [];
+      this._entries = documents
+        .map((document) =>
+          document.getFlag("eventide-rp-system", this.FLAG_KEY),
+        )
+        .filter(Boolean)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    }
+    return [...this._entries];
+  }
+
+  /**
+   * Get the logged rolls a user may see: everything for a GM, the rolls of
+   * actors they own for a player. Waits for pending writes first.
+   *
+   * @static
+   * @param {User} user - The user asking
+   * @returns {Promise<RollLogEntry[]>} The entries, oldest first
+   */
+  static async getEntriesFor(user) {
+    await this.#queue;
+    const entries = await this.getEntries();
+    if (user.isGM) return entries;
+    return entries.filter((entry) =>
+      game.actors.get(entry.actorId)?.testUserPermission(user, "OWNER"),
+    );
+  }
+
+  /**
+   * Get the roll log compendium, creating it if needed. Players have no
+   * access to it.
+   *
+   * @static
+   * @private
+   * @returns {Promise<CompendiumCollection>} The compendium
+   */
+  static async _getPack() {
+    return (
+      game.packs.get(this.PACK_ID) ??
+      foundry.documents.collections.CompendiumCollection.createCompendium({
+        name: this.PACK_ID.replace(/^world\./, ""),
+        label: "Roll Log",
+        type: "JournalEntry",
+        ownership: { PLAYER: "NONE", TRUSTED: "NONE", ASSISTANT: "OWNER" },
+      })
+    );
+  }
+
+  /**
+   * Build a log entry from a roll chat message
+   *
+   * @static
+   * @param {ChatMessage} message - The chat message
+   * @param {RollLogEntry[]} [entries=[]] - Earlier entries, used to credit damage
+   * @returns {RollLogEntry|null} The entry, or null if the message is not a system roll
+   */
+  static buildEntry(message, entries = []) {
+    const roll = message.flags?.["eventide-rp-system"]?.roll;
+    if (!roll) return null;
+
+    const actorId = message.speaker?.actor ?? null;
+    const actor = actorId ? game.actors.get(actorId) : null;
+    const timestamp = message.timestamp ?? Date.now();
+    const type = String(roll.type ?? "unknown").toLowerCase();
+    const sections = roll.sections ?? [{ type, total: roll.total }];
+
+    const sumOf = (types) =>
+      sections
+        .filter((section) => types.includes(section.type))
+        .reduce(
+          (sum, section) => sum + Math.abs(Number(section.total) || 0),
+          0,
+        );
+    const damage = sumOf(this.DAMAGE_TYPES);
+
+    // Damage cards are rolled by the target; credit whoever targeted them last
+    const source = damage
+      ? entries.findLast(
+          (entry) =>
+            entry.actorId !== actorId &&
+            timestamp - entry.timestamp <= this.DAMAGE_WINDOW &&
+            entry.targets.some((target) => target.actorId === actorId),
+        )
+      : null;
+
+    return {
+      id: message.id,
+      timestamp,
+      actorId,
+      actorName: actor?.name ?? message.speaker?.alias ?? "",
+      userName: message.author?.name ?? "",
+      type,
+      ability: type in CONFIG.EVENTIDE_RP_SYSTEM.abilities ? type : null,
+      item: roll.item ?? null,
+      formula: roll.formula ?? "",
+      total: Number(roll.total) || 0,
+      crit: roll.crit ?? null,
+      targets: roll.targets ?? [],
+      damage,
+      healing: sumOf(this.HEAL_TYPES),
+      sourceActorId: source?.actorId ?? null,
+      sourceActorName: source?.actorName ?? null,
+    };
+  }
+
+  /**
+   * Record a roll chat message in the log. Only the active GM records, and
+   * whispered and blind rolls are left out.
+   *
+   * @static
+   * @param {ChatMessage} message - The chat message
+   * @returns {Promise<void>}
+   */
+  static record(message) {
+    if (!message.flags?.["eventide-rp-system"]?.roll) return this.#queue;
+    if (message.whisper?.length || message.blind) return this.#queue;
+    if (!(game.users.activeGM?.isSelf ?? game.user.isGM)) return this.#queue;
+
+    this.#queue = this.#queue
+      .then(() => this.#append(message))
+      .catch((error) =>
+        Logger.error("Failed to record roll", error, "ROLL_LOG"),
+      );
+    return this.#queue;
+  }
+
+  /**
+   * Add an entry to the log and delete the oldest past the retention limit.
+   * Each roll creates one document; earlier entries are not rewritten.
+   *
+   * @static
+   * @private
+   * @param {ChatMessage} message - The chat message
+   * @returns {Promise<void>}
+   */
+  static async #append(message) {
+    const entries = await this.getEntries();
+    const entry = this.buildEntry(message, entries);
+    if (!entry) return;
+
+    const pack = await this._getPack();
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      CONFIG.JournalEntry.documentClass.create(
+        {
+          _id: entry.id,
+          name: `${entry.actorName}: ${entry.type}`,
+          flags: { "eventide-rp-system": { [this.FLAG_KEY]: entry } },
+        },
+        { pack: pack.collection, keepId: true },
+      ),
+      "record roll",
+      "journal entry",
+    );
+    if (error) return;
+    this._entries.push(entry);
+    Logger.debug(`Recorded ${entry.type} roll`, entry, "ROLL_LOG");
+
+    const retention = game.settings.get(
+      "eventide-rp-system",
+      "rollLogRetention",
+    );
+    if (retention > 0 && this._entries.length > retention) {
+      const expired = this._entries.splice(0, this._entries.length - retention);
+      await ErrorHandler.handleDocumentOperation(
+        CONFIG.JournalEntry.documentClass.deleteDocuments(
+          expired.map((expiredEntry) => expiredEntry.id),
+          { pack: pack.collection },
+        ),
+        "trim roll log",
+        "journal entry",
+      );
+    }
+  }
+
+  /**
+   * Empty the log. GM only.
+   *
+   * @static
+   * @returns {Promise<boolean>} Whether the log was cleared
+   */
+  static async clear() {
+    if (!game.user.isGM) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.GMOnly"),
+      );
+      return false;
+    }
+
+    const pack = game.packs.get(this.PACK_ID);
+    if (!pack) return true;
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      CONFIG.JournalEntry.documentClass.deleteDocuments([], {
+        pack: pack.collection,
+        deleteAll: true,
+      }),
+      "clear roll log",
+      "journal entry",
+    );
+    if (!error) this._entries = [];
+    return !error;
+  }
+
+  /**
+   * Group entries into sessions: a gap of SESSION_GAP without rolls starts a
+   * new session
+   *
+   * @static
+   * @param {RollLogEntry[]} entries - The entries, oldest first
+   * @returns {Array<{id: string, start: number, end: number, count: number}>} The sessions, oldest first
+   */
+  static getSessions(entries) {
+    const sessions = [];
+    for (const entry of entries) {
+      const session = sessions.at(-1);
+      if (session && entry.timestamp - session.end <= this.SESSION_GAP) {
+        session.end = entry.timestamp;
+        session.count++;
+      } else {
+        sessions.push({
+          id: String(entry.timestamp),
+          start: entry.timestamp,
+          end: entry.timestamp,
+          count: 1,
+        });
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Filter entries by session and actor. Entries crediting damage to the
+   * actor are kept along with the actor's own rolls.
+   *
+   * @static
+   * @param {RollLogEntry[]} entries - The entries, oldest first
+   * @param {Object} [filters={}] - The filters
+   * @param {string} [filters.sessionId] - Session ID from getSessions
+   * @param {string} [filters.actorId] - Actor ID
+   * @returns {RollLogEntry[]} The matching entries
+   */
+  static filter(entries, { sessionId, actorId } = {}) {
+    let result = entries;
+    if (sessionId) {
+      const session = this.getSessions(entries).find((s) => s.id === sessionId);
+      result = session
+        ? result.filter(
+            (entry) =>
+              entry.timestamp >= session.start &&
+              entry.timestamp <= session.end,
+          )
+        : [];
+    }
+    if (actorId) {
+      result = result.filter(
+        (entry) => entry.actorId === actorId || entry.sourceActorId === actorId,
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Summarize entries: check distribution, crit rates, hit rate against AC
+   * and damage totals. With an actor, damage dealt counts damage credited to
+   * them and everything else counts their own rolls.
+   *
+   * @static
+   * @param {RollLogEntry[]} entries - The entries
+   * @param {string|null} [actorId=null] - Actor to summarize, or null for everyone
+   * @returns {RollLogSummary} The summary
+   */
+  static summarize(entries, actorId = null) {
+    const own = actorId
+      ? entries.filter((entry) => entry.actorId === actorId)
+      : entries;
+    const checks = own.filter(
+      (entry) =>
+        !this.DAMAGE_TYPES.includes(entry.type) &&
+        !this.HEAL_TYPES.includes(entry.type) &&
+        entry.type !== "initiative",
+    );
+    const rate = (count, of) => (of ? count / of : null);
+
+    const critHits = checks.filter((entry) =>
+      ["critHit", "stolenCrit"].includes(entry.crit),
+    ).length;
+    const critMisses = checks.filter((entry) =>
+      ["critMiss", "savedMiss"].includes(entry.crit),
+    ).length;
+
+    let acChecks = 0;
+    let acHits = 0;
+    for (const entry of checks) {
+      if (!entry.ability) continue;
+      for (const target of entry.targets) {
+        acChecks++;
+        if (target.hits.includes(entry.ability)) acHits++;
+      }
+    }
+
+    const counts = new Map();
+    for (const entry of checks) {
+      counts.set(entry.total, (counts.get(entry.total) ?? 0) + 1);
+    }
+    const distribution = [...counts.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([total, count]) => ({
+        total,
+        count,
+        percent: Math.round((count / checks.length) * 100),
+      }));
+
+    const dealt = actorId
+      ? entries.filter((entry) => entry.sourceActorId === actorId)
+      : entries;
+
+    return {
+      rolls: checks.length,
+      average: checks.length
+        ? Math.round(
+            (checks.reduce((sum, entry) => sum + entry.total, 0) /
+              checks.length) *
+              10,
+          ) / 10
+        : null,
+      critHits,
+      critMisses,
+      critRate: rate(critHits, checks.length),
+      critMissRate: rate(critMisses, checks.length),
+      acChecks,
+      acHits,
+      hitRate: rate(acHits, acChecks),
+      damageDealt: dealt.reduce((sum, entry) => sum + entry.damage, 0),
+      damageTaken: own.reduce((sum, entry) => sum + entry.damage, 0),
+      healing: own.reduce((sum, entry) => sum + entry.healing, 0),
+      distribution,
+    };
+  }
+
+  /**
+   * Convert entries to CSV, one row per roll
+   *
+   * @static
+   * @param {RollLogEntry[]} entries - The entries
+   * @returns {string} The CSV text
+   */
+  static toCSV(entries) {
+    const sessions = this.getSessions(entries);
+    const sessionOf = (entry) =>
+      sessions.findLast((session) => entry.timestamp >= session.start);
+    const columns = [
+      "timestamp",
+      "session",
+      "actor",
+      "user",
+      "type",
+      "ability",
+      "item",
+      "formula",
+      "total",
+      "crit",
+      "targets",
+      "acHits",
+      "damage",
+      "healing",
+      "damageSource",
+    ];
+    const escape = (value) => {
+      const text = String(value ?? "");
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map((entry) =>
+      [
+        new Date(entry.timestamp).toISOString(),
+        new Date(sessionOf(entry)?.start ?? entry.timestamp).toISOString(),
+        entry.actorName,
+        entry.userName,
+        entry.type,
+        entry.ability,
+        entry.item,
+        entry.formula,
+        entry.total,
+        entry.crit,
+        entry.targets.map((target) => target.name).join("; "),
+        entry.targets
+          .map((target) => `${target.name}: ${target.hits.join(" ")}`)
+          .join("; "),
+        entry.damage,
+        entry.healing,
+        entry.sourceActorName,
+      ]
+        .map(escape)
+        .join(","),
+    );
+
+    return [columns.join(","), ...rows].join("\n");
+  }
+}
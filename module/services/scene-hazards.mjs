@@ -0,0 +1,347 @@
+/**
+ * SceneHazards Service
+ *
+ * Resolves state-based hazards (burning ground, poison clouds, ...) at the end
+ * of each combat round. A hazard is a saved-damage action card attached to a
+ * scene region or to a fixed list of tokens; when a round ends the card's
+ * saved damage and embedded status effects are applied to every token still
+ * affected, and the results are posted as one summary chat card.
+ *
+ * @module SceneHazards
+ * @see module:services/hooks/combat
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { DamageProcessor } from "./damage-processor.mjs";
+import { StatusEffectApplicator } from "./status-effect-applicator.mjs";
+
+const { renderTemplate } = foundry.applications.handlebars;
+
+/**
+ * @typedef {Object} HazardData
+ * @property {string} id - Unique ID of the hazard within its scene
+ * @property {string} name - Display name of the hazard
+ * @property {string} actionCardUuid - UUID of the saved-damage action card
+ * @property {string|null} regionId - ID of the scene region the hazard covers
+ * @property {string[]} tokenIds - IDs of the tokens affected when no region is set
+ */
+
+/**
+ * @typedef {Object} HazardTokenResult
+ * @property {string} name - Token name
+ * @property {number|null} resolve - Resolve damage or healing dealt
+ * @property {number|null} power - Power damage or healing dealt
+ * @property {string[]} statuses - Names of statuses applied or intensified
+ */
+
+/**
+ * @typedef {Object} HazardResult
+ * @property {HazardData} hazard - The hazard that was resolved
+ * @property {HazardTokenResult[]} tokens - What happened to each affected token
+ */
+
+/**
+ * SceneHazards class for managing and resolving end-of-round hazards
+ *
+ * @class SceneHazards
+ */
+export class SceneHazards {
+  /**
+   * Scene flag key holding the hazard list
+   * @type {string}
+   */
+  static FLAG_KEY = "hazards";
+
+  /**
+   * Template used for the end-of-round summary card
+   * @type {string}
+   */
+  static SUMMARY_TEMPLATE =
+    "systems/eventide-rp-system/templates/chat/hazard-summary.hbs";
+
+  /**
+   * Get the hazards defined on a scene
+   *
+   * @static
+   * @param {Scene} scene - The scene to read
+   * @returns {HazardData[]} The scene's hazards
+   */
+  static getHazards(scene) {
+    return scene?.getFlag("eventide-rp-system", this.FLAG_KEY) ?? [];
+  }
+
+  /**
+   * Check whether an item can be used as a hazard
+   *
+   * @static
+   * @param {Item} item - The item to check
+   * @returns {boolean} True for saved-damage action cards
+   */
+  static isHazardCard(item) {
+    return item?.type === "actionCard" && item.system?.mode === "savedDamage";
+  }
+
+  /**
+   * Attach a hazard to a scene region or to a list of tokens
+   *
+   * @static
+   * @param {Scene} scene - The scene the hazard belongs to
+   * @param {Object} options - Hazard options
+   * @param {Item} options.actionCard - The saved-damage action card to apply
+   * @param {string|null} [options.regionId=null] - Region the hazard covers
+   * @param {string[]} [options.tokenIds=[]] - Tokens affected when no region is given
+   * @param {string} [options.name] - Display name (defaults to the card name)
+   * @returns {Promise<HazardData|null>} The new hazard, or null if it was invalid
+   */
+  static async addHazard(
+    scene,
+    { actionCard, regionId = null, tokenIds = [], name } = {},
+  ) {
+    if (!this.isHazardCard(actionCard)) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Hazards.Errors.NotSavedDamage"),
+      );
+      return null;
+    }
+    if (!regionId && !tokenIds.length) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Hazards.Errors.NoArea"),
+      );
+      return null;
+    }
+
+    const hazard = {
+      id: foundry.utils.randomID(),
+      name: name?.trim() || actionCard.name,
+      actionCardUuid: actionCard.uuid,
+      regionId: regionId || null,
+      tokenIds: regionId ? [] : [...tokenIds],
+    };
+
+    const [, error] = await ErrorHandler.handleDocumentOperation(
+      scene.setFlag("eventide-rp-system", this.FLAG_KEY, [
+        ...this.getHazards(scene),
+        hazard,
+      ]),
+      "add hazard",
+      "scene",
+    );
+    if (error) return null;
+
+    Logger.info(
+      `Added hazard "${hazard.name}" to scene "${scene.name}"`,
+      hazard,
+      "HAZARDS",
+    );
+    return hazard;
+  }
+
+  /**
+   * Remove a hazard from a scene
+   *
+   * @static
+   * @param {Scene} scene - The scene the hazard belongs to
+   * @param {string} hazardId - ID of the hazard to remove
+   * @returns {Promise<void>}
+   */
+  static async removeHazard(scene, hazardId) {
+    await ErrorHandler.handleDocumentOperation(
+      scene.setFlag(
+        "eventide-rp-system",
+        this.FLAG_KEY,
+        this.getHazards(scene).filter((hazard) => hazard.id !== hazardId),
+      ),
+      "remove hazard",
+      "scene",
+    );
+  }
+
+  /**
+   * Get the tokens currently affected by a hazard. Region hazards affect the
+   * tokens inside the region right now; token-list hazards affect whichever
+   * of their tokens are still on the scene.
+   *
+   * @static
+   * @param {Scene} scene - The scene the hazard belongs to
+   * @param {HazardData} hazard - The hazard
+   * @returns {TokenDocument[]} Affected tokens that have an actor
+   */
+  static getAffectedTokens(scene, hazard) {
+    const tokens = hazard.regionId
+      ? [...(scene.regions.get(hazard.regionId)?.tokens ?? [])]
+      : hazard.tokenIds.map((id) => scene.tokens.get(id));
+
+    return tokens.filter((token) => token?.actor);
+  }
+
+  /**
+   * Resolve hazards when a combat update ends a round
+   *
+   * @static
+   * @param {Combat} combat - The combat that was updated
+   * @param {Object} changed - The differential data that was changed
+   * @param {Object} [options={}] - Update options (direction is set by turn/round navigation)
+   * @returns {Promise<HazardResult[]>} The resolved hazards
+   */
+  static async processCombatUpdate(combat, changed, options = {}) {
+    if (!("round" in changed)) return [];
+    if (!combat.started || options.direction < 0) return [];
+
+    const endedRound = combat.previous?.round ?? 0;
+    if (endedRound < 1) return [];
+
+    const scene = combat.scene ?? game.scenes.viewed;
+    if (!scene) return [];
+
+    return this.resolveHazards(scene, { round: endedRound });
+  }
+
+  /**
+   * Apply every hazard on a scene to the tokens it currently affects and post
+   * a summary of the results
+   *
+   * @static
+   * @param {Scene} scene - The scene whose hazards should resolve
+   * @param {Object} [options={}] - Resolution options
+   * @param {number|null} [options.round=null] - The round that ended, shown on the summary
+   * @returns {Promise<HazardResult[]>} The resolved hazards
+   */
+  static async resolveHazards(scene, { round = null } = {}) {
+    const hazards = this.getHazards(scene);
+    if (!hazards.length) return [];
+
+    Logger.methodEntry("SceneHazards", "resolveHazards", {
+      sceneName: scene.name,
+      round,
+      hazardCount: hazards.length,
+    });
+
+    const results = [];
+    for (const hazard of hazards) {
+      const tokens = this.getAffectedTokens(scene, hazard);
+      if (!tokens.length) continue;
+
+      const actionCard = await fromUuid(hazard.actionCardUuid);
+      if (!this.isHazardCard(actionCard)) {
+        Logger.warn(
+          `Hazard "${hazard.name}" has no saved-damage action card, skipping`,
+          { actionCardUuid: hazard.actionCardUuid },
+          "HAZARDS",
+        );
+        continue;
+      }
+
+      results.push(await this.applyHazard(hazard, actionCard, tokens));
+    }
+
+    if (results.length) {
+      await this._postSummary(scene, results, round);
+    }
+
+    Logger.methodExit("SceneHazards", "resolveHazards", results);
+    return results;
+  }
+
+  /**
+   * Apply a hazard's saved damage and status effects to a set of tokens
+   *
+   * @static
+   * @param {HazardData} hazard - The hazard being resolved
+   * @param {Item} actionCard - The hazard's saved-damage action card
+   * @param {TokenDocument[]} tokens - The affected tokens
+   * @returns {Promise<HazardResult>} What happened to each token
+   */
+  static async applyHazard(hazard, actionCard, tokens) {
+    const { savedDamage } = actionCard.system;
+
+    const damageResults = await DamageProcessor.processSavedDamage(tokens, {
+      formula: savedDamage.formula,
+      type: savedDamage.type,
+      kind: savedDamage.kind,
+      powerFormula: savedDamage.powerFormula,
+      powerType: savedDamage.powerType,
+      label: hazard.name,
+      description: actionCard.system.description || savedDamage.description,
+      img: actionCard.img,
+      bgColor: actionCard.system.bgColor,
+      textColor: actionCard.system.textColor,
+    });
+
+    const statusResults = [];
+    for (const token of tokens) {
+      statusResults.push(
+        ...(await StatusEffectApplicator.applyEffectsToTarget({
+          target: token.actor,
+          effectsToApply: actionCard.system.embeddedStatusEffects.map(
+            (effect) => foundry.utils.deepClone(effect),
+          ),
+          sourceActor: actionCard.actor ?? null,
+          sourceActionCard: actionCard,
+          attemptInventoryReduction: false,
+          repetitionContext: null,
+          disableDelays: true,
+          isFinalRepetition: true,
+        })),
+      );
+    }
+
+    return {
+      hazard,
+      tokens: tokens.map((token) => {
+        const damage = damageResults.find(
+          (result) => result.target === token.actor,
+        );
+        return {
+          name: token.name,
+          resolve: damage?.resolveRoll?.total ?? null,
+          power: damage?.powerRoll?.total ?? null,
+          statuses: statusResults
+            .filter((result) => result.target === token.actor && result.applied)
+            .map((result) => result.effect.name),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Post the end-of-round hazard summary card
+   *
+   * @static
+   * @private
+   * @param {Scene} scene - The scene whose hazards resolved
+   * @param {HazardResult[]} results - The resolved hazards
+   * @param {number|null} round - The round that ended
+   * @returns {Promise<ChatMessage>} The created message
+   */
+  static async _postSummary(scene, results, round) {
+    const amount = (key, value) =>
+      value === null
+        ? null
+        : game.i18n.format(`EVENTIDE_RP_SYSTEM.Hazards.Summary.${key}`, {
+            amount: value,
+          });
+
+    const content = await renderTemplate(this.SUMMARY_TEMPLATE, {
+      context: round
+        ? game.i18n.format("EVENTIDE_RP_SYSTEM.Hazards.Summary.Round", {
+            round,
+            scene: scene.name,
+          })
+        : null,
+      hazards: results.map(({ hazard, tokens }) => ({
+        name: hazard.name,
+        tokens: tokens.map((token) => ({
+          ...token,
+          resolve: amount("Resolve", token.resolve),
+          power: amount("Power", token.power),
+        })),
+      })),
+    });
+
+    return ChatMessage.create({
+      speaker: { alias: scene.name },
+      content,
+    });
+  }
+}
@@ -57,6 +57,38 @@ EVENTIDE_RP_SYSTEM.hiddenAbilities = {
   healIncrease: `EVENTIDE_RP_SYSTEM.HiddenAbilities.HealIncrease.long`,
 };
 
+/**
+ * Damage types that action cards and saved damage can deal.
+ * Actors carry a resistance, vulnerability and immunity value for each type.
+ * Add entries in an `init` hook to make more types available.
+ *
+ * @type {Object<string, string>}
+ */
+EVENTIDE_RP_SYSTEM.damageTypes = {
+  slashing: "EVENTIDE_RP_SYSTEM.DamageTypes.Slashing",
+  piercing: "EVENTIDE_RP_SYSTEM.DamageTypes.Piercing",
+  bludgeoning: "EVENTIDE_RP_SYSTEM.DamageTypes.Bludgeoning",
+  fire: "EVENTIDE_RP_SYSTEM.DamageTypes.Fire",
+  cold: "EVENTIDE_RP_SYSTEM.DamageTypes.Cold",
+  lightning: "EVENTIDE_RP_SYSTEM.DamageTypes.Lightning",
+  acid: "EVENTIDE_RP_SYSTEM.DamageTypes.Acid",
+  poison: "EVENTIDE_RP_SYSTEM.DamageTypes.Poison",
+  psychic: "EVENTIDE_RP_SYSTEM.DamageTypes.Psychic",
+  radiant: "EVENTIDE_RP_SYSTEM.DamageTypes.Radiant",
+  necrotic: "EVENTIDE_RP_SYSTEM.DamageTypes.Necrotic",
+};
+
+/**
+ * Modifiers an actor can have against a damage type.
+ *
+ * @type {Object<string, string>}
+ */
+EVENTIDE_RP_SYSTEM.damageModifiers = {
+  resistance: "EVENTIDE_RP_SYSTEM.DamageTypes.Modifiers.Resistance",
+  vulnerability: "EVENTIDE_RP_SYSTEM.DamageTypes.Modifiers.Vulnerability",
+  immunity: "EVENTIDE_RP_SYSTEM.DamageTypes.Modifiers.Immunity",
+};
+
 /**
  * Override abilities used for Power and Resolve settings overrides.
  * These are only available in the Settings Effects section, not Hidden Effects.
@@ -126,3 +158,89 @@ EVENTIDE_RP_SYSTEM.classNames = {
   spell: "EVENTIDE_RP_SYSTEM.ClassNames.Spell",
   other: "EVENTIDE_RP_SYSTEM.ClassNames.Other",
 };
+
+/**
+ * Duration units for status items.
+ * Timed statuses count down during combat and are removed when they expire.
+ *
+ * @type {Object<string, string>}
+ */
+EVENTIDE_RP_SYSTEM.statusDurationUnits = {
+  none: "EVENTIDE_RP_SYSTEM.Item.Duration.Units.None",
+  rounds: "EVENTIDE_RP_SYSTEM.Item.Duration.Units.Rounds",
+  turns: "EVENTIDE_RP_SYSTEM.Item.Duration.Units.Turns",
+};
+
+/**
+ * Duration units for transformation items.
+ * Timed transformations revert after a number of combat rounds or turns, or
+ * after an amount of world time in seconds.
+ *
+ * @type {Object<string, string>}
+ */
+EVENTIDE_RP_SYSTEM.transformationDurationUnits = {
+  ...EVENTIDE_RP_SYSTEM.statusDurationUnits,
+  seconds: "EVENTIDE_RP_SYSTEM.Item.Duration.Units.Seconds",
+};
+
+/**
+ * Encumbrance tiers.
+ * A tier applies while the gear load exceeds its threshold times the carrying
+ * capacity; the highest tier reached applies its effects through a status.
+ * Effects use the ability/mode/value form of character effects.
+ *
+ * @type {Object<string, {label: string, threshold: number, effects: Array<{ability: string, mode: string, value: number}>}>}
+ */
+EVENTIDE_RP_SYSTEM.encumbranceTiers = {
+  burdened: {
+    label: "EVENTIDE_RP_SYSTEM.Encumbrance.Tiers.Burdened",
+    threshold: 1,
+    effects: [{ ability: "acro", mode: "disadvantage", value: 1 }],
+  },
+  overloaded: {
+    label: "EVENTIDE_RP_SYSTEM.Encumbrance.Tiers.Overloaded",
+    threshold: 1.5,
+    effects: [
+      { ability: "acro", mode: "add", value: -1 },
+      { ability: "acro", mode: "disadvantage", value: 2 },
+      { ability: "phys", mode: "disadvantage", value: 1 },
+    ],
+  },
+};
+
+/**
+ * Character creation rules, from the ERPS character creation ruleset.
+ * The stat points budget at the starting level comes from the Stat Points
+ * Formula setting. Power presets are the action card presets offered for the
+ * first combat power; saved damage presets cannot carry one.
+ *
+ * @type {{startingLevel: number, maxAbility: number, minAbility: number, featureCompendium: string, powerPresets: string[]}}
+ */
+EVENTIDE_RP_SYSTEM.characterCreation = {
+  startingLevel: 1,
+  maxAbility: 6,
+  minAbility: 1,
+  featureCompendium: "eventide-rp-system.erps-features",
+  powerPresets: [
+    "basicAttack",
+    "damageAndStatus",
+    "spellWithStatus",
+    "multiHitAttack",
+    "critFishing",
+  ],
+};
+
+/**
+ * Encounter difficulty tiers, from the Sweet Spot Guidelines in the core
+ * rules. A tier covers party levels up to maxLevel and gives the DC of a sweet
+ * spot challenge, the difficult DC range and the DC where near impossible
+ * starts. The encounter builder rates encounters on this scale.
+ *
+ * @type {{maxLevel: number, sweetSpot: number, difficult: number[], nearImpossible: number}[]}
+ */
+EVENTIDE_RP_SYSTEM.encounterDifficulty = [
+  { maxLevel: 5, sweetSpot: 25, difficult: [30, 35], nearImpossible: 40 },
+  { maxLevel: 10, sweetSpot: 30, difficult: [35, 40], nearImpossible: 45 },
+  { maxLevel: 15, sweetSpot: 35, difficult: [40, 45], nearImpossible: 50 },
+  { maxLevel: 20, sweetSpot: 40, difficult: [45, 50], nearImpossible: 55 },
+];
@@ -1,6 +1,7 @@
 import { EventideSheetHelpers } from "../../ui/_module.mjs";
 import { erpsSoundManager, Logger } from "../_module.mjs";
 import { FormulaValidator } from "../formula-validator.mjs";
+import { Encumbrance } from "../encumbrance.mjs";
 import { SOURCE_SCOPES } from "../../helpers/item-source-collector.mjs";
 
 /**
@@ -278,7 +279,8 @@ export class SoundSettingsApplication extends EventideSheetHelpers {
  * validation, sanitization, warning, and revert behavior.
  *
  * Extracts the repeated pattern from initiativeFormula, crToXpFormula,
- * maxPowerFormula, maxResolveFormula, and statPointsFormula settings.
+ * maxPowerFormula, maxResolveFormula, statPointsFormula and the action
+ * recovery formula settings.
  * Each onChange handler follows the same steps:
  *   1. Sanitize the formula
  *   2. Validate the sanitized formula
@@ -639,6 +641,101 @@ export const registerSettings = function () {
     },
   });
 
+  // Track Action Economy (can be changed immediately)
+  game.settings.register("eventide-rp-system", "enableActionEconomy", {
+    name: "SETTINGS.EnableActionEconomyName",
+    hint: "SETTINGS.EnableActionEconomyHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+    onChange: () => ui.combat?.render(),
+  });
+
+  // Automate Critical Action Economy (can be changed immediately)
+  game.settings.register("eventide-rp-system", "automateCriticalActions", {
+    name: "SETTINGS.AutomateCriticalActionsName",
+    hint: "SETTINGS.AutomateCriticalActionsHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false,
+  });
+
+  // End-of-Turn Action Recovery (can be changed immediately)
+  game.settings.register("eventide-rp-system", "actionRecoveryMode", {
+    name: "SETTINGS.ActionRecoveryModeName",
+    hint: "SETTINGS.ActionRecoveryModeHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    default: "prompt",
+    choices: {
+      off: "SETTINGS.ActionRecoveryModeOff",
+      prompt: "SETTINGS.ActionRecoveryModePrompt",
+      automatic: "SETTINGS.ActionRecoveryModeAutomatic",
+    },
+  });
+
+  // Resolve restored per converted action (can be changed immediately)
+  registerFormulaSetting("recoveryResolveFormula", {
+    name: "SETTINGS.RecoveryResolveFormulaName",
+    hint: "SETTINGS.RecoveryResolveFormulaHint",
+    default: "20",
+    settingType: "recoveryResolve",
+    requiredRefs: [],
+  });
+
+  // Power restored per converted action (can be changed immediately)
+  registerFormulaSetting("recoveryPowerFormula", {
+    name: "SETTINGS.RecoveryPowerFormulaName",
+    hint: "SETTINGS.RecoveryPowerFormulaHint",
+    default: "1",
+    settingType: "recoveryPower",
+    requiredRefs: [],
+  });
+
+  // Status applied at 0 Resolve (can be changed immediately)
+  game.settings.register("eventide-rp-system", "downedStatusUuid", {
+    name: "SETTINGS.DownedStatusUuidName",
+    hint: "SETTINGS.DownedStatusUuidHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    default: "",
+  });
+
+  // Skip Downed Combatants' Turns (can be changed immediately)
+  game.settings.register("eventide-rp-system", "skipDownedTurns", {
+    name: "SETTINGS.SkipDownedTurnsName",
+    hint: "SETTINGS.SkipDownedTurnsHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false,
+  });
+
+  // Help Up Threat Range (can be changed immediately)
+  game.settings.register("eventide-rp-system", "helpUpThreatRange", {
+    name: "SETTINGS.HelpUpThreatRangeName",
+    hint: "SETTINGS.HelpUpThreatRangeHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Number,
+    default: 6,
+    range: {
+      min: 1,
+      max: 30,
+      step: 1,
+    },
+  });
+
   // ===========================================
   // GEAR SETTINGS (GM Only - No Reload Needed)
   // ===========================================
@@ -696,6 +793,21 @@ export const registerSettings = function () {
     },
   });
 
+  // Player Action Mode (can be changed immediately)
+  game.settings.register("eventide-rp-system", "playerActionMode", {
+    name: "SETTINGS.PlayerActionModeName",
+    hint: "SETTINGS.PlayerActionModeHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    default: "approval",
+    choices: {
+      approval: "SETTINGS.PlayerActionModeApproval",
+      trusted: "SETTINGS.PlayerActionModeTrusted",
+    },
+  });
+
   // Default Item Selector Scopes (GM Only)
   game.settings.register(
     "eventide-rp-system",
@@ -721,6 +833,44 @@ export const registerSettings = function () {
     },
   );
 
+  // ===========================================
+  // CHARACTER SETTINGS (GM Only - No Reload Needed)
+  // ===========================================
+
+  // Character Creation Wizard (can be changed immediately)
+  game.settings.register("eventide-rp-system", "characterCreationWizard", {
+    name: "SETTINGS.CharacterCreationWizardName",
+    hint: "SETTINGS.CharacterCreationWizardHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  });
+
+  // XP Award Prompt (can be changed immediately)
+  game.settings.register("eventide-rp-system", "xpAwardPrompt", {
+    name: "SETTINGS.XpAwardPromptName",
+    hint: "SETTINGS.XpAwardPromptHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: true,
+  });
+
+  // XP Table (can be changed immediately, readiness updates on the next award)
+  game.settings.register("eventide-rp-system", "xpTable", {
+    name: "SETTINGS.XpTableName",
+    hint: "SETTINGS.XpTableHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    default:
+      "1000, 3400, 7600, 14000, 23000, 35000, 50400, 69600, 93000, 121000, 154000, 192400, 236600, 287000, 344000, 408000, 479400, 558600, 646000",
+  });
+
   // ===========================================
   // NPC SETTINGS (GM Only - No Reload Needed)
   // ===========================================
@@ -828,6 +978,20 @@ export const registerSettings = function () {
     },
   });
 
+  // Carrying Capacity Formula ("0" turns encumbrance off)
+  registerFormulaSetting("carryCapacityFormula", {
+    name: "SETTINGS.CarryCapacityFormulaName",
+    hint: "SETTINGS.CarryCapacityFormulaHint",
+    default: "50 + (10 * @phys.total)",
+    settingType: "carryCapacity",
+    requiredRefs: [],
+    onSuccess: () => {
+      _refreshAllActorDerivedData();
+      if (!game.users.activeGM?.isSelf) return;
+      for (const actor of game.actors) Encumbrance.update(actor);
+    },
+  });
+
   // ===========================================
   // POWER/RESOLVE VALUE SETTINGS (GM Only)
   // ===========================================
@@ -950,6 +1114,26 @@ export const registerSettings = function () {
     },
   });
 
+  // ===========================================
+  // ROLL LOG SETTINGS (GM Only - No Reload Needed)
+  // ===========================================
+
+  // Roll Log Retention (can be changed immediately, trims on the next roll)
+  game.settings.register("eventide-rp-system", "rollLogRetention", {
+    name: "SETTINGS.RollLogRetentionName",
+    hint: "SETTINGS.RollLogRetentionHint",
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Number,
+    default: 2000,
+    range: {
+      min: 0,
+      max: 20000,
+      step: 500,
+    },
+  });
+
   // ===========================================
   // MIGRATION TRACKING SETTINGS (Hidden)
   // ===========================================
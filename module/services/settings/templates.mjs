@@ -17,15 +17,20 @@ export const preloadHandlebarsTemplates = async function () {
     "systems/eventide-rp-system/templates/actor/statuses.hbs",
 
     // Chat message templates
+    "systems/eventide-rp-system/templates/chat/challenge-message.hbs",
+    "systems/eventide-rp-system/templates/chat/action-economy-message.hbs",
     "systems/eventide-rp-system/templates/chat/combat-power-message.hbs",
     "systems/eventide-rp-system/templates/chat/delete-status-message.hbs",
+    "systems/eventide-rp-system/templates/chat/downed-message.hbs",
     "systems/eventide-rp-system/templates/chat/feature-message.hbs",
     "systems/eventide-rp-system/templates/chat/gear-equip-message.hbs",
     "systems/eventide-rp-system/templates/chat/gear-transfer-message.hbs",
+    "systems/eventide-rp-system/templates/chat/hazard-summary.hbs",
     "systems/eventide-rp-system/templates/chat/initiative-roll.hbs",
     "systems/eventide-rp-system/templates/chat/restore-message.hbs",
     "systems/eventide-rp-system/templates/chat/roll-message.hbs",
     "systems/eventide-rp-system/templates/chat/status-message.hbs",
+    "systems/eventide-rp-system/templates/chat/xp-award.hbs",
 
     // Item partials
     "systems/eventide-rp-system/templates/item/attribute-parts/combat-power.hbs",
@@ -36,14 +41,26 @@ export const preloadHandlebarsTemplates = async function () {
     "systems/eventide-rp-system/templates/item/header.hbs",
     "systems/eventide-rp-system/templates/item/prerequisites.hbs",
 
+    // Token HUD templates
+    "systems/eventide-rp-system/templates/hud/token-quick-panel.hbs",
+
     // Macro templates
+    "systems/eventide-rp-system/templates/macros/challenge-roll.hbs",
     "systems/eventide-rp-system/templates/macros/change-target-status.hbs",
     "systems/eventide-rp-system/templates/macros/damage-targets.hbs",
     "systems/eventide-rp-system/templates/macros/effect-creator.hbs",
     "systems/eventide-rp-system/templates/macros/gear-creator.hbs",
     "systems/eventide-rp-system/templates/macros/gear-transfer.hbs",
+    "systems/eventide-rp-system/templates/macros/hazard-manager.hbs",
+    "systems/eventide-rp-system/templates/macros/level-up-wizard.hbs",
+    "systems/eventide-rp-system/templates/macros/character-creation-wizard.hbs",
+    "systems/eventide-rp-system/templates/macros/prepared-actions-panel.hbs",
     "systems/eventide-rp-system/templates/macros/restore-target.hbs",
     "systems/eventide-rp-system/templates/macros/select-ability-roll.hbs",
+    "systems/eventide-rp-system/templates/macros/undo-history.hbs",
+    "systems/eventide-rp-system/templates/macros/roll-statistics.hbs",
+    "systems/eventide-rp-system/templates/macros/encounter-builder.hbs",
+    "systems/eventide-rp-system/templates/macros/xp-award-dialog.hbs",
     "systems/eventide-rp-system/templates/macros/npc-quick-generator.hbs",
 
     // Popup templates
@@ -0,0 +1,153 @@
+/**
+ * StatusCleanse Service
+ *
+ * Runs Cleanse actions from the combat rules: the affected character rolls an
+ * ability against the Armor Class of whoever created the status, removing it
+ * on success. The creator is recorded on the status when it is applied by
+ * {@link StatusEffectApplicator}.
+ *
+ * @module StatusCleanse
+ * @see module:services/status-effect-applicator
+ */
+
+import { Logger } from "./logger.mjs";
+import { ActionEconomy } from "./action-economy.mjs";
+import { erpsRollHandler } from "./managers/roll-dice.mjs";
+
+/**
+ * @typedef {Object} CleanseResult
+ * @property {boolean} success - Whether the roll met the creator's AC
+ * @property {number} total - The roll total
+ * @property {number} ac - The AC rolled against
+ */
+
+/**
+ * StatusCleanse class for rolling statuses off an actor
+ *
+ * @class StatusCleanse
+ */
+export class StatusCleanse {
+  /**
+   * Flag key holding the creator record on status items
+   * @type {string}
+   */
+  static FLAG_KEY = "creator";
+
+  /**
+   * Get the creator recorded on a status
+   *
+   * @static
+   * @param {Item} status - The status item
+   * @returns {import("./status-effect-applicator.mjs").StatusCreatorData|null} The creator record, or null if unknown
+   */
+  static getCreator(status) {
+    return status?.getFlag("eventide-rp-system", this.FLAG_KEY) ?? null;
+  }
+
+  /**
+   * Get the AC a cleanse of this status is rolled against. The AC stored when
+   * the status was applied wins; without one, the creator's current AC in the
+   * recorded ability (or else the ability being rolled) is used.
+   *
+   * @static
+   * @param {Item} status - The status item
+   * @param {string} rollAbility - Ability the cleansing actor rolls
+   * @returns {number|null} The AC to beat, or null if the creator is unknown
+   */
+  static getTargetAC(status, rollAbility) {
+    const creator = this.getCreator(status);
+    if (!creator) return null;
+    if (Number.isFinite(creator.ac)) return creator.ac;
+
+    const creatorActor = fromUuidSync(creator.actorUuid);
+    const ac =
+      creatorActor?.system?.abilities?.[creator.ability ?? rollAbility]?.ac
+        ?.total;
+    return Number.isFinite(ac) ? ac : null;
+  }
+
+  /**
+   * Attempt to cleanse a status from an actor. Spends a Cleanse action when
+   * the actor is in a tracked combat, then rolls the chosen ability against
+   * the creator's AC and removes the status if the roll meets it.
+   *
+   * @static
+   * @param {Actor} actor - The actor cleansing the status
+   * @param {Item} status - The status to cleanse
+   * @param {string} ability - Ability key to roll
+   * @returns {Promise<CleanseResult|null>} The outcome, or null if no roll was made
+   */
+  static async cleanse(actor, status, ability) {
+    Logger.methodEntry("StatusCleanse", "cleanse", {
+      actorName: actor?.name,
+      statusName: status?.name,
+      ability,
+    });
+
+    const ac = this.getTargetAC(status, ability);
+    if (ac === null) {
+      ui.notifications.warn(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.Errors.NoCreator", {
+          status: status.name,
+        }),
+      );
+      Logger.methodExit("StatusCleanse", "cleanse", null);
+      return null;
+    }
+
+    const spend = await ActionEconomy.spendAction(actor, "cleanse");
+    if (spend.tracked && !spend.spent) {
+      ui.notifications.warn(
+        ActionEconomy.getUnavailableMessage(actor, "cleanse", spend),
+      );
+      Logger.methodExit("StatusCleanse", "cleanse", null);
+      return null;
+    }
+
+    const creator = this.getCreator(status);
+    const roll = await erpsRollHandler.handleRoll(
+      {
+        formula: await actor.getRollFormula({ ability }),
+        label: game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.RollLabel", {
+          status: status.name,
+        }),
+        description: game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.Against", {
+          name: creator.name,
+          ac,
+        }),
+        type: ability,
+        acCheck: false,
+        soundKey: "diceRoll",
+      },
+      actor,
+    );
+
+    const success = roll.total >= ac;
+    if (success) {
+      await actor._removeStatusEffects([status.id], {
+        statusRemovalDescription: game.i18n.format(
+          "EVENTIDE_RP_SYSTEM.Cleanse.Removed",
+          { name: actor.name, total: roll.total, ac },
+        ),
+      });
+    } else {
+      ui.notifications.info(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.Failed", {
+          status: status.name,
+          total: roll.total,
+          ac,
+        }),
+      );
+    }
+
+    Logger.info(
+      `${actor.name} ${success ? "cleansed" : "failed to cleanse"} "${status.name}"`,
+      { total: roll.total, ac, creator: creator.name },
+      "CLEANSE",
+    );
+
+    const result = { success, total: roll.total, ac };
+    Logger.methodExit("StatusCleanse", "cleanse", result);
+    return result;
+  }
+}
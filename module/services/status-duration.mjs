@@ -0,0 +1,133 @@
+/**
+ * StatusDuration Service
+ *
+ * Counts down status items that carry a round- or turn-based duration and
+ * removes them when they expire. Round durations tick for every combatant
+ * when a new round begins; turn durations tick for a combatant when their
+ * own turn ends.
+ *
+ * @module StatusDuration
+ * @see module:services/hooks/combat
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+
+/**
+ * StatusDuration class for ticking down timed statuses during combat
+ *
+ * @class StatusDuration
+ */
+export class StatusDuration {
+  /**
+   * Check whether an item is a status with a combat duration
+   *
+   * @static
+   * @param {Item} item - The item to check
+   * @returns {boolean} True if the item is a timed status
+   */
+  static hasDuration(item) {
+    return item?.type === "status" && !!item.system?.hasDuration;
+  }
+
+  /**
+   * Advance status durations in response to a combat update
+   *
+   * @static
+   * @param {Combat} combat - The combat that was updated
+   * @param {Object} changed - The differential data that was changed
+   * @param {Object} [options={}] - Update options (direction is set by turn/round navigation)
+   * @returns {Promise<void>}
+   */
+  static async processCombatUpdate(combat, changed, options = {}) {
+    if (!("turn" in changed) && !("round" in changed)) return;
+    if (!combat.started || options.direction < 0) return;
+
+    const previous = combat.previous ?? {};
+
+    Logger.methodEntry("StatusDuration", "processCombatUpdate", {
+      combatId: combat.id,
+      round: combat.round,
+      turn: combat.turn,
+      previousCombatantId: previous.combatantId,
+    });
+
+    // The combatant whose turn just ended ticks their turn-based statuses
+    const endedCombatant = previous.combatantId
+      ? combat.combatants.get(previous.combatantId)
+      : null;
+    if (endedCombatant?.actor) {
+      await this.tickActor(endedCombatant.actor, "turns");
+    }
+
+    // A new round (but not the first) ticks everyone's round-based statuses
+    const roundAdvanced = "round" in changed && (previous.round ?? 0) >= 1;
+    if (roundAdvanced) {
+      const actors = new Set(
+        combat.combatants.map((combatant) => combatant.actor).filter(Boolean),
+      );
+      for (const actor of actors) {
+        await this.tickActor(actor, "rounds");
+      }
+    }
+
+    Logger.methodExit("StatusDuration", "processCombatUpdate");
+  }
+
+  /**
+   * Decrement the remaining duration of an actor's statuses of a given unit
+   * and remove any that have expired
+   *
+   * @static
+   * @param {Actor} actor - The actor whose statuses should tick
+   * @param {string} unit - The duration unit to tick ("rounds" | "turns")
+   * @returns {Promise<Item[]>} The statuses that expired
+   */
+  static async tickActor(actor, unit) {
+    const timedStatuses = actor.items.filter(
+      (item) => this.hasDuration(item) && item.system.duration.unit === unit,
+    );
+    if (!timedStatuses.length) return [];
+
+    const updates = [];
+    const expired = [];
+
+    for (const status of timedStatuses) {
+      const { value, remaining } = status.system.duration;
+      const next = (remaining ?? value) - 1;
+
+      if (next <= 0) {
+        expired.push(status);
+      } else {
+        updates.push({ _id: status.id, "system.duration.remaining": next });
+      }
+    }
+
+    if (updates.length) {
+      await ErrorHandler.handleDocumentOperation(
+        actor.updateEmbeddedDocuments("Item", updates),
+        "tick status durations",
+        "actor",
+      );
+    }
+
+    if (expired.length) {
+      Logger.info(
+        `Removing ${expired.length} expired status(es) from ${actor.name}`,
+        { statuses: expired.map((status) => status.name), unit },
+        "STATUS_DURATION",
+      );
+
+      await actor._removeStatusEffects(
+        expired.map((status) => status.id),
+        {
+          statusRemovalDescription: game.i18n.localize(
+            "EVENTIDE_RP_SYSTEM.Item.Duration.Expired",
+          ),
+        },
+      );
+    }
+
+    return expired;
+  }
+}
@@ -27,6 +27,7 @@ import { StatusIntensification } from "../helpers/status-intensification.mjs";
  * @property {Map<string, number>} [repetitionContext.statusApplicationCounts] - Application counts per target
  * @property {Set<string>} [repetitionContext.appliedStatusEffects] - Already applied effects
  * @property {Actor} sourceActor - The actor executing the action card
+ * @property {Item} [sourceActionCard] - The action card being executed
  * @property {boolean} attemptInventoryReduction - Whether to reduce gear inventory
  * @property {Function} shouldApplyEffect - Function to check if effect should apply
  * @property {Function} waitForDelay - Function to wait for execution delay
@@ -34,6 +35,16 @@ import { StatusIntensification } from "../helpers/status-intensification.mjs";
  * @property {boolean} isFinalRepetition - Whether this is the final repetition
  */
 
+/**
+ * @typedef {Object} StatusCreatorData
+ * @property {string} actorUuid - UUID of the actor that applied the status
+ * @property {string} name - Name of that actor when the status was applied
+ * @property {string|null} actionCardId - ID of the action card used, if any
+ * @property {string|null} actionCardName - Name of the action card used, if any
+ * @property {string|null} ability - Ability key the action card rolled, if known
+ * @property {number|null} ac - The creator's AC in that ability when the status was applied
+ */
+
 /**
  * @typedef {Object} StatusEffectResult
  * @property {Actor} target - The target actor
@@ -73,6 +84,7 @@ export class StatusEffectApplicator {
       attackChain,
       repetitionContext,
       sourceActor,
+      sourceActionCard,
       attemptInventoryReduction,
       shouldApplyEffect,
       waitForDelay,
@@ -124,6 +136,7 @@ export class StatusEffectApplicator {
               target: result.target,
               effectsToApply,
               sourceActor,
+              sourceActionCard,
               attemptInventoryReduction,
               repetitionContext,
               disableDelays,
@@ -209,6 +222,7 @@ export class StatusEffectApplicator {
    * @param {Actor} params.target - The target actor
    * @param {Array} params.effectsToApply - Effects to apply
    * @param {Actor} params.sourceActor - The source actor
+   * @param {Item} [params.sourceActionCard] - The action card being executed
    * @param {boolean} params.attemptInventoryReduction - Whether to reduce inventory
    * @param {Object} params.repetitionContext - Repetition context
    * @param {boolean} params.disableDelays - Whether to disable delays
@@ -222,6 +236,7 @@ export class StatusEffectApplicator {
       target,
       effectsToApply,
       sourceActor,
+      sourceActionCard,
       attemptInventoryReduction,
       repetitionContext,
       disableDelays,
@@ -296,6 +311,8 @@ export class StatusEffectApplicator {
         effectData,
         target,
         effectKey,
+        sourceActor,
+        sourceActionCard,
         repetitionContext,
         disableDelays,
         isFinalRepetition,
@@ -784,6 +801,35 @@ export class StatusEffectApplicator {
     return resultsArray;
   }
 
+  /**
+   * Build the creator record stored on applied statuses. The ability is the
+   * one rolled by the action card's embedded item; unaugmented rolls have no
+   * ability, leaving the choice of AC to whoever cleanses the status.
+   *
+   * @static
+   * @param {Actor} sourceActor - The actor applying the status
+   * @param {Item} [sourceActionCard] - The action card applying the status
+   * @returns {StatusCreatorData} The creator record
+   */
+  static getCreatorData(sourceActor, sourceActionCard) {
+    const rollAbility =
+      sourceActionCard?.getEmbeddedItem?.()?.system?.roll?.ability;
+    const ability =
+      rollAbility && rollAbility in (sourceActor.system?.abilities ?? {})
+        ? rollAbility
+        : null;
+    const ac = ability ? sourceActor.system.abilities[ability].ac?.total : null;
+
+    return {
+      actorUuid: sourceActor.uuid,
+      name: sourceActor.name,
+      actionCardId: sourceActionCard?.id ?? null,
+      actionCardName: sourceActionCard?.name ?? null,
+      ability,
+      ac: Number.isFinite(ac) ? ac : null,
+    };
+  }
+
   /**
    * Apply a single effect to a target
    *
@@ -792,6 +838,8 @@ export class StatusEffectApplicator {
    * @param {Object} params.effectData - The effect data
    * @param {Actor} params.target - The target actor
    * @param {string} params.effectKey - Unique key for effect
+   * @param {Actor} [params.sourceActor] - The actor applying the effect
+   * @param {Item} [params.sourceActionCard] - The action card applying the effect
    * @param {Object} params.repetitionContext - Repetition context
    * @param {boolean} params.disableDelays - Whether to disable delays
    * @param {boolean} params.isFinalRepetition - Whether this is final repetition
@@ -804,6 +852,8 @@ export class StatusEffectApplicator {
       effectData,
       target,
       effectKey,
+      sourceActor,
+      sourceActionCard,
       repetitionContext,
       disableDelays,
       isFinalRepetition,
@@ -820,6 +870,12 @@ export class StatusEffectApplicator {
         effectData.flags["eventide-rp-system"].isEffect = true;
       }
 
+      // Remember who applied a status so it can be cleansed against their AC
+      if (effectData.type === "status" && sourceActor) {
+        effectData.flags["eventide-rp-system"].creator =
+          StatusEffectApplicator.getCreatorData(sourceActor, sourceActionCard);
+      }
+
       // Ensure gear effects are equipped when transferred
       if (effectData.type === "gear") {
         effectData.system = effectData.system || {};
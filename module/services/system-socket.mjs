@@ -0,0 +1,272 @@
+/**
+ * SystemSocket Service
+ *
+ * The system socket channel lets a player's client ask the active GM's client
+ * to carry out work the player lacks permission for. With the "trusted
+ * auto-apply" player action mode, an action card used against tokens the
+ * player does not own is executed on the GM's client without a GM click, so
+ * its damage, status effects and transformations are applied immediately.
+ * In strict mode the existing approval request is used instead.
+ *
+ * Requests carry an id, and the GM's client answers the requesting user with
+ * the result or an error message. The requesting user is the sender Foundry
+ * reports for the message, never a user id taken from the payload.
+ *
+ * @module SystemSocket
+ * @see module:services/managers/gm-control
+ */
+
+import { Logger } from "./logger.mjs";
+import { gmControlManager } from "./managers/gm-control.mjs";
+import { RollLog } from "./roll-log.mjs";
+import { TargetResolver } from "./target-resolver.mjs";
+
+/**
+ * SystemSocket class for player to GM requests over the system socket
+ *
+ * @class SystemSocket
+ */
+export class SystemSocket {
+  /**
+   * The system socket channel (requires "socket": true in system.json)
+   * @type {string}
+   */
+  static CHANNEL = "system.eventide-rp-system";
+
+  /**
+   * How long a player waits for the GM's client to answer
+   * @type {number}
+   */
+  static REQUEST_TIMEOUT_MS = 30000;
+
+  /**
+   * Request handlers run on the active GM's client, keyed by request type.
+   * Each receives the request payload and the requesting user.
+   * @type {Object<string, Function>}
+   */
+  static HANDLERS = {
+    executeActionCard: (payload, user) =>
+      SystemSocket._executeActionCard(payload, user),
+    getRollLog: (_payload, user) => RollLog.getEntriesFor(user),
+  };
+
+  /**
+   * Requests awaiting an answer from the GM's client, keyed by request id
+   * @type {Map<string, {resolve: Function, reject: Function, timeout: number}>}
+   * @private
+   */
+  static _pending = new Map();
+
+  /**
+   * Start listening on the system socket. Foundry passes the id of the
+   * sending user after the message data.
+   *
+   * @static
+   */
+  static initialize() {
+    game.socket.on(this.CHANNEL, (data, senderId) =>
+      this._onMessage(data, senderId),
+    );
+    Logger.debug("System socket listener registered", null, "SYSTEM_SOCKET");
+  }
+
+  /**
+   * Get the player action mode
+   *
+   * @static
+   * @returns {"approval"|"trusted"} The configured mode
+   */
+  static getPlayerActionMode() {
+    try {
+      return game.settings.get("eventide-rp-system", "playerActionMode");
+    } catch {
+      return "approval";
+    }
+  }
+
+  /**
+   * Whether a player's action card requests should be executed by the GM's
+   * client without approval: trusted auto-apply is on and a GM is online
+   *
+   * @static
+   * @returns {boolean} True if requests can be sent over the socket
+   */
+  static canAutoApply() {
+    return this.getPlayerActionMode() === "trusted" && !!game.users.activeGM;
+  }
+
+  /**
+   * Ask the active GM's client to handle a request. A GM's own requests are
+   * handled locally.
+   *
+   * @static
+   * @param {string} type - The request type (a key of {@link SystemSocket.HANDLERS})
+   * @param {Object} payload - Data for the handler
+   * @returns {Promise<*>} The handler's result
+   * @throws {Error} If no GM is online, the GM's client fails or does not answer in time
+   */
+  static async requestGM(type, payload) {
+    Logger.methodEntry("SystemSocket", "requestGM", { type });
+
+    if (game.users.activeGM?.isSelf) {
+      const result = await this.HANDLERS[type](payload, game.user);
+      Logger.methodExit("SystemSocket", "requestGM", result);
+      return result;
+    }
+
+    if (!game.users.activeGM) {
+      throw new Error(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Socket.Errors.NoActiveGM"),
+      );
+    }
+
+    const requestId = foundry.utils.randomID();
+    const result = await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this._pending.delete(requestId);
+        reject(
+          new Error(
+            game.i18n.localize("EVENTIDE_RP_SYSTEM.Socket.Errors.Timeout"),
+          ),
+        );
+      }, this.REQUEST_TIMEOUT_MS);
+
+      this._pending.set(requestId, { resolve, reject, timeout });
+      game.socket.emit(this.CHANNEL, {
+        action: "request",
+        type,
+        requestId,
+        userId: game.user.id,
+        payload,
+      });
+    });
+
+    Logger.methodExit("SystemSocket", "requestGM", result);
+    return result;
+  }
+
+  /**
+   * Handle a message on the system socket
+   *
+   * @static
+   * @private
+   * @param {Object} data - The socket message
+   * @param {string} senderId - ID of the user who sent the message
+   * @returns {Promise<void>}
+   */
+  static async _onMessage(data, senderId) {
+    if (data?.action === "response") {
+      this._onResponse(data);
+    } else if (data?.action === "request" && game.users.activeGM?.isSelf) {
+      await this._onRequest(data, senderId);
+    }
+  }
+
+  /**
+   * Handle a request on the active GM's client and answer the requesting
+   * user. Requests whose claimed user is not the sender are refused.
+   *
+   * @static
+   * @private
+   * @param {Object} data - The request message
+   * @param {string} senderId - ID of the user who sent the request
+   * @returns {Promise<void>}
+   */
+  static async _onRequest({ type, requestId, userId, payload }, senderId) {
+    const respond = (response) =>
+      game.socket.emit(this.CHANNEL, {
+        action: "response",
+        requestId,
+        userId: senderId,
+        ...response,
+      });
+
+    const handler = Object.hasOwn(this.HANDLERS, type)
+      ? this.HANDLERS[type]
+      : null;
+    const user = userId === senderId ? game.users.get(senderId) : null;
+    if (!handler || !user) {
+      Logger.warn(
+        "Ignoring invalid system socket request",
+        { type, userId, senderId },
+        "SYSTEM_SOCKET",
+      );
+      respond({
+        error: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.Socket.Errors.InvalidRequest",
+        ),
+      });
+      return;
+    }
+
+    try {
+      respond({ result: await handler(payload, user) });
+    } catch (error) {
+      Logger.error(
+        `Failed to handle "${type}" request from ${user.name}`,
+        error,
+        "SYSTEM_SOCKET",
+      );
+      respond({ error: error.message });
+    }
+  }
+
+  /**
+   * Settle the pending request a response answers
+   *
+   * @static
+   * @private
+   * @param {Object} data - The response message
+   */
+  static _onResponse({ requestId, userId, result, error }) {
+    if (userId !== game.user.id) return;
+
+    const pending = this._pending.get(requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timeout);
+    this._pending.delete(requestId);
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Execute a player's action card for them, after checking the player owns
+   * the acting actor
+   *
+   * @static
+   * @private
+   * @param {Object} payload - Player action data, shaped like the player action approval flag
+   * @param {User} user - The requesting user
+   * @returns {Promise<{success: boolean, reason?: string}>} The execution outcome
+   */
+  static async _executeActionCard(payload, user) {
+    const actor = await TargetResolver.resolveActor(
+      payload.actorUuid ?? payload.actorId,
+    );
+    if (!actor?.testUserPermission(user, "OWNER")) {
+      throw new Error(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Socket.Errors.NotOwner"),
+      );
+    }
+
+    const result = await gmControlManager.executePlayerAction(
+      {
+        ...payload,
+        playerId: user.id,
+        playerName: user.name,
+      },
+      { allowCardData: false },
+    );
+
+    Logger.info(
+      `Executed "${result.actionCardName}" for ${user.name}`,
+      { success: result.success, reason: result.reason },
+      "SYSTEM_SOCKET",
+    );
+    return { success: result.success, reason: result.reason };
+  }
+}
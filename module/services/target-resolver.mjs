@@ -3,18 +3,20 @@
  *
  * Provides centralized target resolution for action card processing.
  * Handles target array retrieval from selected tokens, self-targeting
- * logic, and validation of target availability.
+ * logic, area-of-effect targeting, and validation of target availability.
  *
  * @module TargetResolver
  * @see module:item-action-card-execution
  */
 
 import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
 
 /**
  * @typedef {Object} TargetResolutionResult
  * @property {boolean} success - Whether target resolution was successful
  * @property {Token[]} targets - Array of target tokens (empty if unsuccessful)
+ * @property {PlacedArea} [area] - The placed area for area targeting, to remove once the action is done
  * @property {string} [reason] - Failure reason if unsuccessful
  */
 
@@ -22,9 +24,29 @@ import { Logger } from "./logger.mjs";
  * @typedef {Object} TargetResolutionContext
  * @property {Actor} actor - The actor executing the action
  * @property {boolean} selfTarget - Whether self-targeting is enabled
+ * @property {AreaTargetConfig} [areaTarget] - Area targeting configuration of the action card
  * @property {string} [contextName] - Name of the calling context for logging
  */
 
+/**
+ * @typedef {Object} AreaTargetConfig
+ * @property {boolean} enabled - Whether the targets are chosen by placing an area
+ * @property {"circle"|"cone"|"line"|"rectangle"} shape - The area shape
+ * @property {number} size - Radius, or length for lines and rectangles, in grid units
+ * @property {number} width - Width of lines and rectangles, in grid units
+ * @property {boolean} includeSelf - Whether the acting actor's token can be caught
+ * @property {boolean} includeAllies - Whether tokens of the same disposition can be caught
+ * @property {boolean} includeEnemies - Whether tokens of other dispositions can be caught
+ */
+
+/**
+ * @typedef {Object} PlacedArea
+ * @property {number[]} points - The area outline as flat canvas coordinates
+ * @property {Token[]} targets - Tokens inside the area that pass the filters
+ * @property {RegionDocument|null} region - Scene region marking the area, if one could be created
+ * @property {PIXI.Graphics} preview - Canvas drawing of the area
+ */
+
 /**
  * @typedef {Object} LockedTargetData
  * @property {string|null} actorId - Actor document ID
@@ -35,6 +57,7 @@ import { Logger } from "./logger.mjs";
  * @property {string} img - Image for display
  * @property {boolean} isLinked - Whether token is linked to actor
  * @property {string|null} uuid - Actor UUID for reliable retrieval
+ * @property {string|null} tokenUuid - Token document UUID (resolves unlinked tokens to their own actor)
  */
 
 /**
@@ -71,20 +94,68 @@ import { Logger } from "./logger.mjs";
  * @class TargetResolver
  */
 export class TargetResolver {
+  /**
+   * Area shapes an action card can place
+   * @type {string[]}
+   */
+  static AREA_SHAPES = ["circle", "cone", "line", "rectangle"];
+
+  /**
+   * Spread of cone areas in degrees
+   * @type {number}
+   */
+  static AREA_CONE_ANGLE = 90;
+
+  /**
+   * Number of segments used to outline circles and cone arcs
+   * @type {number}
+   */
+  static AREA_SEGMENTS = 32;
+
   /**
    * Resolve targets for action card execution
    *
    * Retrieves the target array from selected tokens, handles self-targeting
-   * when enabled, and validates that targets are available.
+   * and area targeting when enabled, and validates that targets are available.
+   * An area placed for area targeting stays on the canvas; the caller removes
+   * it with {@link TargetResolver.removeArea} once the action is done.
    *
    * @static
    * @param {TargetResolutionContext} context - The target resolution context
    * @returns {Promise<TargetResolutionResult>} The resolution result with targets
    */
   static async resolveTargets(context) {
-    const { actor, selfTarget, contextName = "action card" } = context;
+    const {
+      actor,
+      selfTarget,
+      areaTarget,
+      contextName = "action card",
+    } = context;
 
     try {
+      // Area targeting: the tokens inside the placed area become the targets
+      if (areaTarget?.enabled && !selfTarget) {
+        const area = await TargetResolver.placeArea(actor, areaTarget);
+        if (!area) {
+          return { success: false, targets: [], reason: "areaCancelled" };
+        }
+
+        if (area.targets.length === 0) {
+          await TargetResolver.removeArea(area);
+          Logger.warn(
+            `No targets inside the area for ${contextName}`,
+            null,
+            "ACTION_CARD",
+          );
+          ui.notifications.warn(
+            game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.NoTargetsInArea"),
+          );
+          return { success: false, targets: [], reason: "noTargets" };
+        }
+
+        return { success: true, targets: area.targets, area };
+      }
+
       // Get targets from selected tokens
       let targetArray = await erps.utils.getTargetArray();
 
@@ -226,6 +297,329 @@ export class TargetResolver {
     return selfToken ? [selfToken] : [];
   }
 
+  /**
+   * Let the user place an action card's area on the canvas and collect the
+   * tokens inside it. Circles and rectangles are centred on the clicked
+   * point; cones and lines start at the actor's token and point towards it.
+   * The area is marked with a scene region where the user may create one.
+   *
+   * @static
+   * @param {Actor} actor - The actor executing the action
+   * @param {AreaTargetConfig} config - The area targeting configuration
+   * @returns {Promise<PlacedArea|null>} The placed area, or null if cancelled or impossible
+   */
+  static async placeArea(actor, config) {
+    const caster = actor.token?.object ?? actor.getActiveTokens()[0] ?? null;
+    if (!caster || !canvas.ready) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.AreaTargetNoToken"),
+      );
+      return null;
+    }
+
+    const unit = canvas.dimensions.distancePixels;
+    const getPoints = (point) =>
+      TargetResolver.getAreaPoints(config.shape, {
+        origin: caster.center,
+        point,
+        size: config.size * unit,
+        width: config.width * unit,
+      });
+
+    const preview = canvas.controls.addChild(new PIXI.Graphics());
+    const draw = (points) =>
+      preview
+        .clear()
+        .lineStyle(2, game.user.color, 0.9)
+        .beginFill(game.user.color, 0.2)
+        .drawPolygon(points)
+        .endFill();
+
+    ui.notifications.info(
+      game.i18n.localize("EVENTIDE_RP_SYSTEM.Info.PlaceArea"),
+    );
+    const point = await TargetResolver._pickAreaPoint((pointer) =>
+      draw(getPoints(pointer)),
+    );
+    if (!point) {
+      preview.destroy();
+      return null;
+    }
+
+    const points = getPoints(point);
+    draw(points);
+
+    const targets = TargetResolver.getTokensInArea(points, caster, config);
+    const region = await TargetResolver._createAreaRegion(points, actor.name);
+
+    Logger.debug(
+      `Placed ${config.shape} area catching ${targets.length} token(s)`,
+      { actorName: actor.name, targets: targets.map((t) => t.name) },
+      "ACTION_CARD",
+    );
+
+    return { points, targets, region, preview };
+  }
+
+  /**
+   * Remove a placed area from the canvas and the scene
+   *
+   * @static
+   * @param {PlacedArea|null} area - The area to remove
+   * @returns {Promise<void>}
+   */
+  static async removeArea(area) {
+    if (!area) return;
+
+    if (!area.preview.destroyed) area.preview.destroy();
+    if (area.region) {
+      await ErrorHandler.handleDocumentOperation(
+        area.region.delete(),
+        "remove area template",
+        "Region",
+      );
+    }
+  }
+
+  /**
+   * Build the outline of an area shape in canvas coordinates
+   *
+   * @static
+   * @param {string} shape - One of {@link TargetResolver.AREA_SHAPES}
+   * @param {Object} options - Shape placement
+   * @param {{x: number, y: number}} options.origin - The acting token's centre
+   * @param {{x: number, y: number}} options.point - The placed point
+   * @param {number} options.size - Radius or length in pixels
+   * @param {number} options.width - Width of lines and rectangles in pixels
+   * @returns {number[]} The outline as flat x, y coordinates
+   */
+  static getAreaPoints(shape, { origin, point, size, width }) {
+    const direction = Math.atan2(point.y - origin.y, point.x - origin.x);
+    const arc = (center, radius, from, to) => {
+      const points = [];
+      for (let i = 0; i <= TargetResolver.AREA_SEGMENTS; i++) {
+        const angle = from + ((to - from) * i) / TargetResolver.AREA_SEGMENTS;
+        points.push(
+          center.x + Math.cos(angle) * radius,
+          center.y + Math.sin(angle) * radius,
+        );
+      }
+      return points;
+    };
+
+    switch (shape) {
+      case "cone": {
+        const spread = (TargetResolver.AREA_CONE_ANGLE * Math.PI) / 360;
+        return [
+          origin.x,
+          origin.y,
+          ...arc(origin, size, direction - spread, direction + spread),
+        ];
+      }
+      case "line": {
+        const dx = Math.cos(direction);
+        const dy = Math.sin(direction);
+        const nx = (-dy * width) / 2;
+        const ny = (dx * width) / 2;
+        const end = { x: origin.x + dx * size, y: origin.y + dy * size };
+        return [
+          origin.x + nx,
+          origin.y + ny,
+          end.x + nx,
+          end.y + ny,
+          end.x - nx,
+          end.y - ny,
+          origin.x - nx,
+          origin.y - ny,
+        ];
+      }
+      case "rectangle": {
+        const left = point.x - size / 2;
+        const top = point.y - width / 2;
+        return [
+          left,
+          top,
+          left + size,
+          top,
+          left + size,
+          top + width,
+          left,
+          top + width,
+        ];
+      }
+      default:
+        return arc(point, size, 0, Math.PI * 2).slice(0, -2);
+    }
+  }
+
+  /**
+   * Get the visible tokens whose centre lies inside an area and that pass the
+   * area's self, ally and enemy filters. Allies share the acting token's
+   * disposition; every other disposition counts as an enemy.
+   *
+   * @static
+   * @param {number[]} points - The area outline
+   * @param {Token} caster - The acting actor's token
+   * @param {AreaTargetConfig} config - The area targeting configuration
+   * @returns {Token[]} The tokens caught in the area
+   */
+  static getTokensInArea(points, caster, config) {
+    const polygon = new PIXI.Polygon(points);
+
+    return canvas.tokens.placeables.filter((token) => {
+      if (!token.actor || !token.visible) return false;
+      if (!polygon.contains(token.center.x, token.center.y)) return false;
+
+      if (token === caster || token.actor === caster.actor) {
+        return config.includeSelf;
+      }
+      return token.document.disposition === caster.document.disposition
+        ? config.includeAllies
+        : config.includeEnemies;
+    });
+  }
+
+  /**
+   * Wait for the user to click a point on the canvas, drawing the area under
+   * the pointer meanwhile. A right-click or Escape cancels.
+   *
+   * @static
+   * @private
+   * @param {Function} onMove - Called with the pointer position as it moves
+   * @returns {Promise<{x: number, y: number}|null>} The clicked point, or null if cancelled
+   */
+  static _pickAreaPoint(onMove) {
+    return new Promise((resolve) => {
+      const handleMove = (event) =>
+        onMove(event.getLocalPosition(canvas.stage));
+      const handleDown = (event) => {
+        event.stopPropagation();
+        finish(
+          event.button === 0 ? event.getLocalPosition(canvas.stage) : null,
+        );
+      };
+      const handleKey = (event) => {
+        if (event.key === "Escape") finish(null);
+      };
+      const finish = (point) => {
+        canvas.stage.off("pointermove", handleMove);
+        canvas.stage.off("pointerdown", handleDown);
+        document.removeEventListener("keydown", handleKey);
+        resolve(point ? { x: point.x, y: point.y } : null);
+      };
+
+      canvas.stage.on("pointermove", handleMove);
+      canvas.stage.on("pointerdown", handleDown);
+      document.addEventListener("keydown", handleKey);
+    });
+  }
+
+  /**
+   * Mark a placed area with a scene region so every user sees it, if the
+   * user may create regions
+   *
+   * @static
+   * @private
+   * @param {number[]} points - The area outline
+   * @param {string} name - Name for the region
+   * @returns {Promise<RegionDocument|null>} The created region
+   */
+  static async _createAreaRegion(points, name) {
+    const RegionClass = CONFIG.Region?.documentClass;
+    if (!canvas.scene || !RegionClass?.canUserCreate(game.user)) return null;
+
+    const [regions] = await ErrorHandler.handleDocumentOperation(
+      canvas.scene.createEmbeddedDocuments("Region", [
+        {
+          name,
+          color: game.user.color,
+          shapes: [{ type: "polygon", points }],
+          visibility: CONST.REGION_VISIBILITY.ALWAYS,
+        },
+      ]),
+      "create area template",
+      "Region",
+    );
+    return regions?.[0] ?? null;
+  }
+
+  /**
+   * Get the UUID used to store a target in chat message flags: the token
+   * document's UUID, so an unlinked token resolves to its own synthetic actor
+   * instead of the base actor it shares with other tokens. Actors without a
+   * token fall back to their own UUID.
+   *
+   * @static
+   * @param {Token|TokenDocument|Actor} target - The target token or actor
+   * @returns {string|null} The target UUID
+   */
+  static getTargetUuid(target) {
+    if (!target) return null;
+    if (target.document?.uuid) return target.document.uuid;
+    if (target.documentName === "Token") return target.uuid;
+    return target.token?.uuid ?? target.uuid ?? null;
+  }
+
+  /**
+   * Resolve a stored target reference to its actor. Token UUIDs resolve to the
+   * token's (possibly synthetic) actor; plain IDs are treated as world actor
+   * IDs, as stored by flags created before targets were keyed on UUIDs.
+   * References to any other kind of document resolve to null.
+   *
+   * @static
+   * @param {string} reference - Token or actor UUID, or a legacy actor ID
+   * @returns {Promise<Actor|null>} The actor, or null if it no longer exists
+   */
+  static async resolveActor(reference) {
+    if (!reference) return null;
+    if (!reference.includes(".")) return game.actors.get(reference) ?? null;
+
+    const document = await fromUuid(reference);
+    if (document?.documentName === "Token") return document.actor ?? null;
+    return document?.documentName === "Actor" ? document : null;
+  }
+
+  /**
+   * Check whether a stored target reference still resolves, without loading
+   * compendium documents
+   *
+   * @static
+   * @param {string} reference - Token or actor UUID, or a legacy actor ID
+   * @returns {boolean} True if the target still exists
+   */
+  static targetExists(reference) {
+    if (!reference) return false;
+    if (!reference.includes(".")) return !!game.actors.get(reference);
+
+    const document = fromUuidSync(reference);
+    if (document?.documentName === "Token") return !!document.actor;
+    return document?.documentName === "Actor";
+  }
+
+  /**
+   * Find the canvas token for a stored target reference
+   *
+   * @static
+   * @param {string} reference - Token or actor UUID, or a legacy actor ID
+   * @returns {Token|null} The token on the canvas, if any
+   */
+  static getCanvasToken(reference) {
+    if (!reference) return null;
+    if (!reference.includes(".")) {
+      return (
+        canvas.tokens?.placeables?.find((t) => t.actor?.id === reference) ??
+        null
+      );
+    }
+
+    const document = fromUuidSync(reference);
+    if (document?.documentName === "Token") {
+      return document.actor ? (document.object ?? null) : null;
+    }
+    if (document?.documentName !== "Actor") return null;
+    return document.getActiveTokens()[0] ?? null;
+  }
+
   /**
    * Lock targets for persistence across async operations
    *
@@ -258,6 +652,7 @@ export class TargetResolver {
         img: token.texture?.src ?? actor?.img ?? "",
         isLinked,
         uuid: actor?.uuid ?? null,
+        tokenUuid: token.document?.uuid ?? token.uuid ?? null,
       };
     });
   }
@@ -318,7 +713,20 @@ export class TargetResolver {
       return { found: false, token: null, actor: null, reason: "noData" };
     }
 
-    // Try token lookup first (for linked tokens still on scene)
+    // Try the token UUID first (unlinked tokens keep their own actor)
+    if (lockedTarget.tokenUuid) {
+      const token = fromUuidSync(lockedTarget.tokenUuid);
+      if (token?.actor) {
+        return {
+          found: true,
+          token,
+          actor: token.actor,
+          reason: null,
+        };
+      }
+    }
+
+    // Try token lookup (for linked tokens still on scene)
     if (lockedTarget.sceneId && lockedTarget.tokenId) {
       const scene = game.scenes?.get(lockedTarget.sceneId);
       if (scene) {
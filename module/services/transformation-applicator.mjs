@@ -9,6 +9,7 @@
  */
 
 import { Logger } from "./logger.mjs";
+import { TransformationStacking } from "./transformation-stacking.mjs";
 
 /**
  * @typedef {Object} TransformationContext
@@ -286,46 +287,13 @@ export class TransformationApplicator {
    * @returns {Promise<ApplicationResult>} Application result
    */
   static async applyWithValidation(targetActor, transformationData) {
-    // Check if actor already has a transformation with the same name
-    const activeTransformationName = targetActor.getFlag(
-      "eventide-rp-system",
-      "activeTransformationName",
+    // Check for duplicate names and cursed transformation precedence
+    const conflict = TransformationStacking.getConflict(
+      targetActor,
+      transformationData,
     );
-
-    if (activeTransformationName === transformationData.name) {
-      return {
-        applied: false,
-        reason: "duplicate_name",
-        warning: game.i18n.format(
-          "EVENTIDE_RP_SYSTEM.Item.ActionCard.TransformationDuplicateNameWarning",
-          { transformationName: transformationData.name },
-        ),
-      };
-    }
-
-    // Check cursed transformation precedence
-    const activeTransformationCursed = targetActor.getFlag(
-      "eventide-rp-system",
-      "activeTransformationCursed",
-    );
-    const newTransformationCursed = transformationData.system?.cursed || false;
-
-    // If actor has an active transformation
-    if (activeTransformationName) {
-      // If current transformation is cursed and new one is not cursed, deny
-      if (activeTransformationCursed && !newTransformationCursed) {
-        return {
-          applied: false,
-          reason: "cursed_override_denied",
-          warning: game.i18n.format(
-            "EVENTIDE_RP_SYSTEM.Item.ActionCard.TransformationCursedOverrideDenied",
-            {
-              currentTransformation: activeTransformationName,
-              newTransformation: transformationData.name,
-            },
-          ),
-        };
-      }
+    if (conflict) {
+      return { applied: false, ...conflict };
     }
 
     // Create temporary transformation item for application
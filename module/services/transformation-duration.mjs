@@ -0,0 +1,274 @@
+/**
+ * TransformationDuration Service
+ *
+ * Reverts timed and triggered transformations by themselves. A transformation
+ * can carry a duration in combat rounds, combat turns or seconds of world
+ * time, and revert triggers: Resolve dropping below a threshold, the end of
+ * combat, or the removal of a named status.
+ *
+ * The countdown of each active transformation is kept on its layer (see
+ * TransformationStacking), so every application starts a fresh countdown.
+ * Round and turn durations tick like timed statuses. Reverting goes through
+ * the actor's removeTransformation, which posts the revert message and
+ * restores the token and stats.
+ *
+ * @module TransformationDuration
+ * @see module:services/hooks/combat
+ * @see module:TransformationStacking
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { TransformationStacking } from "./transformation-stacking.mjs";
+
+/**
+ * TransformationDuration class for reverting timed and triggered transformations
+ *
+ * @class TransformationDuration
+ */
+export class TransformationDuration {
+  /**
+   * Layers being reverted, keyed by actor UUID and layer ID. Reverting
+   * restores stats, which can fire a trigger for the same layer again.
+   * @type {Set<string>}
+   * @private
+   */
+  static _reverting = new Set();
+
+  /**
+   * Get how much of a layer's duration is left
+   *
+   * @static
+   * @param {TransformationLayer} layer - The layer
+   * @returns {number|null} Rounds, turns or seconds left, or null without a duration
+   */
+  static getRemaining(layer) {
+    if (!layer.duration) return null;
+
+    return layer.duration.unit === "seconds"
+      ? Math.max(layer.duration.expiresAt - game.time.worldTime, 0)
+      : layer.duration.remaining;
+  }
+
+  /**
+   * Advance transformation durations in response to a combat update
+   *
+   * @static
+   * @param {Combat} combat - The combat that was updated
+   * @param {Object} changed - The differential data that was changed
+   * @param {Object} [options={}] - Update options (direction is set by turn/round navigation)
+   * @returns {Promise<void>}
+   */
+  static async processCombatUpdate(combat, changed, options = {}) {
+    if (!("turn" in changed) && !("round" in changed)) return;
+    if (!combat.started || options.direction < 0) return;
+
+    const previous = combat.previous ?? {};
+
+    Logger.methodEntry("TransformationDuration", "processCombatUpdate", {
+      combatId: combat.id,
+      round: combat.round,
+      turn: combat.turn,
+      previousCombatantId: previous.combatantId,
+    });
+
+    // The combatant whose turn just ended ticks their turn-based transformations
+    const endedCombatant = previous.combatantId
+      ? combat.combatants.get(previous.combatantId)
+      : null;
+    if (endedCombatant?.actor) {
+      await this.tickActor(endedCombatant.actor, "turns");
+    }
+
+    // A new round (but not the first) ticks everyone's round-based transformations
+    const roundAdvanced = "round" in changed && (previous.round ?? 0) >= 1;
+    if (roundAdvanced) {
+      for (const actor of this._getCombatActors(combat)) {
+        await this.tickActor(actor, "rounds");
+      }
+    }
+
+    Logger.methodExit("TransformationDuration", "processCombatUpdate");
+  }
+
+  /**
+   * Decrement the remaining rounds or turns of an actor's transformations and
+   * revert any that have expired
+   *
+   * @static
+   * @param {Actor} actor - The actor whose transformations should tick
+   * @param {string} unit - The duration unit to tick ("rounds" | "turns")
+   * @returns {Promise<TransformationLayer[]>} The layers that expired
+   */
+  static async tickActor(actor, unit) {
+    const layers = TransformationStacking.getLayers(actor);
+    if (!layers.some((layer) => layer.duration?.unit === unit)) return [];
+
+    const expired = [];
+    const ticked = layers.map((layer) => {
+      if (layer.duration?.unit !== unit) return layer;
+
+      const remaining = layer.duration.remaining - 1;
+      if (remaining <= 0) expired.push(layer);
+      return { ...layer, duration: { ...layer.duration, remaining } };
+    });
+
+    // Record the countdown of the layers that stay before reverting the rest
+    if (
+      ticked.some(
+        (layer) =>
+          layer.duration?.unit === unit && layer.duration.remaining > 0,
+      )
+    ) {
+      await ErrorHandler.handleDocumentOperation(
+        actor.setFlag("eventide-rp-system", "activeTransformations", ticked),
+        "tick transformation durations",
+        "actor",
+      );
+    }
+
+    await this.revertLayers(actor, expired, "duration");
+    return expired;
+  }
+
+  /**
+   * Revert transformations whose world time duration has passed
+   *
+   * @static
+   * @param {number} worldTime - The current world time in seconds
+   * @returns {Promise<void>}
+   */
+  static async processWorldTime(worldTime) {
+    for (const actor of this._getTransformedActors()) {
+      const expired = TransformationStacking.getLayers(actor).filter(
+        (layer) =>
+          layer.duration?.unit === "seconds" &&
+          worldTime >= layer.duration.expiresAt,
+      );
+      await this.revertLayers(actor, expired, "duration");
+    }
+  }
+
+  /**
+   * Revert transformations whose Resolve threshold an actor dropped below
+   *
+   * @static
+   * @param {Actor} actor - The updated actor
+   * @param {Object} changed - The differential data that was changed
+   * @returns {Promise<TransformationLayer[]>} The layers that were reverted
+   */
+  static async processActorUpdate(actor, changed) {
+    if (!foundry.utils.hasProperty(changed, "system.resolve.value")) return [];
+
+    const resolve = actor.system.resolve.value;
+    const triggered = TransformationStacking.getLayers(actor).filter(
+      (layer) =>
+        layer.revertTriggers?.resolveBelow !== null &&
+        layer.revertTriggers?.resolveBelow !== undefined &&
+        resolve < layer.revertTriggers.resolveBelow,
+    );
+
+    await this.revertLayers(actor, triggered, "resolveBelow");
+    return triggered;
+  }
+
+  /**
+   * Revert the transformations of a combat's actors that end with the combat
+   *
+   * @static
+   * @param {Combat} combat - The combat that ended
+   * @returns {Promise<void>}
+   */
+  static async processCombatEnd(combat) {
+    for (const actor of this._getCombatActors(combat)) {
+      const triggered = TransformationStacking.getLayers(actor).filter(
+        (layer) => layer.revertTriggers?.combatEnd,
+      );
+      await this.revertLayers(actor, triggered, "combatEnd");
+    }
+  }
+
+  /**
+   * Revert the transformations that end when a status is removed
+   *
+   * @static
+   * @param {Item} item - The deleted item
+   * @returns {Promise<TransformationLayer[]>} The layers that were reverted
+   */
+  static async processItemDeletion(item) {
+    const actor = item.parent;
+    if (item.type !== "status" || actor?.documentName !== "Actor") return [];
+
+    const name = item.name.trim().toLowerCase();
+    const triggered = TransformationStacking.getLayers(actor).filter(
+      (layer) =>
+        !!layer.revertTriggers?.statusRemoved &&
+        layer.revertTriggers.statusRemoved.toLowerCase() === name,
+    );
+
+    await this.revertLayers(actor, triggered, "statusRemoved");
+    return triggered;
+  }
+
+  /**
+   * Revert transformation layers of an actor one after another
+   *
+   * @static
+   * @param {Actor} actor - The transformed actor
+   * @param {TransformationLayer[]} layers - The layers to revert
+   * @param {string} reason - Why the layers revert, for logging
+   * @returns {Promise<void>}
+   */
+  static async revertLayers(actor, layers, reason) {
+    for (const layer of layers) {
+      const key = `${actor.uuid}.${layer.id}`;
+      if (this._reverting.has(key)) continue;
+
+      Logger.info(
+        `Reverting transformation "${layer.name}" of ${actor.name}`,
+        { reason },
+        "TRANSFORMATION_DURATION",
+      );
+
+      this._reverting.add(key);
+      try {
+        await actor.removeTransformation(layer.id);
+      } finally {
+        this._reverting.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Get the distinct actors fighting in a combat
+   *
+   * @static
+   * @private
+   * @param {Combat} combat - The combat
+   * @returns {Set<Actor>} The combatant actors
+   */
+  static _getCombatActors(combat) {
+    return new Set(
+      combat.combatants.map((combatant) => combatant.actor).filter(Boolean),
+    );
+  }
+
+  /**
+   * Get the world actors and unlinked token actors that are transformed
+   *
+   * @static
+   * @private
+   * @returns {Actor[]} The transformed actors
+   */
+  static _getTransformedActors() {
+    const tokenActors = game.scenes.contents.flatMap((scene) =>
+      scene.tokens.contents
+        .filter((token) => !token.actorLink && token.actor)
+        .map((token) => token.actor),
+    );
+
+    return [...game.actors.contents, ...tokenActors].filter(
+      (actor) => TransformationStacking.getLayers(actor).length,
+    );
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * TransformationStacking Service
+ *
+ * Rules for combining transformations that are active on an actor at the same
+ * time. Each active transformation is a layer recorded in the
+ * `activeTransformations` flag, lowest priority first:
+ *
+ * - A transformation stacks only if it and every active layer are stackable;
+ *   otherwise it replaces all active layers.
+ * - A stacking transformation replaces the active layer of its stack group.
+ * - Token image and size come from the highest priority layer that sets them,
+ *   the most recently applied one winning ties.
+ * - Power and resolve adjustments of all layers add up.
+ * - Combat powers and action cards of all layers are available together.
+ * - Cursed layers can only be replaced by cursed transformations.
+ *
+ * Layers also carry the countdown and revert triggers of timed
+ * transformations, see TransformationDuration.
+ *
+ * @module TransformationStacking
+ * @see module:documents/mixins/actor-transformation
+ * @see module:TransformationDuration
+ */
+
+/**
+ * @typedef {Object} TransformationLayer
+ * @property {string} id - ID of the transformation item on the actor
+ * @property {string} name - Transformation name
+ * @property {boolean} cursed - Whether the transformation is cursed
+ * @property {boolean} stackable - Whether the transformation can stack
+ * @property {number} priority - Layer priority, higher layers win appearance
+ * @property {string} stackGroup - Stack group, empty for none
+ * @property {number} size - Token size, 0 for no change
+ * @property {string} tokenImage - Token image, empty for no change
+ * @property {number} powerAdjustment - Power adjustment applied by the layer
+ * @property {number} resolveAdjustment - Resolve adjustment applied by the layer
+ * @property {LayerDuration|null} duration - Countdown until the layer reverts, null for none
+ * @property {LayerRevertTriggers} revertTriggers - Events that revert the layer
+ */
+
+/**
+ * @typedef {Object} LayerDuration
+ * @property {string} unit - "rounds", "turns" or "seconds"
+ * @property {number|null} remaining - Rounds or turns left
+ * @property {number|null} expiresAt - World time at which a "seconds" layer reverts
+ */
+
+/**
+ * @typedef {Object} LayerRevertTriggers
+ * @property {number|null} resolveBelow - Revert when Resolve drops below this value
+ * @property {boolean} combatEnd - Revert when the combat ends
+ * @property {string} statusRemoved - Revert when a status of this name is removed
+ */
+
+/**
+ * @typedef {Object} TransformationConflict
+ * @property {string} reason - "duplicate_name" or "cursed_override_denied"
+ * @property {string} warning - Localized warning for the user
+ */
+
+/**
+ * TransformationStacking class for layered transformations
+ *
+ * @class TransformationStacking
+ */
+export class TransformationStacking {
+  /**
+   * Create the layer record for a transformation, starting its duration
+   *
+   * @static
+   * @param {Item|Object} transformation - The transformation item or data
+   * @returns {TransformationLayer} The layer
+   */
+  static createLayer(transformation) {
+    const system = transformation.system ?? {};
+    return {
+      id: transformation.id ?? transformation._id ?? null,
+      name: transformation.name,
+      cursed: !!system.cursed,
+      stackable: !!system.stackable,
+      priority: Number(system.priority) || 0,
+      stackGroup: system.stackGroup?.trim() ?? "",
+      size: Number(system.size) || 0,
+      tokenImage: system.tokenImage || "",
+      powerAdjustment: Number(system.powerAdjustment) || 0,
+      resolveAdjustment: Number(system.resolveAdjustment) || 0,
+      duration: this._startDuration(system.duration),
+      revertTriggers: {
+        resolveBelow: Number.isFinite(system.revertTriggers?.resolveBelow)
+          ? system.revertTriggers.resolveBelow
+          : null,
+        combatEnd: !!system.revertTriggers?.combatEnd,
+        statusRemoved: system.revertTriggers?.statusRemoved?.trim() ?? "",
+      },
+    };
+  }
+
+  /**
+   * Start the countdown of a transformation duration
+   *
+   * @static
+   * @private
+   * @param {Object} [duration] - The transformation's duration data
+   * @returns {LayerDuration|null} The countdown, or null without a duration
+   */
+  static _startDuration(duration) {
+    const unit = duration?.unit ?? "none";
+    if (unit === "none") return null;
+
+    const value = Number(duration.value) || 1;
+    return unit === "seconds"
+      ? { unit, remaining: null, expiresAt: game.time.worldTime + value }
+      : { unit, remaining: value, expiresAt: null };
+  }
+
+  /**
+   * Sort layers by priority, keeping the application order for equal priorities
+   *
+   * @static
+   * @param {TransformationLayer[]} layers - The layers
+   * @returns {TransformationLayer[]} A sorted copy, top layer last
+   */
+  static sortLayers(layers) {
+    return [...layers].sort((a, b) => a.priority - b.priority);
+  }
+
+  /**
+   * Get the active transformation layers of an actor
+   *
+   * Transformations applied before stacking existed only have the
+   * single-transformation flags; they are read as one layer without a
+   * duration.
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {TransformationLayer[]} The layers, top layer last
+   */
+  static getLayers(actor) {
+    const id = actor.getFlag("eventide-rp-system", "activeTransformation");
+    const name = actor.getFlag(
+      "eventide-rp-system",
+      "activeTransformationName",
+    );
+    const cursed = actor.getFlag(
+      "eventide-rp-system",
+      "activeTransformationCursed",
+    );
+
+    const layers = actor.getFlag("eventide-rp-system", "activeTransformations");
+    if (Array.isArray(layers)) return this.sortLayers(layers);
+    if (!name) return [];
+
+    const item = id ? actor.items?.get?.(id) : null;
+    if (item) return [{ ...this.createLayer(item), duration: null }];
+
+    return [this.createLayer({ id, name, system: { cursed } })];
+  }
+
+  /**
+   * Get the active layers a transformation would replace
+   *
+   * @static
+   * @param {TransformationLayer[]} layers - The active layers
+   * @param {Item|Object} transformation - The transformation to apply
+   * @returns {TransformationLayer[]} The layers to replace
+   */
+  static getReplacedLayers(layers, transformation) {
+    const { stackable, stackGroup } = this.createLayer(transformation);
+    if (!stackable || layers.some((layer) => !layer.stackable)) return layers;
+
+    return stackGroup
+      ? layers.filter((layer) => layer.stackGroup === stackGroup)
+      : [];
+  }
+
+  /**
+   * Check whether a transformation may be applied to an actor
+   *
+   * @static
+   * @param {Actor} actor - The actor to transform
+   * @param {Item|Object} transformation - The transformation to apply
+   * @returns {TransformationConflict|null} The conflict, or null if it may be applied
+   */
+  static getConflict(actor, transformation) {
+    const layers = this.getLayers(actor);
+
+    if (layers.some((layer) => layer.name === transformation.name)) {
+      return {
+        reason: "duplicate_name",
+        warning: game.i18n.format(
+          "EVENTIDE_RP_SYSTEM.Item.ActionCard.TransformationDuplicateNameWarning",
+          { transformationName: transformation.name },
+        ),
+      };
+    }
+
+    if (transformation.system?.cursed) return null;
+
+    const cursedLayer = this.getReplacedLayers(layers, transformation).find(
+      (layer) => layer.cursed,
+    );
+    if (!cursedLayer) return null;
+
+    return {
+      reason: "cursed_override_denied",
+      warning: game.i18n.format(
+        "EVENTIDE_RP_SYSTEM.Item.ActionCard.TransformationCursedOverrideDenied",
+        {
+          currentTransformation: cursedLayer.name,
+          newTransformation: transformation.name,
+        },
+      ),
+    };
+  }
+
+  /**
+   * Get the token appearance of layered transformations
+   *
+   * @static
+   * @param {TransformationLayer[]} layers - The layers, top layer last
+   * @returns {{tokenImage: string, size: number}} The image and size to show, empty or 0 for no change
+   */
+  static getAppearance(layers) {
+    const sorted = this.sortLayers(layers);
+    return {
+      tokenImage:
+        sorted.findLast((layer) => layer.tokenImage)?.tokenImage ?? "",
+      size: sorted.findLast((layer) => layer.size > 0)?.size ?? 0,
+    };
+  }
+}
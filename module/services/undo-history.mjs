@@ -0,0 +1,556 @@
+/**
+ * UndoHistory Service
+ *
+ * Records what a GM-applied change did to an actor so it can be reverted:
+ * Resolve and Power before and after, the items created, the item and effect
+ * fields updated and the items deleted. Changes are captured from the
+ * document hooks this client fires while the operation runs, so damage,
+ * healing, status application and restoration all record the same way. Chat
+ * cards are tied to an operation by an id in their creation options, or by
+ * the UUID of the speaking actor or token for cards posted from hooks.
+ *
+ * Each record is stored on the chat cards the operation produced, which gain
+ * an Undo button for the GM, and kept in a per-session history for the
+ * Undo History window.
+ *
+ * @module UndoHistory
+ */
+
+import { Logger } from "./logger.mjs";
+import { ErrorHandler } from "../utils/error-handler.mjs";
+import { clampValue } from "../utils/math-utilities.mjs";
+
+/**
+ * @typedef {Object} ResourceDelta
+ * @property {number} before - Value before the operation
+ * @property {number} after - Value after the operation
+ */
+
+/**
+ * @typedef {Object} UndoEntry
+ * @property {string} id - Unique entry id
+ * @property {string} label - What was applied (card or macro name)
+ * @property {string} actorUuid - The affected actor
+ * @property {string} actorName - The affected actor's name when recorded
+ * @property {string} userId - The user who applied the change
+ * @property {number} timestamp - When the change was applied
+ * @property {Object<string, ResourceDelta>} resources - Changed resources keyed by "resolve" / "power"
+ * @property {string[]} createdItemIds - Items the operation created on the actor
+ * @property {Array<{uuid: string, data: Object}>} updatedDocuments - Previous values of updated item and effect fields
+ * @property {Object[]} deletedItems - Source data of items the operation deleted
+ * @property {boolean} undone - Whether the entry has been reverted
+ */
+
+/**
+ * UndoHistory class for recording and reverting applied changes
+ *
+ * @class UndoHistory
+ */
+export class UndoHistory {
+  /**
+   * Chat message flag holding an undo entry
+   * @type {string}
+   */
+  static FLAG_KEY = "undo";
+
+  /**
+   * Chat message creation option holding the id of the recording the card
+   * belongs to
+   * @type {string}
+   */
+  static OPERATION_OPTION = "undoOperation";
+
+  /**
+   * Resources whose values are recorded
+   * @type {string[]}
+   */
+  static RESOURCES = ["resolve", "power"];
+
+  /**
+   * Maximum number of entries kept in the session history
+   * @type {number}
+   */
+  static MAX_ENTRIES = 100;
+
+  /**
+   * How long after an operation finishes its chat cards are still captured
+   * (status messages are posted from hooks that are not awaited)
+   * @type {number}
+   */
+  static CAPTURE_GRACE_MS = 1000;
+
+  /**
+   * Session history, most recent last
+   * @type {Map<string, UndoEntry>}
+   * @private
+   */
+  static _entries = new Map();
+
+  /**
+   * Run an operation against an actor and record what it changed
+   *
+   * @static
+   * @param {Actor} actor - The actor the operation changes
+   * @param {string} label - What is being applied
+   * @param {Function} operation - Async function performing the change. It is
+   *   passed chat message creation options to forward to the cards it creates.
+   * @param {Object} [options={}] - Recording options
+   * @param {ChatMessage[]} [options.messages=[]] - Additional chat cards that should offer the undo
+   * @returns {Promise<*>} The operation's result
+   */
+  static async track(actor, label, operation, { messages = [] } = {}) {
+    const recording = this.start(actor);
+    let result;
+    try {
+      result = await operation(recording?.createOptions ?? {});
+    } catch (error) {
+      recording?.stop();
+      throw error;
+    }
+
+    await this.finish(recording, label, { messages });
+    return result;
+  }
+
+  /**
+   * Start recording the changes this client makes to an actor. Every
+   * recording must be passed to {@link UndoHistory.finish}, and chat cards
+   * the change creates should be given its `createOptions`.
+   *
+   * @static
+   * @param {Actor} actor - The actor about to be changed
+   * @returns {Object|null} The recording, or null without an actor
+   */
+  static start(actor) {
+    return actor ? this._startRecording(actor) : null;
+  }
+
+  /**
+   * Finish a recording: store the entry in the session history and on the
+   * chat cards the change produced
+   *
+   * @static
+   * @param {Object|null} recording - The recording from {@link UndoHistory.start}
+   * @param {string} label - What was applied
+   * @param {Object} [options={}] - Recording options
+   * @param {ChatMessage[]} [options.messages=[]] - Additional chat cards that should offer the undo
+   * @returns {Promise<UndoEntry|null>} The entry, or null if nothing changed
+   */
+  static async finish(recording, label, { messages = [] } = {}) {
+    if (!recording) return null;
+    recording.stopDocumentHooks();
+
+    const entry = this._buildEntry(recording.actor, label, recording);
+    if (!entry) {
+      recording.stop();
+      return null;
+    }
+
+    recording.entry = entry;
+    this.remember(entry);
+    for (const message of new Set([...messages, ...recording.messages])) {
+      await this.attachToMessage(entry, message);
+    }
+    setTimeout(() => recording.stop(), this.CAPTURE_GRACE_MS);
+
+    Logger.debug(
+      `Recorded undo entry for ${recording.actor.name}`,
+      entry,
+      "UNDO_HISTORY",
+    );
+    return entry;
+  }
+
+  /**
+   * Get an actor's current resource values
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {Object<string, number>} Values keyed by resource
+   */
+  static getResources(actor) {
+    return Object.fromEntries(
+      this.RESOURCES.map((resource) => [
+        resource,
+        actor.system?.[resource]?.value ?? 0,
+      ]),
+    );
+  }
+
+  /**
+   * Add or refresh an entry in the session history
+   *
+   * @static
+   * @param {UndoEntry} entry - The entry
+   */
+  static remember(entry) {
+    this._entries.delete(entry.id);
+    this._entries.set(entry.id, entry);
+
+    while (this._entries.size > this.MAX_ENTRIES) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remember the entry stored on a chat message, if any
+   *
+   * @static
+   * @param {ChatMessage} message - The chat message
+   */
+  static rememberMessage(message) {
+    const entry = this.getMessageEntry(message);
+    if (entry) this.remember(entry);
+  }
+
+  /**
+   * Get the session history, most recent first
+   *
+   * @static
+   * @returns {UndoEntry[]} The entries
+   */
+  static getEntries() {
+    return Array.from(this._entries.values()).reverse();
+  }
+
+  /**
+   * Get the undo entry stored on a chat message
+   *
+   * @static
+   * @param {ChatMessage} message - The chat message
+   * @returns {UndoEntry|null} The entry
+   */
+  static getMessageEntry(message) {
+    return message?.getFlag("eventide-rp-system", this.FLAG_KEY) ?? null;
+  }
+
+  /**
+   * Store an entry on a chat card so it offers an Undo button
+   *
+   * @static
+   * @param {UndoEntry} entry - The entry
+   * @param {ChatMessage} message - The chat card
+   * @returns {Promise<void>}
+   */
+  static async attachToMessage(entry, message) {
+    if (!message) return;
+
+    await ErrorHandler.handleDocumentOperation(
+      message.setFlag("eventide-rp-system", this.FLAG_KEY, entry),
+      "record undo data",
+      "ChatMessage",
+    );
+  }
+
+  /**
+   * Revert a recorded change: deleted items come back, updated items and
+   * effects get their previous values, created items are removed and Resolve
+   * and Power are shifted back by the amount the operation changed them.
+   *
+   * @static
+   * @param {string} entryId - The entry to revert
+   * @returns {Promise<boolean>} Whether the change was reverted
+   */
+  static async undo(entryId) {
+    Logger.methodEntry("UndoHistory", "undo", { entryId });
+
+    if (!game.user.isGM) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.GMOnlyOperation"),
+      );
+      Logger.methodExit("UndoHistory", "undo", false);
+      return false;
+    }
+
+    const entry = this._findEntry(entryId);
+    if (!entry || entry.undone) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Undo.Errors.AlreadyUndone"),
+      );
+      Logger.methodExit("UndoHistory", "undo", false);
+      return false;
+    }
+
+    const actor = await fromUuid(entry.actorUuid);
+    if (!actor) {
+      ui.notifications.warn(
+        game.i18n.format("EVENTIDE_RP_SYSTEM.Undo.Errors.ActorMissing", {
+          actor: entry.actorName,
+        }),
+      );
+      Logger.methodExit("UndoHistory", "undo", false);
+      return false;
+    }
+
+    const deletedItems = entry.deletedItems.filter(
+      (item) => !actor.items.has(item._id),
+    );
+    if (deletedItems.length) {
+      await ErrorHandler.handleDocumentOperation(
+        actor.createEmbeddedDocuments("Item", deletedItems, { keepId: true }),
+        "restore removed items",
+        "Item",
+      );
+    }
+
+    for (const { uuid, data } of entry.updatedDocuments) {
+      const document = await fromUuid(uuid);
+      if (!document) continue;
+      await ErrorHandler.handleDocumentOperation(
+        document.update(data),
+        "revert changes",
+        document.documentName,
+      );
+    }
+
+    const createdItemIds = entry.createdItemIds.filter((id) =>
+      actor.items.has(id),
+    );
+    if (createdItemIds.length) {
+      await ErrorHandler.handleDocumentOperation(
+        actor.deleteEmbeddedDocuments("Item", createdItemIds),
+        "remove applied items",
+        "Item",
+      );
+    }
+
+    const resourceUpdate = {};
+    for (const [resource, { before, after }] of Object.entries(
+      entry.resources,
+    )) {
+      const pool = actor.system[resource];
+      const value = pool.value - (after - before);
+      resourceUpdate[`system.${resource}.value`] = clampValue(
+        value,
+        0,
+        Math.max(pool.max ?? value, before),
+      );
+    }
+    if (Object.keys(resourceUpdate).length) {
+      await ErrorHandler.handleDocumentOperation(
+        actor.update(resourceUpdate),
+        "revert resources",
+        "Actor",
+      );
+    }
+
+    await this._markUndone(entry);
+
+    ui.notifications.info(
+      game.i18n.format("EVENTIDE_RP_SYSTEM.Undo.Reverted", {
+        label: entry.label,
+        actor: actor.name,
+      }),
+    );
+    Logger.info(
+      `Reverted "${entry.label}" on ${actor.name}`,
+      entry,
+      "UNDO_HISTORY",
+    );
+    Logger.methodExit("UndoHistory", "undo", true);
+    return true;
+  }
+
+  /**
+   * Start capturing the changes this client makes to an actor
+   *
+   * @static
+   * @private
+   * @param {Actor} actor - The actor to watch
+   * @returns {Object} The recorder
+   */
+  static _startRecording(actor) {
+    const isActorDocument = (document) =>
+      document?.parent?.uuid === actor.uuid ||
+      document?.parent?.parent?.uuid === actor.uuid;
+
+    const id = foundry.utils.randomID();
+    const recorder = {
+      id,
+      createOptions: { [this.OPERATION_OPTION]: id },
+      actor,
+      before: this.getResources(actor),
+      createdItemIds: [],
+      updatedDocuments: new Map(),
+      deletedItems: [],
+      messages: [],
+      entry: null,
+      hooks: [],
+    };
+
+    const rememberUpdate = (document, changes, _options, userId) => {
+      if (userId !== game.user.id || !isActorDocument(document)) return;
+      if (recorder.createdItemIds.includes(document.id)) return;
+
+      const data = recorder.updatedDocuments.get(document.uuid) ?? {};
+      for (const key of Object.keys(foundry.utils.flattenObject(changes))) {
+        if (key === "_id" || key.startsWith("_stats") || key in data) continue;
+        const previous = foundry.utils.getProperty(document._source, key);
+        if (previous !== undefined)
+          data[key] = foundry.utils.deepClone(previous);
+      }
+      if (Object.keys(data).length) {
+        recorder.updatedDocuments.set(document.uuid, data);
+      }
+    };
+
+    const on = (hook, fn) => recorder.hooks.push([hook, Hooks.on(hook, fn)]);
+
+    on("createItem", (item, _options, userId) => {
+      if (userId === game.user.id && isActorDocument(item)) {
+        recorder.createdItemIds.push(item.id);
+      }
+    });
+    on("preUpdateItem", rememberUpdate);
+    on("preUpdateActiveEffect", rememberUpdate);
+    on("preDeleteItem", (item, _options, userId) => {
+      if (userId !== game.user.id || !isActorDocument(item)) return;
+
+      const createdIndex = recorder.createdItemIds.indexOf(item.id);
+      if (createdIndex >= 0) {
+        recorder.createdItemIds.splice(createdIndex, 1);
+      } else {
+        recorder.deletedItems.push(item.toObject());
+      }
+    });
+
+    const messageHook = Hooks.on(
+      "createChatMessage",
+      (message, options, userId) => {
+        if (userId !== game.user.id) return;
+
+        // Cards created with an operation id belong to that operation only
+        const operationId = options?.[this.OPERATION_OPTION];
+        if (
+          operationId
+            ? operationId !== id
+            : this._getSpeakerUuid(message) !== actor.uuid
+        ) {
+          return;
+        }
+        if (recorder.entry) {
+          this.attachToMessage(recorder.entry, message);
+        } else {
+          recorder.messages.push(message);
+        }
+      },
+    );
+
+    recorder.stopDocumentHooks = () => {
+      for (const [hook, id] of recorder.hooks) Hooks.off(hook, id);
+      recorder.hooks = [];
+    };
+    recorder.stop = () => {
+      recorder.stopDocumentHooks();
+      Hooks.off("createChatMessage", messageHook);
+    };
+
+    return recorder;
+  }
+
+  /**
+   * Get the UUID of the actor a chat card speaks for, resolving the token's
+   * own actor for unlinked tokens
+   *
+   * @static
+   * @private
+   * @param {ChatMessage} message - The chat card
+   * @returns {string|null} The speaking actor's UUID
+   */
+  static _getSpeakerUuid(message) {
+    if (!message.speaker) return null;
+    return ChatMessage.getSpeakerActor(message.speaker)?.uuid ?? null;
+  }
+
+  /**
+   * Build an undo entry from a finished recording
+   *
+   * @static
+   * @private
+   * @param {Actor} actor - The changed actor
+   * @param {string} label - What was applied
+   * @param {Object} recorder - The recorder
+   * @returns {UndoEntry|null} The entry, or null if nothing changed
+   */
+  static _buildEntry(actor, label, recorder) {
+    const after = this.getResources(actor);
+    const resources = {};
+    for (const resource of this.RESOURCES) {
+      if (after[resource] !== recorder.before[resource]) {
+        resources[resource] = {
+          before: recorder.before[resource],
+          after: after[resource],
+        };
+      }
+    }
+
+    const updatedDocuments = Array.from(
+      recorder.updatedDocuments,
+      ([uuid, data]) => ({ uuid, data }),
+    );
+
+    if (
+      !Object.keys(resources).length &&
+      !recorder.createdItemIds.length &&
+      !updatedDocuments.length &&
+      !recorder.deletedItems.length
+    ) {
+      return null;
+    }
+
+    return {
+      id: foundry.utils.randomID(),
+      label,
+      actorUuid: actor.uuid,
+      actorName: actor.name,
+      userId: game.user.id,
+      timestamp: Date.now(),
+      resources,
+      createdItemIds: [...recorder.createdItemIds],
+      updatedDocuments,
+      deletedItems: recorder.deletedItems,
+      undone: false,
+    };
+  }
+
+  /**
+   * Find an entry in the session history or on a chat card
+   *
+   * @static
+   * @private
+   * @param {string} entryId - The entry id
+   * @returns {UndoEntry|null} The entry
+   */
+  static _findEntry(entryId) {
+    if (this._entries.has(entryId)) return this._entries.get(entryId);
+
+    const message = game.messages.find(
+      (chatMessage) => this.getMessageEntry(chatMessage)?.id === entryId,
+    );
+    return this.getMessageEntry(message);
+  }
+
+  /**
+   * Mark an entry as undone in the session history and on its chat cards
+   *
+   * @static
+   * @private
+   * @param {UndoEntry} entry - The reverted entry
+   * @returns {Promise<void>}
+   */
+  static async _markUndone(entry) {
+    const undone = { ...entry, undone: true };
+    this.remember(undone);
+
+    const messages = game.messages.filter(
+      (message) => this.getMessageEntry(message)?.id === entry.id,
+    );
+    for (const message of messages) {
+      await ErrorHandler.handleDocumentOperation(
+        message.setFlag("eventide-rp-system", this.FLAG_KEY, undone),
+        "record undo data",
+        "ChatMessage",
+      );
+    }
+  }
+}
@@ -9,3 +9,12 @@ export * from "./npc-quick-generator.mjs";
 export * from "./action-card-preset-dialog.mjs";
 export * from "./bulk-saved-damage-creator.mjs";
 export * from "./roll-history.mjs";
+export * from "./challenge-roll.mjs";
+export * from "./hazard-manager.mjs";
+export * from "./prepared-actions-panel.mjs";
+export * from "./undo-history-window.mjs";
+export * from "./level-up-wizard.mjs";
+export * from "./character-creation-wizard.mjs";
+export * from "./roll-statistics.mjs";
+export * from "./encounter-builder.mjs";
+export * from "./xp-award-dialog.mjs";
@@ -6,9 +6,9 @@ import {
   cleanupThemeManager,
 } from "../../helpers/_module.mjs";
 import { Logger } from "../../services/logger.mjs";
-import { DefaultDataFactory } from "../../services/default-data-factory.mjs";
 import {
   CHOICE_SETS,
+  createPresetActionCard,
   getActionCardPreset,
   getPresetIds,
   getPresetKeyFields,
@@ -373,81 +373,27 @@ export class ActionCardPresetDialog extends EventideSheetHelpers {
         itemName ||
         game.i18n.localize(getActionCardPreset(this._selectedPresetId).label);
 
-      const itemData = {
-        name,
-        type: "actionCard",
-        img: "icons/svg/item-bag.svg",
-        system: mergedSystemData,
-      };
-
-      const created = await this._actor.createEmbeddedDocuments("Item", [
-        itemData,
-      ]);
-
-      if (created && created[0]) {
-        const createdCard = created[0];
-
-        // Quick-create embedded combat power if fields were provided
-        const powerName = foundry.utils.getProperty(data, "powerName");
-        if (
-          powerName &&
-          !this._isReconfigure &&
-          getActionCardPreset(this._selectedPresetId)?.systemData?.mode !==
-            "savedDamage"
-        ) {
-          const powerRollType =
-            foundry.utils.getProperty(data, "powerRollType") || "roll";
-          const powerAbility =
-            foundry.utils.getProperty(data, "powerAbility") || "unaugmented";
-          const powerCost =
-            Number(foundry.utils.getProperty(data, "powerCost")) || 1;
-
-          const powerRollData = DefaultDataFactory.getDefaultRollData();
-          powerRollData.type = powerRollType;
-          powerRollData.ability = powerAbility;
-          powerRollData.bonus = 0;
-          powerRollData.diceAdjustments = {
-            advantage: 0,
-            disadvantage: 0,
-            total: 0,
-            absTotal: 0,
-          };
-
-          const embeddedItemData = {
-            name: powerName,
-            type: "combatPower",
-            img: "icons/svg/item-bag.svg",
-            system: {
-              ...DefaultDataFactory.getSystemData("combatPower"),
-              roll: powerRollData,
-              cost: powerCost,
-              description: "",
-            },
-            effects: [],
-          };
-
-          // Create the combat power as a real item on the actor and link
-          // (this._actor is guaranteed truthy — we're inside the else-if branch)
-          const createdPowers = await this._actor.createEmbeddedDocuments(
-            "Item",
-            [embeddedItemData],
-          );
-          if (!createdPowers || createdPowers.length === 0) {
-            throw new Error("Failed to create combat power on actor");
-          }
-
-          // Attempt linking — clean up the orphaned combat power on failure
-          try {
-            await createdCard.setEmbeddedItem(createdPowers[0]);
-          } catch (linkError) {
-            // Rollback: delete the combat power we just created
-            await this._actor.deleteEmbeddedDocuments("Item", [
-              createdPowers[0].id,
-            ]);
-            throw linkError;
-          }
-        }
+      // Quick-create an embedded combat power if fields were provided
+      const powerName = foundry.utils.getProperty(data, "powerName");
+      const createdCard = await createPresetActionCard(
+        this._actor,
+        this._selectedPresetId,
+        {
+          name,
+          overrides: userOverrides,
+          power:
+            powerName && !this._isReconfigure
+              ? {
+                  name: powerName,
+                  rollType: foundry.utils.getProperty(data, "powerRollType"),
+                  ability: foundry.utils.getProperty(data, "powerAbility"),
+                  cost: foundry.utils.getProperty(data, "powerCost"),
+                }
+              : null,
+        },
+      );
 
+      if (createdCard) {
         ui.notifications.info(
           game.i18n.format("EVENTIDE_RP_SYSTEM.ActionCardPresets.CardCreated", {
             cardName: name,
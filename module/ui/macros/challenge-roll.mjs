@@ -0,0 +1,275 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  cleanupThemeManager,
+  applyThemeImmediate,
+} from "../../helpers/_module.mjs";
+import { Logger, OpposedChallenge } from "../../services/_module.mjs";
+
+/**
+ * Application for starting an opposed Challenge between two actors on the
+ * current scene. The exchange itself is run from chat cards by
+ * {@link OpposedChallenge}.
+ * @extends {EventideSheetHelpers}
+ */
+export class ChallengeRoll extends EventideSheetHelpers {
+  /**
+   * Current form selections, kept so re-renders (e.g. after changing the
+   * defender) don't lose the user's choices
+   * @type {Object}
+   */
+  #selection = {};
+
+  /** @override */
+  static PARTS = {
+    challengeRoll: {
+      template:
+        "systems/eventide-rp-system/templates/macros/challenge-roll.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "challenge-roll",
+    classes: ["eventide-sheet", "eventide-sheet--scrollbars", "challenge-roll"],
+    position: {
+      width: 400,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-people-arrows",
+    },
+    form: {
+      handler: this.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    },
+  };
+
+  /**
+   * @param {Object} [options={}] - Application options
+   * @param {Actor} [options.attacker] - Actor to preselect as the attacker (defaults to the first target)
+   * @param {Actor} [options.defender] - Actor to preselect as the defender (defaults to the selected token)
+   * @param {Item} [options.status] - Defender status to preselect as contested
+   */
+  constructor({ attacker, defender, status, ...options } = {}) {
+    super(options);
+
+    const targeted = game.user.targets?.first()?.actor;
+    const controlled = canvas?.tokens?.controlled?.[0]?.actor;
+
+    this.#selection = {
+      attacker: (attacker ?? targeted)?.uuid,
+      attackerAbility: "acro",
+      defender: (defender ?? controlled)?.uuid,
+      defenderAbility: "acro",
+      status: status?.id ?? "",
+      removeStatus: !!status,
+      toBeat: "",
+    };
+  }
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.localize("EVENTIDE_RP_SYSTEM.Challenge.WindowTitle");
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = {};
+    context.cssClass = ChallengeRoll.DEFAULT_OPTIONS.classes.join(" ");
+
+    context.actors = this._getSceneActors();
+    if (context.actors.length < 2) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Challenge.Errors.NoActors"),
+      );
+    }
+
+    // Fall back to the first two actors on the scene
+    const uuids = context.actors.map((actor) => actor.uuid);
+    if (!uuids.includes(this.#selection.attacker)) {
+      this.#selection.attacker = uuids.find(
+        (uuid) => uuid !== this.#selection.defender,
+      );
+    }
+    if (!uuids.includes(this.#selection.defender)) {
+      this.#selection.defender = uuids.find(
+        (uuid) => uuid !== this.#selection.attacker,
+      );
+    }
+
+    context.selection = this.#selection;
+    context.abilities = Object.entries(CONFIG.EVENTIDE_RP_SYSTEM.abilities).map(
+      ([key, label]) => ({ key, label: game.i18n.localize(label) }),
+    );
+    context.sides = ["attacker", "defender"].map((key) => ({
+      key,
+      label: game.i18n.localize(
+        `EVENTIDE_RP_SYSTEM.Challenge.${key.capitalize()}`,
+      ),
+      actorUuid: this.#selection[key],
+      ability: this.#selection[`${key}Ability`],
+    }));
+
+    const defender = fromUuidSync(this.#selection.defender);
+    context.statuses =
+      defender?.items.filter((item) => item.type === "status") ?? [];
+
+    context.footerButtons = [
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Challenge.Start"),
+        type: "submit",
+        cssClass: "erps-button erps-button--primary",
+      },
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+      },
+    ];
+
+    return context;
+  }
+
+  /**
+   * Get the unique actors represented by tokens on the current scene
+   * @returns {Actor[]} The scene's actors
+   * @private
+   */
+  _getSceneActors() {
+    const actors = new Map();
+    for (const token of canvas?.tokens?.placeables ?? []) {
+      if (token.actor && !actors.has(token.actor.uuid)) {
+        actors.set(token.actor.uuid, token.actor);
+      }
+    }
+    return [...actors.values()];
+  }
+
+  /**
+   * Handle rendering of the challenge roll application
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the challenge roll application
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Remember selections; a new defender means a new list of statuses
+    this.element.addEventListener("change", (event) => {
+      const { name, type, checked, value } = event.target;
+      if (!name) return;
+
+      this.#selection[name] = type === "checkbox" ? checked : value;
+      if (name === "defender") {
+        this.#selection.status = "";
+        this.render();
+      }
+    });
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+          Logger.debug(
+            "Theme management initialized asynchronously for challenge roll",
+            {
+              hasThemeManager: !!this.themeManager,
+              sheetId: this.id,
+            },
+            "THEME",
+          );
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for challenge roll",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Handle form submission to start the challenge.
+   * @param {Event} event - The form submission event
+   * @param {HTMLFormElement} form - The form element
+   * @param {FormData} formData - The form data
+   * @private
+   */
+  static async #onSubmit(_event, _form, formData) {
+    const attacker = fromUuidSync(formData.get("attacker"));
+    const defender = fromUuidSync(formData.get("defender"));
+
+    if (!attacker || !defender) {
+      ui.notifications.error(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Challenge.Errors.ActorMissing"),
+      );
+      return;
+    }
+    if (attacker === defender) {
+      ui.notifications.error(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.Challenge.Errors.SameActor"),
+      );
+      return;
+    }
+
+    const toBeat = parseInt(formData.get("toBeat"), 10);
+    const statusId = formData.get("status");
+
+    await OpposedChallenge.start({
+      attacker,
+      attackerAbility: formData.get("attackerAbility"),
+      defender,
+      defenderAbility: formData.get("defenderAbility"),
+      status: statusId ? defender.items.get(statusId) : null,
+      removeStatus: formData.get("removeStatus") === "true",
+      toBeat: Number.isNaN(toBeat) ? null : toBeat,
+    });
+  }
+}
@@ -1,5 +1,5 @@
 import { EventideSheetHelpers } from "../components/_module.mjs";
-import { Logger } from "../../services/_module.mjs";
+import { Logger, UndoHistory } from "../../services/_module.mjs";
 import {
   initThemeManager,
   THEME_PRESETS,
@@ -447,11 +447,16 @@ export class ChangeTargetStatus extends EventideSheetHelpers {
       }
     }
 
-    await status.updateEmbeddedDocuments("ActiveEffect", [
-      { _id: status.effects.contents[0]._id, system: { changes: updateData } },
-    ]);
+    await UndoHistory.track(instance.target.actor, status.name, async () => {
+      await status.updateEmbeddedDocuments("ActiveEffect", [
+        {
+          _id: status.effects.contents[0]._id,
+          system: { changes: updateData },
+        },
+      ]);
 
-    Hooks.call("erpsUpdateItem", status, {}, {}, game.user.id);
+      Hooks.call("erpsUpdateItem", status, {}, {}, game.user.id);
+    });
     instance._store();
   }
 
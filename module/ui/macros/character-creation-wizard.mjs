@@ -0,0 +1,406 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  applyThemeImmediate,
+  cleanupThemeManager,
+} from "../../helpers/_module.mjs";
+import { CharacterCreation, Logger } from "../../services/_module.mjs";
+import { getActionCardPreset } from "../../services/action-card-presets.mjs";
+
+/**
+ * Wizard steps in order
+ * @type {string[]}
+ */
+const STEPS = ["abilities", "features", "gear", "power", "review"];
+
+/**
+ * Step-by-step creation of a new character following the ERPS character
+ * creation ruleset: abilities, background features, starting gear, and a
+ * first combat power with its action card. Opens on new, empty characters.
+ * {@link CharacterCreation} checks the rules and builds the character.
+ * @extends {EventideSheetHelpers}
+ */
+export class CharacterCreationWizard extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    characterCreationWizard: {
+      template:
+        "systems/eventide-rp-system/templates/macros/character-creation-wizard.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "character-creation-wizard",
+    classes: [
+      "eventide-sheet",
+      "eventide-sheet--scrollbars",
+      "character-creation-wizard",
+    ],
+    position: {
+      width: 600,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-user-plus",
+    },
+    form: {
+      handler: this.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      previousStep: this.#onPreviousStep,
+      nextStep: this.#onNextStep,
+      goToStep: this.#onGoToStep,
+      decrementAbility: this.#onDecrementAbility,
+      incrementAbility: this.#onIncrementAbility,
+    },
+  };
+
+  /**
+   * @param {Object} options - Wizard options
+   * @param {Actor} options.actor - The new character
+   */
+  constructor({ actor } = {}) {
+    super();
+    this.actor = actor;
+    this._step = 0;
+    this._plan = CharacterCreation.getDefaultPlan();
+    this._featureChoices = null;
+    this._gearChoices = null;
+  }
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.format(
+      "EVENTIDE_RP_SYSTEM.CharacterCreation.WindowTitle",
+      {
+        name: this.actor.name,
+      },
+    );
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = await super._prepareContext(_options);
+    context.cssClass =
+      CharacterCreationWizard.DEFAULT_OPTIONS.classes.join(" ");
+
+    const rules = CharacterCreation.rules;
+    const step = STEPS[this._step];
+    const validation = CharacterCreation.validate(this.actor, this._plan);
+
+    context.step = step;
+    context.steps = STEPS.map((key, index) => ({
+      key,
+      index,
+      label: `EVENTIDE_RP_SYSTEM.CharacterCreation.Steps.${key.capitalize()}`,
+      active: index === this._step,
+      done: index < this._step,
+    }));
+    context.rules = rules;
+    context.validation = validation;
+    context.unlimited = validation.budget === null;
+    context.overspent = !context.unlimited && validation.remaining < 0;
+
+    if (step === "abilities" || step === "review") {
+      context.abilities = Object.entries(this._plan.abilities).map(
+        ([key, value]) => ({
+          key,
+          label: CONFIG.EVENTIDE_RP_SYSTEM.abilities[key],
+          value,
+        }),
+      );
+    }
+
+    if (step === "features" || step === "review") {
+      this._featureChoices ??= await CharacterCreation.getFeatureChoices();
+      context.features = this._markSelected(
+        this._featureChoices,
+        this._plan.featureUuids,
+      );
+    }
+
+    if (step === "gear" || step === "review") {
+      this._gearChoices ??= await CharacterCreation.getGearChoices();
+      context.gear = this._markSelected(
+        this._gearChoices,
+        this._plan.gearUuids,
+      );
+    }
+
+    if (step === "power" || step === "review") {
+      context.power = this._plan.power;
+      context.presets = rules.powerPresets.map((id) => ({
+        id,
+        label: getActionCardPreset(id).label,
+        description: getActionCardPreset(id).description,
+        selected: id === this._plan.power.presetId,
+      }));
+      context.powerAbilities = {
+        unaugmented: "EVENTIDE_RP_SYSTEM.CombatOptions.Unaugmented",
+        ...CONFIG.EVENTIDE_RP_SYSTEM.abilities,
+      };
+    }
+
+    if (step === "review") {
+      context.selectedFeatures = context.features.filter((f) => f.selected);
+      context.selectedGear = context.gear.filter((g) => g.selected);
+      context.selectedPreset = context.presets.find((p) => p.selected);
+    }
+
+    const callout =
+      step === "abilities" && context.unlimited
+        ? "AbilitiesUnlimited"
+        : step.capitalize();
+    context.callouts = [
+      {
+        type: "information",
+        faIcon: "fas fa-info-circle",
+        text: game.i18n.format(
+          `EVENTIDE_RP_SYSTEM.CharacterCreation.Callouts.${callout}`,
+          { min: rules.minAbility, max: rules.maxAbility },
+        ),
+      },
+    ];
+
+    const isLast = this._step === STEPS.length - 1;
+    context.footerButtons = [
+      this._step > 0
+        ? {
+            label: game.i18n.localize(
+              "EVENTIDE_RP_SYSTEM.CharacterCreation.Back",
+            ),
+            type: "button",
+            cssClass: "erps-button",
+            action: "previousStep",
+            icon: "fas fa-arrow-left",
+          }
+        : null,
+      isLast
+        ? {
+            label: game.i18n.localize(
+              "EVENTIDE_RP_SYSTEM.CharacterCreation.Create",
+            ),
+            type: "submit",
+            cssClass: "erps-button erps-button--primary",
+            icon: "fa-solid fa-user-check",
+            disabled: !validation.valid,
+          }
+        : {
+            label: game.i18n.localize(
+              "EVENTIDE_RP_SYSTEM.CharacterCreation.Next",
+            ),
+            type: "button",
+            cssClass: "erps-button erps-button--primary",
+            action: "nextStep",
+            icon: "fas fa-arrow-right",
+          },
+    ].filter(Boolean);
+
+    return context;
+  }
+
+  /**
+   * Flag the choices that are part of the plan
+   * @param {Object[]} choices - Item choices with a uuid
+   * @param {string[]} uuids - UUIDs in the plan
+   * @returns {Object[]} The choices with a selected flag
+   * @private
+   */
+  _markSelected(choices, uuids) {
+    return choices.map((choice) => ({
+      ...choice,
+      selected: uuids.includes(choice.uuid),
+    }));
+  }
+
+  /**
+   * Keep the plan in step with the form and re-validate as values change
+   * @param {Object} formConfig - The form configuration
+   * @param {Event} event - The change event
+   * @protected
+   */
+  async _onChangeForm(formConfig, event) {
+    await super._onChangeForm(formConfig, event);
+
+    const target = event.target;
+    const { power } = this._plan;
+
+    switch (target?.name) {
+      case "feature":
+      case "gear": {
+        const key = `${target.name}Uuids`;
+        this._plan[key] = target.checked
+          ? [...this._plan[key], target.value]
+          : this._plan[key].filter((uuid) => uuid !== target.value);
+        return;
+      }
+      case "powerName":
+        power.name = target.value;
+        return;
+      case "powerPreset":
+        power.presetId = target.value;
+        return;
+      case "powerAbility":
+        power.ability = target.value;
+        return;
+      case "powerCost":
+        power.cost = Math.max(0, parseInt(target.value, 10) || 0);
+        return;
+      default:
+        if (!target?.name?.startsWith("ability-")) return;
+    }
+
+    const value = parseInt(target.value, 10);
+    if (isNaN(value)) return;
+    this._plan.abilities[target.name.replace("ability-", "")] = value;
+    this.render();
+  }
+
+  /**
+   * Handle rendering of the character creation wizard
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the character creation wizard
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for character creation wizard",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Go back a step
+   * @private
+   */
+  static #onPreviousStep() {
+    this._step = Math.max(this._step - 1, 0);
+    this.render();
+  }
+
+  /**
+   * Go forward a step
+   * @private
+   */
+  static #onNextStep() {
+    this._step = Math.min(this._step + 1, STEPS.length - 1);
+    this.render();
+  }
+
+  /**
+   * Jump to a step from the step list or the review
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static #onGoToStep(_event, target) {
+    this._step = Number(target.dataset.step);
+    this.render();
+  }
+
+  /**
+   * Take a point from an ability
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static #onDecrementAbility(_event, target) {
+    const { ability } = target.dataset;
+    if (this._plan.abilities[ability] <= CharacterCreation.rules.minAbility) {
+      return;
+    }
+    this._plan.abilities[ability]--;
+    this.render();
+  }
+
+  /**
+   * Put a point into an ability
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static #onIncrementAbility(_event, target) {
+    const { ability } = target.dataset;
+    if (this._plan.abilities[ability] >= CharacterCreation.rules.maxAbility) {
+      return;
+    }
+    this._plan.abilities[ability]++;
+    this.render();
+  }
+
+  /**
+   * Build the character
+   * @param {Event} _event - The form submission event
+   * @param {HTMLFormElement} _form - The form element
+   * @param {FormDataExtended} _formData - The form data
+   * @private
+   */
+  static async #onSubmit(_event, _form, _formData) {
+    if (!(await CharacterCreation.create(this.actor, this._plan))) return;
+
+    ui.notifications.info(
+      game.i18n.format("EVENTIDE_RP_SYSTEM.CharacterCreation.Success", {
+        name: this.actor.name,
+      }),
+    );
+    this.close();
+    this.actor.sheet.render(true);
+  }
+}
@@ -5,7 +5,11 @@ import {
   applyThemeImmediate,
   cleanupThemeManager,
 } from "../../helpers/_module.mjs";
-import { Logger, DamageProcessor } from "../../services/_module.mjs";
+import {
+  Logger,
+  DamageProcessor,
+  UndoHistory,
+} from "../../services/_module.mjs";
 
 // new place for FormDataExtended
 const FormDataExtended = foundry.applications.ux.FormDataExtended;
@@ -272,7 +276,12 @@ export class DamageTargets extends EventideSheetHelpers {
               token.actor,
             );
           }
-          token.actor.damageResolve(damageOptions);
+          return UndoHistory.track(
+            token.actor,
+            damageOptions.label,
+            (createOptions) =>
+              token.actor.damageResolve({ ...damageOptions, createOptions }),
+          );
         }),
       );
     } else {
@@ -291,7 +300,12 @@ export class DamageTargets extends EventideSheetHelpers {
               token.actor,
             );
           }
-          token.actor.damageResolve(damageOptions);
+          return UndoHistory.track(
+            token.actor,
+            damageOptions.label,
+            (createOptions) =>
+              token.actor.damageResolve({ ...damageOptions, createOptions }),
+          );
         }),
       );
     }
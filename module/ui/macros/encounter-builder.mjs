@@ -0,0 +1,361 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  applyThemeImmediate,
+  cleanupThemeManager,
+} from "../../helpers/_module.mjs";
+import { Logger, EncounterPlanner } from "../../services/_module.mjs";
+
+const { TextEditor, DragDrop } = foundry.applications.ux;
+
+/**
+ * Application for planning an encounter from NPCs dragged in from the Actors
+ * sidebar or compendiums. Shows the encounter's total XP and how it rates
+ * against the party on the Sweet Spot Guidelines DC scale, then places it onto
+ * the viewed scene and into a new combat. The plan is kept as a user flag so
+ * it survives closing the window. {@link EncounterPlanner} does the math and
+ * the placing.
+ * @extends {EventideSheetHelpers}
+ */
+export class EncounterBuilder extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    encounterBuilder: {
+      template:
+        "systems/eventide-rp-system/templates/macros/encounter-builder.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "encounter-builder",
+    classes: [
+      "eventide-sheet",
+      "eventide-sheet--scrollbars",
+      "encounter-builder",
+    ],
+    position: {
+      width: 520,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-dragon",
+    },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      removeEntry: this.#onRemoveEntry,
+      clearEncounter: this.#onClearEncounter,
+      placeEncounter: this.#onPlaceEncounter,
+    },
+  };
+
+  /**
+   * User flag key holding the planned encounter
+   * @type {string}
+   */
+  static FLAG_KEY = "encounterDraft";
+
+  constructor(options = {}) {
+    super(options);
+    this._entries = foundry.utils.deepClone(
+      game.user.getFlag("eventide-rp-system", EncounterBuilder.FLAG_KEY) ?? [],
+    );
+    this._partyLevel = null;
+    this._partySize = null;
+    this._hidden = false;
+    this._dragDrop = new DragDrop.implementation({
+      dropSelector: null,
+      permissions: { drop: () => game.user.isGM },
+      callbacks: { drop: this._onDrop.bind(this) },
+    });
+  }
+
+  /**
+   * Add an NPC to the open encounter builder, opening it if needed
+   * @param {Actor} actor - The NPC to add
+   * @returns {Promise<EncounterBuilder>} The encounter builder
+   */
+  static async addActor(actor) {
+    const builder =
+      foundry.applications.instances.get(this.DEFAULT_OPTIONS.id) ??
+      new EncounterBuilder();
+    await builder.addActor(actor);
+    builder.render(true);
+    return builder;
+  }
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.localize(
+      "EVENTIDE_RP_SYSTEM.EncounterBuilder.WindowTitle",
+    );
+  }
+
+  /**
+   * Add an NPC to the encounter, or one more of it if already there
+   * @param {Actor} actor - The NPC to add
+   * @returns {Promise<void>}
+   */
+  async addActor(actor) {
+    const entry = EncounterPlanner.createEntry(actor);
+    if (!entry) {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.EncounterBuilder.Errors.NotNpc"),
+      );
+      return;
+    }
+
+    const existing = this._entries.find((e) => e.uuid === entry.uuid);
+    if (existing) existing.count++;
+    else this._entries.push(entry);
+    await this._saveEntries();
+  }
+
+  /**
+   * Save the planned encounter to the user flag
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveEntries() {
+    await game.user.setFlag(
+      "eventide-rp-system",
+      EncounterBuilder.FLAG_KEY,
+      this._entries,
+    );
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = await super._prepareContext(_options);
+    context.cssClass = EncounterBuilder.DEFAULT_OPTIONS.classes.join(" ");
+
+    const party = EncounterPlanner.getParty();
+    const level = this._partyLevel ?? party.level;
+    const size = this._partySize ?? Math.max(1, party.size);
+    const assessment = EncounterPlanner.assess(this._entries, { level, size });
+    const { tier } = assessment;
+
+    context.partyLevel = level;
+    context.partySize = size;
+    context.partyHint = game.i18n.format(
+      "EVENTIDE_RP_SYSTEM.EncounterBuilder.PartyHint",
+      { count: party.size },
+    );
+    context.hidden = this._hidden;
+    context.entries = this._entries.map((entry, index) => ({
+      ...entry,
+      index,
+      totalXP: entry.xp * entry.count,
+    }));
+    context.assessment = {
+      ...assessment,
+      label: assessment.band
+        ? game.i18n.localize(
+            `EVENTIDE_RP_SYSTEM.EncounterBuilder.Bands.${assessment.band}`,
+          )
+        : "—",
+      dcLabel:
+        assessment.dc === null
+          ? ""
+          : game.i18n.format("EVENTIDE_RP_SYSTEM.EncounterBuilder.RatingDC", {
+              dc: assessment.dc,
+            }),
+    };
+    context.tierHint = game.i18n.format(
+      "EVENTIDE_RP_SYSTEM.EncounterBuilder.TierHint",
+      {
+        level,
+        sweetSpot: tier.sweetSpot,
+        difficultMin: tier.difficult[0],
+        difficultMax: tier.difficult[1],
+        nearImpossible: tier.nearImpossible,
+      },
+    );
+
+    context.footerButtons = [
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.EncounterBuilder.Place"),
+        type: "button",
+        cssClass: "erps-button erps-button--primary",
+        action: "placeEncounter",
+        icon: "fa-solid fa-swords",
+        disabled: !context.entries.length || !canvas?.scene,
+      },
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.EncounterBuilder.Clear"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "clearEncounter",
+        icon: "fas fa-eraser",
+        disabled: !context.entries.length,
+      },
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+        icon: "fas fa-times",
+      },
+    ];
+
+    return context;
+  }
+
+  /**
+   * Apply party and count changes as they are made
+   * @param {Object} formConfig - The form configuration
+   * @param {Event} event - The change event
+   * @protected
+   */
+  async _onChangeForm(formConfig, event) {
+    await super._onChangeForm(formConfig, event);
+
+    const target = event.target;
+    const value = Number(target?.value);
+    if (target?.name === "partyLevel") {
+      this._partyLevel = Math.max(1, value || 1);
+    } else if (target?.name === "partySize") {
+      this._partySize = Math.max(1, value || 1);
+    } else if (target?.name === "hidden") {
+      this._hidden = target.checked;
+      return;
+    } else if (target?.name?.startsWith("count-")) {
+      const entry = this._entries[Number(target.name.slice(6))];
+      if (!entry) return;
+      entry.count = Math.max(1, Math.floor(value) || 1);
+      await this._saveEntries();
+    } else {
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Add NPCs dropped from the Actors sidebar or a compendium
+   * @param {DragEvent} event - The drop event
+   * @protected
+   */
+  async _onDrop(event) {
+    const data = TextEditor.implementation.getDragEventData(event);
+    if (data.type !== "Actor") return;
+
+    const actor = await Actor.implementation.fromDropData(data);
+    if (!actor) return;
+    await this.addActor(actor);
+    this.render();
+  }
+
+  /**
+   * Handle rendering of the encounter builder
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+    this._dragDrop.bind(this.element);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the encounter builder
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for encounter builder",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Remove an NPC from the encounter
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static async #onRemoveEntry(_event, target) {
+    this._entries.splice(Number(target.dataset.index), 1);
+    await this._saveEntries();
+    this.render();
+  }
+
+  /**
+   * Remove every NPC from the encounter
+   * @private
+   */
+  static async #onClearEncounter() {
+    this._entries = [];
+    await this._saveEntries();
+    this.render();
+  }
+
+  /**
+   * Place the encounter at the center of the canvas view and start a combat
+   * @private
+   */
+  static async #onPlaceEncounter() {
+    const scene = canvas?.scene;
+    const combat = await EncounterPlanner.place(this._entries, {
+      scene,
+      center: canvas?.stage?.pivot,
+      hidden: this._hidden,
+    });
+    if (!combat) return;
+
+    ui.notifications.info(
+      game.i18n.format("EVENTIDE_RP_SYSTEM.EncounterBuilder.Placed", {
+        count: this._entries.reduce((sum, entry) => sum + entry.count, 0),
+        scene: scene.name,
+      }),
+    );
+  }
+}
@@ -5,7 +5,7 @@ import {
   applyThemeImmediate,
   cleanupThemeManager,
 } from "../../helpers/_module.mjs";
-import { Logger } from "../../services/_module.mjs";
+import { Encumbrance, Logger } from "../../services/_module.mjs";
 
 /**
  * A form application for transferring gear from target to selected token.
@@ -176,6 +176,16 @@ export class GearTransfer extends EventideSheetHelpers {
       );
     }
 
+    // Warn when the recipient would become more encumbered
+    const overloadWarning = Encumbrance.getTransferWarning(
+      destActor,
+      sourceItem,
+      transferQuantity,
+    );
+    if (overloadWarning) {
+      ui.notifications.warn(overloadWarning);
+    }
+
     // Check if destination already has this gear
     const existingItem = destActor.items.find(
       (i) => i.name === sourceItem.name && i.type === "gear",
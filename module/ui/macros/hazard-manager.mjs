@@ -0,0 +1,213 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  cleanupThemeManager,
+  applyThemeImmediate,
+} from "../../helpers/_module.mjs";
+import { Logger, SceneHazards } from "../../services/_module.mjs";
+
+/**
+ * Application for attaching end-of-round hazards to the current scene. Each
+ * hazard is a saved-damage action card bound to a scene region or to the
+ * tokens that were selected when it was added; {@link SceneHazards} resolves
+ * them whenever a combat round ends.
+ * @extends {EventideSheetHelpers}
+ */
+export class HazardManager extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    hazardManager: {
+      template:
+        "systems/eventide-rp-system/templates/macros/hazard-manager.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "hazard-manager",
+    classes: ["eventide-sheet", "eventide-sheet--scrollbars", "hazard-manager"],
+    position: {
+      width: 460,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-fire",
+    },
+    form: {
+      handler: this.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      removeHazard: this.#onRemoveHazard,
+      resolveHazards: this.#onResolveHazards,
+    },
+  };
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.localize("EVENTIDE_RP_SYSTEM.Hazards.WindowTitle");
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = {};
+    context.cssClass = HazardManager.DEFAULT_OPTIONS.classes.join(" ");
+    context.isGM = game.user.isGM;
+
+    const scene = canvas?.scene;
+    context.activeHeader = game.i18n.format(
+      "EVENTIDE_RP_SYSTEM.Hazards.Active",
+      { scene: scene?.name ?? "" },
+    );
+    context.regions = scene?.regions.contents ?? [];
+    context.actionCards = game.items.filter((item) =>
+      SceneHazards.isHazardCard(item),
+    );
+    context.hazards = SceneHazards.getHazards(scene).map((hazard) => ({
+      ...hazard,
+      area: hazard.regionId
+        ? (scene.regions.get(hazard.regionId)?.name ??
+          game.i18n.localize("EVENTIDE_RP_SYSTEM.Hazards.MissingRegion"))
+        : game.i18n.format("EVENTIDE_RP_SYSTEM.Hazards.TokenCount", {
+            count: hazard.tokenIds.length,
+          }),
+    }));
+
+    // Falsy entries are skipped by the footer partial
+    context.footerButtons = [
+      context.isGM && {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Hazards.Add"),
+        type: "submit",
+        cssClass: "erps-button erps-button--primary",
+        icon: "fas fa-plus",
+      },
+      context.isGM && {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Hazards.ResolveNow"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "resolveHazards",
+        icon: "fas fa-fire",
+      },
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+        icon: "fas fa-times",
+      },
+    ];
+
+    return context;
+  }
+
+  /**
+   * Handle rendering of the hazard manager application
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the hazard manager application
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for hazard manager",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Handle form submission to add a hazard to the current scene. Without a
+   * region, the hazard is bound to the currently selected tokens.
+   * @param {Event} event - The form submission event
+   * @param {HTMLFormElement} form - The form element
+   * @param {FormData} formData - The form data
+   * @private
+   */
+  static async #onSubmit(_event, _form, formData) {
+    if (!game.user.isGM || !canvas?.scene) return;
+
+    const regionId = formData.get("regionId");
+    const hazard = await SceneHazards.addHazard(canvas.scene, {
+      actionCard: game.items.get(formData.get("actionCardId")),
+      regionId,
+      tokenIds: regionId
+        ? []
+        : canvas.tokens.controlled.map((token) => token.document.id),
+      name: formData.get("name"),
+    });
+
+    if (hazard) this.render();
+  }
+
+  /**
+   * Remove a hazard from the current scene
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static async #onRemoveHazard(_event, target) {
+    await SceneHazards.removeHazard(canvas.scene, target.dataset.hazardId);
+    this.render();
+  }
+
+  /**
+   * Resolve every hazard on the current scene immediately
+   * @private
+   */
+  static async #onResolveHazards() {
+    await SceneHazards.resolveHazards(canvas.scene);
+  }
+}
@@ -0,0 +1,377 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  applyThemeImmediate,
+  cleanupThemeManager,
+} from "../../helpers/_module.mjs";
+import {
+  Advancement,
+  ExperienceAwards,
+  Logger,
+} from "../../services/_module.mjs";
+
+/**
+ * Guided level-up for a character: raise the level, spend the new stat points
+ * budget on abilities with live validation, and pick features and combat
+ * powers from compendiums. Also lists the advancement log, where the GM can
+ * roll back the latest level-up. {@link Advancement} applies the changes.
+ * @extends {EventideSheetHelpers}
+ */
+export class LevelUpWizard extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    levelUpWizard: {
+      template:
+        "systems/eventide-rp-system/templates/macros/level-up-wizard.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "level-up-wizard",
+    classes: [
+      "eventide-sheet",
+      "eventide-sheet--scrollbars",
+      "level-up-wizard",
+    ],
+    position: {
+      width: 560,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-arrow-up-right-dots",
+    },
+    form: {
+      handler: this.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      decrementLevel: this.#onDecrementLevel,
+      incrementLevel: this.#onIncrementLevel,
+      decrementAbility: this.#onDecrementAbility,
+      incrementAbility: this.#onIncrementAbility,
+      rollBack: this.#onRollBack,
+    },
+  };
+
+  /**
+   * @param {Object} options - Wizard options
+   * @param {Actor} options.actor - The character to level up
+   */
+  constructor({ actor } = {}) {
+    super();
+    this.actor = actor;
+    this._itemChoices = null;
+    this._reset();
+  }
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.format("EVENTIDE_RP_SYSTEM.LevelUp.WindowTitle", {
+      name: this.actor.name,
+    });
+  }
+
+  /**
+   * Start a fresh level-up from the actor's current level and abilities
+   * @private
+   */
+  _reset() {
+    this._level = this.actor.system.attributes.level.value + 1;
+    this._abilities = Advancement.getAbilityValues(this.actor);
+    this._selectedItems = new Set();
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = await super._prepareContext(_options);
+    context.cssClass = LevelUpWizard.DEFAULT_OPTIONS.classes.join(" ");
+
+    this._itemChoices ??= await Advancement.getItemChoices(this.actor);
+
+    const current = Advancement.getAbilityValues(this.actor);
+    const validation = Advancement.validate(this.actor, {
+      level: this._level,
+      abilities: this._abilities,
+    });
+
+    context.currentLevel = this.actor.system.attributes.level.value;
+    context.level = this._level;
+    context.baseValue = this.actor.system.statTotal.baseValue;
+    context.validation = validation;
+    context.unlimited = validation.budget === null;
+    context.abilities = Object.entries(current).map(([key, value]) => ({
+      key,
+      label: CONFIG.EVENTIDE_RP_SYSTEM.abilities[key],
+      current: value,
+      value: this._abilities[key],
+      raised: this._abilities[key] - value,
+    }));
+
+    context.itemGroups = Advancement.ITEM_TYPES.map((type) => ({
+      label: `TYPES.Item.${type}`,
+      items: this._itemChoices
+        .filter((choice) => choice.type === type)
+        .map((choice) => ({
+          ...choice,
+          selected: this._selectedItems.has(choice.uuid),
+        })),
+    })).filter((group) => group.items.length);
+
+    const log = Advancement.getLog(this.actor);
+    context.log = log
+      .map((entry, index) => ({
+        ...entry,
+        date: new Date(entry.timestamp).toLocaleString(),
+        abilities: Object.entries(entry.abilities).map(([key, change]) => ({
+          label: CONFIG.EVENTIDE_RP_SYSTEM.abilities[key],
+          ...change,
+        })),
+        canRollBack: game.user.isGM && index === log.length - 1,
+      }))
+      .reverse();
+
+    context.callouts = [
+      {
+        type: "information",
+        faIcon: "fas fa-info-circle",
+        text: game.i18n.localize(
+          context.unlimited
+            ? "EVENTIDE_RP_SYSTEM.LevelUp.CalloutUnlimited"
+            : "EVENTIDE_RP_SYSTEM.LevelUp.Callout",
+        ),
+      },
+    ];
+
+    const nextLevelXP = ExperienceAwards.getNextLevelXP(context.currentLevel);
+    if (nextLevelXP !== null) {
+      const ready = ExperienceAwards.isReadyToLevel(this.actor);
+      context.callouts.push({
+        type: "information",
+        faIcon: "fas fa-star",
+        text: game.i18n.format(
+          ready
+            ? "EVENTIDE_RP_SYSTEM.LevelUp.XpReady"
+            : "EVENTIDE_RP_SYSTEM.LevelUp.XpProgress",
+          {
+            xp: ExperienceAwards.getExperience(this.actor).total,
+            next: nextLevelXP,
+          },
+        ),
+      });
+    }
+
+    context.footerButtons = [
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.LevelUp.Apply"),
+        type: "submit",
+        cssClass: "erps-button erps-button--primary",
+        icon: "fa-solid fa-arrow-up-right-dots",
+        disabled: !validation.valid,
+      },
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+        icon: "fas fa-times",
+      },
+    ];
+
+    return context;
+  }
+
+  /**
+   * Keep the plan in step with the form and re-validate as values change
+   * @param {Object} formConfig - The form configuration
+   * @param {Event} event - The change event
+   * @protected
+   */
+  async _onChangeForm(formConfig, event) {
+    await super._onChangeForm(formConfig, event);
+
+    const target = event.target;
+    if (target?.name === "item") {
+      if (target.checked) this._selectedItems.add(target.value);
+      else this._selectedItems.delete(target.value);
+      return;
+    }
+
+    const value = parseInt(target?.value, 10);
+    if (isNaN(value)) return;
+
+    if (target.name === "level") {
+      this._level = value;
+    } else if (target.name?.startsWith("ability-")) {
+      this._abilities[target.name.replace("ability-", "")] = value;
+    } else {
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Handle rendering of the level-up wizard
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the level-up wizard
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for level-up wizard",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Lower the new level, never below the next level
+   * @private
+   */
+  static #onDecrementLevel() {
+    if (this._level <= this.actor.system.attributes.level.value + 1) return;
+    this._level--;
+    this.render();
+  }
+
+  /**
+   * Raise the new level
+   * @private
+   */
+  static #onIncrementLevel() {
+    this._level++;
+    this.render();
+  }
+
+  /**
+   * Take a point back from an ability, never below its current value
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static #onDecrementAbility(_event, target) {
+    const { ability } = target.dataset;
+    const current = this.actor.system.abilities[ability].value;
+    if (this._abilities[ability] <= current) return;
+    this._abilities[ability]--;
+    this.render();
+  }
+
+  /**
+   * Spend a point on an ability
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static #onIncrementAbility(_event, target) {
+    this._abilities[target.dataset.ability]++;
+    this.render();
+  }
+
+  /**
+   * Roll back the level-up on the clicked log entry
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static async #onRollBack(_event, target) {
+    const { entryId } = target.closest("[data-entry-id]").dataset;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize("EVENTIDE_RP_SYSTEM.LevelUp.RollBack"),
+      },
+      content: `<p>${game.i18n.format(
+        "EVENTIDE_RP_SYSTEM.LevelUp.RollBackConfirm",
+        { name: this.actor.name },
+      )}</p>`,
+    });
+    if (!confirmed) return;
+
+    if (await Advancement.rollBack(this.actor, entryId)) {
+      this._itemChoices = null;
+      this._reset();
+    }
+    this.render();
+  }
+
+  /**
+   * Apply the level-up
+   * @param {Event} _event - The form submission event
+   * @param {HTMLFormElement} _form - The form element
+   * @param {FormDataExtended} _formData - The form data
+   * @private
+   */
+  static async #onSubmit(_event, _form, _formData) {
+    const entry = await Advancement.levelUp(this.actor, {
+      level: this._level,
+      abilities: this._abilities,
+      itemUuids: [...this._selectedItems],
+    });
+    if (!entry) return;
+
+    ui.notifications.info(
+      game.i18n.format("EVENTIDE_RP_SYSTEM.LevelUp.Success", {
+        name: this.actor.name,
+        level: entry.toLevel,
+      }),
+    );
+    this._itemChoices = null;
+    this._reset();
+    this.render();
+  }
+}
@@ -0,0 +1,208 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  cleanupThemeManager,
+  applyThemeImmediate,
+} from "../../helpers/_module.mjs";
+import { Logger, PreparedActions } from "../../services/_module.mjs";
+
+/**
+ * Application listing the prepared actions pending in the current combat.
+ * Firing one starts a Challenge between the preparer and the combatant they
+ * interrupt; {@link PreparedActions} resolves the prepared action card if the
+ * preparer wins.
+ * @extends {EventideSheetHelpers}
+ */
+export class PreparedActionsPanel extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    preparedActionsPanel: {
+      template:
+        "systems/eventide-rp-system/templates/macros/prepared-actions-panel.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "prepared-actions-panel",
+    classes: [
+      "eventide-sheet",
+      "eventide-sheet--scrollbars",
+      "prepared-actions-panel",
+    ],
+    position: {
+      width: 520,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-hourglass-half",
+    },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      firePrepared: this.#onFirePrepared,
+      dismissPrepared: this.#onDismissPrepared,
+    },
+  };
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.localize("EVENTIDE_RP_SYSTEM.PreparedActions.WindowTitle");
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = {};
+    context.cssClass = PreparedActionsPanel.DEFAULT_OPTIONS.classes.join(" ");
+    context.isGM = game.user.isGM;
+
+    const combat = game.combat;
+    context.abilities = Object.entries(CONFIG.EVENTIDE_RP_SYSTEM.abilities).map(
+      ([key, label]) => ({ key, label: game.i18n.localize(label) }),
+    );
+    context.pending = PreparedActions.getPending(combat).map(
+      ({ combatant, prepared }) => ({
+        ...prepared,
+        combatantId: combatant.id,
+        combatantName: combatant.name,
+        img: combatant.img,
+        ability: this._getCardAbility(combatant, prepared),
+        targets: combat.turns
+          .filter((other) => other.id !== combatant.id && other.actor)
+          .map((other) => ({
+            id: other.id,
+            name: other.name,
+            selected: other.id === combat.combatant?.id,
+          })),
+      }),
+    );
+
+    context.footerButtons = [
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+        icon: "fas fa-times",
+      },
+    ];
+
+    return context;
+  }
+
+  /**
+   * Get the ability a preparer rolls by default: the one rolled by the
+   * prepared card's embedded item, falling back to Acrobatics
+   * @param {Combatant} combatant - The preparing combatant
+   * @param {Object} prepared - The prepared action
+   * @returns {string} The ability key
+   * @private
+   */
+  _getCardAbility(combatant, prepared) {
+    const actionCard = combatant.actor?.items.get(prepared.actionCardId);
+    const ability = actionCard?.getEmbeddedItem?.()?.system?.roll?.ability;
+    return ability in CONFIG.EVENTIDE_RP_SYSTEM.abilities ? ability : "acro";
+  }
+
+  /**
+   * Handle rendering of the prepared actions panel
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the prepared actions panel
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for prepared actions panel",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Fire a prepared action against the combatant chosen on its row
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static async #onFirePrepared(_event, target) {
+    const row = target.closest("[data-prepared-id]");
+    const combat = game.combat;
+    const combatant = combat?.combatants.get(row.dataset.combatantId);
+    const field = (name) => row.querySelector(`[name="${name}"]`)?.value;
+
+    await PreparedActions.fire(combatant, row.dataset.preparedId, {
+      target: combat?.combatants.get(field("targetId")),
+      attackerAbility: field("attackerAbility"),
+      defenderAbility: field("defenderAbility"),
+    });
+  }
+
+  /**
+   * Dismiss a prepared action without firing it
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static async #onDismissPrepared(_event, target) {
+    const row = target.closest("[data-prepared-id]");
+    const combatant = game.combat?.combatants.get(row.dataset.combatantId);
+    if (!combatant) return;
+
+    await PreparedActions.dismiss(combatant, row.dataset.preparedId);
+  }
+}
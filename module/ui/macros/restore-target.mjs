@@ -5,7 +5,7 @@ import {
   cleanupThemeManager,
   applyThemeImmediate,
 } from "../../helpers/_module.mjs";
-import { Logger } from "../../services/_module.mjs";
+import { Logger, UndoHistory } from "../../services/_module.mjs";
 /**
  * Application for managing resource restoration of targeted tokens.
  * @extends {EventideSheetHelpers}
@@ -216,6 +216,8 @@ export class RestoreTarget extends EventideSheetHelpers {
       statuses: selectedStatuses,
     };
 
-    await actor?.restore(restoreOptions);
+    await UndoHistory.track(actor, this.title, () =>
+      actor?.restore(restoreOptions),
+    );
   }
 }
\ No newline at end of file
@@ -6,6 +6,7 @@ import {
   applyThemeImmediate,
 } from "../../helpers/_module.mjs";
 import { Logger } from "../../services/_module.mjs";
+import { RollStatistics } from "./roll-statistics.mjs";
 
 const ROLL_HISTORY_MAX = 50;
 const SYSTEM_ID = "eventide-rp-system";
@@ -35,6 +36,9 @@ export class RollHistory extends EventideSheetHelpers {
       submitOnChange: false,
       closeOnSubmit: false,
     },
+    actions: {
+      openStatistics: this.#onOpenStatistics,
+    },
   };
 
   static forActor(actor) {
@@ -83,6 +87,13 @@ export class RollHistory extends EventideSheetHelpers {
     context.empty = context.rolls.length === 0;
 
     context.footerButtons = [
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.RollHistory.Statistics"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "openStatistics",
+        icon: "fa-solid fa-chart-column",
+      },
       {
         label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
         type: "button",
@@ -142,6 +153,10 @@ export class RollHistory extends EventideSheetHelpers {
     }
   }
 
+  static #onOpenStatistics() {
+    new RollStatistics({ actorId: this.#actor?.id }).render(true);
+  }
+
   async _preClose(options) {
     if (this.themeManager) {
       cleanupThemeManager(this);
@@ -0,0 +1,379 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  applyThemeImmediate,
+  cleanupThemeManager,
+} from "../../helpers/_module.mjs";
+import { Logger, RollLog, SystemSocket } from "../../services/_module.mjs";
+
+/**
+ * Analytics over the world roll log: check total distribution, crit rates,
+ * hit rate against AC and damage totals, per actor and per session, with CSV
+ * and JSON export. Players only see the rolls of actors they own, which they
+ * get from the active GM since only GMs can read the log.
+ * {@link RollLog} records the rolls and computes the statistics.
+ * @extends {EventideSheetHelpers}
+ */
+export class RollStatistics extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    rollStatistics: {
+      template:
+        "systems/eventide-rp-system/templates/macros/roll-statistics.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "roll-statistics",
+    classes: [
+      "eventide-sheet",
+      "eventide-sheet--scrollbars",
+      "roll-statistics",
+    ],
+    position: {
+      width: 640,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-chart-column",
+    },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      selectActor: this.#onSelectActor,
+      exportCsv: this.#onExportCsv,
+      exportJson: this.#onExportJson,
+      clearLog: this.#onClearLog,
+    },
+  };
+
+  /**
+   * @param {Object} [options={}] - Window options
+   * @param {string} [options.actorId] - Actor to show at first
+   * @param {string} [options.sessionId] - Session to show at first
+   */
+  constructor({ actorId = "", sessionId = "" } = {}) {
+    super();
+    this._actorId = actorId;
+    this._sessionId = sessionId;
+    this._entries = [];
+    this._messageHook = null;
+  }
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.localize("EVENTIDE_RP_SYSTEM.RollStatistics.WindowTitle");
+  }
+
+  /**
+   * Get the logged rolls the user may see
+   * @returns {Promise<RollLogEntry[]>} The entries, oldest first
+   * @private
+   */
+  async _getVisibleEntries() {
+    if (game.user.isGM) return RollLog.getEntriesFor(game.user);
+
+    try {
+      return await SystemSocket.requestGM("getRollLog", {});
+    } catch (error) {
+      Logger.warn("Failed to load the roll log", error, "ROLL_LOG");
+      return [];
+    }
+  }
+
+  /**
+   * Get the shown entries matching the current filters
+   * @returns {RollLogEntry[]} The entries, oldest first
+   * @private
+   */
+  _getFilteredEntries() {
+    return RollLog.filter(this._entries, {
+      sessionId: this._sessionId,
+      actorId: this._actorId,
+    });
+  }
+
+  /**
+   * Format a rate as a percentage
+   * @param {number|null} rate - The rate between 0 and 1
+   * @returns {string} The percentage, or a dash when there is nothing to rate
+   * @private
+   */
+  _formatRate(rate) {
+    return rate === null ? "—" : `${Math.round(rate * 100)}%`;
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = await super._prepareContext(_options);
+    context.cssClass = RollStatistics.DEFAULT_OPTIONS.classes.join(" ");
+
+    const entries = await this._getVisibleEntries();
+    this._entries = entries;
+    const sessionEntries = RollLog.filter(entries, {
+      sessionId: this._sessionId,
+    });
+
+    context.isGM = game.user.isGM;
+    context.empty = entries.length === 0;
+    context.sessionId = this._sessionId;
+    context.actorId = this._actorId;
+
+    context.sessions = RollLog.getSessions(entries)
+      .reverse()
+      .map((session) => ({
+        id: session.id,
+        label: game.i18n.format("EVENTIDE_RP_SYSTEM.RollStatistics.Session", {
+          date: new Date(session.start).toLocaleString(),
+          count: session.count,
+        }),
+      }));
+
+    // Everyone who rolled or was credited with damage in the session
+    const actors = new Map();
+    for (const entry of sessionEntries) {
+      if (entry.actorId) actors.set(entry.actorId, entry.actorName);
+      if (entry.sourceActorId) {
+        actors.set(entry.sourceActorId, entry.sourceActorName);
+      }
+    }
+    context.actors = [...actors.entries()]
+      .map(([id, name]) => {
+        const summary = RollLog.summarize(sessionEntries, id);
+        return {
+          id,
+          name,
+          selected: id === this._actorId,
+          rolls: summary.rolls,
+          average: summary.average ?? "—",
+          critRate: this._formatRate(summary.critRate),
+          hitRate: this._formatRate(summary.hitRate),
+          damageDealt: summary.damageDealt,
+          damageTaken: summary.damageTaken,
+        };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const summary = RollLog.summarize(
+      this._getFilteredEntries(),
+      this._actorId || null,
+    );
+    const maxCount = Math.max(
+      1,
+      ...summary.distribution.map((bucket) => bucket.count),
+    );
+    context.summary = {
+      ...summary,
+      average: summary.average ?? "—",
+      critRate: this._formatRate(summary.critRate),
+      critMissRate: this._formatRate(summary.critMissRate),
+      hitRate: this._formatRate(summary.hitRate),
+      distribution: summary.distribution.map((bucket) => ({
+        ...bucket,
+        height: Math.round((bucket.count / maxCount) * 100),
+      })),
+    };
+
+    context.footerButtons = [
+      {
+        label: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.RollStatistics.ExportCsv",
+        ),
+        type: "button",
+        cssClass: "erps-button",
+        action: "exportCsv",
+        icon: "fa-solid fa-file-csv",
+        disabled: context.empty,
+      },
+      {
+        label: game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.RollStatistics.ExportJson",
+        ),
+        type: "button",
+        cssClass: "erps-button",
+        action: "exportJson",
+        icon: "fa-solid fa-file-code",
+        disabled: context.empty,
+      },
+      game.user.isGM
+        ? {
+            label: game.i18n.localize(
+              "EVENTIDE_RP_SYSTEM.RollStatistics.Clear",
+            ),
+            type: "button",
+            cssClass: "erps-button",
+            action: "clearLog",
+            icon: "fa-solid fa-trash",
+            disabled: context.empty,
+          }
+        : null,
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+        icon: "fas fa-times",
+      },
+    ].filter(Boolean);
+
+    return context;
+  }
+
+  /**
+   * Apply the actor and session filters as they change
+   * @param {Object} formConfig - The form configuration
+   * @param {Event} event - The change event
+   * @protected
+   */
+  async _onChangeForm(formConfig, event) {
+    await super._onChangeForm(formConfig, event);
+
+    const target = event.target;
+    if (target?.name === "sessionId") {
+      this._sessionId = target.value;
+    } else if (target?.name === "actorId") {
+      this._actorId = target.value;
+    } else {
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Handle rendering of the roll statistics window
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the roll statistics window
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Stay current as new rolls are made
+    this._messageHook = Hooks.on("createChatMessage", (message) => {
+      if (message.flags?.["eventide-rp-system"]?.roll) this.render();
+    });
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for roll statistics",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    if (this._messageHook !== null) {
+      Hooks.off("createChatMessage", this._messageHook);
+      this._messageHook = null;
+    }
+
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Show the statistics of the clicked actor, or everyone if already shown
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static #onSelectActor(_event, target) {
+    const { actorId } = target.closest("[data-actor-id]").dataset;
+    this._actorId = this._actorId === actorId ? "" : actorId;
+    this.render();
+  }
+
+  /**
+   * Download the filtered rolls as CSV
+   * @private
+   */
+  static #onExportCsv() {
+    foundry.utils.saveDataToFile(
+      RollLog.toCSV(this._getFilteredEntries()),
+      "text/csv",
+      "roll-log.csv",
+    );
+  }
+
+  /**
+   * Download the filtered rolls as JSON
+   * @private
+   */
+  static #onExportJson() {
+    foundry.utils.saveDataToFile(
+      JSON.stringify(this._getFilteredEntries(), null, 2),
+      "application/json",
+      "roll-log.json",
+    );
+  }
+
+  /**
+   * Empty the roll log after confirmation
+   * @private
+   */
+  static async #onClearLog() {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: {
+        title: game.i18n.localize("EVENTIDE_RP_SYSTEM.RollStatistics.Clear"),
+      },
+      content: `<p>${game.i18n.localize(
+        "EVENTIDE_RP_SYSTEM.RollStatistics.ClearConfirm",
+      )}</p>`,
+    });
+    if (!confirmed) return;
+
+    if (await RollLog.clear()) {
+      this._actorId = "";
+      this._sessionId = "";
+    }
+    this.render();
+  }
+}
@@ -0,0 +1,186 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  cleanupThemeManager,
+  applyThemeImmediate,
+} from "../../helpers/_module.mjs";
+import { Logger, UndoHistory } from "../../services/_module.mjs";
+
+/**
+ * Application listing the damage, healing and status changes applied this
+ * session, most recent first, so the GM can revert any of them.
+ * {@link UndoHistory} records the entries and performs the undo.
+ * @extends {EventideSheetHelpers}
+ */
+export class UndoHistoryWindow extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    undoHistory: {
+      template: "systems/eventide-rp-system/templates/macros/undo-history.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "undo-history",
+    classes: ["eventide-sheet", "eventide-sheet--scrollbars", "undo-history"],
+    position: {
+      width: 480,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-rotate-left",
+    },
+    form: {
+      submitOnChange: false,
+      closeOnSubmit: false,
+    },
+    actions: {
+      undoEntry: this.#onUndoEntry,
+    },
+  };
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.localize("EVENTIDE_RP_SYSTEM.Undo.WindowTitle");
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = {};
+    context.cssClass = UndoHistoryWindow.DEFAULT_OPTIONS.classes.join(" ");
+    context.isGM = game.user.isGM;
+
+    context.entries = UndoHistory.getEntries().map((entry) => ({
+      ...entry,
+      time: new Date(entry.timestamp).toLocaleTimeString(),
+      changes: this._describeChanges(entry),
+    }));
+
+    context.footerButtons = [
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Close"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+        icon: "fas fa-times",
+      },
+    ];
+
+    return context;
+  }
+
+  /**
+   * Summarise what an entry changed, e.g. "Resolve -12, 1 item added"
+   * @param {UndoEntry} entry - The undo entry
+   * @returns {string[]} One localized line per change
+   * @private
+   */
+  _describeChanges(entry) {
+    const changes = Object.entries(entry.resources).map(
+      ([resource, { before, after }]) =>
+        game.i18n.format(
+          `EVENTIDE_RP_SYSTEM.Undo.Changes.${resource.capitalize()}`,
+          { delta: `${after > before ? "+" : ""}${after - before}` },
+        ),
+    );
+
+    const counts = {
+      Created: entry.createdItemIds.length,
+      Updated: entry.updatedDocuments.length,
+      Deleted: entry.deletedItems.length,
+    };
+    for (const [kind, count] of Object.entries(counts)) {
+      if (!count) continue;
+      changes.push(
+        game.i18n.format(`EVENTIDE_RP_SYSTEM.Undo.Changes.${kind}`, { count }),
+      );
+    }
+
+    return changes;
+  }
+
+  /**
+   * Handle rendering of the undo history window
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the undo history window
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for undo history window",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Revert the entry on the clicked row
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The clicked element
+   * @private
+   */
+  static async #onUndoEntry(_event, target) {
+    const row = target.closest("[data-entry-id]");
+    target.disabled = true;
+
+    if (!(await UndoHistory.undo(row.dataset.entryId))) {
+      target.disabled = false;
+      return;
+    }
+    this.render();
+  }
+}
@@ -0,0 +1,259 @@
+import { EventideSheetHelpers } from "../components/_module.mjs";
+import {
+  initThemeManager,
+  THEME_PRESETS,
+  applyThemeImmediate,
+  cleanupThemeManager,
+} from "../../helpers/_module.mjs";
+import { Logger, ExperienceAwards } from "../../services/_module.mjs";
+
+/**
+ * GM prompt shown when a combat with defeated NPCs ends: lists the defeated
+ * and removed NPCs with their XP and splits it among the player characters
+ * who fought, evenly, per kill or by hand. {@link ExperienceAwards} stores
+ * the awards and flags characters ready to level up.
+ * @extends {EventideSheetHelpers}
+ */
+export class XpAwardDialog extends EventideSheetHelpers {
+  /** @override */
+  static PARTS = {
+    xpAwardDialog: {
+      template:
+        "systems/eventide-rp-system/templates/macros/xp-award-dialog.hbs",
+    },
+  };
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "xp-award-dialog-{id}",
+    classes: [
+      "eventide-sheet",
+      "eventide-sheet--scrollbars",
+      "xp-award-dialog",
+    ],
+    position: {
+      width: 480,
+      height: "auto",
+    },
+    tag: "form",
+    window: {
+      icon: "fa-solid fa-star",
+    },
+    form: {
+      handler: this.#onSubmit,
+      submitOnChange: false,
+      closeOnSubmit: true,
+    },
+  };
+
+  /**
+   * @param {Object} options - Dialog options
+   * @param {string} [options.source=""] - What the XP was earned for
+   * @param {DefeatedNpc[]} options.defeated - The defeated NPCs
+   * @param {Actor[]} options.participants - The characters sharing the XP
+   */
+  constructor({ source = "", defeated = [], participants = [] } = {}) {
+    super();
+    this._source = source;
+    this._defeated = defeated;
+    this._participants = participants;
+    this._included = new Set(defeated.map((npc) => npc.id));
+    this._mode = "even";
+    this._manual = {};
+  }
+
+  /**
+   * Get the localized window title
+   * @returns {string} The localized window title
+   */
+  get title() {
+    return game.i18n.localize("EVENTIDE_RP_SYSTEM.XpAward.Title");
+  }
+
+  /**
+   * Get the defeated NPCs whose XP is being awarded
+   * @returns {DefeatedNpc[]} The included NPCs
+   * @private
+   */
+  _getIncluded() {
+    return this._defeated.filter((npc) => this._included.has(npc.id));
+  }
+
+  /**
+   * Get the XP for each character under the current split
+   * @returns {Object<string, number>} XP by character ID
+   * @private
+   */
+  _getAwards() {
+    if (this._mode === "manual") return this._manual;
+    return ExperienceAwards.split(
+      this._getIncluded(),
+      this._participants,
+      this._mode,
+    );
+  }
+
+  /**
+   * Prepare the main context data for the form.
+   * @param {Object} options - Form options
+   * @returns {Promise<Object>} The prepared context
+   */
+  async _prepareContext(_options) {
+    const context = await super._prepareContext(_options);
+    context.cssClass = XpAwardDialog.DEFAULT_OPTIONS.classes.join(" ");
+
+    const names = new Map(this._participants.map((a) => [a.id, a.name]));
+    const awards = this._getAwards();
+
+    context.source = this._source;
+    context.mode = this._mode;
+    context.modes = Object.fromEntries(
+      ExperienceAwards.SPLIT_MODES.map((mode) => [
+        mode,
+        `EVENTIDE_RP_SYSTEM.XpAward.Modes.${mode}`,
+      ]),
+    );
+    context.defeated = this._defeated.map((npc) => ({
+      ...npc,
+      included: this._included.has(npc.id),
+      defeatedBy: names.get(npc.defeatedBy) ?? "—",
+    }));
+    context.totalXP = this._getIncluded().reduce((sum, npc) => sum + npc.xp, 0);
+    context.participants = this._participants.map((actor) => {
+      const xp = awards[actor.id] ?? 0;
+      const total = ExperienceAwards.getExperience(actor).total + xp;
+      return {
+        id: actor.id,
+        name: actor.name,
+        img: actor.img,
+        xp,
+        total,
+        ready: ExperienceAwards.isReadyToLevel(actor, total),
+      };
+    });
+    context.awardedXP = context.participants.reduce((sum, p) => sum + p.xp, 0);
+
+    context.footerButtons = [
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.XpAward.Award"),
+        type: "submit",
+        cssClass: "erps-button erps-button--primary",
+        icon: "fa-solid fa-star",
+        disabled: context.awardedXP <= 0,
+      },
+      {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.XpAward.Skip"),
+        type: "button",
+        cssClass: "erps-button",
+        action: "close",
+        icon: "fas fa-times",
+      },
+    ];
+
+    return context;
+  }
+
+  /**
+   * Re-split the XP as NPCs, the split mode or the awards change. Editing an
+   * award switches to the manual split, starting from the current awards.
+   * @param {Object} formConfig - The form configuration
+   * @param {Event} event - The change event
+   * @protected
+   */
+  async _onChangeForm(formConfig, event) {
+    await super._onChangeForm(formConfig, event);
+
+    const target = event.target;
+    if (target?.name === "mode") {
+      if (target.value === "manual") this._manual = { ...this._getAwards() };
+      this._mode = target.value;
+    } else if (target?.name?.startsWith("npc-")) {
+      const id = target.name.slice(4);
+      if (target.checked) this._included.add(id);
+      else this._included.delete(id);
+    } else if (target?.name?.startsWith("xp-")) {
+      if (this._mode !== "manual") this._manual = { ...this._getAwards() };
+      this._manual[target.name.slice(3)] = Math.max(
+        0,
+        Math.floor(Number(target.value)) || 0,
+      );
+      this._mode = "manual";
+    } else {
+      return;
+    }
+    this.render();
+  }
+
+  /**
+   * Handle rendering of the XP award dialog
+   * @param {ApplicationRenderContext} context      Prepared context data
+   * @param {RenderOptions} options                 Provided render options
+   * @protected
+   */
+  _onRender(_context, _options) {
+    super._onRender(_context, _options);
+
+    // Re-apply themes on re-render (but don't reinitialize)
+    if (this.themeManager) {
+      this.themeManager.applyThemes();
+    }
+  }
+
+  /**
+   * Handle the first render of the XP award dialog
+   * @override
+   * @protected
+   */
+  async _onFirstRender() {
+    super._onFirstRender();
+
+    // Apply theme immediately to prevent flashing
+    applyThemeImmediate(this.element);
+
+    // Initialize theme management only on first render (non-blocking like actor/item sheets)
+    if (!this.themeManager) {
+      initThemeManager(this, THEME_PRESETS.CREATOR_APPLICATION)
+        .then((manager) => {
+          this.themeManager = manager;
+        })
+        .catch((error) => {
+          Logger.error(
+            "Failed to initialize theme manager for XP award dialog",
+            error,
+            "THEME",
+          );
+        });
+    }
+  }
+
+  /**
+   * Clean up resources before closing the application
+   * @param {Object} options - The options for closing
+   * @returns {Promise<void>}
+   * @override
+   */
+  async _preClose(options) {
+    // Clean up theme management for this specific instance
+    if (this.themeManager) {
+      cleanupThemeManager(this);
+      this.themeManager = null;
+    }
+
+    await super._preClose(options);
+  }
+
+  /**
+   * Award the XP
+   * @param {SubmitEvent} _event - The originating form submission event
+   * @param {HTMLFormElement} _form - The form element that was submitted
+   * @param {FormDataExtended} _formData - The processed form data
+   * @private
+   */
+  static async #onSubmit(_event, _form, _formData) {
+    const awards = this._getAwards();
+    await ExperienceAwards.award(
+      this._participants.map((actor) => ({ actor, xp: awards[actor.id] })),
+      { source: this._source, defeated: this._getIncluded() },
+    );
+  }
+}
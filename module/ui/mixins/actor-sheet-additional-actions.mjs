@@ -1,6 +1,10 @@
 import { Logger } from "../../services/logger.mjs";
 import { ErrorHandler } from "../../utils/error-handler.mjs";
-import { erpsRollHandler } from "../../services/_module.mjs";
+import {
+  erpsRollHandler,
+  ActionEconomy,
+  PreparedActions,
+} from "../../services/_module.mjs";
 import { RestoreTarget } from "../macros/restore-target.mjs";
 import { createCharacterSummaryMessage } from "../../services/_module.mjs";
 
@@ -657,4 +661,100 @@ export const ActorSheetAdditionalActionsMixin = (BaseClass) =>
       );
     }
   }
+
+  /**
+   * Handle clicking an action pool in the status bar.
+   * Spends one action of the clicked type from the actor's combatant.
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} target - The capturing HTML element which defined a [data-action]
+   * @protected
+   */
+  static async _onSpendAction(_event, target) {
+    const type = target.dataset.actionType;
+    const result = await ActionEconomy.spendAction(this.actor, type);
+
+    if (result.tracked && !result.spent) {
+      ui.notifications.warn(
+        ActionEconomy.getUnavailableMessage(this.actor, type, result),
+      );
+    }
+  }
+
+  /**
+   * Handle clicking the Push button in the status bar.
+   * Converts the actor's Move, Cleanse and Reaction into an extra Full Action.
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} _target - The capturing HTML element which defined a [data-action]
+   * @protected
+   */
+  static async _onDeclarePush(_event, _target) {
+    await ActionEconomy.declarePush(ActionEconomy.getCombatant(this.actor));
+  }
+
+  /**
+   * Handle clicking the Prepare button in the status bar.
+   * Asks for an action card and a trigger, then converts a Full Action into
+   * a prepared action the GM can fire out of turn.
+   * @param {PointerEvent} _event - The originating click event
+   * @param {HTMLElement} _target - The capturing HTML element which defined a [data-action]
+   * @protected
+   */
+  static async _onPrepareAction(_event, _target) {
+    const actionCards = PreparedActions.getPreparableCards(this.actor);
+    if (!actionCards.length) {
+      ui.notifications.warn(
+        game.i18n.localize(
+          "EVENTIDE_RP_SYSTEM.PreparedActions.Errors.NoActionCard",
+        ),
+      );
+      return;
+    }
+
+    const cardChoices = actionCards
+      .map(
+        (card) =>
+          `<option value="${card.id}">${foundry.utils.escapeHTML(card.name)}</option>`,
+      )
+      .join("");
+
+    const content = `
+      <p>${game.i18n.localize("EVENTIDE_RP_SYSTEM.PreparedActions.Hint")}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize("EVENTIDE_RP_SYSTEM.PreparedActions.ActionCard")}</label>
+        <select name="actionCardId" autofocus>
+          ${cardChoices}
+        </select>
+      </div>
+      <div class="form-group stacked">
+        <label>${game.i18n.localize("EVENTIDE_RP_SYSTEM.PreparedActions.Trigger")}</label>
+        <textarea name="trigger" rows="2" placeholder="${game.i18n.localize("EVENTIDE_RP_SYSTEM.PreparedActions.TriggerPlaceholder")}"></textarea>
+      </div>
+    `;
+
+    const choice = await foundry.applications.api.DialogV2.prompt({
+      window: {
+        title: game.i18n.localize("EVENTIDE_RP_SYSTEM.PreparedActions.Title"),
+      },
+      content,
+      ok: {
+        label: game.i18n.localize("EVENTIDE_RP_SYSTEM.PreparedActions.Prepare"),
+        onClick: (event, button, _dialog) => ({
+          actionCardId: button.form.elements.actionCardId.value,
+          trigger: button.form.elements.trigger.value,
+        }),
+      },
+      rejectClose: false,
+      modal: true,
+      position: {
+        width: 360,
+      },
+    });
+    if (!choice) return;
+
+    await PreparedActions.prepare(
+      this.actor,
+      this.actor.items.get(choice.actionCardId),
+      choice.trigger,
+    );
+  }
 };
@@ -1,4 +1,9 @@
 import { Logger } from "../../services/logger.mjs";
+import { ActionEconomy } from "../../services/action-economy.mjs";
+import { PreparedActions } from "../../services/prepared-actions.mjs";
+import { TransformationStacking } from "../../services/transformation-stacking.mjs";
+import { TransformationDuration } from "../../services/transformation-duration.mjs";
+import { Encumbrance } from "../../services/encumbrance.mjs";
 
 /**
  * Actor Sheet Context Preparation Mixin
@@ -425,6 +430,7 @@ export const ActorSheetContextPreparationMixin = (BaseClass) =>
         context.gear = gear;
         context.equippedGear = equippedGear;
         context.unequippedGear = unequippedGear;
+        context.encumbrance = Encumbrance.getData(this.actor);
         context.spells = spells;
         context.features = features;
         context.activeFeatures = activeFeatures;
@@ -545,6 +551,15 @@ export const ActorSheetContextPreparationMixin = (BaseClass) =>
           "eventide-rp-system",
           "activeTransformation",
         );
+        // Top layer first, as the sheet lists them
+        context.transformationLayers = TransformationStacking.getLayers(
+          this.actor,
+        )
+          .reverse()
+          .map((layer) => ({
+            ...layer,
+            remaining: TransformationDuration.getRemaining(layer),
+          }));
         context.hasTransformationActionCards = this.actor
           .hasTransformationActionCards
           ? this.actor.hasTransformationActionCards()
@@ -612,6 +627,29 @@ export const ActorSheetContextPreparationMixin = (BaseClass) =>
           "enablePostSummary",
         );
 
+        // Action pools are only shown while the actor is in a started combat
+        const actionPools = ActionEconomy.getPoolsForActor(this.actor);
+        context.actionEconomy = actionPools
+          ? ActionEconomy.getDisplayData(actionPools)
+          : null;
+        const combatant = actionPools
+          ? ActionEconomy.getCombatant(this.actor)
+          : null;
+        context.actionEconomyPush = combatant
+          ? {
+              pushing: ActionEconomy.isPushing(combatant),
+              canPush: !ActionEconomy.getPushRefusal(combatant),
+            }
+          : null;
+        context.preparedActions = combatant
+          ? {
+              canPrepare:
+                actionPools.full > 0 &&
+                PreparedActions.getPreparableCards(this.actor).length > 0,
+              pending: PreparedActions.getPrepared(combatant),
+            }
+          : null;
+
         Logger.debug(
           "Actor data prepared successfully",
           {
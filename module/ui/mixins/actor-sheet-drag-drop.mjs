@@ -1,6 +1,7 @@
 import { Logger } from "../../services/logger.mjs";
 import { ErrorHandler } from "../../utils/error-handler.mjs";
 import { DragDropHandler } from "../../services/drag-drop-handler.mjs";
+import { TransformationStacking } from "../../services/transformation-stacking.mjs";
 
 const { TextEditor } = foundry.applications.ux;
 
@@ -116,44 +117,20 @@ export const ActorSheetDragDropMixin = (BaseClass) =>
         return false;
       }
 
-      // Check cursed transformation precedence BEFORE creating the item
+      // Check duplicate names and cursed transformation precedence BEFORE creating the item
       // This prevents effects from being applied when the transformation is denied
-      const activeTransformationName = this.actor.getFlag(
-        "eventide-rp-system",
-        "activeTransformationName",
-      );
-      const activeTransformationCursed = this.actor.getFlag(
-        "eventide-rp-system",
-        "activeTransformationCursed",
+      const conflict = TransformationStacking.getConflict(
+        this.actor,
+        transformationData,
       );
-      const newTransformationCursed =
-        transformationData.system?.cursed || false;
-
-      // If actor has an active transformation
-      if (activeTransformationName) {
-        // If current transformation is cursed and new one is not cursed, deny
-        if (activeTransformationCursed && !newTransformationCursed) {
-          ui.notifications.warn(
-            game.i18n.format(
-              "EVENTIDE_RP_SYSTEM.Item.ActionCard.TransformationCursedOverrideDenied",
-              {
-                currentTransformation: activeTransformationName,
-                newTransformation: transformationData.name,
-              },
-            ),
-          );
-          Logger.warn(
-            "Transformation denied - cursed transformation override",
-            {
-              activeTransformationName,
-              activeTransformationCursed,
-              newTransformationName: transformationData.name,
-              newTransformationCursed,
-            },
-            "DRAG_DROP",
-          );
-          return false;
-        }
+      if (conflict) {
+        ui.notifications.warn(conflict.warning);
+        Logger.warn(
+          `Transformation denied - ${conflict.reason}`,
+          { newTransformationName: transformationData.name },
+          "DRAG_DROP",
+        );
+        return false;
       }
 
       // Create the owned item (effects will be transferred at this point)
@@ -1,10 +1,12 @@
 import { Logger } from "../../services/logger.mjs";
+import { StatusCleanse } from "../../services/status-cleanse.mjs";
 
 /**
  * Actor Sheet Status Bar Mixin
  *
  * Provides drag-scrolling functionality for status bars with arrow navigation.
- * Includes mouse and touch support for mobile devices.
+ * Includes mouse and touch support for mobile devices, and the Cleanse button
+ * shown on each status card.
  *
  * @param {class} BaseClass - The base actor sheet class to extend
  * @returns {class} Extended class with status bar scrolling functionality
@@ -294,4 +296,85 @@ export const ActorSheetStatusBarMixin = (BaseClass) =>
     _cleanupStatusBarScrolling() {
       this.#cleanupStatusBarScrolling();
     }
+
+    /**
+     * Handle clicking the Cleanse button on a status card.
+     * Asks which ability to roll, then rolls it against the status creator's AC.
+     * @param {PointerEvent} _event - The originating click event
+     * @param {HTMLElement} target - The capturing HTML element which defined a [data-action]
+     * @protected
+     */
+    static async _onCleanseStatus(_event, target) {
+      const status = this.actor.items.get(target.dataset.itemId);
+      if (!status) return;
+
+      const ability = await this._promptCleanseAbility(status);
+      if (!ability) return;
+
+      await StatusCleanse.cleanse(this.actor, status, ability);
+    }
+
+    /**
+     * Ask which ability to roll when cleansing a status
+     * @param {Item} status - The status being cleansed
+     * @returns {Promise<string|null>} The chosen ability key, or null if cancelled
+     * @protected
+     */
+    async _promptCleanseAbility(status) {
+      const creator = StatusCleanse.getCreator(status);
+      const selected = creator?.ability ?? "acro";
+
+      const abilityChoices = Object.entries(CONFIG.EVENTIDE_RP_SYSTEM.abilities)
+        .map(
+          ([key, label]) =>
+            `<option value="${key}" ${key === selected ? "selected" : ""}>${game.i18n.localize(label)}</option>`,
+        )
+        .join("");
+
+      let creatorHint = game.i18n.localize(
+        "EVENTIDE_RP_SYSTEM.Cleanse.UnknownCreator",
+      );
+      if (creator) {
+        creatorHint = creator.actionCardName
+          ? game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.CreatedByWith", {
+              name: creator.name,
+              card: creator.actionCardName,
+            })
+          : game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.CreatedBy", {
+              name: creator.name,
+            });
+      }
+      if (Number.isFinite(creator?.ac)) {
+        creatorHint += ` — ${game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.AgainstAC", { ac: creator.ac })}`;
+      }
+
+      const content = `
+        <p>${creatorHint}</p>
+        <div class="form-group">
+          <label>${game.i18n.localize("EVENTIDE_RP_SYSTEM.Cleanse.Ability")}</label>
+          <select name="ability" autofocus>
+            ${abilityChoices}
+          </select>
+        </div>
+      `;
+
+      return foundry.applications.api.DialogV2.prompt({
+        window: {
+          title: game.i18n.format("EVENTIDE_RP_SYSTEM.Cleanse.Title", {
+            status: status.name,
+          }),
+        },
+        content,
+        ok: {
+          label: game.i18n.localize("EVENTIDE_RP_SYSTEM.Forms.Buttons.Confirm"),
+          onClick: (event, button, _dialog) =>
+            button.form.elements.ability.value,
+        },
+        rejectClose: false,
+        modal: true,
+        position: {
+          width: 320,
+        },
+      });
+    }
   };
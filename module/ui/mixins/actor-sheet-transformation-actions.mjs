@@ -79,13 +79,14 @@ export const ActorSheetTransformationActionsMixin = (BaseClass) =>
     }
 
     /**
-     * Remove the active transformation from the actor
+     * Remove the active transformation from the actor, or only the layer the
+     * target names with data-transformation-id
      * @param {PointerEvent} _event - The originating click event
-     * @param {HTMLElement} _target - The capturing HTML element which defined a [data-action]
+     * @param {HTMLElement} target - The capturing HTML element which defined a [data-action]
      * @protected
      * @static
      */
-    static async _removeTransformation(_event, _target) {
+    static async _removeTransformation(_event, target) {
       Logger.methodEntry(
         "ActorSheetTransformationActionsMixin",
         "_removeTransformation",
@@ -118,7 +119,9 @@ export const ActorSheetTransformationActionsMixin = (BaseClass) =>
           return false;
         }
 
-        const result = await this.actor.removeTransformation();
+        const result = await this.actor.removeTransformation(
+          target?.dataset.transformationId || null,
+        );
 
         // Force sheet re-render to update combat powers section
         this.render(false);
@@ -1,8 +1,9 @@
 import { EventidePopupHelpers } from "../components/_module.mjs";
 import { ThemeManagedPopupMixin } from "../mixins/_module.mjs";
-import { InventoryUtils } from "../../helpers/_module.mjs";
+import { InventoryUtils, MessageFlags } from "../../helpers/_module.mjs";
 import { Logger } from "../../services/logger.mjs";
 import { TargetResolver } from "../../services/target-resolver.mjs";
+import { SystemSocket } from "../../services/system-socket.mjs";
 
 /**
  * Action Card Popup Application
@@ -291,6 +292,14 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
       }),
     );
 
+    // Area targeting cards lock the tokens inside the area they place on execution
+    if (this.item.system.areaTarget?.enabled && !this.item.system.selfTarget) {
+      this._lockedTargets = [];
+      context.targets = [];
+      context.areaTarget = true;
+      return context;
+    }
+
     // Lock targets at popup open - this is the single source of truth
     let targetArray = await erps.utils.getTargetArray();
 
@@ -359,8 +368,8 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
 
     // For saved damage mode, perform target validation but skip embedded item validation
     if (this.item.system.mode === "savedDamage") {
-      // Skip target validation if self-targeting is enabled
-      if (!this.item.system.selfTarget) {
+      // Skip target validation if self-targeting or area targeting is enabled
+      if (!this._skipsTargetSelection()) {
         // Check if targets are required and available
         const targetArray = await erps.utils.getTargetArray();
         if (targetArray.length === 0) {
@@ -420,6 +429,7 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
         // Create a temporary popup helper to get the embedded item's validation
         const tempPopupType =
           embeddedItem.type === "combatPower" ? "power" : embeddedItem.type;
+        const skipTargets = this._skipsTargetSelection();
         const tempPopup = {
           item: embeddedItem,
           type: tempPopupType,
@@ -432,8 +442,8 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
             };
 
             if (embeddedItem.system.targeted) {
-              // Skip target validation if self-targeting is enabled on parent action card
-              if (!this.item.system.selfTarget) {
+              // Skip target validation if self-targeting or area targeting is enabled on parent action card
+              if (!skipTargets) {
                 const targetArray = await erps.utils.getTargetArray();
                 if (targetArray.length === 0) itemProblems.targeting = true;
               }
@@ -481,8 +491,8 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
       } catch (error) {
         Logger.warn("Failed to check embedded item eligibility", error);
         // Fall back to basic checks
-        // Skip target validation if self-targeting is enabled
-        if (embeddedItem.system.targeted && !this.item.system.selfTarget) {
+        // Skip target validation if self-targeting or area targeting is enabled
+        if (embeddedItem.system.targeted && !this._skipsTargetSelection()) {
           const targetArray = await erps.utils.getTargetArray();
           if (targetArray.length === 0) problems.targeting = true;
         }
@@ -518,8 +528,8 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
 
     // General target validation for attack chain mode (if not already validated by embedded item)
     if (this.item.system.mode === "attackChain" && !problems.targeting) {
-      // Skip target validation if self-targeting is enabled
-      if (!this.item.system.selfTarget) {
+      // Skip target validation if self-targeting or area targeting is enabled
+      if (!this._skipsTargetSelection()) {
         const targetArray = await erps.utils.getTargetArray();
         if (targetArray.length === 0) {
           problems.targeting = true;
@@ -735,6 +745,18 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
     return callouts;
   }
 
+  /**
+   * Check whether the card chooses its own targets instead of using the
+   * user's selected targets: by self-targeting or by placing an area
+   * @returns {boolean} True if selected targets are not required
+   * @private
+   */
+  _skipsTargetSelection() {
+    return (
+      this.item.system.selfTarget || !!this.item.system.areaTarget?.enabled
+    );
+  }
+
   /**
    * Check if there are any actual validation problems
    * @param {Object} problems - The problems object from checkEligibility
@@ -969,6 +991,9 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
    * @private
    */
   static async #onSubmit(event, form, formData) {
+    // The area placed by area targeting cards, removed once execution is done
+    let area = null;
+
     try {
       event.preventDefault();
 
@@ -1044,6 +1069,20 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
       // Close this popup
       this.close();
 
+      // Area targeting - the tokens inside the placed area become the locked targets
+      if (this.item.system.areaTarget?.enabled && !this.item.system.selfTarget) {
+        const resolution = await TargetResolver.resolveTargets({
+          actor,
+          selfTarget: false,
+          areaTarget: this.item.system.areaTarget,
+          contextName: "area action card",
+        });
+        if (!resolution.success) return;
+
+        area = resolution.area;
+        this._lockedTargets = TargetResolver.lockTargets(resolution.targets);
+      }
+
       // Set up a promise to capture the roll result from the embedded item's execution
       // (only needed if we have an embedded item and not in saved damage mode)
       let rollResultPromise = null;
@@ -1158,6 +1197,49 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
         targets.length === 0 ||
         targets.every((target) => target.actor?.isOwner);
 
+      if (!playerOwnsAllTargets && SystemSocket.canAutoApply()) {
+        // Trusted auto-apply - the GM's client executes the action card
+        try {
+          const result = await SystemSocket.requestGM(
+            "executeActionCard",
+            MessageFlags.createPlayerActionApprovalFlag({
+              actorId: actor.id,
+              actorUuid: actor.uuid,
+              actionCardId: this.item.id,
+              actionCardData: this.item.toObject(),
+              playerId: game.user.id,
+              playerName: game.user.name,
+              targetIds: targets.map((t) => t.actor.id),
+              targetUuids: targets.map((t) => TargetResolver.getTargetUuid(t)),
+              lockedTargets: this._lockedTargets,
+              rollResult,
+              transformationSelections: Array.from(
+                transformationSelections.entries(),
+              ),
+              selectedEffectIds,
+            }),
+          );
+
+          if (result.success) {
+            ui.notifications.info(
+              game.i18n.format("EVENTIDE_RP_SYSTEM.Socket.ActionExecuted", {
+                actionCard: this.item.name,
+              }),
+            );
+          } else {
+            ui.notifications.warn(`Action execution failed: ${result.reason}`);
+          }
+        } catch (error) {
+          Logger.error("Failed to have the GM execute the action card", error);
+          ui.notifications.error(
+            game.i18n.format("EVENTIDE_RP_SYSTEM.Socket.Errors.ActionFailed", {
+              error: error.message,
+            }),
+          );
+        }
+        return;
+      }
+
       if (!playerOwnsAllTargets) {
         // Player doesn't own all targets - send to GM for approval
 
@@ -1171,6 +1253,7 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
             playerId: game.user.id,
             playerName: game.user.name,
             targets: targets.map((t) => t.actor),
+            targetUuids: targets.map((t) => TargetResolver.getTargetUuid(t)),
             rollResult,
             transformationSelections: Array.from(
               transformationSelections.entries(),
@@ -1244,6 +1327,8 @@ export class ActionCardPopup extends ThemeManagedPopupMixin(EventidePopupHelpers
       ui.notifications.error(
         game.i18n.localize("EVENTIDE_RP_SYSTEM.Errors.ActionCardExecuteFailed"),
       );
+    } finally {
+      await TargetResolver.removeArea(area);
     }
   }
 }
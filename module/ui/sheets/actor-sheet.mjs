@@ -1,7 +1,11 @@
 import { CommonFoundryTasks } from "../../utils/_module.mjs";
 import { Logger } from "../../services/_module.mjs";
 import { ErrorHandler } from "../../utils/error-handler.mjs";
-import { NpcQuickGenerator, RollHistory } from "../macros/_module.mjs";
+import {
+  LevelUpWizard,
+  NpcQuickGenerator,
+  RollHistory,
+} from "../macros/_module.mjs";
 import {
   initTabContainerStyling,
   cleanupTabContainerStyling,
@@ -85,6 +89,12 @@ export class EventideRpSystemActorSheet extends ActorSheetAllMixins(
           label: "EVENTIDE_RP_SYSTEM.WindowTitles.GenerateNpc",
           ownership: "OWNER",
         },
+        {
+          action: "levelUp",
+          icon: "fa-solid fa-arrow-up-right-dots",
+          label: "EVENTIDE_RP_SYSTEM.WindowTitles.LevelUp",
+          ownership: "OWNER",
+        },
         {
           action: "viewRollHistory",
           icon: "fas fa-dice-d6",
@@ -119,10 +129,15 @@ export class EventideRpSystemActorSheet extends ActorSheetAllMixins(
       createGroup: this._createActionCardGroup,
       restRecover: this._onRestRecover,
       generateNpc: this._onGenerateNpc,
+      levelUp: this._onLevelUp,
       createFromTemplate: this._createFromTemplateActionCard,
       createBulkFromFolder: this._createBulkSavedDamageFromFolder,
       postSummary: this._onPostSummary,
       viewRollHistory: this._viewRollHistory,
+      spendAction: this._onSpendAction,
+      declarePush: this._onDeclarePush,
+      prepareAction: this._onPrepareAction,
+      cleanseStatus: this._onCleanseStatus,
     },
     // Custom property that's merged into `this.options`
     dragDrop: [
@@ -1818,4 +1833,21 @@ export class EventideRpSystemActorSheet extends ActorSheetAllMixins(
     }
     new NpcQuickGenerator({ sourceActor: this.actor }).render(true);
   }
+
+  /**
+   * Open the Level-Up Wizard for this actor (characters only)
+   * @param {Event} _event - The originating click event
+   * @param {HTMLElement} _target - The capturing element
+   * @static
+   * @protected
+   */
+  static _onLevelUp(_event, _target) {
+    if (this.actor.type !== "character") {
+      ui.notifications.warn(
+        game.i18n.localize("EVENTIDE_RP_SYSTEM.LevelUp.MustBeCharacter"),
+      );
+      return;
+    }
+    new LevelUpWizard({ actor: this.actor }).render(true);
+  }
 }
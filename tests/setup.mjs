@@ -70,6 +70,16 @@ if (!global.CONFIG.EVENTIDE_RP_SYSTEM) {
       resolveMult: 'EVENTIDE_RP_SYSTEM.HiddenAbilities.ResolveMult',
       healIncrease: 'EVENTIDE_RP_SYSTEM.HiddenAbilities.HealIncrease',
     },
+    damageTypes: {
+      fire: 'EVENTIDE_RP_SYSTEM.DamageTypes.Fire',
+      piercing: 'EVENTIDE_RP_SYSTEM.DamageTypes.Piercing',
+      psychic: 'EVENTIDE_RP_SYSTEM.DamageTypes.Psychic',
+    },
+    damageModifiers: {
+      resistance: 'EVENTIDE_RP_SYSTEM.DamageTypes.Modifiers.Resistance',
+      vulnerability: 'EVENTIDE_RP_SYSTEM.DamageTypes.Modifiers.Vulnerability',
+      immunity: 'EVENTIDE_RP_SYSTEM.DamageTypes.Modifiers.Immunity',
+    },
   };
 }
 
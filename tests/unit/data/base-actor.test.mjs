@@ -41,6 +41,10 @@ global.CONFIG = {
       fmin: 'EVENTIDE_RP_SYSTEM.HiddenAbilities.FMin',
       fmax: 'EVENTIDE_RP_SYSTEM.HiddenAbilities.FMax',
       vuln: 'EVENTIDE_RP_SYSTEM.HiddenAbilities.Vuln'
+    },
+    damageTypes: {
+      slashing: 'EVENTIDE_RP_SYSTEM.DamageTypes.Slashing',
+      fire: 'EVENTIDE_RP_SYSTEM.DamageTypes.Fire'
     }
   }
 };
@@ -432,6 +436,40 @@ describe('EventideRpSystemBaseActor - Priority 1 Data Preparation', () => {
       expect(actorData.statTotal.mainInit).toBe(13); // (11 + 15) / 2
     });
   });
+
+  describe('defineSchema() - Damage Modifiers', () => {
+    test('should define modifiers for each configured damage type', () => {
+      const schema = EventideRpSystemBaseActor.defineSchema();
+      const damageModifiers = schema.damageModifiers.schema;
+
+      expect(Object.keys(damageModifiers)).toEqual(['slashing', 'fire']);
+      for (const modifiers of Object.values(damageModifiers)) {
+        expect(modifiers.schema.resistance.options.initial).toBe(0);
+        expect(modifiers.schema.vulnerability.options.initial).toBe(0);
+        expect(modifiers.schema.immunity.options.initial).toBe(0);
+      }
+    });
+
+    test('should default every damage modifier to 0', () => {
+      expect(actorData.damageModifiers.fire).toEqual({
+        resistance: 0,
+        vulnerability: 0,
+        immunity: 0
+      });
+    });
+
+    test('should define no modifiers when no damage types are configured', () => {
+      const { damageTypes } = global.CONFIG.EVENTIDE_RP_SYSTEM;
+      delete global.CONFIG.EVENTIDE_RP_SYSTEM.damageTypes;
+
+      try {
+        const schema = EventideRpSystemBaseActor.defineSchema();
+        expect(schema.damageModifiers.schema).toEqual({});
+      } finally {
+        global.CONFIG.EVENTIDE_RP_SYSTEM.damageTypes = damageTypes;
+      }
+    });
+  });
 });
 
 // Phase 2: Additional branch coverage tests
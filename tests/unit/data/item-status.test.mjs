@@ -60,11 +60,25 @@ describe('EventideRpSystemStatus', () => {
     test('should include only base item and status-specific fields', () => {
       const schema = EventideRpSystemStatus.defineSchema();
       const keys = Object.keys(schema);
-      expect(keys).toHaveLength(4);
+      expect(keys).toHaveLength(5);
       expect(keys).toContain('description');
       expect(keys).toContain('rollActorName');
       expect(keys).toContain('bgColor');
       expect(keys).toContain('textColor');
+      expect(keys).toContain('duration');
+    });
+
+    test('should define duration field defaulting to no duration', () => {
+      const schema = EventideRpSystemStatus.defineSchema();
+      expect(schema.duration).toBeDefined();
+      expect(schema.duration.schema.unit.options.initial).toBe('none');
+      expect(schema.duration.schema.unit.options.choices).toEqual([
+        'none',
+        'rounds',
+        'turns',
+      ]);
+      expect(schema.duration.schema.value.options.initial).toBe(1);
+      expect(schema.duration.schema.remaining.options.initial).toBeNull();
     });
   });
 
@@ -155,6 +155,23 @@ describe('EventideRpSystemTransformation', () => {
       expect(schema.cursed.options.initial).toBe(false);
     });
 
+    test('should define stacking fields that default to not stacking', () => {
+      const schema = EventideRpSystemTransformation.defineSchema();
+      expect(schema.stackable.options.initial).toBe(false);
+      expect(schema.priority.options.initial).toBe(0);
+      expect(schema.stackGroup.options.initial).toBe('');
+    });
+
+    test('should define duration and revert trigger fields that default to never reverting', () => {
+      const schema = EventideRpSystemTransformation.defineSchema();
+      expect(schema.duration.schema.unit.options.initial).toBe('none');
+      expect(schema.duration.schema.unit.options.choices).toEqual(['none', 'rounds', 'turns', 'seconds']);
+      expect(schema.duration.schema.value.options.initial).toBe(1);
+      expect(schema.revertTriggers.schema.resolveBelow.options.initial).toBeNull();
+      expect(schema.revertTriggers.schema.combatEnd.options.initial).toBe(false);
+      expect(schema.revertTriggers.schema.statusRemoved.options.initial).toBe('');
+    });
+
     test('should define actionCardGroups as ArrayField', () => {
       const schema = EventideRpSystemTransformation.defineSchema();
       expect(schema.actionCardGroups).toBeDefined();
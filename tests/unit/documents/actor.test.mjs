@@ -21,15 +21,27 @@ const mockLogger = {
 
 const mockGetSetting = vi.fn();
 
+const mockCharacterCreation = {
+  shouldOpen: vi.fn()
+};
+
+const mockWizardRender = vi.fn();
+const MockCharacterCreationWizard = vi.fn(() => ({ render: mockWizardRender }));
+
 // Mock the module imports
 vi.mock('../../../module/services/logger.mjs', () => ({
   Logger: mockLogger
 }));
 
 vi.mock('../../../module/services/_module.mjs', () => ({
+  CharacterCreation: mockCharacterCreation,
   getSetting: mockGetSetting
 }));
 
+vi.mock('../../../module/ui/macros/character-creation-wizard.mjs', () => ({
+  CharacterCreationWizard: MockCharacterCreationWizard
+}));
+
 
 // Mock the mixins module - each mixin returns the class unchanged
 vi.mock('../../../module/documents/mixins/_module.mjs', () => ({
@@ -47,6 +59,8 @@ describe('EventideRpSystemActor', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     mockGetSetting.mockReturnValue(50);
+    mockCharacterCreation.shouldOpen.mockReturnValue(false);
+    MockCharacterCreationWizard.mockImplementation(() => ({ render: mockWizardRender }));
     
     // Setup global game object
     global.game = {
@@ -592,6 +606,66 @@ describe('EventideRpSystemActor', () => {
       
       Actor.prototype._onCreate = originalSuperOnCreate;
     });
+
+    test('should open the character creation wizard when creation calls for it', async () => {
+      mockCharacterCreation.shouldOpen.mockReturnValue(true);
+      actor = new EventideRpSystemActor();
+      actor.name = 'Test Character';
+      actor.update = vi.fn().mockResolvedValue(undefined);
+
+      const originalSuperOnCreate = Actor.prototype._onCreate;
+      Actor.prototype._onCreate = vi.fn().mockResolvedValue(undefined);
+
+      await actor._onCreate({ name: 'Test Character', type: 'character' }, {}, 'user123');
+
+      expect(mockCharacterCreation.shouldOpen).toHaveBeenCalledWith(actor, 'user123');
+      expect(MockCharacterCreationWizard).toHaveBeenCalledWith({ actor });
+      expect(mockWizardRender).toHaveBeenCalledWith(true);
+
+      Actor.prototype._onCreate = originalSuperOnCreate;
+    });
+
+    test('should not open the character creation wizard otherwise', async () => {
+      actor = new EventideRpSystemActor();
+      actor.name = 'Test Character';
+      actor.update = vi.fn().mockResolvedValue(undefined);
+
+      const originalSuperOnCreate = Actor.prototype._onCreate;
+      Actor.prototype._onCreate = vi.fn().mockResolvedValue(undefined);
+
+      await actor._onCreate({ name: 'Test Character', type: 'character' }, {}, 'user123');
+
+      expect(mockCharacterCreation.shouldOpen).toHaveBeenCalledWith(actor, 'user123');
+      expect(MockCharacterCreationWizard).not.toHaveBeenCalled();
+
+      Actor.prototype._onCreate = originalSuperOnCreate;
+    });
+
+    test('should handle character creation wizard errors gracefully', async () => {
+      mockCharacterCreation.shouldOpen.mockReturnValue(true);
+      MockCharacterCreationWizard.mockImplementation(() => {
+        throw new Error('Render failed');
+      });
+      actor = new EventideRpSystemActor();
+      actor.name = 'Test Character';
+      actor.update = vi.fn().mockResolvedValue(undefined);
+
+      const originalSuperOnCreate = Actor.prototype._onCreate;
+      Actor.prototype._onCreate = vi.fn().mockResolvedValue(undefined);
+
+      await expect(
+        actor._onCreate({ name: 'Test Character', type: 'character' }, {}, 'user123')
+      ).resolves.not.toThrow();
+
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Failed to open the character creation wizard for: Test Character',
+        expect.any(Error),
+        'ACTOR_CREATION'
+      );
+      expect(mockLogger.methodExit).toHaveBeenCalledWith('EventideRpSystemActor', '_onCreate');
+
+      Actor.prototype._onCreate = originalSuperOnCreate;
+    });
   });
 
   describe('static _onCreateToken()', () => {
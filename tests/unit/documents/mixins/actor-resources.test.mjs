@@ -284,7 +284,7 @@ describe('ActorResourceMixin', () => {
 
       await actor._removeStatusEffects(['status1', 'status2']);
 
-      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['status1', 'status2']);
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['status1', 'status2'], {});
     });
 
     test('should not delete items that are not type status', async () => {
@@ -295,7 +295,16 @@ describe('ActorResourceMixin', () => {
 
       await actor._removeStatusEffects(['status1', 'gear1']);
 
-      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['status1']);
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['status1'], {});
+    });
+
+    test('should forward deletion options to the delete operation', async () => {
+      actor.items = [{ id: 'status1', type: 'status' }];
+      const options = { statusRemovalDescription: 'Shaken off' };
+
+      await actor._removeStatusEffects(['status1'], options);
+
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['status1'], options);
     });
 
     test('should not call delete when no matching statuses', async () => {
@@ -43,6 +43,7 @@ vi.mock('../../../../module/utils/error-handler.mjs', () => ({
 
 // Import the mixin after mocking dependencies
 const { ActorTransformationMixin } = await import('../../../../module/documents/mixins/actor-transformation.mjs');
+const { TransformationStacking } = await import('../../../../module/services/transformation-stacking.mjs');
 
 // Create a test class that uses the mixin
 class TestActorClass {
@@ -920,6 +921,15 @@ describe('ActorTransformationMixin', () => {
 
       expect(actor.unsetFlag).toHaveBeenCalledTimes(5);
     });
+
+    test('should also unset the layer flag of stacked transformations', async () => {
+      actor.getFlag = vi.fn((_scope, key) => (key === 'activeTransformations' ? [{ id: 'trans1' }] : undefined));
+
+      await actor._clearTransformationFlags();
+
+      expect(actor.unsetFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformations');
+      expect(actor.unsetFlag).toHaveBeenCalledTimes(6);
+    });
   });
 
   describe('_setTransformationFlags()', () => {
@@ -997,6 +1007,85 @@ describe('ActorTransformationMixin', () => {
     });
   });
 
+  describe('_setTransformationFlags() with layers', () => {
+    test('should set all transformation flags from the layers', async () => {
+      const mockCombatPower = {
+        toObject: vi.fn().mockReturnValue({ id: 'power1', name: 'Fire Breath' })
+      };
+      const mockActionCard = {
+        toObject: vi.fn().mockReturnValue({ id: 'card1', name: 'Rage' }),
+        system: { gmOnly: false }
+      };
+
+      const transformationItem = {
+        id: 'trans1',
+        name: 'Wolf Form',
+        system: {
+          cursed: true,
+          getEmbeddedCombatPowers: vi.fn().mockReturnValue([mockCombatPower]),
+          getEmbeddedActionCards: vi.fn().mockReturnValue([mockActionCard])
+        }
+      };
+      actor.items = { get: vi.fn().mockReturnValue(transformationItem) };
+
+      await actor._setTransformationFlags([{ id: 'trans1', name: 'Wolf Form', cursed: true }]);
+
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformations', [{ id: 'trans1', name: 'Wolf Form', cursed: true }]);
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformation', 'trans1');
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformationName', 'Wolf Form');
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformationCursed', true);
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformationCombatPowers', [{ id: 'power1', name: 'Fire Breath' }]);
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformationActionCards', [{ id: 'card1', name: 'Rage' }]);
+    });
+
+    test('should filter out GM-only action cards of the layers', async () => {
+      const mockCombatPower = {
+        toObject: vi.fn().mockReturnValue({ id: 'power1', name: 'Fire Breath' })
+      };
+      const mockActionCard1 = {
+        toObject: vi.fn().mockReturnValue({ id: 'card1', name: 'Rage' }),
+        system: { gmOnly: false }
+      };
+      const mockActionCard2 = {
+        toObject: vi.fn().mockReturnValue({ id: 'card2', name: 'Secret Move' }),
+        system: { gmOnly: true }
+      };
+
+      const transformationItem = {
+        id: 'trans1',
+        name: 'Wolf Form',
+        system: {
+          cursed: false,
+          getEmbeddedCombatPowers: vi.fn().mockReturnValue([mockCombatPower]),
+          getEmbeddedActionCards: vi.fn().mockReturnValue([mockActionCard1, mockActionCard2])
+        }
+      };
+      actor.items = { get: vi.fn().mockReturnValue(transformationItem) };
+
+      await actor._setTransformationFlags([{ id: 'trans1', name: 'Wolf Form', cursed: false }]);
+
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformationActionCards', [{ id: 'card1', name: 'Rage' }]);
+    });
+
+    test('should handle layers without embedded items', async () => {
+      const transformationItem = {
+        id: 'trans1',
+        name: 'Simple Form',
+        system: {
+          cursed: false,
+          getEmbeddedCombatPowers: vi.fn().mockReturnValue([]),
+          getEmbeddedActionCards: vi.fn().mockReturnValue([])
+        }
+      };
+      actor.items = { get: vi.fn().mockReturnValue(transformationItem) };
+
+      await actor._setTransformationFlags([{ id: 'trans1', name: 'Simple Form', cursed: false }]);
+
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformationCombatPowers', []);
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformationActionCards', []);
+    });
+  });
+
   describe('_storeOriginalTokenData()', () => {
     test('should store original token data when no active transformation', async () => {
       actor.getFlag = vi.fn().mockReturnValue(null);
@@ -1131,7 +1220,8 @@ describe('ActorTransformationMixin', () => {
         parent: actor
       };
       actor.items = {
-        get: vi.fn().mockReturnValue(transformationItem)
+        get: vi.fn().mockReturnValue(transformationItem),
+        filter: vi.fn().mockReturnValue([])
       };
 
       const result = await actor._ensureTransformationItemOnActor(transformationItem);
@@ -1262,6 +1352,25 @@ describe('ActorTransformationMixin', () => {
       expect(global.ui.notifications.warn).toHaveBeenCalled();
     });
 
+    test('should return early when transformation name is duplicate in the layers', async () => {
+      actor.isOwner = true;
+      actor.getFlag = vi.fn((_scope, key) => ({
+        activeTransformations: [{ id: 'trans-old', name: 'Wolf Form', cursed: false, stackable: true, priority: 0, stackGroup: '' }]
+      })[key]);
+
+      const transformationItem = {
+        id: 'trans1',
+        type: 'transformation',
+        name: 'Wolf Form',
+        system: { cursed: false }
+      };
+
+      const result = await actor.applyTransformation(transformationItem);
+
+      expect(result).toBe(actor);
+      expect(global.ui.notifications.warn).toHaveBeenCalled();
+    });
+
     test('should deny transformation when cursed transformation is active', async () => {
       actor.isOwner = true;
       actor.getFlag = vi.fn()
@@ -1282,6 +1391,28 @@ describe('ActorTransformationMixin', () => {
       expect(global.ui.notifications.warn).toHaveBeenCalled();
     });
 
+    test('should deny transformation when a layer is cursed', async () => {
+      actor.isOwner = true;
+      actor.getFlag = vi.fn((_scope, key) => ({
+        activeTransformation: 'trans-old',
+        activeTransformationName: 'Cursed Form',
+        activeTransformationCursed: true
+      })[key]);
+      actor.items = { get: vi.fn() };
+
+      const transformationItem = {
+        id: 'trans-new',
+        type: 'transformation',
+        name: 'Wolf Form',
+        system: { cursed: false }
+      };
+
+      const result = await actor.applyTransformation(transformationItem);
+
+      expect(result).toBe(actor);
+      expect(global.ui.notifications.warn).toHaveBeenCalled();
+    });
+
     test('should apply transformation successfully for linked actor', async () => {
       actor.isOwner = true;
       actor.isToken = false;
@@ -1707,4 +1838,143 @@ describe('ActorTransformationMixin', () => {
       ).resolves.not.toThrow();
     });
   });
-});
\ No newline at end of file
+
+  describe('transformation stacking', () => {
+    let flags;
+    let mockScene;
+    let shrunk;
+    let aura;
+
+    const createTransformation = (id, name, system) => ({
+      id,
+      type: 'transformation',
+      name,
+      parent: actor,
+      collection: {},
+      system: {
+        cursed: false,
+        stackable: true,
+        priority: 0,
+        stackGroup: '',
+        size: 0,
+        tokenImage: '',
+        powerAdjustment: 0,
+        resolveAdjustment: 0,
+        getEmbeddedCombatPowers: vi.fn().mockReturnValue([{ toObject: () => ({ name: `${name} Power` }) }]),
+        getEmbeddedActionCards: vi.fn().mockReturnValue([]),
+        ...system
+      }
+    });
+
+    beforeEach(() => {
+      flags = { originalTokenData: { img: 'original.webp', scale: 1, width: 1, height: 1, maxResolve: 20, maxPower: 15 } };
+      actor.getFlag = vi.fn((_scope, key) => flags[key]);
+      actor.setFlag = vi.fn(async (_scope, key, value) => {
+        flags[key] = value;
+        return actor;
+      });
+
+      shrunk = createTransformation('shrunk', 'Shrunk', { cursed: true, priority: 5, stackGroup: 'size', size: 0.5, tokenImage: 'shrunk.webp', resolveAdjustment: -5 });
+      aura = createTransformation('aura', 'Flame Aura', { tokenImage: 'aura.webp', powerAdjustment: 3 });
+
+      const items = [shrunk, aura];
+      actor.items = {
+        get: (id) => items.find((item) => item.id === id),
+        filter: (fn) => items.filter(fn),
+        find: (fn) => items.find(fn)
+      };
+      actor.system = { resolve: { value: 15, max: 15 }, power: { value: 5, max: 15 } };
+
+      mockScene = { id: 'scene1', name: 'Test Scene', updateEmbeddedDocuments: vi.fn().mockResolvedValue([]) };
+      global.game.scenes.get = vi.fn().mockReturnValue(mockScene);
+      actor._getAllTokensAcrossScenes = vi.fn().mockReturnValue([
+        { document: { id: 'token1', texture: { src: 'shrunk.webp', scaleX: 1 } }, scene: mockScene }
+      ]);
+    });
+
+    test('should layer a stackable transformation over the active one', async () => {
+      flags.activeTransformations = [TransformationStacking.createLayer(shrunk)];
+      flags.activeTransformation = 'shrunk';
+
+      await actor.applyTransformation(aura);
+
+      expect(actor.deleteEmbeddedDocuments).not.toHaveBeenCalled();
+      expect(flags.activeTransformations.map((layer) => layer.id)).toEqual(['aura', 'shrunk']);
+      expect(flags.activeTransformation).toBe('shrunk');
+      expect(flags.activeTransformationCursed).toBe(true);
+      expect(flags.activeTransformationCombatPowers).toEqual([{ name: 'Shrunk Power' }, { name: 'Flame Aura Power' }]);
+      // The higher priority layer keeps its image and size
+      expect(mockScene.updateEmbeddedDocuments).toHaveBeenCalledWith('Token', [
+        expect.objectContaining({ _id: 'token1', 'texture.src': 'shrunk.webp', width: 0.5, height: 0.5 })
+      ]);
+      // Only the new layer's adjustments are added
+      expect(actor.update).toHaveBeenCalledWith(expect.objectContaining({ 'system.power.max': 18, 'system.resolve.max': 15 }));
+    });
+
+    test('should replace the active layer of the same stack group', async () => {
+      const grown = createTransformation('grown', 'Enlarged', { cursed: true, stackGroup: 'size', size: 2, resolveAdjustment: 5 });
+      flags.activeTransformations = [TransformationStacking.createLayer(shrunk)];
+      flags.activeTransformation = 'shrunk';
+      actor.items.get = (id) => [shrunk, grown].find((item) => item.id === id);
+      actor.items.filter = (fn) => [shrunk].filter(fn);
+
+      await actor.applyTransformation(grown);
+
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['shrunk']);
+      expect(flags.activeTransformations.map((layer) => layer.id)).toEqual(['grown']);
+      // Shrunk's -5 resolve is taken back before Enlarged's +5 is added
+      expect(actor.update).toHaveBeenCalledWith(expect.objectContaining({ 'system.resolve.max': 25 }));
+    });
+
+    test('should remove one layer and reapply the remaining layers', async () => {
+      flags.activeTransformations = [TransformationStacking.createLayer(aura), TransformationStacking.createLayer(shrunk)];
+      flags.activeTransformation = 'shrunk';
+
+      await actor.removeTransformation('shrunk');
+
+      expect(mockErpsMessageHandler.createTransformationMessage).toHaveBeenCalledWith({ actor, transformation: shrunk, isApplying: false });
+      expect(mockScene.updateEmbeddedDocuments).toHaveBeenCalledWith('Token', [{
+        _id: 'token1',
+        'texture.src': 'aura.webp',
+        'texture.scaleX': 1,
+        'texture.scaleY': 1,
+        width: 1,
+        height: 1
+      }]);
+      expect(actor.update).toHaveBeenCalledWith(expect.objectContaining({ 'system.resolve.max': 20, 'system.power.max': 15 }));
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['shrunk']);
+      expect(flags.activeTransformations.map((layer) => layer.id)).toEqual(['aura']);
+      expect(flags.activeTransformationName).toBe('Flame Aura');
+      expect(actor.unsetFlag).not.toHaveBeenCalled();
+    });
+
+    test('should remove every layer without a layer ID', async () => {
+      flags.activeTransformations = [TransformationStacking.createLayer(aura), TransformationStacking.createLayer(shrunk)];
+      flags.activeTransformation = 'shrunk';
+
+      await actor.removeTransformation();
+
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['shrunk', 'aura']);
+      expect(actor.unsetFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformations');
+    });
+
+    test('should rebuild the appearance of an unlinked token from its remaining layers', async () => {
+      actor.isToken = true;
+      actor.token = { id: 'token1', update: vi.fn().mockResolvedValue({}) };
+      flags.activeTransformations = [TransformationStacking.createLayer(aura), TransformationStacking.createLayer(shrunk)];
+      flags.activeTransformation = 'shrunk';
+
+      await actor.removeTransformation('aura');
+
+      expect(actor.token.update).toHaveBeenCalledWith({
+        'texture.src': 'shrunk.webp',
+        'texture.scaleX': 1,
+        'texture.scaleY': 1,
+        width: 0.5,
+        height: 0.5
+      });
+      expect(actor.update).not.toHaveBeenCalled();
+      expect(flags.activeTransformations.map((layer) => layer.id)).toEqual(['shrunk']);
+    });
+  });
+});
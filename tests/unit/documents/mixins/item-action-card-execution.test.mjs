@@ -53,7 +53,8 @@ const mockErpsRollUtilities = {
 const mockTargetResolver = {
   resolveTargets: vi.fn(),
   resolveLockedTargets: vi.fn(),
-  getSelfTargetToken: vi.fn()
+  getSelfTargetToken: vi.fn(),
+  removeArea: vi.fn()
 };
 
 const mockStatusEffectApplicator = {
@@ -73,6 +74,12 @@ const mockAttackChainExecutor = {
   executeWithRollResult: vi.fn()
 };
 
+const mockActionEconomy = {
+  spendFullActionForCard: vi.fn(async () => ({ tracked: false, spent: false, pools: null })),
+  refundAction: vi.fn(),
+  applyCriticalResult: vi.fn()
+};
+
 // Mock the module imports
 vi.mock('../../../../module/services/logger.mjs', () => ({
   Logger: mockLogger
@@ -99,7 +106,8 @@ vi.mock('../../../../module/services/_module.mjs', () => ({
   StatusEffectApplicator: mockStatusEffectApplicator,
   ChatMessageBuilder: mockChatMessageBuilder,
   DamageProcessor: mockDamageProcessor,
-  AttackChainExecutor: mockAttackChainExecutor
+  AttackChainExecutor: mockAttackChainExecutor,
+  ActionEconomy: mockActionEconomy
 }));
 
 // Import the mixin after mocking dependencies
@@ -667,6 +675,46 @@ describe('ItemActionCardExecutionMixin', () => {
       
       expect(mockCombat.nextTurn).not.toHaveBeenCalled();
     });
+
+    test('should refund the Full Action when the card finds no targets', async () => {
+      const actor = { name: 'Test Actor' };
+      item.system.mode = 'savedDamage';
+      item.system.advanceInitiative = false;
+      mockActionEconomy.spendFullActionForCard.mockResolvedValue({ tracked: true, spent: true });
+      mockTargetResolver.resolveTargets.mockResolvedValue({
+        success: false,
+        targets: [],
+        reason: 'noTargets'
+      });
+
+      const result = await item.execute(actor);
+
+      expect(result).toEqual({ success: false, reason: 'noTargets' });
+      expect(mockActionEconomy.refundAction).toHaveBeenCalledWith(actor, 'full');
+    });
+
+    test('should refund the Full Action when execution throws', async () => {
+      const actor = { name: 'Test Actor' };
+      item.system.mode = 'unknownMode';
+      mockActionEconomy.spendFullActionForCard.mockResolvedValue({ tracked: true, spent: true });
+
+      await expect(item.execute(actor)).rejects.toThrow('Unknown action card mode: unknownMode');
+      expect(mockActionEconomy.refundAction).toHaveBeenCalledWith(actor, 'full');
+    });
+
+    test('should keep the Full Action once the card reaches its targets', async () => {
+      item.system.mode = 'savedDamage';
+      item.system.advanceInitiative = false;
+      mockActionEconomy.spendFullActionForCard.mockResolvedValue({ tracked: true, spent: true });
+      mockTargetResolver.resolveTargets.mockResolvedValue({
+        success: true,
+        targets: []
+      });
+
+      await item.execute({});
+
+      expect(mockActionEconomy.refundAction).not.toHaveBeenCalled();
+    });
   });
 
   describe('executeWithRollResult()', () => {
@@ -725,6 +773,94 @@ describe('ItemActionCardExecutionMixin', () => {
       expect(mockRepetitionHandler.applySystemLimit).toHaveBeenCalledWith(10, item.name);
     });
 
+    test('should refund the Full Action when the first repetition finds no targets', async () => {
+      const actor = { name: 'Test Actor' };
+      item.system.mode = 'attackChain';
+      item.system.repetitions = '1';
+
+      mockActionEconomy.spendFullActionForCard.mockResolvedValue({ tracked: true, spent: true });
+      mockRepetitionHandler.calculateRepetitionCount.mockResolvedValue({ count: 1, roll: { total: 1 } });
+      mockRepetitionHandler.applySystemLimit.mockReturnValue(1);
+      mockRepetitionHandler.createContext.mockReturnValue({});
+      mockRepetitionHandler.aggregateResults.mockReturnValue({ success: false });
+
+      item.executeSingleIteration = vi.fn().mockResolvedValue({ success: false, reason: 'noTargets' });
+
+      await item.executeWithRollResult(actor, { total: 15 });
+
+      expect(mockActionEconomy.refundAction).toHaveBeenCalledWith(actor, 'full');
+    });
+
+    test('should not refund a Full Action that was never spent', async () => {
+      item.system.mode = 'attackChain';
+      item.system.repetitions = '1';
+
+      mockRepetitionHandler.calculateRepetitionCount.mockResolvedValue({ count: 1, roll: { total: 1 } });
+      mockRepetitionHandler.applySystemLimit.mockReturnValue(1);
+      mockRepetitionHandler.createContext.mockReturnValue({});
+      mockRepetitionHandler.aggregateResults.mockReturnValue({ success: false });
+
+      item.executeSingleIteration = vi.fn().mockResolvedValue({ success: false, reason: 'noTargets' });
+
+      await item.executeWithRollResult({}, { total: 15 }, { skipActionCost: true });
+
+      expect(mockActionEconomy.spendFullActionForCard).not.toHaveBeenCalled();
+      expect(mockActionEconomy.refundAction).not.toHaveBeenCalled();
+    });
+
+    test('should refund the Full Action when no repetitions are rolled', async () => {
+      const actor = { name: 'Test Actor' };
+      item.system.mode = 'attackChain';
+      item.system.repetitions = '0';
+
+      mockActionEconomy.spendFullActionForCard.mockResolvedValue({ tracked: true, spent: true });
+      mockRepetitionHandler.calculateRepetitionCount.mockResolvedValue({ count: 0, roll: { total: 0 } });
+
+      const result = await item.executeWithRollResult(actor, { total: 15 });
+
+      expect(result.reason).toBe('insufficientRepetitions');
+      expect(mockActionEconomy.refundAction).toHaveBeenCalledWith(actor, 'full');
+    });
+
+    test('should refund the Full Action when the first repetition lacks resources', async () => {
+      const actor = { name: 'Test Actor' };
+      item.system.mode = 'attackChain';
+      item.system.repetitions = '1';
+
+      mockActionEconomy.spendFullActionForCard.mockResolvedValue({ tracked: true, spent: true });
+      mockRepetitionHandler.calculateRepetitionCount.mockResolvedValue({ count: 1, roll: { total: 1 } });
+      mockRepetitionHandler.applySystemLimit.mockReturnValue(1);
+      mockRepetitionHandler.createContext.mockReturnValue({});
+      item.getEmbeddedItem = vi.fn(() => ({ id: 'embedded1', name: 'Test Power' }));
+      mockResourceValidator.checkEmbeddedItemResources
+        .mockReturnValueOnce({ canExecute: false, reason: 'insufficientPower', required: 5, available: 2 });
+      item.executeSingleIteration = vi.fn();
+
+      const result = await item.executeWithRollResult(actor, { total: 15 });
+
+      expect(result.reason).toBe('insufficientResources');
+      expect(item.executeSingleIteration).not.toHaveBeenCalled();
+      expect(mockActionEconomy.refundAction).toHaveBeenCalledWith(actor, 'full');
+    });
+
+    test('should keep the Full Action when a later repetition lacks resources', async () => {
+      item.system.mode = 'attackChain';
+      item.system.repetitions = '3';
+
+      mockActionEconomy.spendFullActionForCard.mockResolvedValue({ tracked: true, spent: true });
+      mockRepetitionHandler.calculateRepetitionCount.mockResolvedValue({ count: 3, roll: { total: 3 } });
+      mockRepetitionHandler.applySystemLimit.mockReturnValue(3);
+      mockRepetitionHandler.createContext.mockReturnValue({});
+      item.executeSingleIteration = vi.fn().mockResolvedValue({ success: true });
+
+      const result = await item.executeWithRollResult({}, { total: 15 }, {
+        actionCardContext: { resourceDepleted: true, depletedResourceType: 'power' }
+      });
+
+      expect(result.reason).toBe('insufficientResources');
+      expect(mockActionEconomy.refundAction).not.toHaveBeenCalled();
+    });
+
     test('should create repetition context', async () => {
       item.system.mode = 'attackChain';
       item.system.repetitions = '1';
@@ -1498,6 +1634,36 @@ describe('ItemActionCardExecutionMixin', () => {
       expect(mockDamageProcessor.processSavedDamage).toHaveBeenCalled();
     });
 
+    test('should target the tokens in a placed area and remove the area afterwards', async () => {
+      const mockActor = { id: 'actor1', name: 'Test Actor' };
+      const area = { targets: [{ actor: mockActor }] };
+
+      item.system.areaTarget = { enabled: true, shape: 'circle', size: 3 };
+      mockTargetResolver.resolveTargets.mockResolvedValue({
+        success: true,
+        targets: area.targets,
+        area,
+      });
+
+      item.system.savedDamage = {
+        formula: '2d6',
+        type: 'damage',
+        powerFormula: '0',
+        powerType: 'damage',
+      };
+      mockDamageProcessor.processSavedDamage.mockResolvedValue([
+        { target: mockActor, resolveRoll: { total: 10 } },
+      ]);
+
+      await item.executeSavedDamage({});
+
+      expect(mockTargetResolver.resolveTargets).toHaveBeenCalledWith(
+        expect.objectContaining({ areaTarget: item.system.areaTarget }),
+      );
+      expect(mockDamageProcessor.processSavedDamage).toHaveBeenCalledWith(area.targets, expect.anything());
+      expect(mockTargetResolver.removeArea).toHaveBeenCalledWith(area);
+    });
+
     test('should apply vulnerability modifier when target has vulnerability', async () => {
       const mockActor = {
         id: 'actor1',
@@ -23,7 +23,8 @@ describe('character-effects', () => {
           fullEffects: [],
           regularEffects: [],
           hiddenEffects: [],
-          overrideEffects: []
+          overrideEffects: [],
+          damageEffects: []
         });
       });
 
@@ -35,7 +36,8 @@ describe('character-effects', () => {
           fullEffects: [],
           regularEffects: [],
           hiddenEffects: [],
-          overrideEffects: []
+          overrideEffects: [],
+          damageEffects: []
         });
       });
 
@@ -47,7 +49,8 @@ describe('character-effects', () => {
           fullEffects: [],
           regularEffects: [],
           hiddenEffects: [],
-          overrideEffects: []
+          overrideEffects: [],
+          damageEffects: []
         });
       });
     });
@@ -419,6 +422,29 @@ describe('character-effects', () => {
       });
     });
 
+    describe('Damage type modifiers', () => {
+      test('should categorize damage modifier changes as damage effects', async () => {
+        const effect = {
+          system: {
+            changes: [
+              { key: 'system.damageModifiers.fire.resistance', type: 'add', value: '5' },
+              { key: 'system.damageModifiers.psychic.vulnerability', type: 'add', value: '2' },
+              { key: 'system.damageModifiers.poison.immunity', type: 'add', value: '1' }
+            ]
+          }
+        };
+        const result = await prepareCharacterEffects(effect);
+
+        expect(result.damageEffects).toEqual([
+          { ability: 'fire', mode: 'resistance', value: '5' },
+          { ability: 'psychic', mode: 'vulnerability', value: '2' },
+          { ability: 'poison', mode: 'immunity', value: '1' }
+        ]);
+        expect(result.hiddenEffects).toEqual([]);
+        expect(result.fullEffects).toEqual([]);
+      });
+    });
+
     describe('Unknown ability', () => {
       test('should ignore change with unknown ability key', async () => {
         const effect = {
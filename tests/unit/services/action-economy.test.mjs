@@ -0,0 +1,467 @@
+// @ts-nocheck
+/**
+ * @fileoverview ActionEconomy Service Tests
+ *
+ * Unit tests for the ActionEconomy service which tracks Full, Move,
+ * Cleanse and Reaction action pools on combatants during combat.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+vi.mock('../../../module/utils/roll-utilities.mjs', () => ({
+  ERPSRollUtilities: {
+    determineCriticalStates: vi.fn()
+  }
+}));
+
+import { ActionEconomy } from '../../../module/services/action-economy.mjs';
+import { ErrorHandler } from '../../../module/utils/error-handler.mjs';
+import { ERPSRollUtilities } from '../../../module/utils/roll-utilities.mjs';
+
+describe('ActionEconomy', () => {
+  let mockActor;
+  let mockCombatant;
+  let mockCombat;
+  let storedFlag;
+  let otherFlags;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    storedFlag = undefined;
+    otherFlags = {};
+
+    mockActor = { id: 'actor-1', name: 'Test Actor' };
+
+    mockCombatant = {
+      id: 'combatant-1',
+      name: 'Test Combatant',
+      getFlag: vi.fn((_scope, key) =>
+        key === ActionEconomy.FLAG_KEY ? storedFlag : otherFlags[key]
+      ),
+      setFlag: vi.fn(async (_scope, _key, value) => {
+        storedFlag = value;
+        return mockCombatant;
+      })
+    };
+
+    mockCombat = {
+      id: 'combat-1',
+      started: true,
+      getCombatantsByActor: vi.fn(() => [mockCombatant]),
+      combatants: [mockCombatant, { id: 'combatant-2' }],
+      updateEmbeddedDocuments: vi.fn()
+    };
+
+    global.game = {
+      combat: mockCombat,
+      settings: { get: vi.fn(() => true) },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn() } };
+  });
+
+  describe('getPools()', () => {
+    test('should return default pools when no flag is stored', () => {
+      expect(ActionEconomy.getPools(mockCombatant)).toEqual({
+        full: 2,
+        move: 1,
+        cleanse: 1,
+        reaction: 1
+      });
+    });
+
+    test('should return stored pools and clamp negatives to zero', () => {
+      storedFlag = { full: 1, move: 0, cleanse: -1, reaction: 1 };
+
+      expect(ActionEconomy.getPools(mockCombatant)).toEqual({
+        full: 1,
+        move: 0,
+        cleanse: 0,
+        reaction: 1
+      });
+    });
+  });
+
+  describe('getCombatant()', () => {
+    test('should return null when combat has not started', () => {
+      mockCombat.started = false;
+
+      expect(ActionEconomy.getCombatant(mockActor)).toBeNull();
+    });
+
+    test('should find the combatant for the actor', () => {
+      expect(ActionEconomy.getCombatant(mockActor)).toBe(mockCombatant);
+      expect(mockCombat.getCombatantsByActor).toHaveBeenCalledWith(mockActor);
+    });
+  });
+
+  describe('spendAction()', () => {
+    test('should spend an action and store the reduced pool', async () => {
+      const result = await ActionEconomy.spendAction(mockActor, 'full');
+
+      expect(result).toEqual({
+        tracked: true,
+        spent: true,
+        pools: { full: 1, move: 1, cleanse: 1, reaction: 1 }
+      });
+      expect(mockCombatant.setFlag).toHaveBeenCalledWith(
+        'eventide-rp-system',
+        'actionEconomy',
+        { full: 1, move: 1, cleanse: 1, reaction: 1 }
+      );
+    });
+
+    test('should not spend when the pool is empty', async () => {
+      storedFlag = { full: 0, move: 1, cleanse: 1, reaction: 1 };
+
+      const result = await ActionEconomy.spendAction(mockActor, 'full');
+
+      expect(result.spent).toBe(false);
+      expect(result.tracked).toBe(true);
+      expect(mockCombatant.setFlag).not.toHaveBeenCalled();
+    });
+
+    test('should report untracked when the setting is disabled', async () => {
+      game.settings.get.mockReturnValue(false);
+
+      const result = await ActionEconomy.spendAction(mockActor, 'move');
+
+      expect(result).toEqual({ tracked: false, spent: false, pools: null });
+    });
+
+    test('should report untracked when there is no active combat', async () => {
+      game.combat = null;
+
+      const result = await ActionEconomy.spendAction(mockActor, 'move');
+
+      expect(result.tracked).toBe(false);
+    });
+
+    test('should throw for unknown action types', async () => {
+      await expect(
+        ActionEconomy.spendAction(mockActor, 'bonus')
+      ).rejects.toThrow('Unknown action type: bonus');
+    });
+  });
+
+  describe('spendFullActionForCard()', () => {
+    test('should warn when no Full Actions remain', async () => {
+      storedFlag = { full: 0, move: 1, cleanse: 1, reaction: 1 };
+
+      await ActionEconomy.spendFullActionForCard(mockActor, 'Sword Strike');
+
+      expect(ui.notifications.warn).toHaveBeenCalled();
+    });
+
+    test('should not warn when the actor is not in combat', async () => {
+      game.combat = null;
+
+      await ActionEconomy.spendFullActionForCard(mockActor, 'Sword Strike');
+
+      expect(ui.notifications.warn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refundAction()', () => {
+    test('should give the action back to the pool', async () => {
+      storedFlag = { full: 0, move: 1, cleanse: 1, reaction: 1 };
+
+      await ActionEconomy.refundAction(mockActor, 'full');
+
+      expect(storedFlag).toEqual({ full: 1, move: 1, cleanse: 1, reaction: 1 });
+    });
+
+    test('should do nothing when the actor is not in combat', async () => {
+      game.combat = null;
+
+      await ActionEconomy.refundAction(mockActor, 'full');
+
+      expect(mockCombatant.setFlag).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshForTurn()', () => {
+    test('should reset the combatant to a full set of actions', async () => {
+      storedFlag = { full: 0, move: 0, cleanse: 0, reaction: 0 };
+
+      await ActionEconomy.refreshForTurn(mockCombatant);
+
+      expect(storedFlag).toEqual({ full: 2, move: 1, cleanse: 1, reaction: 1 });
+    });
+
+    test('should deduct Full Actions queued by a critical miss', async () => {
+      mockCombatant.getFlag = vi.fn((_scope, key) =>
+        key === ActionEconomy.PENALTY_FLAG_KEY ? 1 : undefined
+      );
+      mockCombatant.update = vi.fn();
+
+      await ActionEconomy.refreshForTurn(mockCombatant);
+
+      expect(mockCombatant.update).toHaveBeenCalledWith({
+        'flags.eventide-rp-system.actionEconomy': { full: 1, move: 1, cleanse: 1, reaction: 1 },
+        'flags.eventide-rp-system.lostFullActions': 0,
+        'flags.eventide-rp-system.pushing': false
+      });
+    });
+
+    test('should end a push declared on the previous turn', async () => {
+      otherFlags[ActionEconomy.PUSH_FLAG_KEY] = true;
+      mockCombatant.update = vi.fn();
+
+      await ActionEconomy.refreshForTurn(mockCombatant);
+
+      expect(mockCombatant.update).toHaveBeenCalledWith({
+        'flags.eventide-rp-system.actionEconomy': { full: 2, move: 1, cleanse: 1, reaction: 1 },
+        'flags.eventide-rp-system.lostFullActions': 0,
+        'flags.eventide-rp-system.pushing': false
+      });
+    });
+  });
+
+  describe('applyCriticalResult()', () => {
+    const roll = { formula: '1d20+3', terms: [] };
+    const critStates = (states) =>
+      ERPSRollUtilities.determineCriticalStates.mockReturnValue({
+        critHit: false,
+        critMiss: false,
+        stolenCrit: false,
+        savedMiss: false,
+        ...states
+      });
+
+    beforeEach(() => {
+      mockActor.getRollData = vi.fn(() => ({ hiddenAbilities: {} }));
+      mockCombatant.update = vi.fn();
+      global.ChatMessage = { create: vi.fn(), getSpeaker: vi.fn(() => ({})) };
+    });
+
+    test('should grant a bonus Full Action on a critical hit', async () => {
+      critStates({ critHit: true });
+      storedFlag = { full: 1, move: 1, cleanse: 1, reaction: 1 };
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash');
+
+      expect(result).toMatchObject({ outcome: 'hit', bonusFull: 1 });
+      expect(mockCombatant.update).toHaveBeenCalledWith({
+        'flags.eventide-rp-system.actionEconomy': { full: 2, move: 1, cleanse: 1, reaction: 1 }
+      });
+      expect(ChatMessage.create).toHaveBeenCalled();
+    });
+
+    test('should cost the remaining Full Action on a critical miss', async () => {
+      critStates({ critMiss: true });
+      storedFlag = { full: 1, move: 1, cleanse: 1, reaction: 1 };
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash');
+
+      expect(result).toMatchObject({ outcome: 'miss', lostNow: 1, lostNextTurn: 0 });
+    });
+
+    test('should queue a lost Full Action when none remain this turn', async () => {
+      critStates({ critMiss: true });
+      storedFlag = { full: 0, move: 1, cleanse: 1, reaction: 1 };
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash');
+
+      expect(result).toMatchObject({ outcome: 'miss', lostNow: 0, lostNextTurn: 1 });
+      expect(mockCombatant.update).toHaveBeenCalledWith(
+        expect.objectContaining({ 'flags.eventide-rp-system.lostFullActions': 1 })
+      );
+    });
+
+    test('should ignore stolen crits and saved misses', async () => {
+      critStates({ critHit: true, stolenCrit: true });
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash');
+
+      expect(result).toBeNull();
+      expect(mockCombatant.update).not.toHaveBeenCalled();
+    });
+
+    test('should pass the embedded item\'s critAllowed to the critical check', async () => {
+      ERPSRollUtilities.determineCriticalStates.mockImplementation(({ critAllowed }) => ({
+        critHit: critAllowed,
+        critMiss: false,
+        stolenCrit: false,
+        savedMiss: false
+      }));
+      storedFlag = { full: 1, move: 1, cleanse: 1, reaction: 1 };
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash', {
+        critAllowed: false
+      });
+
+      expect(ERPSRollUtilities.determineCriticalStates).toHaveBeenCalledWith(
+        expect.objectContaining({ critAllowed: false })
+      );
+      expect(result).toBeNull();
+      expect(mockCombatant.update).not.toHaveBeenCalled();
+    });
+
+    test('should do nothing when the automation setting is off', async () => {
+      critStates({ critHit: true });
+      game.settings.get = vi.fn((_scope, key) => key === 'enableActionEconomy');
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash');
+
+      expect(result).toBeNull();
+      expect(ERPSRollUtilities.determineCriticalStates).not.toHaveBeenCalled();
+    });
+
+    test('should cost both of next turn\'s Full Actions on a miss while pushing', async () => {
+      critStates({ critMiss: true });
+      game.settings.get = vi.fn((_scope, key) => key === 'enableActionEconomy');
+      otherFlags[ActionEconomy.PUSH_FLAG_KEY] = true;
+      mockCombatant.combat = { combatant: mockCombatant };
+      storedFlag = { full: 2, move: 0, cleanse: 0, reaction: 0 };
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash');
+
+      expect(result).toMatchObject({ outcome: 'miss', pushing: true, lostNow: 0, lostNextTurn: 2 });
+      expect(mockCombatant.update).toHaveBeenCalledWith(
+        expect.objectContaining({ 'flags.eventide-rp-system.lostFullActions': 2 })
+      );
+    });
+
+    test('should not apply the push penalty to a crit miss outside the pusher\'s turn', async () => {
+      critStates({ critMiss: true });
+      game.settings.get = vi.fn((_scope, key) => key === 'enableActionEconomy');
+      otherFlags[ActionEconomy.PUSH_FLAG_KEY] = true;
+      mockCombatant.combat = { combatant: { id: 'combatant-2' } };
+      storedFlag = { full: 0, move: 0, cleanse: 0, reaction: 1 };
+
+      const result = await ActionEconomy.applyCriticalResult(mockActor, roll, 'Slash');
+
+      expect(result).toBeNull();
+      expect(mockCombatant.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('endPush()', () => {
+    test('should clear the push flag when the pusher\'s turn ends', async () => {
+      otherFlags[ActionEconomy.PUSH_FLAG_KEY] = true;
+      mockCombatant.update = vi.fn();
+
+      await ActionEconomy.endPush(mockCombatant);
+
+      expect(mockCombatant.update).toHaveBeenCalledWith({
+        'flags.eventide-rp-system.pushing': false
+      });
+    });
+
+    test('should leave combatants who are not pushing untouched', async () => {
+      mockCombatant.update = vi.fn();
+
+      await ActionEconomy.endPush(mockCombatant);
+
+      expect(mockCombatant.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('declarePush()', () => {
+    beforeEach(() => {
+      mockCombatant.combat = { combatant: mockCombatant };
+      mockCombatant.actor = mockActor;
+      mockCombatant.update = vi.fn();
+      global.ChatMessage = { create: vi.fn(), getSpeaker: vi.fn(() => ({})) };
+    });
+
+    test('should trade Move, Cleanse and Reaction for an extra Full Action', async () => {
+      const pushed = await ActionEconomy.declarePush(mockCombatant);
+
+      expect(pushed).toBe(true);
+      expect(mockCombatant.update).toHaveBeenCalledWith({
+        'flags.eventide-rp-system.actionEconomy': { full: 3, move: 0, cleanse: 0, reaction: 0 },
+        'flags.eventide-rp-system.pushing': true
+      });
+    });
+
+    test('should refuse once a Cleanse has been used this turn', async () => {
+      storedFlag = { full: 2, move: 1, cleanse: 0, reaction: 1 };
+
+      const pushed = await ActionEconomy.declarePush(mockCombatant);
+
+      expect(pushed).toBe(false);
+      expect(mockCombatant.update).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalled();
+    });
+
+    test('should refuse outside the combatant\'s turn', async () => {
+      mockCombatant.combat = { combatant: { id: 'someone-else' } };
+
+      expect(await ActionEconomy.declarePush(mockCombatant)).toBe(false);
+    });
+
+    test('should block Cleanse and Reaction spending while pushing', async () => {
+      otherFlags[ActionEconomy.PUSH_FLAG_KEY] = true;
+      storedFlag = { full: 3, move: 0, cleanse: 1, reaction: 1 };
+
+      const result = await ActionEconomy.spendAction(mockActor, 'reaction');
+
+      expect(result).toMatchObject({ tracked: true, spent: false, pushing: true });
+    });
+  });
+
+  describe('grantCombatStartReactions()', () => {
+    test('should grant reactions to everyone except the starting combatant', async () => {
+      await ActionEconomy.grantCombatStartReactions(mockCombat, 'combatant-1');
+
+      expect(mockCombat.updateEmbeddedDocuments).toHaveBeenCalledWith(
+        'Combatant',
+        [
+          {
+            _id: 'combatant-2',
+            'flags.eventide-rp-system.actionEconomy': {
+              full: 0,
+              move: 0,
+              cleanse: 0,
+              reaction: 1
+            }
+          }
+        ]
+      );
+      expect(ErrorHandler.handleDocumentOperation).toHaveBeenCalled();
+    });
+  });
+
+  describe('getDisplayData()', () => {
+    test('should build one entry per action type with counts', () => {
+      const display = ActionEconomy.getDisplayData({
+        full: 1,
+        move: 0,
+        cleanse: 1,
+        reaction: 1
+      });
+
+      expect(display.map((entry) => entry.type)).toEqual([
+        'full',
+        'move',
+        'cleanse',
+        'reaction'
+      ]);
+      expect(display[0]).toEqual(
+        expect.objectContaining({ available: 1, max: 2 })
+      );
+      expect(display[1].available).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,190 @@
+// @ts-nocheck
+/**
+ * @fileoverview ActionRecovery Service Tests
+ *
+ * Unit tests for the ActionRecovery service which converts a combatant's
+ * unused actions into Resolve or Power at the end of their turn.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/services/action-economy.mjs', () => ({
+  ActionEconomy: {
+    PUSH_CONVERTED_TYPES: ['move', 'cleanse', 'reaction'],
+    isEnabled: vi.fn(() => true),
+    getPools: vi.fn(),
+    isPushing: vi.fn(() => false),
+    spendAction: vi.fn(async () => ({ tracked: true, spent: true }))
+  }
+}));
+
+vi.mock('../../../module/services/managers/system-messages.mjs', () => ({
+  erpsMessageHandler: {
+    createRestoreMessage: vi.fn()
+  }
+}));
+
+import { ActionRecovery } from '../../../module/services/action-recovery.mjs';
+import { ActionEconomy } from '../../../module/services/action-economy.mjs';
+import { erpsMessageHandler } from '../../../module/services/managers/system-messages.mjs';
+
+describe('ActionRecovery', () => {
+  let actor;
+  let combatant;
+  let combat;
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    settings = {
+      actionRecoveryMode: 'automatic',
+      recoveryResolveFormula: '20',
+      recoveryPowerFormula: '1'
+    };
+
+    actor = {
+      id: 'actor-1',
+      name: 'Kael',
+      system: {
+        resolve: { value: 50, max: 100 },
+        power: { value: 2, max: 5 }
+      },
+      getRollData: vi.fn(() => ({})),
+      addResolve: vi.fn(),
+      addPower: vi.fn(),
+      testUserPermission: vi.fn(() => true)
+    };
+    combatant = { id: 'combatant-1', actor };
+    combat = {
+      started: true,
+      previous: { combatantId: 'combatant-1' },
+      combatants: new Map([[combatant.id, combatant]])
+    };
+
+    ActionEconomy.getPools.mockReturnValue({ full: 1, move: 1, cleanse: 1, reaction: 0 });
+    ActionEconomy.isPushing.mockReturnValue(false);
+
+    global.Roll = vi.fn((formula) => ({
+      total: 0,
+      evaluate: vi.fn(async function () {
+        this.total = Number(formula);
+        return this;
+      })
+    }));
+    global.game = {
+      settings: { get: vi.fn((_scope, key) => settings[key]) },
+      users: { activeGM: { isSelf: true }, filter: vi.fn(() => []) },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+  });
+
+  describe('getRecoverableActions()', () => {
+    test('should list every unused action except Cleanse', () => {
+      expect(ActionRecovery.getRecoverableActions(combatant)).toEqual(['full', 'move']);
+    });
+
+    test('should only offer Full Actions while pushing', () => {
+      ActionEconomy.getPools.mockReturnValue({ full: 2, move: 1, cleanse: 1, reaction: 1 });
+      ActionEconomy.isPushing.mockReturnValue(true);
+
+      expect(ActionRecovery.getRecoverableActions(combatant)).toEqual(['full', 'full']);
+    });
+  });
+
+  describe('chooseAutomatically()', () => {
+    test('should restore Resolve while it is below maximum', () => {
+      expect(ActionRecovery.chooseAutomatically(actor, ['full', 'move'])).toEqual([
+        { type: 'full', into: 'resolve' },
+        { type: 'move', into: 'resolve' }
+      ]);
+    });
+
+    test('should fall back to Power once Resolve is full', () => {
+      actor.system.resolve.value = 100;
+
+      expect(ActionRecovery.chooseAutomatically(actor, ['move'])).toEqual([
+        { type: 'move', into: 'power' }
+      ]);
+    });
+
+    test('should convert nothing when both resources are full', () => {
+      actor.system.resolve.value = 100;
+      actor.system.power.value = 5;
+
+      expect(ActionRecovery.chooseAutomatically(actor, ['move'])).toEqual([]);
+    });
+  });
+
+  describe('recover()', () => {
+    test('should spend the actions, restore resources and post one restore message', async () => {
+      const result = await ActionRecovery.recover(combatant, [
+        { type: 'full', into: 'resolve' },
+        { type: 'move', into: 'resolve' },
+        { type: 'reaction', into: 'power' }
+      ]);
+
+      expect(ActionEconomy.spendAction).toHaveBeenCalledWith(actor, 'full', 1);
+      expect(ActionEconomy.spendAction).toHaveBeenCalledWith(actor, 'move', 1);
+      expect(actor.addResolve).toHaveBeenCalledWith(40);
+      expect(actor.addPower).toHaveBeenCalledWith(1);
+      expect(result).toEqual({ resolve: 40, power: 1, actions: 3 });
+      expect(erpsMessageHandler.createRestoreMessage).toHaveBeenCalledTimes(1);
+      expect(erpsMessageHandler.createRestoreMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ actor, resolve: true, power: true, resolveAmount: 40, powerAmount: 1 })
+      );
+    });
+
+    test('should skip actions that were used since the turn ended', async () => {
+      ActionEconomy.spendAction.mockResolvedValue({ tracked: true, spent: false });
+
+      const result = await ActionRecovery.recover(combatant, [{ type: 'move', into: 'resolve' }]);
+
+      expect(result).toBeNull();
+      expect(actor.addResolve).not.toHaveBeenCalled();
+      expect(erpsMessageHandler.createRestoreMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processCombatUpdate()', () => {
+    test('should recover automatically for the combatant whose turn ended', async () => {
+      const result = await ActionRecovery.processCombatUpdate(combat, { turn: 1 }, { direction: 1 });
+
+      expect(result).toEqual({ resolve: 40, power: 0, actions: 2 });
+    });
+
+    test('should do nothing when recovery is off', async () => {
+      settings.actionRecoveryMode = 'off';
+
+      expect(await ActionRecovery.processCombatUpdate(combat, { turn: 1 }, {})).toBeNull();
+      expect(ActionEconomy.spendAction).not.toHaveBeenCalled();
+    });
+
+    test('should ignore rewinds', async () => {
+      expect(await ActionRecovery.processCombatUpdate(combat, { turn: 0 }, { direction: -1 })).toBeNull();
+    });
+
+    test('should only prompt the user chosen for the actor', async () => {
+      settings.actionRecoveryMode = 'prompt';
+      game.users.activeGM = { isSelf: false };
+      const prompt = vi.spyOn(ActionRecovery, 'promptRecovery');
+
+      expect(await ActionRecovery.processCombatUpdate(combat, { turn: 1 }, {})).toBeNull();
+      expect(prompt).not.toHaveBeenCalled();
+      prompt.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// @ts-nocheck
+/**
+ * @fileoverview Advancement Service Tests
+ *
+ * Unit tests for the Advancement service which levels characters up within
+ * the stat points budget and records an advancement log that can be rolled back.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+vi.mock('../../../module/helpers/item-source-collector.mjs', () => ({
+  ItemSourceCollector: {
+    getCompendiumItems: vi.fn(async () => [
+      { uuid: 'Compendium.pack.Item.b', name: 'Whirlwind', type: 'combatPower' },
+      { uuid: 'Compendium.pack.Item.a', name: 'Darkvision', type: 'feature' },
+      { uuid: 'Compendium.pack.Item.c', name: 'Keen Eye', type: 'feature' }
+    ])
+  }
+}));
+
+import { Advancement } from '../../../module/services/advancement.mjs';
+import { ItemSourceCollector } from '../../../module/helpers/item-source-collector.mjs';
+
+/**
+ * Build a character whose data and flags change as the service updates them
+ * @returns {Object} Mock actor
+ */
+const createActor = () => {
+  const flags = {};
+  const items = [{ id: 'keen', name: 'Keen Eye', type: 'feature' }];
+  items.get = (id) => items.find((item) => item.id === id);
+
+  const actor = {
+    name: 'Kael',
+    type: 'character',
+    flags,
+    items,
+    system: {
+      attributes: { level: { value: 2 } },
+      abilities: {
+        acro: { value: 3 },
+        phys: { value: 4 },
+        fort: { value: 3 },
+        will: { value: 3 },
+        wits: { value: 5 }
+      },
+      statTotal: { baseValue: 18 }
+    },
+    getFlag: vi.fn((_scope, key) => flags[key]),
+    update: vi.fn(async (updates) => {
+      for (const [path, value] of Object.entries(updates)) {
+        if (path.startsWith('flags.eventide-rp-system.')) {
+          flags[path.split('.').pop()] = value;
+          continue;
+        }
+        const keys = path.split('.').slice(1);
+        const last = keys.pop();
+        keys.reduce((obj, key) => obj[key], actor.system)[last] = value;
+      }
+      return actor;
+    }),
+    createEmbeddedDocuments: vi.fn(async (_type, data) => {
+      const created = data.map((item, index) => ({ ...item, id: `new${index}` }));
+      items.push(...created);
+      return created;
+    }),
+    deleteEmbeddedDocuments: vi.fn(async (_type, ids) => {
+      for (const id of ids) items.splice(items.findIndex((item) => item.id === id), 1);
+      return ids;
+    })
+  };
+  return actor;
+};
+
+describe('Advancement', () => {
+  let actor;
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    actor = createActor();
+    settings = { statPointsFormula: '14 + (2 * @lvl.value)' };
+
+    global.Roll = vi.fn((formula, data) => ({
+      evaluateSync: () => ({
+        total: Number(eval(formula.replace(/@lvl\.value/g, data.lvl.value)))
+      })
+    }));
+    global.fromUuid = vi.fn(async (uuid) => ({
+      type: uuid.endsWith('.b') ? 'combatPower' : 'feature',
+      toObject: () => ({ _id: 'source', name: uuid.endsWith('.b') ? 'Whirlwind' : 'Darkvision', type: 'feature' })
+    }));
+    global.game = {
+      user: { name: 'Gamemaster', isGM: true },
+      settings: { get: vi.fn((_scope, key) => settings[key]) },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn(), info: vi.fn() } };
+    global.CONFIG = global.CONFIG || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM = global.CONFIG.EVENTIDE_RP_SYSTEM || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM.abilities = {
+      acro: 'EVENTIDE_RP_SYSTEM.Ability.Acro.long',
+      phys: 'EVENTIDE_RP_SYSTEM.Ability.Phys.long',
+      fort: 'EVENTIDE_RP_SYSTEM.Ability.Fort.long',
+      will: 'EVENTIDE_RP_SYSTEM.Ability.Will.long',
+      wits: 'EVENTIDE_RP_SYSTEM.Ability.Wits.long'
+    };
+  });
+
+  describe('getStatBudget()', () => {
+    test('should evaluate the stat points formula at the given level', () => {
+      expect(Advancement.getStatBudget(actor, 3)).toBe(20);
+    });
+
+    test('should have no budget when the formula is off', () => {
+      settings.statPointsFormula = '0';
+      expect(Advancement.getStatBudget(actor, 3)).toBeNull();
+    });
+  });
+
+  describe('validate()', () => {
+    const abilities = { acro: 3, phys: 5, fort: 3, will: 3, wits: 6 };
+
+    test('should accept a raised level with abilities that fit the budget', () => {
+      expect(Advancement.validate(actor, { level: 3, abilities })).toEqual({
+        budget: 20,
+        spent: 20,
+        remaining: 0,
+        errors: [],
+        valid: true
+      });
+    });
+
+    test('should reject overspending, lowered abilities and an unchanged level', () => {
+      const overspent = Advancement.validate(actor, { level: 3, abilities: { ...abilities, acro: 4 } });
+      expect(overspent.valid).toBe(false);
+      expect(overspent.remaining).toBe(-1);
+      expect(overspent.errors).toEqual(['EVENTIDE_RP_SYSTEM.LevelUp.Errors.Overspent']);
+
+      const lowered = Advancement.validate(actor, { level: 2, abilities: { ...abilities, wits: 4 } });
+      expect(lowered.errors).toEqual([
+        'EVENTIDE_RP_SYSTEM.LevelUp.Errors.LevelNotRaised',
+        'EVENTIDE_RP_SYSTEM.LevelUp.Errors.AbilityLowered'
+      ]);
+    });
+
+    test('should allow any spend when the formula is off', () => {
+      settings.statPointsFormula = '0';
+      const validation = Advancement.validate(actor, { level: 3, abilities: { ...abilities, acro: 30 } });
+
+      expect(validation.valid).toBe(true);
+      expect(validation.remaining).toBeNull();
+    });
+  });
+
+  describe('getItemChoices()', () => {
+    test('should list compendium features and combat powers the actor lacks', async () => {
+      const choices = await Advancement.getItemChoices(actor);
+
+      expect(ItemSourceCollector.getCompendiumItems).toHaveBeenCalledWith(['feature', 'combatPower']);
+      expect(choices.map((choice) => choice.name)).toEqual(['Darkvision', 'Whirlwind']);
+    });
+  });
+
+  describe('levelUp()', () => {
+    test('should raise the level and abilities, add items and log the level-up', async () => {
+      const entry = await Advancement.levelUp(actor, {
+        level: 3,
+        abilities: { acro: 3, phys: 5, fort: 3, will: 3, wits: 6 },
+        itemUuids: ['Compendium.pack.Item.a', 'Compendium.pack.Item.b']
+      });
+
+      expect(actor.createEmbeddedDocuments).toHaveBeenCalledWith('Item', [
+        { name: 'Darkvision', type: 'feature' },
+        { name: 'Whirlwind', type: 'feature' }
+      ]);
+      expect(actor.system.attributes.level.value).toBe(3);
+      expect(actor.system.abilities.phys.value).toBe(5);
+      expect(actor.system.abilities.wits.value).toBe(6);
+      expect(entry).toMatchObject({
+        userName: 'Gamemaster',
+        fromLevel: 2,
+        toLevel: 3,
+        budget: 20,
+        abilities: { phys: { from: 4, to: 5 }, wits: { from: 5, to: 6 } },
+        items: [{ id: 'new0', name: 'Darkvision' }, { id: 'new1', name: 'Whirlwind' }]
+      });
+      expect(Advancement.getLog(actor)).toEqual([entry]);
+    });
+
+    test('should change nothing when the level-up is invalid', async () => {
+      const entry = await Advancement.levelUp(actor, {
+        level: 3,
+        abilities: { acro: 9, phys: 9, fort: 9, will: 9, wits: 9 },
+        itemUuids: ['Compendium.pack.Item.a']
+      });
+
+      expect(entry).toBeNull();
+      expect(ui.notifications.warn).toHaveBeenCalled();
+      expect(actor.createEmbeddedDocuments).not.toHaveBeenCalled();
+      expect(actor.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollBack()', () => {
+    let first;
+    let second;
+
+    beforeEach(async () => {
+      first = await Advancement.levelUp(actor, {
+        level: 3,
+        abilities: { acro: 3, phys: 5, fort: 3, will: 3, wits: 6 }
+      });
+      second = await Advancement.levelUp(actor, {
+        level: 4,
+        abilities: { acro: 5, phys: 5, fort: 3, will: 3, wits: 6 },
+        itemUuids: ['Compendium.pack.Item.a']
+      });
+      vi.clearAllMocks();
+    });
+
+    test('should restore the latest level-up and remove its items', async () => {
+      expect(await Advancement.rollBack(actor, second.id)).toBe(true);
+
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['new0']);
+      expect(actor.system.attributes.level.value).toBe(3);
+      expect(actor.system.abilities.acro.value).toBe(3);
+      expect(Advancement.getLog(actor)).toEqual([first]);
+    });
+
+    test('should only roll back the latest level-up, and only for the GM', async () => {
+      expect(await Advancement.rollBack(actor, first.id)).toBe(false);
+
+      game.user.isGM = false;
+      expect(await Advancement.rollBack(actor, second.id)).toBe(false);
+
+      expect(ui.notifications.warn).toHaveBeenCalledTimes(2);
+      expect(actor.update).not.toHaveBeenCalled();
+      expect(Advancement.getLog(actor)).toEqual([first, second]);
+    });
+  });
+});
@@ -0,0 +1,287 @@
+// @ts-nocheck
+/**
+ * @fileoverview Character Creation Service Tests
+ *
+ * Unit tests for the CharacterCreation service which checks new characters
+ * against the creation ruleset and builds them from a wizard plan.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => {
+      try {
+        return [await promise, null];
+      } catch (error) {
+        return [null, error];
+      }
+    })
+  }
+}));
+
+vi.mock('../../../module/helpers/item-source-collector.mjs', () => ({
+  ItemSourceCollector: {
+    getAllAccessibleItems: vi.fn(async () => [])
+  }
+}));
+
+vi.mock('../../../module/services/action-card-presets.mjs', () => ({
+  createPresetActionCard: vi.fn(async () => ({ id: 'card' }))
+}));
+
+import { CharacterCreation } from '../../../module/services/character-creation.mjs';
+import { createPresetActionCard } from '../../../module/services/action-card-presets.mjs';
+
+/**
+ * Build a new, empty character whose data changes as the service updates it
+ * @returns {Object} Mock actor
+ */
+const createActor = () => {
+  const flags = {};
+  const items = [];
+
+  const actor = {
+    name: 'Elena',
+    type: 'character',
+    flags,
+    items,
+    system: {
+      attributes: { level: { value: 0 } },
+      abilities: {
+        acro: { value: 1 },
+        phys: { value: 1 },
+        fort: { value: 1 },
+        will: { value: 1 },
+        wits: { value: 1 }
+      },
+      resolve: { value: 0, max: 140 },
+      power: { value: 0, max: 12 }
+    },
+    getFlag: vi.fn((_scope, key) => flags[key]),
+    update: vi.fn(async (updates) => {
+      for (const [path, value] of Object.entries(updates)) {
+        if (path.startsWith('flags.eventide-rp-system.')) {
+          flags[path.split('.').pop()] = value;
+          continue;
+        }
+        const keys = path.split('.').slice(1);
+        const last = keys.pop();
+        keys.reduce((obj, key) => obj[key], actor.system)[last] = value;
+      }
+      return actor;
+    }),
+    createEmbeddedDocuments: vi.fn(async (_type, data) => {
+      items.push(...data);
+      return data;
+    })
+  };
+  Object.defineProperty(items, 'size', { get: () => items.length });
+  return actor;
+};
+
+/**
+ * Build a plan that fits the default rules
+ * @returns {Object} Character creation plan
+ */
+const createPlan = () => ({
+  abilities: { acro: 4, phys: 3, fort: 3, will: 2, wits: 4 },
+  featureUuids: ['Compendium.eventide-rp-system.erps-features.Item.scholar'],
+  gearUuids: ['Item.lantern'],
+  power: { name: 'Arcane Bolt', presetId: 'basicAttack', ability: 'will', cost: 2 }
+});
+
+describe('CharacterCreation', () => {
+  let actor;
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    actor = createActor();
+    settings = {
+      statPointsFormula: '14 + (2 * @lvl.value)',
+      characterCreationWizard: true
+    };
+
+    global.Roll = vi.fn((formula, data) => ({
+      evaluateSync: () => ({
+        total: Number(eval(formula.replace(/@lvl\.value/g, data.lvl.value)))
+      })
+    }));
+    global.fromUuid = vi.fn(async (uuid) => ({
+      toObject: () => ({ _id: 'source', name: uuid.split('.').pop(), type: 'feature' })
+    }));
+    global.game = {
+      user: { id: 'player1', name: 'Player' },
+      settings: { get: vi.fn((_scope, key) => settings[key]) },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn(), info: vi.fn() } };
+    global.CONFIG = global.CONFIG || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM = global.CONFIG.EVENTIDE_RP_SYSTEM || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM.abilities = {
+      acro: 'EVENTIDE_RP_SYSTEM.Ability.Acro.long',
+      phys: 'EVENTIDE_RP_SYSTEM.Ability.Phys.long',
+      fort: 'EVENTIDE_RP_SYSTEM.Ability.Fort.long',
+      will: 'EVENTIDE_RP_SYSTEM.Ability.Will.long',
+      wits: 'EVENTIDE_RP_SYSTEM.Ability.Wits.long'
+    };
+    global.CONFIG.EVENTIDE_RP_SYSTEM.characterCreation = {
+      startingLevel: 1,
+      minAbility: 1,
+      maxAbility: 6,
+      featureCompendium: 'eventide-rp-system.erps-features',
+      powerPresets: ['basicAttack', 'damageAndStatus']
+    };
+  });
+
+  describe('shouldOpen()', () => {
+    test('should open for a new, empty character created by this user', () => {
+      expect(CharacterCreation.shouldOpen(actor, 'player1')).toBe(true);
+    });
+
+    test('should not open for other users, NPCs, filled or created characters, or when turned off', () => {
+      expect(CharacterCreation.shouldOpen(actor, 'player2')).toBe(false);
+
+      settings.characterCreationWizard = false;
+      expect(CharacterCreation.shouldOpen(actor, 'player1')).toBe(false);
+      settings.characterCreationWizard = true;
+
+      actor.flags.creationComplete = true;
+      expect(CharacterCreation.shouldOpen(actor, 'player1')).toBe(false);
+      delete actor.flags.creationComplete;
+
+      actor.items.push({ name: 'Sword' });
+      expect(CharacterCreation.shouldOpen(actor, 'player1')).toBe(false);
+
+      expect(CharacterCreation.shouldOpen({ ...createActor(), type: 'npc' }, 'player1')).toBe(false);
+    });
+  });
+
+  describe('getDefaultPlan()', () => {
+    test('should start every ability at the minimum with the first power preset', () => {
+      const plan = CharacterCreation.getDefaultPlan();
+
+      expect(plan.abilities).toEqual({ acro: 1, phys: 1, fort: 1, will: 1, wits: 1 });
+      expect(plan.power.presetId).toBe('basicAttack');
+      expect(plan.featureUuids).toEqual([]);
+    });
+  });
+
+  describe('validate()', () => {
+    test('should accept a plan within the starting budget', () => {
+      expect(CharacterCreation.validate(actor, createPlan())).toEqual({
+        budget: 16,
+        spent: 16,
+        remaining: 0,
+        errors: [],
+        valid: true
+      });
+    });
+
+    test('should reject abilities over the starting cap and overspending', () => {
+      const plan = createPlan();
+      plan.abilities = { acro: 7, phys: 3, fort: 3, will: 2, wits: 4 };
+
+      expect(CharacterCreation.validate(actor, plan).errors).toEqual([
+        'EVENTIDE_RP_SYSTEM.CharacterCreation.Errors.Ability',
+        'EVENTIDE_RP_SYSTEM.LevelUp.Errors.Overspent'
+      ]);
+    });
+
+    test('should keep the ability cap when the formula is off', () => {
+      settings.statPointsFormula = '0';
+      const plan = createPlan();
+      plan.abilities.wits = 6;
+      plan.abilities.acro = 0;
+
+      const validation = CharacterCreation.validate(actor, plan);
+      expect(validation.remaining).toBeNull();
+      expect(validation.errors).toEqual(['EVENTIDE_RP_SYSTEM.CharacterCreation.Errors.Ability']);
+    });
+
+    test('should require a named power with an allowed preset', () => {
+      const plan = createPlan();
+      plan.power = { ...plan.power, name: '  ', presetId: 'healingSpell' };
+
+      expect(CharacterCreation.validate(actor, plan).errors).toEqual([
+        'EVENTIDE_RP_SYSTEM.CharacterCreation.Errors.PowerName',
+        'EVENTIDE_RP_SYSTEM.CharacterCreation.Errors.PowerPreset'
+      ]);
+    });
+  });
+
+  describe('getFeatureChoices()', () => {
+    test('should list the features in the features compendium', async () => {
+      const getIndex = vi.fn(async () => [
+        { _id: 'b', name: 'Scholar', type: 'feature', uuid: 'Compendium.x.Item.b' },
+        { _id: 'c', name: 'Lantern', type: 'gear', uuid: 'Compendium.x.Item.c' },
+        { _id: 'a', name: 'Noble Birth', type: 'feature', uuid: 'Compendium.x.Item.a', img: 'noble.webp' }
+      ]);
+      game.packs = { get: vi.fn(() => ({ collection: 'x', getIndex })) };
+
+      const choices = await CharacterCreation.getFeatureChoices();
+
+      expect(game.packs.get).toHaveBeenCalledWith('eventide-rp-system.erps-features');
+      expect(choices.map((choice) => choice.name)).toEqual(['Noble Birth', 'Scholar']);
+      expect(choices[0].img).toBe('noble.webp');
+    });
+
+    test('should have no choices when the compendium is missing', async () => {
+      game.packs = { get: vi.fn(() => undefined) };
+      expect(await CharacterCreation.getFeatureChoices()).toEqual([]);
+    });
+  });
+
+  describe('create()', () => {
+    test('should build a ready-to-play character from the plan', async () => {
+      expect(await CharacterCreation.create(actor, createPlan())).toBe(true);
+
+      expect(actor.createEmbeddedDocuments).toHaveBeenCalledWith('Item', [
+        { name: 'scholar', type: 'feature' },
+        { name: 'lantern', type: 'feature' }
+      ]);
+      expect(createPresetActionCard).toHaveBeenCalledWith(actor, 'basicAttack', {
+        name: 'Arcane Bolt',
+        power: { name: 'Arcane Bolt', ability: 'will', cost: 2 }
+      });
+      expect(actor.system.attributes.level.value).toBe(1);
+      expect(actor.system.abilities.acro.value).toBe(4);
+      expect(actor.system.resolve.value).toBe(140);
+      expect(actor.system.power.value).toBe(12);
+      expect(actor.flags.creationComplete).toBe(true);
+    });
+
+    test('should change nothing when the plan breaks the rules', async () => {
+      const plan = createPlan();
+      plan.abilities.acro = 9;
+
+      expect(await CharacterCreation.create(actor, plan)).toBe(false);
+      expect(ui.notifications.warn).toHaveBeenCalled();
+      expect(actor.createEmbeddedDocuments).not.toHaveBeenCalled();
+      expect(createPresetActionCard).not.toHaveBeenCalled();
+      expect(actor.update).not.toHaveBeenCalled();
+    });
+
+    test('should not mark the character created when the action card fails', async () => {
+      createPresetActionCard.mockRejectedValueOnce(new Error('link failed'));
+
+      expect(await CharacterCreation.create(actor, createPlan())).toBe(false);
+      expect(actor.flags.creationComplete).toBeUndefined();
+    });
+  });
+});
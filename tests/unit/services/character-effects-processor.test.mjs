@@ -41,6 +41,20 @@ describe('CharacterEffectsProcessor', () => {
       expect(result.overrideEffects).toEqual([]);
     });
 
+    test('parses damage type effects from form', () => {
+      const formElements = [
+        { name: 'characterEffects.damageEffects.0.ability', value: 'fire' },
+        { name: 'characterEffects.damageEffects.0.mode', value: 'immunity' },
+        { name: 'characterEffects.damageEffects.0.value', value: '1' }
+      ];
+      mockForm.querySelectorAll.mockReturnValue(formElements);
+
+      const result = CharacterEffectsProcessor.parseCharacterEffectsForm(mockForm, {});
+
+      expect(result.damageEffects).toEqual([{ ability: 'fire', mode: 'immunity', value: '1' }]);
+      expect(result.hiddenEffects).toEqual([]);
+    });
+
     test('parses hidden effects from form', () => {
       const formElements = [
         { name: 'characterEffects.hiddenEffects.0.ability', value: 'dice' },
@@ -313,6 +327,18 @@ describe('CharacterEffectsProcessor', () => {
       });
     });
 
+    test('generates a resistance change for a damage type', () => {
+      const newEffect = { type: 'damageModifiers', ability: 'fire' };
+      const result = CharacterEffectsProcessor.generateNewEffectChange(newEffect);
+
+      expect(result).toEqual({
+        key: 'system.damageModifiers.fire.resistance',
+        type: 'add',
+        phase: 'initial',
+        value: 0
+      });
+    });
+
     test('generates change for powerOverride', () => {
       const newEffect = { type: 'abilities', ability: 'powerOverride' };
       const result = CharacterEffectsProcessor.generateNewEffectChange(newEffect);
@@ -594,6 +620,27 @@ describe('CharacterEffectsProcessor', () => {
       expect(result[1].key).toBe('system.hiddenAbilities.dice.change');
       expect(result[2].key).toBe('system.power.override');
     });
+
+    test('processes damage type effects as additive damage modifier changes', async () => {
+      const characterEffects = {
+        regularEffects: [],
+        hiddenEffects: [],
+        overrideEffects: [],
+        damageEffects: [
+          { ability: 'fire', mode: 'resistance', value: '5' },
+          { ability: 'psychic', mode: 'vulnerability', value: '2' },
+          { ability: 'poison', mode: 'unknown', value: '1' }
+        ]
+      };
+
+      const result = await CharacterEffectsProcessor.processEffectsToChanges(characterEffects);
+
+      expect(result).toEqual([
+        { key: 'system.damageModifiers.fire.resistance', type: 'add', phase: 'initial', value: '5' },
+        { key: 'system.damageModifiers.psychic.vulnerability', type: 'add', phase: 'initial', value: '2' },
+        { key: 'system.damageModifiers.poison.resistance', type: 'add', phase: 'initial', value: '1' }
+      ]);
+    });
   });
 
   describe('getOrCreateFirstEffect', () => {
@@ -0,0 +1,144 @@
+// @ts-nocheck
+/**
+ * @fileoverview CombatantOverview Service Tests
+ *
+ * Unit tests for the CombatantOverview service which shows resources,
+ * statuses and transformations in the combat tracker.
+ */
+
+import { CombatantOverview } from '../../../module/services/combatant-overview.mjs';
+
+describe('CombatantOverview', () => {
+  let actor;
+  let combatant;
+  let flags;
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    flags = {};
+    settings = { hideNpcInitiativeRolls: true };
+
+    actor = {
+      hasPlayerOwner: false,
+      system: { resolve: { value: 30, max: 40 }, power: { value: 0, max: 0 } },
+      items: [
+        { type: 'status', name: 'Burning', img: 'burn.png', system: { bgColor: '#ff0000' }, effects: { contents: [{ disabled: false }] } },
+        { type: 'status', name: 'Dazed', img: 'daze.png', system: { bgColor: '#00ff00' }, effects: { contents: [{ disabled: true }] } },
+        { type: 'gear', name: 'Sword', img: 'sword.png', system: {}, effects: { contents: [] } }
+      ],
+      getFlag: vi.fn((_scope, key) => flags[key])
+    };
+    combatant = { actor, initiative: 14.2 };
+
+    global.game = {
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key, data) => `${key} ${JSON.stringify(data)}`)
+      },
+      settings: { get: vi.fn((_scope, key) => settings[key]) }
+    };
+    global.foundry.utils.escapeHTML = (value) => String(value).replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  });
+
+  describe('getData()', () => {
+    test('should list resource bars and active statuses with their colours', () => {
+      const data = CombatantOverview.getData(combatant);
+
+      expect(data.resources).toEqual([
+        { key: 'resolve', label: 'EVENTIDE_RP_SYSTEM.Actor.Attributes.Resolve.Value.label', value: 30, max: 40, percent: 75 },
+        { key: 'power', label: 'EVENTIDE_RP_SYSTEM.Actor.Attributes.Power.Value.label', value: 0, max: 0, percent: 0 }
+      ]);
+      expect(data.statuses).toEqual([{ name: 'Burning', img: 'burn.png', bgColor: '#ff0000' }]);
+      expect(data.transformation).toBeNull();
+    });
+
+    test('should keep bars within 0 to 100 percent', () => {
+      actor.system.resolve.value = 55;
+
+      expect(CombatantOverview.getData(combatant).resources[0].percent).toBe(100);
+    });
+
+    test('should name the active transformation', () => {
+      flags.activeTransformation = 'trans1';
+      flags.activeTransformationName = 'Wolf Form';
+
+      expect(CombatantOverview.getData(combatant).transformation).toBe('Wolf Form');
+    });
+
+    test('should return null for combatants without an actor', () => {
+      expect(CombatantOverview.getData({ actor: null })).toBeNull();
+    });
+  });
+
+  describe('renderOverview()', () => {
+    test('should render bars, coloured status icons and the transformation badge', () => {
+      flags.activeTransformation = 'trans1';
+      flags.activeTransformationName = 'Wolf <Form>';
+
+      const container = document.createElement('div');
+      container.innerHTML = CombatantOverview.renderOverview(CombatantOverview.getData(combatant));
+
+      expect(container.querySelector('.erps-combatant-overview__bar--resolve .erps-combatant-overview__fill').style.width).toBe('75%');
+      expect(container.querySelector('.erps-combatant-overview__status').style.backgroundColor).toBe('rgb(255, 0, 0)');
+      expect(container.querySelector('.erps-combatant-overview__transformation').textContent.trim()).toBe('Wolf <Form>');
+    });
+
+    test('should leave out the status row when there is nothing to show', () => {
+      actor.items = [];
+
+      const container = document.createElement('div');
+      container.innerHTML = CombatantOverview.renderOverview(CombatantOverview.getData(combatant));
+
+      expect(container.querySelector('.erps-combatant-overview__statuses')).toBeNull();
+    });
+  });
+
+  describe('hasHiddenInitiative()', () => {
+    test('should hide rolled NPC initiative while the setting is on', () => {
+      expect(CombatantOverview.hasHiddenInitiative(combatant)).toBe(true);
+    });
+
+    test('should not hide player, unrolled or unhidden initiative', () => {
+      expect(CombatantOverview.hasHiddenInitiative({ actor, initiative: null })).toBe(false);
+
+      actor.hasPlayerOwner = true;
+      expect(CombatantOverview.hasHiddenInitiative(combatant)).toBe(false);
+
+      actor.hasPlayerOwner = false;
+      settings.hideNpcInitiativeRolls = false;
+      expect(CombatantOverview.hasHiddenInitiative(combatant)).toBe(false);
+    });
+  });
+
+  describe('isTracked()', () => {
+    test('should check the combat shown in the tracker', () => {
+      global.ui = { combat: { viewed: { combatants: [combatant] } } };
+
+      expect(CombatantOverview.isTracked(actor)).toBe(true);
+      expect(CombatantOverview.isTracked({})).toBe(false);
+
+      global.ui = { combat: { viewed: null } };
+      expect(CombatantOverview.isTracked(actor)).toBe(false);
+    });
+  });
+
+  describe('scheduleRefresh()', () => {
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    test('should re-render the tracker once for a burst of changes', () => {
+      vi.useFakeTimers();
+      const render = vi.fn();
+      global.ui = { combat: { render } };
+
+      CombatantOverview.scheduleRefresh();
+      CombatantOverview.scheduleRefresh();
+      vi.advanceTimersByTime(CombatantOverview.REFRESH_DELAY_MS);
+
+      expect(render).toHaveBeenCalledTimes(1);
+    });
+  });
+});
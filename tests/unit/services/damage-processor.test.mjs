@@ -711,5 +711,101 @@ describe('DamageProcessor', () => {
       const result = DamageProcessor.applyVulnerabilityModifier('2d6', 'physical', mockActor);
       expect(result).toBe('2d6');
     });
+
+    describe('typed damage', () => {
+      beforeEach(() => {
+        mockActor.system.damageModifiers = {
+          fire: { resistance: 5, vulnerability: 0, immunity: 0 },
+          psychic: { resistance: 1, vulnerability: 3, immunity: 0 },
+          piercing: { resistance: 0, vulnerability: 4, immunity: 1 }
+        };
+      });
+
+      test('should subtract resistance without dropping below zero', () => {
+        const result = DamageProcessor.applyVulnerabilityModifier('2d6', 'damage', mockActor, 'fire');
+        expect(result).toBe('max(0, (2d6) - 5)');
+      });
+
+      test('should add vulnerability net of resistance', () => {
+        const result = DamageProcessor.applyVulnerabilityModifier('2d6', 'damage', mockActor, 'psychic');
+        expect(result).toBe('(2d6) + 2');
+      });
+
+      test('should reduce damage to zero when immune', () => {
+        const result = DamageProcessor.applyVulnerabilityModifier('2d6', 'damage', mockActor, 'piercing');
+        expect(result).toBe('0');
+      });
+
+      test('should apply typed modifiers after the generic vulnerability', () => {
+        mockActor.system.hiddenAbilities.vuln.value = 10;
+        const result = DamageProcessor.applyVulnerabilityModifier('2d6', 'damage', mockActor, 'fire');
+        expect(result).toBe('max(0, (2d6 + 10) - 5)');
+      });
+
+      test('should ignore typed modifiers for untyped damage and healing', () => {
+        expect(DamageProcessor.applyVulnerabilityModifier('2d6', 'damage', mockActor, '')).toBe('2d6');
+        expect(DamageProcessor.applyVulnerabilityModifier('2d6', 'heal', mockActor, 'fire')).toBe('2d6');
+      });
+    });
+  });
+
+  describe('getDamageTypeInfo()', () => {
+    beforeEach(() => {
+      global.game = {
+        i18n: {
+          localize: vi.fn((key) => key),
+          format: vi.fn((key, data) => `${key} ${data.value}`)
+        }
+      };
+      mockActor.system.damageModifiers = {
+        fire: { resistance: 5, vulnerability: 2, immunity: 0 },
+        piercing: { resistance: 3, vulnerability: 0, immunity: 1 }
+      };
+    });
+
+    test('should name the type and the modifiers that applied', () => {
+      expect(DamageProcessor.getDamageTypeInfo(mockActor, 'damage', 'fire')).toEqual({
+        label: 'EVENTIDE_RP_SYSTEM.DamageTypes.Fire',
+        notes: [
+          'EVENTIDE_RP_SYSTEM.DamageTypes.Chat.Resistance 5',
+          'EVENTIDE_RP_SYSTEM.DamageTypes.Chat.Vulnerability 2'
+        ]
+      });
+    });
+
+    test('should only note immunity when immune', () => {
+      expect(DamageProcessor.getDamageTypeInfo(mockActor, 'damage', 'piercing').notes).toEqual([
+        'EVENTIDE_RP_SYSTEM.DamageTypes.Chat.Immune'
+      ]);
+    });
+
+    test('should return null for untyped damage, unknown types and healing', () => {
+      expect(DamageProcessor.getDamageTypeInfo(mockActor, 'damage', '')).toBeNull();
+      expect(DamageProcessor.getDamageTypeInfo(mockActor, 'damage', 'sonic')).toBeNull();
+      expect(DamageProcessor.getDamageTypeInfo(mockActor, 'heal', 'fire')).toBeNull();
+    });
+  });
+
+  describe('resolveDamageBundleForTarget() with typed damage', () => {
+    test('should pass the typed formula and chat info to damageResolve', async () => {
+      global.game = { i18n: { localize: vi.fn((key) => key), format: vi.fn((key) => key) } };
+      mockActor.system.damageModifiers = { fire: { resistance: 0, vulnerability: 0, immunity: 1 } };
+
+      await DamageProcessor.resolveDamageBundleForTarget(mockActor, {
+        resolveDamage: { formula: '2d6', damageType: 'damage', damageKind: 'fire' },
+        label: 'Fireball'
+      });
+
+      expect(mockActor.damageResolve).toHaveBeenCalledWith(
+        expect.objectContaining({
+          formula: '0',
+          type: 'damage',
+          damageInfo: {
+            label: 'EVENTIDE_RP_SYSTEM.DamageTypes.Fire',
+            notes: ['EVENTIDE_RP_SYSTEM.DamageTypes.Chat.Immune']
+          }
+        })
+      );
+    });
   });
 });
\ No newline at end of file
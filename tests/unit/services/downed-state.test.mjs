@@ -0,0 +1,353 @@
+// @ts-nocheck
+/**
+ * @fileoverview DownedState Service Tests
+ *
+ * Unit tests for the DownedState service which downs actors at 0 Resolve and
+ * lets adjacent allies help them back up.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+vi.mock('../../../module/services/action-economy.mjs', () => ({
+  ActionEconomy: {
+    spendAction: vi.fn(),
+    getUnavailableMessage: vi.fn(() => 'No Full Actions left')
+  }
+}));
+
+import { DownedState } from '../../../module/services/downed-state.mjs';
+import { ActionEconomy } from '../../../module/services/action-economy.mjs';
+
+const FRIENDLY = 1;
+const HOSTILE = -1;
+
+const createStatus = (downed) => ({
+  id: downed ? 'downed-status' : 'other-status',
+  type: 'status',
+  getFlag: vi.fn((_scope, key) => (downed && key === 'downed' ? true : undefined))
+});
+
+const createActor = (name, { resolve = 50, downed = false } = {}) => ({
+  uuid: `Actor.${name}`,
+  name,
+  isOwner: true,
+  system: { resolve: { value: resolve, max: 100 } },
+  items: downed ? [createStatus(true)] : [createStatus(false)],
+  addResolve: vi.fn(),
+  testUserPermission: vi.fn(() => true),
+  createEmbeddedDocuments: vi.fn(async (_type, data) => data),
+  deleteEmbeddedDocuments: vi.fn(async () => []),
+  getActiveTokens: vi.fn(() => [])
+});
+
+const createToken = (name, actor, { x = 0, y = 0, disposition = FRIENDLY, hidden = false } = {}) => ({
+  name,
+  actor,
+  center: { x: x + 50, y: y + 50 },
+  document: { uuid: `Scene.s1.Token.${name}`, x, y, width: 1, height: 1, disposition, hidden }
+});
+
+describe('DownedState', () => {
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    settings = { downedStatusUuid: '', skipDownedTurns: true, helpUpThreatRange: 6 };
+    ActionEconomy.spendAction.mockResolvedValue({ tracked: true, spent: true });
+
+    global.CONST = { TOKEN_DISPOSITIONS: { FRIENDLY, HOSTILE, NEUTRAL: 0 } };
+    global.ChatMessage = {
+      create: vi.fn(async (data) => data),
+      getSpeaker: vi.fn(() => ({}))
+    };
+    global.fromUuid = vi.fn();
+    global.fromUuidSync = vi.fn();
+    DownedState._usedHelpUps.clear();
+    global.game = {
+      settings: { get: vi.fn((_scope, key) => settings[key]) },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn() } };
+    global.canvas = {
+      dimensions: { size: 100 },
+      tokens: { placeables: [] },
+      grid: {
+        measurePath: vi.fn(([from, to]) => ({
+          spaces: Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y)) / 100
+        }))
+      }
+    };
+  });
+
+  describe('processActorUpdate()', () => {
+    test('should apply the built-in downed status when Resolve reaches 0', async () => {
+      const actor = createActor('Kael', { resolve: 0 });
+
+      await DownedState.processActorUpdate(actor, { system: { resolve: { value: 0 } } });
+
+      const [, [data]] = actor.createEmbeddedDocuments.mock.calls[0];
+      expect(data).toMatchObject({
+        name: 'EVENTIDE_RP_SYSTEM.Downed.StatusName',
+        type: 'status',
+        flags: { 'eventide-rp-system': { downed: true } }
+      });
+      expect(ChatMessage.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          flags: { 'eventide-rp-system': { downed: { actorUuid: 'Actor.Kael', tokenUuid: undefined } } }
+        })
+      );
+    });
+
+    test('should use the configured status item', async () => {
+      settings.downedStatusUuid = 'Item.unconscious';
+      fromUuid.mockResolvedValue({
+        type: 'status',
+        toObject: () => ({ _id: 'unconscious', name: 'Unconscious', type: 'status' })
+      });
+      const actor = createActor('Kael', { resolve: 0 });
+
+      await DownedState.processActorUpdate(actor, { system: { resolve: { value: 0 } } });
+
+      const [, [data]] = actor.createEmbeddedDocuments.mock.calls[0];
+      expect(data._id).toBeUndefined();
+      expect(data.name).toBe('Unconscious');
+      expect(data.flags['eventide-rp-system'].downed).toBe(true);
+    });
+
+    test('should remove the downed status once Resolve rises above 0', async () => {
+      const actor = createActor('Kael', { resolve: 10, downed: true });
+
+      expect(await DownedState.processActorUpdate(actor, { system: { resolve: { value: 10 } } })).toBe(true);
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['downed-status']);
+    });
+
+    test('should ignore updates that do not touch Resolve', async () => {
+      const actor = createActor('Kael', { resolve: 0 });
+
+      expect(await DownedState.processActorUpdate(actor, { name: 'Kael' })).toBeNull();
+      expect(actor.createEmbeddedDocuments).not.toHaveBeenCalled();
+    });
+
+    test('should not stack a second downed status', async () => {
+      const actor = createActor('Kael', { resolve: 0, downed: true });
+
+      expect(await DownedState.processActorUpdate(actor, { system: { resolve: { value: 0 } } })).toBeNull();
+    });
+  });
+
+  describe('shouldSkipTurn()', () => {
+    const createCombat = (actors) => {
+      const turns = actors.map((actor) => ({ name: actor.name, actor }));
+      return { started: true, combatant: turns[0], turns };
+    };
+
+    test('should skip a downed combatant while others can act', () => {
+      const combat = createCombat([createActor('Kael', { downed: true }), createActor('Mira')]);
+
+      expect(DownedState.shouldSkipTurn(combat)).toBe(true);
+    });
+
+    test('should not skip when the setting is off', () => {
+      settings.skipDownedTurns = false;
+      const combat = createCombat([createActor('Kael', { downed: true }), createActor('Mira')]);
+
+      expect(DownedState.shouldSkipTurn(combat)).toBe(false);
+    });
+
+    test('should not skip when every combatant is downed', () => {
+      const combat = createCombat([createActor('Kael', { downed: true }), createActor('Mira', { downed: true })]);
+
+      expect(DownedState.shouldSkipTurn(combat)).toBe(false);
+    });
+  });
+
+  describe('isAdjacent()', () => {
+    test('should treat touching and diagonal tokens as adjacent', () => {
+      const center = createToken('A', null);
+
+      expect(DownedState.isAdjacent(center, createToken('B', null, { x: 100 }))).toBe(true);
+      expect(DownedState.isAdjacent(center, createToken('C', null, { x: 100, y: 100 }))).toBe(true);
+    });
+
+    test('should not treat tokens a space apart as adjacent', () => {
+      expect(DownedState.isAdjacent(createToken('A', null), createToken('B', null, { x: 200 }))).toBe(false);
+    });
+  });
+
+  describe('helpUp()', () => {
+    let helper;
+    let downed;
+    let helperToken;
+    let downedToken;
+
+    beforeEach(() => {
+      helper = createActor('Mira');
+      downed = createActor('Kael', { resolve: 0, downed: true });
+      helperToken = createToken('Mira', helper);
+      downedToken = createToken('Kael', downed, { x: 100 });
+      canvas.tokens.placeables = [
+        helperToken,
+        downedToken,
+        createToken('Goblin', createActor('Goblin'), { x: 400, disposition: HOSTILE }),
+        createToken('Far Goblin', createActor('Far Goblin'), { x: 1000, disposition: HOSTILE }),
+        createToken('Hidden Goblin', createActor('Hidden Goblin'), { x: 200, disposition: HOSTILE, hidden: true }),
+        createToken('Ally', createActor('Ally'), { x: 200 })
+      ];
+    });
+
+    test('should spend a Full Action, restore Resolve and name nearby threats', async () => {
+      const result = await DownedState.helpUp(helperToken, downedToken);
+
+      expect(ActionEconomy.spendAction).toHaveBeenCalledWith(helper, 'full');
+      expect(downed.addResolve).toHaveBeenCalledWith(10);
+      expect(result).toEqual({ amount: 10, threats: ['Goblin'] });
+      expect(ChatMessage.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          flags: {
+            'eventide-rp-system': {
+              helpUp: {
+                helperTokenUuid: 'Scene.s1.Token.Mira',
+                downedTokenUuid: 'Scene.s1.Token.Kael',
+                statusId: 'downed-status',
+                applied: true
+              }
+            }
+          }
+        })
+      );
+    });
+
+    test('should leave the Resolve to the GM when the helper does not own the downed actor', async () => {
+      downed.isOwner = false;
+
+      await DownedState.helpUp(helperToken, downedToken);
+
+      expect(downed.addResolve).not.toHaveBeenCalled();
+      expect(ChatMessage.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          flags: { 'eventide-rp-system': { helpUp: expect.objectContaining({ applied: false }) } }
+        })
+      );
+    });
+
+    test('should refuse when the helper is not adjacent', async () => {
+      downedToken.document.x = 300;
+
+      expect(await DownedState.helpUp(helperToken, downedToken)).toBeNull();
+      expect(ActionEconomy.spendAction).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Downed.Errors.NotAdjacent');
+    });
+
+    test('should refuse when the helper has no Full Action left', async () => {
+      ActionEconomy.spendAction.mockResolvedValue({ tracked: true, spent: false });
+
+      expect(await DownedState.helpUp(helperToken, downedToken)).toBeNull();
+      expect(downed.addResolve).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('No Full Actions left');
+    });
+
+    test('should refuse when the target is not downed', async () => {
+      downed.items = [];
+
+      expect(await DownedState.helpUp(helperToken, downedToken)).toBeNull();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Downed.Errors.NotDowned');
+    });
+  });
+
+  describe('applyPendingHelpUp()', () => {
+    const author = { id: 'player' };
+    let helper;
+    let downed;
+    let helperToken;
+    let downedToken;
+    let pending;
+
+    const createMessage = (flag = pending) => ({
+      id: 'message-1',
+      author,
+      getFlag: vi.fn(() => flag),
+      setFlag: vi.fn(async () => {})
+    });
+
+    beforeEach(() => {
+      helper = createActor('Mira');
+      downed = createActor('Kael', { resolve: 0, downed: true });
+      helperToken = createToken('Mira', helper);
+      downedToken = createToken('Kael', downed, { x: 100 });
+      const documents = {
+        'Scene.s1.Token.Mira': { object: helperToken },
+        'Scene.s1.Token.Kael': { object: downedToken }
+      };
+      fromUuidSync.mockImplementation((uuid) => documents[uuid] ?? null);
+      pending = {
+        helperTokenUuid: 'Scene.s1.Token.Mira',
+        downedTokenUuid: 'Scene.s1.Token.Kael',
+        statusId: 'downed-status',
+        applied: false
+      };
+    });
+
+    test('should restore the help up Resolve and mark the card applied', async () => {
+      const message = createMessage({ ...pending, amount: 999 });
+
+      expect(await DownedState.applyPendingHelpUp(message)).toBe(true);
+      expect(helper.testUserPermission).toHaveBeenCalledWith(author, 'OWNER');
+      expect(downed.addResolve).toHaveBeenCalledWith(10);
+      expect(message.setFlag).toHaveBeenCalledWith(
+        'eventide-rp-system',
+        'helpUp',
+        expect.objectContaining({ applied: true })
+      );
+    });
+
+    test('should ignore help ups the helper already applied', async () => {
+      expect(await DownedState.applyPendingHelpUp(createMessage({ ...pending, applied: true }))).toBe(false);
+      expect(fromUuidSync).not.toHaveBeenCalled();
+    });
+
+    test('should ignore help ups posted by a user who does not own the helper', async () => {
+      helper.testUserPermission.mockReturnValue(false);
+
+      expect(await DownedState.applyPendingHelpUp(createMessage())).toBe(false);
+      expect(downed.addResolve).not.toHaveBeenCalled();
+    });
+
+    test('should ignore help ups when the helper is no longer adjacent', async () => {
+      downedToken.document.x = 300;
+
+      expect(await DownedState.applyPendingHelpUp(createMessage())).toBe(false);
+      expect(downed.addResolve).not.toHaveBeenCalled();
+    });
+
+    test('should ignore help ups for a downed status that was already helped up', async () => {
+      expect(await DownedState.applyPendingHelpUp(createMessage())).toBe(true);
+      expect(await DownedState.applyPendingHelpUp(createMessage())).toBe(false);
+      expect(downed.addResolve).toHaveBeenCalledTimes(1);
+    });
+
+    test('should ignore help ups naming a different downed status', async () => {
+      expect(await DownedState.applyPendingHelpUp(createMessage({ ...pending, statusId: 'old-status' }))).toBe(false);
+      expect(downed.addResolve).not.toHaveBeenCalled();
+    });
+  });
+});
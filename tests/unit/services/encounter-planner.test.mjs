@@ -0,0 +1,273 @@
+// @ts-nocheck
+/**
+ * @fileoverview Encounter Planner Service Tests
+ *
+ * Unit tests for the EncounterPlanner service which rates encounters against
+ * the party and places them onto a scene and into a new combat.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => {
+      try {
+        return [await promise, null];
+      } catch (error) {
+        return [null, error];
+      }
+    })
+  }
+}));
+
+import { EncounterPlanner } from '../../../module/services/encounter-planner.mjs';
+
+/**
+ * Build an NPC actor
+ * @param {Object} overrides - Actor fields
+ * @returns {Object} Mock actor
+ */
+const createNpc = (overrides = {}) => ({
+  id: 'goblin',
+  uuid: 'Actor.goblin',
+  name: 'Goblin',
+  img: 'goblin.webp',
+  type: 'npc',
+  system: { cr: 1, xp: 250 },
+  prototypeToken: { width: 1, height: 1 },
+  getTokenDocument: vi.fn(async (data) => ({
+    toObject: () => ({ name: 'Goblin', actorId: 'goblin', ...data })
+  })),
+  ...overrides
+});
+
+/**
+ * Build a player-owned character
+ * @param {string} id - Actor ID
+ * @param {number} level - Character level
+ * @returns {Object} Mock actor
+ */
+const createCharacter = (id, level) => ({
+  id,
+  type: 'character',
+  hasPlayerOwner: true,
+  system: { attributes: { level: { value: level } } }
+});
+
+describe('EncounterPlanner', () => {
+  let worldActors;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    worldActors = [createCharacter('kael', 3), createCharacter('mira', 4), createNpc()];
+
+    global.Roll = vi.fn((formula) => ({
+      evaluateSync: () => ({ total: Number(eval(formula)) })
+    }));
+    global.game = {
+      user: { isGM: true },
+      actors: {
+        filter: (fn) => worldActors.filter(fn),
+        find: (fn) => worldActors.find(fn),
+        importFromCompendium: vi.fn(async () => createNpc({ id: 'imported' }))
+      },
+      packs: { get: vi.fn(() => ({ collection: 'world.monsters' })) },
+      settings: { get: vi.fn(() => '@cr * 200 + @cr * @cr * 50') },
+      i18n: { localize: vi.fn((key) => key) }
+    };
+    global.ui = { notifications: { warn: vi.fn(), info: vi.fn() } };
+    global.fromUuid = vi.fn(async () => createNpc());
+    global.CONFIG = global.CONFIG || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM = global.CONFIG.EVENTIDE_RP_SYSTEM || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM.encounterDifficulty = [
+      { maxLevel: 5, sweetSpot: 25, difficult: [30, 35], nearImpossible: 40 },
+      { maxLevel: 10, sweetSpot: 30, difficult: [35, 40], nearImpossible: 45 },
+      { maxLevel: 15, sweetSpot: 35, difficult: [40, 45], nearImpossible: 50 },
+      { maxLevel: 20, sweetSpot: 40, difficult: [45, 50], nearImpossible: 55 }
+    ];
+  });
+
+  describe('getXPForCR()', () => {
+    test('should use the CR to XP formula', () => {
+      expect(EncounterPlanner.getXPForCR(2)).toBe(600);
+    });
+
+    test('should fall back when the formula fails', () => {
+      global.Roll = vi.fn(() => {
+        throw new Error('bad formula');
+      });
+      expect(EncounterPlanner.getXPForCR(2)).toBe(400);
+    });
+  });
+
+  describe('getParty()', () => {
+    test('should average the level of player-owned characters', () => {
+      const party = EncounterPlanner.getParty();
+
+      expect(party.size).toBe(2);
+      expect(party.level).toBe(4);
+      expect(party.actors.map((actor) => actor.id)).toEqual(['kael', 'mira']);
+    });
+
+    test('should default to level 1 without characters', () => {
+      worldActors = [];
+      expect(EncounterPlanner.getParty()).toEqual({ actors: [], level: 1, size: 0 });
+    });
+  });
+
+  describe('getTier()', () => {
+    test('should pick the sweet spot tier for the party level', () => {
+      expect(EncounterPlanner.getTier(1).sweetSpot).toBe(25);
+      expect(EncounterPlanner.getTier(6).sweetSpot).toBe(30);
+      expect(EncounterPlanner.getTier(25).sweetSpot).toBe(40);
+    });
+  });
+
+  describe('createEntry()', () => {
+    test('should describe an NPC and refuse other actors', () => {
+      expect(EncounterPlanner.createEntry(createNpc())).toEqual({
+        uuid: 'Actor.goblin',
+        name: 'Goblin',
+        img: 'goblin.webp',
+        cr: 1,
+        xp: 250,
+        count: 1
+      });
+      expect(EncounterPlanner.createEntry(createCharacter('kael', 3))).toBeNull();
+    });
+  });
+
+  describe('assess()', () => {
+    // A level 1 character is worth 250 XP, so a party of four has a 1000 XP sweet spot
+    const party = { level: 1, size: 4 };
+    const entries = (count) => [{ ...EncounterPlanner.createEntry(createNpc()), count }];
+
+    test('should rate one NPC of the party level per character as the sweet spot', () => {
+      expect(EncounterPlanner.assess(entries(4), party)).toMatchObject({
+        totalXP: 1000,
+        budget: 1000,
+        ratio: 1,
+        dc: 25,
+        band: 'sweetSpot'
+      });
+    });
+
+    test('should raise the DC one step for each doubling of XP', () => {
+      expect(EncounterPlanner.assess(entries(8), party)).toMatchObject({ dc: 30, band: 'difficult' });
+      expect(EncounterPlanner.assess(entries(16), party)).toMatchObject({ dc: 35, band: 'difficult' });
+      expect(EncounterPlanner.assess(entries(32), party)).toMatchObject({ dc: 40, band: 'nearImpossible' });
+    });
+
+    test('should lower the DC for smaller encounters', () => {
+      expect(EncounterPlanner.assess(entries(2), party)).toMatchObject({ dc: 20, band: 'easy' });
+      expect(EncounterPlanner.assess(entries(1), party)).toMatchObject({ dc: 15, band: 'trivial' });
+    });
+
+    test('should rate against the tier of the party level', () => {
+      const assessment = EncounterPlanner.assess(
+        [{ uuid: 'Actor.ogre', xp: EncounterPlanner.getXPForCR(8), count: 2 }],
+        { level: 8, size: 2 }
+      );
+      expect(assessment).toMatchObject({ dc: 30, band: 'sweetSpot' });
+    });
+
+    test('should not rate an empty encounter', () => {
+      expect(EncounterPlanner.assess([], party)).toMatchObject({
+        totalXP: 0,
+        dc: null,
+        band: null
+      });
+    });
+  });
+
+  describe('place()', () => {
+    let scene;
+    let combat;
+
+    beforeEach(() => {
+      combat = { createEmbeddedDocuments: vi.fn(async (_type, data) => data) };
+      global.Combat = { implementation: { create: vi.fn(async () => combat) } };
+      scene = {
+        id: 'scene1',
+        name: 'Crossroads',
+        grid: { size: 100 },
+        dimensions: { sceneX: 0, sceneY: 0, sceneWidth: 2000, sceneHeight: 1000 },
+        tokens: [{ id: 'kaelToken', actorId: 'kael', hidden: false }],
+        createEmbeddedDocuments: vi.fn(async (_type, data) =>
+          data.map((token, i) => ({ id: `token${i}`, ...token }))
+        )
+      };
+    });
+
+    test('should place tokens and start a combat with them and the party', async () => {
+      const result = await EncounterPlanner.place([{ uuid: 'Actor.goblin', count: 4 }], {
+        scene,
+        hidden: true
+      });
+
+      expect(result).toBe(combat);
+      const tokenData = scene.createEmbeddedDocuments.mock.calls[0][1];
+      expect(tokenData).toHaveLength(4);
+      expect(tokenData.map(({ x, y }) => [x, y])).toEqual([
+        [900, 400],
+        [1000, 400],
+        [900, 500],
+        [1000, 500]
+      ]);
+      expect(tokenData.every((token) => token.hidden)).toBe(true);
+      expect(Combat.implementation.create).toHaveBeenCalledWith({ scene: 'scene1', active: true });
+      expect(combat.createEmbeddedDocuments.mock.calls[0][1].map((c) => c.tokenId)).toEqual([
+        'kaelToken',
+        'token0',
+        'token1',
+        'token2',
+        'token3'
+      ]);
+    });
+
+    test('should import compendium NPCs once', async () => {
+      const compendiumNpc = createNpc({ id: 'ogre', pack: 'world.monsters' });
+      global.fromUuid = vi.fn(async () => compendiumNpc);
+
+      await EncounterPlanner.place([{ uuid: 'Compendium.world.monsters.Actor.ogre', count: 1 }], { scene });
+      expect(game.actors.importFromCompendium).toHaveBeenCalledTimes(1);
+
+      worldActors.push(createNpc({ id: 'ogreImport', _stats: { compendiumSource: 'Compendium.world.monsters.Actor.ogre' } }));
+      await EncounterPlanner.place([{ uuid: 'Compendium.world.monsters.Actor.ogre', count: 1 }], { scene });
+      expect(game.actors.importFromCompendium).toHaveBeenCalledTimes(1);
+    });
+
+    test('should place nothing for players, without a scene, or without NPCs', async () => {
+      game.user.isGM = false;
+      expect(await EncounterPlanner.place([{ uuid: 'Actor.goblin', count: 1 }], { scene })).toBeNull();
+      game.user.isGM = true;
+
+      expect(await EncounterPlanner.place([{ uuid: 'Actor.goblin', count: 1 }], { scene: null })).toBeNull();
+
+      global.fromUuid = vi.fn(async () => null);
+      expect(await EncounterPlanner.place([{ uuid: 'Actor.missing', count: 1 }], { scene })).toBeNull();
+
+      expect(ui.notifications.warn).toHaveBeenCalledTimes(3);
+      expect(scene.createEmbeddedDocuments).not.toHaveBeenCalled();
+      expect(Combat.implementation.create).not.toHaveBeenCalled();
+    });
+
+    test('should not start a combat when the tokens fail', async () => {
+      scene.createEmbeddedDocuments.mockRejectedValueOnce(new Error('no permission'));
+
+      expect(await EncounterPlanner.place([{ uuid: 'Actor.goblin', count: 1 }], { scene })).toBeNull();
+      expect(Combat.implementation.create).not.toHaveBeenCalled();
+    });
+  });
+});
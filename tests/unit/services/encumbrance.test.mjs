@@ -0,0 +1,222 @@
+// @ts-nocheck
+/**
+ * @fileoverview Encumbrance Service Tests
+ *
+ * Unit tests for the Encumbrance service which totals gear weight against a
+ * carrying capacity and applies encumbrance tiers as a managed status.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+import { Encumbrance } from '../../../module/services/encumbrance.mjs';
+import { ErrorHandler } from '../../../module/utils/error-handler.mjs';
+
+/**
+ * Build a gear item
+ * @param {number} weight - Weight of one item
+ * @param {number} quantity - Quantity carried
+ * @param {boolean} [equipped=true] - Whether the item is equipped
+ * @returns {Object} Mock gear item
+ */
+const createGear = (weight, quantity, equipped = true) => ({
+  type: 'gear',
+  system: { weight, quantity, equipped }
+});
+
+/**
+ * Build the encumbrance status of a tier
+ * @param {string} tier - Tier key
+ * @returns {Object} Mock status item
+ */
+const createStatus = (tier) => ({
+  id: `status-${tier}`,
+  type: 'status',
+  getFlag: vi.fn((_scope, key) => (key === 'encumbrance' ? tier : undefined))
+});
+
+describe('Encumbrance', () => {
+  let actor;
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    Encumbrance._pending.clear();
+
+    settings = { carryCapacityFormula: '50 + (10 * @phys.total)' };
+
+    actor = {
+      name: 'Kael',
+      uuid: 'Actor.kael',
+      items: [createGear(10, 2), createGear(2.5, 4, false), { type: 'feature', system: { weight: 100, quantity: 1 } }],
+      getRollData: vi.fn(() => ({ phys: { total: 1 } })),
+      createEmbeddedDocuments: vi.fn(async (_type, data) => data),
+      deleteEmbeddedDocuments: vi.fn(async (_type, ids) => ids)
+    };
+
+    global.Roll = vi.fn((formula, data) => ({
+      evaluateSync: () => ({
+        total: Number(eval(formula.replace(/@phys\.total/g, data.phys.total)))
+      })
+    }));
+    global.game = {
+      settings: { get: vi.fn((_scope, key) => settings[key]) },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key, data) => `${key} ${JSON.stringify(data)}`)
+      }
+    };
+    global.CONFIG = global.CONFIG || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM = global.CONFIG.EVENTIDE_RP_SYSTEM || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM.encumbranceTiers = {
+      burdened: {
+        label: 'EVENTIDE_RP_SYSTEM.Encumbrance.Tiers.Burdened',
+        threshold: 1,
+        effects: [{ ability: 'acro', mode: 'disadvantage', value: 1 }]
+      },
+      overloaded: {
+        label: 'EVENTIDE_RP_SYSTEM.Encumbrance.Tiers.Overloaded',
+        threshold: 1.5,
+        effects: [{ ability: 'phys', mode: 'disadvantage', value: 1 }]
+      }
+    };
+  });
+
+  describe('getLoad()', () => {
+    test('should total weight times quantity of equipped and carried gear', () => {
+      expect(Encumbrance.getLoad(actor)).toEqual({ equipped: 20, carried: 10, total: 30 });
+    });
+
+    test('should add the weight of incoming gear as carried', () => {
+      expect(Encumbrance.getLoad(actor, { weight: 5 })).toEqual({ equipped: 20, carried: 15, total: 35 });
+    });
+  });
+
+  describe('getCapacity()', () => {
+    test('should evaluate the capacity formula with the actor\'s data', () => {
+      expect(Encumbrance.getCapacity(actor)).toBe(60);
+    });
+
+    test('should be off when the formula is 0 or invalid', () => {
+      settings.carryCapacityFormula = '0';
+      expect(Encumbrance.getCapacity(actor)).toBe(0);
+
+      settings.carryCapacityFormula = '@broken +';
+      global.Roll = vi.fn(() => {
+        throw new Error('bad formula');
+      });
+      expect(Encumbrance.getCapacity(actor)).toBe(0);
+    });
+  });
+
+  describe('getTier()', () => {
+    test('should pick the highest tier whose threshold the load exceeds', () => {
+      expect(Encumbrance.getTier(60, 60)).toBeNull();
+      expect(Encumbrance.getTier(61, 60).key).toBe('burdened');
+      expect(Encumbrance.getTier(91, 60).key).toBe('overloaded');
+    });
+
+    test('should never apply a tier while encumbrance is off', () => {
+      expect(Encumbrance.getTier(500, 0)).toBeNull();
+    });
+  });
+
+  describe('getData()', () => {
+    test('should report the load against the capacity', () => {
+      expect(Encumbrance.getData(actor)).toEqual({
+        equipped: 20,
+        carried: 10,
+        total: 30,
+        enabled: true,
+        capacity: 60,
+        percent: 50,
+        tier: null
+      });
+    });
+  });
+
+  describe('update()', () => {
+    test('should apply the status of the tier reached with its effects', async () => {
+      actor.items.push(createGear(40, 1));
+
+      const tier = await Encumbrance.update(actor);
+
+      expect(tier.key).toBe('burdened');
+      const [, [data]] = actor.createEmbeddedDocuments.mock.calls[0];
+      expect(data.name).toBe('EVENTIDE_RP_SYSTEM.Encumbrance.Tiers.Burdened');
+      expect(data.flags['eventide-rp-system'].encumbrance).toBe('burdened');
+      expect(data.effects[0].system.changes).toEqual([
+        expect.objectContaining({ key: 'system.abilities.acro.diceAdjustments.disadvantage', type: 'add', value: 1 })
+      ]);
+      expect(ErrorHandler.handleDocumentOperation).toHaveBeenCalledWith(expect.any(Promise), 'apply encumbrance status', 'actor');
+    });
+
+    test('should replace the status when the tier changes and remove it when unencumbered', async () => {
+      actor.items.push(createStatus('burdened'), createGear(70, 1));
+
+      expect((await Encumbrance.update(actor)).key).toBe('overloaded');
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['status-burdened']);
+
+      actor.items = [createStatus('overloaded')];
+      expect(await Encumbrance.update(actor)).toBeNull();
+      expect(actor.createEmbeddedDocuments).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave the status alone while the tier is unchanged', async () => {
+      actor.items.push(createStatus('burdened'), createGear(40, 1));
+
+      expect(await Encumbrance.update(actor)).toBeUndefined();
+      expect(actor.createEmbeddedDocuments).not.toHaveBeenCalled();
+      expect(actor.deleteEmbeddedDocuments).not.toHaveBeenCalled();
+    });
+
+    test('should apply a burst of updates one after another', async () => {
+      actor.items.push(createGear(40, 1));
+      actor.createEmbeddedDocuments.mockImplementation(async (_type, data) => {
+        actor.items.push(createStatus('burdened'));
+        return data;
+      });
+
+      await Promise.all([Encumbrance.update(actor), Encumbrance.update(actor)]);
+
+      expect(actor.createEmbeddedDocuments).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getTransferWarning()', () => {
+    test('should warn when the transfer pushes the recipient into a heavier tier', () => {
+      const anvil = { system: { weight: 20 } };
+
+      expect(Encumbrance.getTransferWarning(actor, anvil, 1)).toBeNull();
+      expect(Encumbrance.getTransferWarning(actor, anvil, 2)).toContain('EVENTIDE_RP_SYSTEM.Encumbrance.TransferWarning');
+      expect(game.i18n.format).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Encumbrance.TransferWarning', {
+        actor: 'Kael',
+        tier: 'EVENTIDE_RP_SYSTEM.Encumbrance.Tiers.Burdened',
+        load: 70,
+        capacity: 60
+      });
+    });
+
+    test('should not warn for weightless gear or a tier already reached', () => {
+      actor.items.push(createGear(40, 1));
+
+      expect(Encumbrance.getTransferWarning(actor, { system: { weight: 0 } }, 5)).toBeNull();
+      expect(Encumbrance.getTransferWarning(actor, { system: { weight: 1 } }, 5)).toBeNull();
+    });
+  });
+});
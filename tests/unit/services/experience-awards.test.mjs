@@ -0,0 +1,392 @@
+// @ts-nocheck
+/**
+ * @fileoverview Experience Awards Service Tests
+ *
+ * Unit tests for the ExperienceAwards service which tracks the NPCs defeated
+ * in a combat, splits their XP among the party and flags characters ready to
+ * level up.
+ */
+
+// renderTemplate is read from foundry when the service module loads
+const renderTemplate = vi.hoisted(() => {
+  const spy = vi.fn(async () => '<div>Rendered Template</div>');
+  global.foundry.applications.handlebars.renderTemplate = spy;
+  return spy;
+});
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => {
+      try {
+        return [await promise, null];
+      } catch (error) {
+        return [null, error];
+      }
+    })
+  }
+}));
+
+vi.mock('../../../module/services/downed-state.mjs', () => ({
+  DownedState: {
+    isDowned: vi.fn((actor) => !!actor?.downed)
+  }
+}));
+
+vi.mock('../../../module/ui/macros/xp-award-dialog.mjs', () => ({
+  XpAwardDialog: vi.fn(function (options) {
+    this.options = options;
+    this.render = vi.fn(() => this);
+  })
+}));
+
+import { ExperienceAwards } from '../../../module/services/experience-awards.mjs';
+import { XpAwardDialog } from '../../../module/ui/macros/xp-award-dialog.mjs';
+
+/**
+ * Build a document with system flags
+ * @param {Object} data - Document fields
+ * @param {Object} [flags={}] - Initial eventide-rp-system flags
+ * @returns {Object} Mock document
+ */
+const withFlags = (data, flags = {}) => ({
+  ...data,
+  flags: { ...flags },
+  getFlag: vi.fn(function (_scope, key) {
+    return this.flags[key];
+  }),
+  setFlag: vi.fn(async function (_scope, key, value) {
+    this.flags[key] = value;
+    return this;
+  })
+});
+
+/**
+ * Build a player-owned character
+ * @param {string} id - Actor ID
+ * @param {number} [level=1] - Character level
+ * @param {number} [xp=0] - XP already earned
+ * @returns {Object} Mock actor
+ */
+const createCharacter = (id, level = 1, xp = 0) =>
+  withFlags(
+    {
+      id,
+      name: id,
+      type: 'character',
+      hasPlayerOwner: true,
+      system: { attributes: { level: { value: level } }, resolve: { value: 10 } },
+      update: vi.fn(async () => ({}))
+    },
+    xp ? { experience: { total: xp, log: [] } } : {}
+  );
+
+/**
+ * Build an NPC actor
+ * @param {string} id - Actor ID
+ * @param {Object} [overrides={}] - Actor fields
+ * @returns {Object} Mock actor
+ */
+const createNpc = (id, overrides = {}) => ({
+  id,
+  name: id,
+  type: 'npc',
+  system: { xp: 250, resolve: { value: 10 } },
+  ...overrides
+});
+
+/**
+ * Build a combatant
+ * @param {string} id - Combatant ID
+ * @param {Object} actor - The combatant's actor
+ * @param {Object} [overrides={}] - Combatant fields
+ * @returns {Object} Mock combatant
+ */
+const createCombatant = (id, actor, overrides = {}) =>
+  withFlags({ id, name: actor.name, img: `${id}.webp`, actor, actorId: actor.id, isDefeated: false, ...overrides });
+
+/**
+ * Build a combat
+ * @param {Object[]} combatants - The combatants
+ * @param {Object} [overrides={}] - Combat fields
+ * @returns {Object} Mock combat
+ */
+const createCombat = (combatants, overrides = {}) => {
+  const combat = withFlags({ started: true, combatants, combatant: null, scene: { name: 'Crossroads' }, ...overrides });
+  combatants.forEach((combatant) => (combatant.combat = combat));
+  return combat;
+};
+
+describe('ExperienceAwards', () => {
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    settings = { xpAwardPrompt: true, xpTable: '1000, 3400, 7600' };
+    global.game = {
+      user: { isGM: true },
+      settings: { get: vi.fn((_scope, key) => settings[key]) },
+      combats: [],
+      actors: { get: vi.fn(() => null) },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key, data) => `${key} ${JSON.stringify(data)}`)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn(), info: vi.fn() } };
+    global.ChatMessage = { create: vi.fn(async (data) => data) };
+  });
+
+  describe('getXPTable() and getNextLevelXP()', () => {
+    test('should read the XP needed for each level from the setting', () => {
+      settings.xpTable = ' 1000,3400 , ,oops, 7600';
+
+      expect(ExperienceAwards.getXPTable()).toEqual([1000, 3400, 7600]);
+      expect(ExperienceAwards.getNextLevelXP(1)).toBe(1000);
+      expect(ExperienceAwards.getNextLevelXP(3)).toBe(7600);
+    });
+
+    test('should have no next level past the end of the table', () => {
+      expect(ExperienceAwards.getNextLevelXP(4)).toBeNull();
+    });
+  });
+
+  describe('isReadyToLevel()', () => {
+    test('should compare earned XP against the next level', () => {
+      expect(ExperienceAwards.isReadyToLevel(createCharacter('kael', 1, 999))).toBe(false);
+      expect(ExperienceAwards.isReadyToLevel(createCharacter('kael', 1, 1000))).toBe(true);
+      expect(ExperienceAwards.isReadyToLevel(createCharacter('kael', 2, 1000))).toBe(false);
+      expect(ExperienceAwards.isReadyToLevel(createCharacter('kael', 2), 3400)).toBe(true);
+    });
+
+    test('should never be ready past the end of the table', () => {
+      expect(ExperienceAwards.isReadyToLevel(createCharacter('kael', 4, 99999))).toBe(false);
+    });
+  });
+
+  describe('refreshReadiness()', () => {
+    test('should update the flag only when readiness changes', async () => {
+      const actor = createCharacter('kael', 2, 1000);
+      actor.flags.levelUpReady = true;
+
+      expect(await ExperienceAwards.refreshReadiness(actor)).toBe(false);
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'levelUpReady', false);
+
+      actor.setFlag.mockClear();
+      expect(await ExperienceAwards.refreshReadiness(actor)).toBe(false);
+      expect(actor.setFlag).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordDefeat()', () => {
+    test('should credit the character whose turn it is', async () => {
+      const kael = createCharacter('kael');
+      const goblin = createCombatant('c2', createNpc('goblin'));
+      const combat = createCombat([createCombatant('c1', kael), goblin]);
+      combat.combatant = combat.combatants[0];
+
+      expect(await ExperienceAwards.recordDefeat(goblin)).toBe('kael');
+      expect(goblin.flags.defeatedBy).toBe('kael');
+    });
+
+    test('should keep the first credit', async () => {
+      const goblin = createCombatant('c2', createNpc('goblin'));
+      const combat = createCombat([createCombatant('c1', createCharacter('mira')), goblin]);
+      combat.combatant = combat.combatants[0];
+      goblin.flags.defeatedBy = 'kael';
+
+      expect(await ExperienceAwards.recordDefeat(goblin)).toBeNull();
+      expect(goblin.setFlag).not.toHaveBeenCalled();
+    });
+
+    test('should credit no one on an NPC turn or outside a started combat', async () => {
+      const goblin = createCombatant('c2', createNpc('goblin'));
+      const combat = createCombat([goblin]);
+      combat.combatant = goblin;
+      expect(await ExperienceAwards.recordDefeat(goblin)).toBeNull();
+
+      combat.started = false;
+      combat.combatant = createCombatant('c1', createCharacter('kael'));
+      expect(await ExperienceAwards.recordDefeat(goblin)).toBeNull();
+      expect(goblin.setFlag).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processActorUpdate()', () => {
+    test('should credit an NPC dropping to 0 Resolve', async () => {
+      const npc = createNpc('goblin', { system: { xp: 250, resolve: { value: 0 } } });
+      const goblin = createCombatant('c2', npc);
+      const combat = createCombat([createCombatant('c1', createCharacter('kael')), goblin]);
+      combat.combatant = combat.combatants[0];
+      game.combats = [combat];
+
+      await ExperienceAwards.processActorUpdate(npc, { system: { resolve: { value: 0 } } });
+      expect(goblin.flags.defeatedBy).toBe('kael');
+    });
+
+    test('should refresh readiness when a character levels up', async () => {
+      const actor = createCharacter('kael', 2, 1000);
+      actor.flags.levelUpReady = true;
+
+      await ExperienceAwards.processActorUpdate(actor, { system: { attributes: { level: { value: 2 } } } });
+      expect(actor.flags.levelUpReady).toBe(false);
+    });
+  });
+
+  describe('processCombatantDeletion()', () => {
+    test('should remember removed NPCs on the combat', async () => {
+      const kael = createCharacter('kael');
+      const goblin = createCombatant('c2', createNpc('goblin'));
+      const combat = createCombat([createCombatant('c1', kael), goblin]);
+      combat.combatant = combat.combatants[0];
+
+      await ExperienceAwards.processCombatantDeletion(goblin);
+      await ExperienceAwards.processCombatantDeletion(combat.combatants[0]);
+
+      expect(combat.flags.removedCombatants).toEqual([
+        { id: 'c2', name: 'goblin', img: 'c2.webp', xp: 250, defeatedBy: 'kael', removed: true }
+      ]);
+    });
+  });
+
+  describe('getDefeated() and getParticipants()', () => {
+    test('should list defeated, downed and 0 Resolve NPCs plus removed ones', () => {
+      const kael = createCharacter('kael');
+      const combat = createCombat([
+        createCombatant('c1', kael),
+        createCombatant('c2', createCharacter('mira'), { isDefeated: true }),
+        createCombatant('c3', createNpc('goblin'), { isDefeated: true }),
+        createCombatant('c4', createNpc('orc', { downed: true })),
+        createCombatant('c5', createNpc('wolf', { system: { xp: 100, resolve: { value: 0 } } })),
+        createCombatant('c6', createNpc('ogre')),
+        createCombatant('c7', kael)
+      ]);
+      combat.combatants[2].flags.defeatedBy = 'kael';
+      combat.flags.removedCombatants = [
+        { id: 'c8', name: 'bat', img: '', xp: 50, defeatedBy: null, removed: true }
+      ];
+
+      expect(ExperienceAwards.getDefeated(combat).map((npc) => [npc.id, npc.xp, npc.defeatedBy])).toEqual([
+        ['c3', 250, 'kael'],
+        ['c4', 250, null],
+        ['c5', 100, null],
+        ['c8', 50, null]
+      ]);
+      expect(ExperienceAwards.getParticipants(combat).map((actor) => actor.id)).toEqual(['kael', 'mira']);
+    });
+  });
+
+  describe('split()', () => {
+    const participants = [createCharacter('kael'), createCharacter('mira'), createCharacter('vex')];
+    const defeated = [
+      { id: 'c1', xp: 500, defeatedBy: 'kael' },
+      { id: 'c2', xp: 250, defeatedBy: 'mira' },
+      { id: 'c3', xp: 100, defeatedBy: null }
+    ];
+
+    test('should split evenly, rounding down', () => {
+      expect(ExperienceAwards.split(defeated, participants, 'even')).toEqual({ kael: 283, mira: 283, vex: 283 });
+    });
+
+    test('should give each kill to its character and share the rest', () => {
+      expect(ExperienceAwards.split(defeated, participants, 'perKill')).toEqual({ kael: 533, mira: 283, vex: 33 });
+    });
+
+    test('should award nothing without participants', () => {
+      expect(ExperienceAwards.split(defeated, [], 'even')).toEqual({});
+    });
+  });
+
+  describe('award()', () => {
+    test('should store XP, flag readiness and post a summary', async () => {
+      const kael = createCharacter('kael', 1, 800);
+      const mira = createCharacter('mira');
+      const defeated = [{ id: 'c1', name: 'goblin', xp: 500 }];
+
+      const results = await ExperienceAwards.award(
+        [
+          { actor: kael, xp: 250 },
+          { actor: mira, xp: 0 }
+        ],
+        { source: 'Combat on Crossroads', defeated }
+      );
+
+      expect(results).toEqual([{ actor: kael, xp: 250, total: 1050, ready: true }]);
+      const update = kael.update.mock.calls[0][0];
+      expect(update['flags.eventide-rp-system.experience']).toMatchObject({
+        total: 1050,
+        log: [{ source: 'Combat on Crossroads', xp: 250 }]
+      });
+      expect(update['flags.eventide-rp-system.levelUpReady']).toBe(true);
+      expect(mira.update).not.toHaveBeenCalled();
+
+      expect(renderTemplate).toHaveBeenCalledWith(ExperienceAwards.SUMMARY_TEMPLATE, {
+        source: 'Combat on Crossroads',
+        defeated,
+        characters: [{ name: 'kael', xp: 250, total: 1050, ready: true }]
+      });
+      expect(ChatMessage.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should leave out characters whose update fails', async () => {
+      const kael = createCharacter('kael');
+      kael.update.mockRejectedValueOnce(new Error('no permission'));
+
+      expect(await ExperienceAwards.award([{ actor: kael, xp: 100 }])).toEqual([]);
+      expect(ChatMessage.create).not.toHaveBeenCalled();
+    });
+
+    test('should refuse players', async () => {
+      game.user.isGM = false;
+      const kael = createCharacter('kael');
+
+      expect(await ExperienceAwards.award([{ actor: kael, xp: 100 }])).toEqual([]);
+      expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.XpAward.Errors.GMOnly');
+      expect(kael.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processCombatEnd()', () => {
+    let combat;
+
+    beforeEach(() => {
+      combat = createCombat([
+        createCombatant('c1', createCharacter('kael')),
+        createCombatant('c2', createNpc('goblin'), { isDefeated: true }),
+        createCombatant('c3', createNpc('rat', { system: { xp: 0, resolve: { value: 0 } } }))
+      ]);
+    });
+
+    test('should open the award dialog with the defeated NPCs worth XP', async () => {
+      const dialog = await ExperienceAwards.processCombatEnd(combat);
+
+      expect(XpAwardDialog).toHaveBeenCalledTimes(1);
+      expect(dialog.render).toHaveBeenCalledWith(true);
+      expect(dialog.options.defeated.map((npc) => npc.id)).toEqual(['c2']);
+      expect(dialog.options.participants.map((actor) => actor.id)).toEqual(['kael']);
+      expect(game.i18n.format).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.XpAward.Source', { scene: 'Crossroads' });
+    });
+
+    test('should do nothing when the prompt is off or nothing was defeated', async () => {
+      settings.xpAwardPrompt = false;
+      expect(await ExperienceAwards.processCombatEnd(combat)).toBeNull();
+
+      settings.xpAwardPrompt = true;
+      combat.combatants[1].isDefeated = false;
+      expect(await ExperienceAwards.processCombatEnd(combat)).toBeNull();
+      expect(XpAwardDialog).not.toHaveBeenCalled();
+    });
+  });
+});
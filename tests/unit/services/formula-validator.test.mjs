@@ -286,7 +286,7 @@ describe('FormulaValidator', () => {
     });
 
     test('should handle different setting types', () => {
-      const settingTypes = ['initative', 'crToXp', 'maxPower', 'maxResolve', 'statPoints'];
+      const settingTypes = ['initative', 'crToXp', 'maxPower', 'maxResolve', 'statPoints', 'recoveryResolve', 'recoveryPower'];
       settingTypes.forEach(type => {
         const result = validator.validateSettingFormula('1d20', type);
         expect(result.isValid).toBe(true);
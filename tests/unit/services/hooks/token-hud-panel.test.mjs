@@ -0,0 +1,180 @@
+// @ts-nocheck
+/**
+ * @fileoverview Token HUD Panel Tests
+ *
+ * Unit tests for the TokenHudPanel service which adds an Eventide quick panel
+ * to the token HUD.
+ */
+
+// Mock Logger
+vi.mock('../../../../module/services/logger.mjs', () => ({
+  Logger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null]),
+    handleAsync: vi.fn(async (promise) => promise.then((result) => [result, null], (error) => [null, error])),
+    ERROR_TYPES: { FOUNDRY_API: 'foundry_api' }
+  }
+}));
+
+import { TokenHudPanel } from '../../../../module/services/hooks/token-hud-panel.mjs';
+import { ErrorHandler } from '../../../../module/utils/error-handler.mjs';
+
+const createItems = (items) => {
+  const list = [...items];
+  list.get = (id) => items.find((item) => item.id === id);
+  return list;
+};
+
+describe('TokenHudPanel', () => {
+  let actor;
+  let effect;
+  let actionCard;
+  let flags;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    effect = { disabled: false, update: vi.fn(async (data) => data) };
+    actionCard = { id: 'card1', type: 'actionCard', name: 'Strike', img: 'strike.png', system: { gmOnly: false }, roll: vi.fn(async () => 'rolled') };
+    flags = {};
+
+    actor = {
+      documentName: 'Actor',
+      name: 'Kael',
+      system: { resolve: { value: 40, max: 50 }, power: { value: 3, max: 5 } },
+      items: createItems([
+        { id: 'status1', type: 'status', name: 'Burning', img: 'burn.png', effects: { contents: [effect] } },
+        actionCard,
+        { id: 'card2', type: 'actionCard', name: 'Secret', img: 'secret.png', system: { gmOnly: true } },
+        { id: 'gear1', type: 'gear', name: 'Sword', img: 'sword.png' }
+      ]),
+      getFlag: vi.fn((_scope, key) => flags[key]),
+      addResolve: vi.fn(async () => actor),
+      addPower: vi.fn(async () => actor),
+      removeTransformation: vi.fn(async () => actor)
+    };
+
+    global.game = {
+      user: { isGM: false },
+      i18n: { localize: vi.fn((key) => key) }
+    };
+    global.ui = { notifications: { warn: vi.fn() } };
+  });
+
+  describe('getContext()', () => {
+    test('should list resources, statuses and the player\'s action cards', () => {
+      const context = TokenHudPanel.getContext(actor);
+
+      expect(context.resources).toEqual([
+        { key: 'resolve', label: 'EVENTIDE_RP_SYSTEM.Actor.Attributes.Resolve.Value.label', value: 40, max: 50 },
+        { key: 'power', label: 'EVENTIDE_RP_SYSTEM.Actor.Attributes.Power.Value.label', value: 3, max: 5 }
+      ]);
+      expect(context.statuses).toEqual([{ id: 'status1', name: 'Burning', img: 'burn.png', active: true }]);
+      expect(context.actionCards).toEqual([{ id: 'card1', name: 'Strike', img: 'strike.png' }]);
+      expect(context.transformation).toBeNull();
+    });
+
+    test('should include GM-only action cards for the GM', () => {
+      game.user.isGM = true;
+
+      expect(TokenHudPanel.getContext(actor).actionCards.map((card) => card.id)).toEqual(['card1', 'card2']);
+    });
+
+    test('should show the active transformation', () => {
+      flags.activeTransformation = 'trans1';
+      flags.activeTransformationName = 'Wolf Form';
+
+      expect(TokenHudPanel.getContext(actor).transformation).toEqual({ name: 'Wolf Form' });
+    });
+  });
+
+  describe('adjustResource()', () => {
+    test('should change Resolve and Power through the actor resource methods', async () => {
+      await TokenHudPanel.adjustResource(actor, 'resolve', -5);
+      await TokenHudPanel.adjustResource(actor, 'power', 2);
+
+      expect(actor.addResolve).toHaveBeenCalledWith(-5);
+      expect(actor.addPower).toHaveBeenCalledWith(2);
+    });
+
+    test('should ignore unknown resources and zero amounts', async () => {
+      expect(await TokenHudPanel.adjustResource(actor, 'system', 5)).toBeNull();
+      expect(await TokenHudPanel.adjustResource(actor, 'resolve', 0)).toBeNull();
+      expect(actor.addResolve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('toggleStatus()', () => {
+    test('should disable an active status effect', async () => {
+      await TokenHudPanel.toggleStatus(actor, 'status1');
+
+      expect(effect.update).toHaveBeenCalledWith({ disabled: true });
+      expect(ErrorHandler.handleDocumentOperation).toHaveBeenCalledWith(expect.any(Promise), 'toggle status', 'ActiveEffect');
+    });
+
+    test('should warn when the status has no effect', async () => {
+      expect(await TokenHudPanel.toggleStatus(actor, 'missing')).toBeNull();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Errors.EffectNotFound');
+    });
+  });
+
+  describe('executeActionCard()', () => {
+    test('should roll the action card like the actor sheet', async () => {
+      expect(await TokenHudPanel.executeActionCard(actor, 'card1')).toBe('rolled');
+      expect(actionCard.roll).toHaveBeenCalled();
+    });
+
+    test('should refuse items that are not action cards', async () => {
+      expect(await TokenHudPanel.executeActionCard(actor, 'gear1')).toBeNull();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Errors.ActionCardInvalid');
+    });
+
+    test('should report execution errors', async () => {
+      actionCard.roll.mockRejectedValue(new Error('boom'));
+
+      expect(await TokenHudPanel.executeActionCard(actor, 'card1')).toBeNull();
+      expect(ErrorHandler.handleAsync).toHaveBeenCalledWith(expect.any(Promise), expect.objectContaining({
+        userMessage: 'EVENTIDE_RP_SYSTEM.Errors.ActionCardExecuteError'
+      }));
+    });
+  });
+
+  describe('_onAction()', () => {
+    test('should adjust by the entered amount in the clicked direction', async () => {
+      const row = document.createElement('div');
+      row.dataset.resource = 'resolve';
+      row.innerHTML = '<input type="number" value="4"><button data-direction="-1"></button>';
+
+      await TokenHudPanel._onAction(actor, 'adjustResource', row.querySelector('button'));
+
+      expect(actor.addResolve).toHaveBeenCalledWith(-4);
+    });
+
+    test('should revert the active transformation', async () => {
+      await TokenHudPanel._onAction(actor, 'revertTransformation', document.createElement('button'));
+
+      expect(actor.removeTransformation).toHaveBeenCalled();
+    });
+  });
+
+  describe('_refresh()', () => {
+    test('should re-render the HUD when the shown actor\'s items change', () => {
+      const hud = { rendered: true, object: { actor }, render: vi.fn() };
+      global.canvas = { tokens: { hud } };
+
+      TokenHudPanel._refresh({ documentName: 'ActiveEffect', parent: { documentName: 'Item', parent: actor } });
+      expect(hud.render).toHaveBeenCalledTimes(1);
+
+      TokenHudPanel._refresh({ documentName: 'Actor' });
+      expect(hud.render).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -137,6 +137,8 @@ describe('GMControlManager', () => {
       id: 'source1',
       name: 'Source Actor',
       items: new Map(),
+      flags: {},
+      getFlag: vi.fn((_scope, key) => mockSourceActor.flags[key]),
     };
 
     // Setup mock action card
@@ -318,6 +320,7 @@ describe('GMControlManager', () => {
         img: 'action-card.png',
         bgColor: '#ff0000',
         textColor: '#ffffff',
+        createOptions: { undoOperation: expect.any(String) },
       });
       expect(MessageFlags.updateGMApplyFlag).toHaveBeenCalledWith(
         mockMessage,
@@ -329,6 +332,29 @@ describe('GMControlManager', () => {
       );
     });
 
+    test('should apply damage to the actor of an unlinked token UUID', async () => {
+      const syntheticActor = {
+        ...mockTargetActor,
+        damageResolve: vi.fn(() => Promise.resolve(mockDamageRoll)),
+      };
+      global.fromUuid = vi.fn(async (uuid) =>
+        uuid === 'Scene.scene1.Token.token1'
+          ? { documentName: 'Token', actor: syntheticActor }
+          : null,
+      );
+
+      const result = await gmControlManager.applyDamage(
+        mockMessage,
+        'Scene.scene1.Token.token1',
+        '2d6',
+        'physical',
+      );
+
+      expect(result).toBe(true);
+      expect(syntheticActor.damageResolve).toHaveBeenCalled();
+      expect(mockTargetActor.damageResolve).not.toHaveBeenCalled();
+    });
+
     test('should return false and warn when target actor is missing', async () => {
       const result = await gmControlManager.applyDamage(
         mockMessage,
@@ -1277,6 +1303,104 @@ describe('GMControlManager', () => {
     });
   });
 
+  describe('executePlayerAction()', () => {
+    const request = {
+      playerId: 'player1',
+      playerName: 'Test Player',
+      actorId: 'source1',
+      actionCardId: 'action1',
+      targetIds: ['target1'],
+      rollResult: 15,
+      lockedTargets: [],
+      transformationSelections: [],
+      selectedEffectIds: [],
+    };
+
+    test('should execute the action card without notifying the GM', async () => {
+      const result = await gmControlManager.executePlayerAction(request);
+
+      expect(result).toEqual({ success: true, actionCardName: 'Test Action Card' });
+      expect(mockActionCard.executeWithRollResult).toHaveBeenCalledWith(
+        mockSourceActor,
+        15,
+        { lockedTargets: [], transformationSelections: [], selectedEffectIds: [] },
+      );
+      expect(ui.notifications.info).not.toHaveBeenCalled();
+    });
+
+    test('should target the tokens named by target UUIDs', async () => {
+      const placeable = { id: 'token2' };
+      global.fromUuidSync = vi.fn((uuid) =>
+        uuid === 'Scene.scene1.Token.token2'
+          ? { documentName: 'Token', actor: {}, object: placeable }
+          : null,
+      );
+
+      await gmControlManager.executePlayerAction({
+        ...request,
+        targetUuids: ['Scene.scene1.Token.token2'],
+      });
+
+      expect(canvas.tokens.setTargets).toHaveBeenCalledWith(['token2']);
+      expect(canvas.tokens.setTargets).toHaveBeenLastCalledWith([]);
+    });
+
+    test('should refuse card data the actor does not have over the socket', async () => {
+      const result = await gmControlManager.executePlayerAction(
+        {
+          ...request,
+          actionCardId: 'invented',
+          actionCardData: { _id: 'invented', name: 'Invented Card', system: {} },
+        },
+        { allowCardData: false },
+      );
+
+      expect(result).toEqual({
+        success: false,
+        found: false,
+        reason: 'Unable to find action card for execution',
+      });
+      expect(CONFIG.Item.documentClass).not.toHaveBeenCalled();
+    });
+
+    test('should execute action cards of the active transformation over the socket', async () => {
+      const transformationCard = {
+        name: 'Claw',
+        executeWithRollResult: vi.fn(async () => ({ success: true })),
+      };
+      const storedCardData = { _id: 'claw', name: 'Claw', system: {} };
+      mockSourceActor.flags.activeTransformationActionCards = [storedCardData];
+      CONFIG.Item.documentClass.mockImplementationOnce(() => transformationCard);
+
+      const result = await gmControlManager.executePlayerAction(
+        {
+          ...request,
+          actionCardId: 'claw',
+          actionCardData: { _id: 'claw', name: 'Claw', system: { damage: '99d6' } },
+        },
+        { allowCardData: false },
+      );
+
+      expect(CONFIG.Item.documentClass).toHaveBeenCalledWith(storedCardData, {
+        parent: mockSourceActor,
+      });
+      expect(result).toEqual({ success: true, actionCardName: 'Claw' });
+    });
+
+    test('should report a missing actor', async () => {
+      mockGame.actors.delete('source1');
+
+      const result = await gmControlManager.executePlayerAction(request);
+
+      expect(result).toEqual({
+        success: false,
+        found: false,
+        reason: 'EVENTIDE_RP_SYSTEM.Errors.UnableToFindActor',
+      });
+      expect(mockActionCard.executeWithRollResult).not.toHaveBeenCalled();
+    });
+  });
+
   describe('validateAllPendingMessages()', () => {
     test('should validate and return updated count', async () => {
       const mockMessage1 = { id: 'msg1', flags: {} };
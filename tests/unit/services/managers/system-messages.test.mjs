@@ -56,7 +56,8 @@ vi.mock('../../../../module/services/chat-message-builder.mjs', () => ({
 
 vi.mock('../../../../module/services/target-resolver.mjs', () => ({
   TargetResolver: {
-    resolveLockedTargets: vi.fn(() => ({ valid: [], invalid: [] }))
+    resolveLockedTargets: vi.fn(() => ({ valid: [], invalid: [] })),
+    getTargetUuid: vi.fn((target) => `Scene.scene-1.Token.token-${target.id}`)
   }
 }));
 
@@ -939,11 +940,35 @@ describe('ERPSMessageHandler', () => {
           playerId: 'player-789',
           playerName: 'Test Player',
           targetIds: ['actor-123'],
+          targetUuids: ['Scene.scene-1.Token.token-actor-123'],
           lockedTargets: [],
           rollResult: { total: 15 },
           selectedEffectIds: []
         })
       );
+      expect(TargetResolver.getTargetUuid).toHaveBeenCalledWith(mockActor);
+    });
+
+    test('should store the target token UUIDs it is given', async () => {
+      await messageHandler.createPlayerActionApprovalRequest({
+        actor: mockActor,
+        actionCard: mockActionCard,
+        playerId: 'player-789',
+        playerName: 'Test Player',
+        targets: [mockActor],
+        targetUuids: ['Scene.scene-2.Token.token-goblin'],
+        rollResult: { total: 15 },
+        lockedTargets: [],
+        transformationSelections: new Map(),
+        selectedEffectIds: []
+      });
+
+      expect(MessageFlags.createPlayerActionApprovalFlag).toHaveBeenCalledWith(
+        expect.objectContaining({
+          targetUuids: ['Scene.scene-2.Token.token-goblin']
+        })
+      );
+      expect(TargetResolver.getTargetUuid).not.toHaveBeenCalled();
     });
 
     test('should create formatted transformation selections', async () => {
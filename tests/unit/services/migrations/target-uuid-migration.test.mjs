@@ -0,0 +1,150 @@
+// @ts-nocheck
+/**
+ * @fileoverview TargetUuidMigration Service Tests
+ *
+ * Unit tests for the TargetUuidMigration service which adds token UUIDs to
+ * pending GM apply flags and player action approvals keyed on actor IDs.
+ */
+
+import { TargetUuidMigration } from '../../../../module/services/migrations/target-uuid-migration.mjs';
+
+// Mock Logger
+vi.mock('../../../../module/services/logger.mjs', () => ({
+  Logger: {
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleAsync: vi.fn(async (promise) => promise.then((result) => [result, null], (error) => [null, error])),
+    ERROR_TYPES: { FOUNDRY_API: 'foundry_api' }
+  }
+}));
+
+const createMessage = (flags) => ({
+  id: 'message-1',
+  flags: { 'eventide-rp-system': flags },
+  update: vi.fn(async () => ({}))
+});
+
+describe('TargetUuidMigration', () => {
+  let migrationVersion;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    migrationVersion = 3;
+
+    const actors = new Map([
+      ['source1', { uuid: 'Actor.source1' }],
+      ['target1', { uuid: 'Actor.target1' }]
+    ]);
+
+    global.game = {
+      user: { isGM: true },
+      actors,
+      messages: [],
+      settings: {
+        get: vi.fn(() => migrationVersion),
+        set: vi.fn()
+      }
+    };
+    global.foundry = {
+      utils: { deepClone: vi.fn((obj) => JSON.parse(JSON.stringify(obj))) }
+    };
+  });
+
+  test('should add target UUIDs to pending GM apply sections', async () => {
+    const message = createMessage({
+      gmApplySection: {
+        actionCardId: 'card1',
+        actorId: 'source1',
+        damage: { targetId: 'target1', applied: false },
+        status: { targetId: 'target1', applied: true }
+      }
+    });
+    game.messages = [message];
+
+    expect(await TargetUuidMigration.run()).toBe(1);
+
+    expect(message.update).toHaveBeenCalledWith({
+      'flags.eventide-rp-system.gmApplySection': {
+        actionCardId: 'card1',
+        actorId: 'source1',
+        actorUuid: 'Actor.source1',
+        damage: { targetId: 'target1', targetUuid: 'Actor.target1', applied: false },
+        status: { targetId: 'target1', applied: true }
+      }
+    });
+    expect(game.settings.set).toHaveBeenCalledWith('eventide-rp-system', 'migrationVersion', 4);
+  });
+
+  test('should build approval target UUIDs from locked target tokens', async () => {
+    const message = createMessage({
+      playerActionApproval: {
+        actorId: 'source1',
+        targetIds: ['target1'],
+        lockedTargets: [
+          { tokenId: 'token1', sceneId: 'scene1', uuid: 'Actor.target1' },
+          { tokenId: 'token2', sceneId: null, uuid: 'Actor.target2' }
+        ],
+        processed: false
+      }
+    });
+    game.messages = [message];
+
+    await TargetUuidMigration.run();
+
+    expect(message.update).toHaveBeenCalledWith({
+      'flags.eventide-rp-system.playerActionApproval.targetUuids': [
+        'Scene.scene1.Token.token1',
+        'Actor.target2'
+      ],
+      'flags.eventide-rp-system.playerActionApproval.actorUuid': 'Actor.source1'
+    });
+  });
+
+  test('should leave resolved and already migrated messages alone', async () => {
+    const messages = [
+      createMessage({ playerActionApproval: { actorId: 'source1', targetIds: ['target1'], processed: true } }),
+      createMessage({ gmApplySection: { actorId: 'source1', damage: { targetId: 'target1', targetUuid: 'Actor.target1', applied: false } } })
+    ];
+    game.messages = messages;
+
+    expect(await TargetUuidMigration.run()).toBe(0);
+    for (const message of messages) expect(message.update).not.toHaveBeenCalled();
+  });
+
+  test('should skip when the migration already ran or for players', async () => {
+    game.messages = [createMessage({ playerActionApproval: { actorId: 'source1', targetIds: [], processed: false } })];
+
+    migrationVersion = 4;
+    expect(await TargetUuidMigration.run()).toBe(0);
+
+    migrationVersion = 3;
+    game.user.isGM = false;
+    expect(await TargetUuidMigration.run()).toBe(0);
+
+    expect(game.messages[0].update).not.toHaveBeenCalled();
+  });
+
+  test('should not record the version while earlier migrations are pending', async () => {
+    migrationVersion = 2;
+
+    await TargetUuidMigration.run();
+
+    expect(game.settings.set).not.toHaveBeenCalled();
+  });
+
+  test('should retry on the next load when a message fails to update', async () => {
+    const message = createMessage({ playerActionApproval: { actorId: 'source1', targetIds: ['target1'], processed: false } });
+    message.update.mockRejectedValue(new Error('update failed'));
+    game.messages = [message];
+
+    expect(await TargetUuidMigration.run()).toBe(0);
+    expect(game.settings.set).not.toHaveBeenCalled();
+  });
+});
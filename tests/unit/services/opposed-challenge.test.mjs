@@ -0,0 +1,253 @@
+// @ts-nocheck
+/**
+ * @fileoverview OpposedChallenge Service Tests
+ *
+ * Unit tests for the OpposedChallenge service which runs back-and-forth
+ * challenge rolls between two actors through chat cards.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/services/managers/roll-dice.mjs', () => ({
+  erpsRollHandler: {
+    handleRoll: vi.fn()
+  }
+}));
+
+import { OpposedChallenge } from '../../../module/services/opposed-challenge.mjs';
+import { erpsRollHandler } from '../../../module/services/managers/roll-dice.mjs';
+
+describe('OpposedChallenge', () => {
+  let attacker;
+  let defender;
+  let status;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    status = { id: 'status-1', name: 'Charmed', img: 'charmed.webp' };
+
+    attacker = {
+      uuid: 'Actor.attacker',
+      name: 'Mage',
+      img: 'mage.webp',
+      isOwner: true,
+      getRollFormula: vi.fn(async () => '1d20+3')
+    };
+
+    defender = {
+      uuid: 'Actor.defender',
+      name: 'Knight',
+      img: 'knight.webp',
+      isOwner: true,
+      items: new Map([[status.id, { ...status, actor: null }]]),
+      getRollFormula: vi.fn(async () => '1d20+1'),
+      _removeStatusEffects: vi.fn(async () => [])
+    };
+    defender.items.get(status.id).actor = defender;
+
+    const actors = { [attacker.uuid]: attacker, [defender.uuid]: defender };
+    global.fromUuidSync = vi.fn((uuid) => actors[uuid] ?? null);
+
+    global.game = {
+      messages: [],
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn(), error: vi.fn() } };
+  });
+
+  const baseOptions = () => ({
+    attacker,
+    attackerAbility: 'will',
+    defender,
+    defenderAbility: 'fort'
+  });
+
+  describe('createState()', () => {
+    test('should let the attacker open when there is no roll to beat', () => {
+      const state = OpposedChallenge.createState(baseOptions());
+
+      expect(state.next).toBe('attacker');
+      expect(state.toBeat).toBeNull();
+      expect(state.leader).toBeNull();
+      expect(state.attacker).toEqual({
+        actorUuid: 'Actor.attacker',
+        name: 'Mage',
+        img: 'mage.webp',
+        ability: 'will'
+      });
+    });
+
+    test('should make the defender answer an opening total', () => {
+      const state = OpposedChallenge.createState({
+        ...baseOptions(),
+        toBeat: 17
+      });
+
+      expect(state.next).toBe('defender');
+      expect(state.toBeat).toBe(17);
+      expect(state.leader).toBe('attacker');
+    });
+
+    test('should only remove the status when one is contested', () => {
+      const withoutStatus = OpposedChallenge.createState({
+        ...baseOptions(),
+        removeStatus: true
+      });
+      const withStatus = OpposedChallenge.createState({
+        ...baseOptions(),
+        status,
+        removeStatus: true
+      });
+
+      expect(withoutStatus.removeStatus).toBe(false);
+      expect(withStatus.removeStatus).toBe(true);
+      expect(withStatus.status).toEqual(status);
+    });
+
+    test('should carry a prepared action without sharing it', () => {
+      const preparedAction = { actionCardId: 'card-1', actionCardName: 'Rock Throw', roll: null };
+
+      const state = OpposedChallenge.createState({ ...baseOptions(), preparedAction });
+
+      expect(state.preparedAction).toEqual(preparedAction);
+      expect(state.preparedAction).not.toBe(preparedAction);
+      expect(OpposedChallenge.createState(baseOptions()).preparedAction).toBeNull();
+    });
+  });
+
+  describe('resolveStep()', () => {
+    test('should pass the challenge to the other side when the roll tops', () => {
+      const state = OpposedChallenge.createState({
+        ...baseOptions(),
+        toBeat: 12
+      });
+
+      const next = OpposedChallenge.resolveStep(state, 'defender', 15);
+
+      expect(next.step).toBe(1);
+      expect(next.toBeat).toBe(15);
+      expect(next.leader).toBe('defender');
+      expect(next.next).toBe('attacker');
+      expect(next.winner).toBeNull();
+      expect(state.step).toBe(0);
+    });
+
+    test('should end the challenge when a roll ties the previous one', () => {
+      const state = OpposedChallenge.createState({
+        ...baseOptions(),
+        toBeat: 12
+      });
+
+      const next = OpposedChallenge.resolveStep(state, 'defender', 12);
+
+      expect(next.winner).toBe('attacker');
+      expect(next.next).toBeNull();
+      expect(next.history).toEqual([{ side: 'defender', total: 12 }]);
+    });
+
+    test('should always accept the opening roll', () => {
+      const state = OpposedChallenge.createState(baseOptions());
+
+      const next = OpposedChallenge.resolveStep(state, 'attacker', 3);
+
+      expect(next.toBeat).toBe(3);
+      expect(next.next).toBe('defender');
+    });
+  });
+
+  describe('isLatest()', () => {
+    test('should detect when a later step of the challenge exists', () => {
+      const state = OpposedChallenge.createState(baseOptions());
+      const later = OpposedChallenge.resolveStep(state, 'attacker', 10);
+      const message = { getFlag: vi.fn(() => state) };
+      const laterMessage = { getFlag: vi.fn(() => later) };
+
+      game.messages = [message, laterMessage];
+
+      expect(OpposedChallenge.isLatest(message)).toBe(false);
+      expect(OpposedChallenge.isLatest(laterMessage)).toBe(true);
+    });
+  });
+
+  describe('rollNext()', () => {
+    test('should refuse to roll for a side the user does not own', async () => {
+      attacker.isOwner = false;
+      const state = OpposedChallenge.createState(baseOptions());
+      const message = { id: 'msg-1', getFlag: vi.fn(() => state) };
+      game.messages = [message];
+
+      const result = await OpposedChallenge.rollNext(message);
+
+      expect(result).toBeNull();
+      expect(erpsRollHandler.handleRoll).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalled();
+    });
+
+    test('should keep the preparer roll on a prepared action challenge', async () => {
+      const state = OpposedChallenge.createState({
+        ...baseOptions(),
+        preparedAction: { actionCardId: 'card-1', actionCardName: 'Rock Throw', roll: null }
+      });
+      const message = { id: 'msg-1', getFlag: vi.fn(() => state) };
+      game.messages = [message];
+      const rollData = { formula: '1d20+3', total: 18 };
+      erpsRollHandler.handleRoll.mockResolvedValue({ total: 18, toJSON: () => rollData });
+      const abilityLabel = vi.spyOn(OpposedChallenge, '_getAbilityLabel').mockReturnValue('Will');
+      const postCard = vi.spyOn(OpposedChallenge, '_postCard').mockResolvedValue({ id: 'msg-2' });
+
+      await OpposedChallenge.rollNext(message);
+
+      const nextState = postCard.mock.calls[0][0];
+      expect(nextState.preparedAction.roll).toEqual(rollData);
+      expect(state.preparedAction.roll).toBeNull();
+      abilityLabel.mockRestore();
+      postCard.mockRestore();
+    });
+  });
+
+  describe('removeContestedStatus()', () => {
+    test('should remove the status from the defender', async () => {
+      const state = OpposedChallenge.createState({
+        ...baseOptions(),
+        status,
+        removeStatus: true
+      });
+
+      const removed = await OpposedChallenge.removeContestedStatus(state);
+
+      expect(removed).toBe(true);
+      expect(defender._removeStatusEffects).toHaveBeenCalledWith(
+        ['status-1'],
+        expect.objectContaining({ statusRemovalDescription: expect.any(String) })
+      );
+    });
+
+    test('should do nothing when the status is already gone', async () => {
+      const state = OpposedChallenge.createState({
+        ...baseOptions(),
+        status,
+        removeStatus: true
+      });
+      defender.items.delete(status.id);
+
+      const removed = await OpposedChallenge.removeContestedStatus(state);
+
+      expect(removed).toBe(false);
+      expect(defender._removeStatusEffects).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,290 @@
+// @ts-nocheck
+/**
+ * @fileoverview PreparedActions Service Tests
+ *
+ * Unit tests for the PreparedActions service which queues prepared actions on
+ * combatants and resolves them through challenges.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+vi.mock('../../../module/services/action-economy.mjs', () => ({
+  ActionEconomy: {
+    getCombatant: vi.fn(),
+    spendAction: vi.fn(),
+    getUnavailableMessage: vi.fn(() => 'No Full Actions left')
+  }
+}));
+
+vi.mock('../../../module/services/opposed-challenge.mjs', () => ({
+  OpposedChallenge: {
+    start: vi.fn(async () => ({ id: 'msg-1' })),
+    getState: vi.fn((message) => message.state)
+  }
+}));
+
+vi.mock('../../../module/services/target-resolver.mjs', () => ({
+  TargetResolver: {
+    lockTargets: vi.fn((tokens) => tokens.map((token) => ({ tokenId: token.id })))
+  }
+}));
+
+import { PreparedActions } from '../../../module/services/prepared-actions.mjs';
+import { ActionEconomy } from '../../../module/services/action-economy.mjs';
+import { OpposedChallenge } from '../../../module/services/opposed-challenge.mjs';
+
+describe('PreparedActions', () => {
+  let actor;
+  let actionCard;
+  let combatant;
+  let target;
+  let storedPrepared;
+  let storedFired;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    storedPrepared = undefined;
+    storedFired = undefined;
+    actionCard = {
+      id: 'card-1',
+      name: 'Rock Throw',
+      type: 'actionCard',
+      executeWithRollResult: vi.fn(async () => ({ success: true }))
+    };
+    actor = {
+      uuid: 'Actor.elara',
+      name: 'Elara',
+      items: new Map([[actionCard.id, actionCard]])
+    };
+    combatant = {
+      uuid: 'Combat.c1.Combatant.elara',
+      name: 'Elara',
+      actor,
+      combat: { round: 2 },
+      getFlag: vi.fn((_scope, key) => (key === PreparedActions.FIRED_FLAG_KEY ? storedFired : storedPrepared)),
+      setFlag: vi.fn(async (_scope, key, value) => {
+        if (key === PreparedActions.FIRED_FLAG_KEY) storedFired = value;
+        else storedPrepared = value;
+      }),
+      testUserPermission: vi.fn(() => true),
+      unsetFlag: vi.fn(async () => {
+        storedPrepared = undefined;
+      })
+    };
+    target = {
+      name: 'Archmage',
+      actor: { uuid: 'Actor.archmage', name: 'Archmage' },
+      token: { id: 'token-mage' }
+    };
+
+    ActionEconomy.getCombatant.mockReturnValue(combatant);
+    ActionEconomy.spendAction.mockResolvedValue({ tracked: true, spent: true });
+
+    global.fromUuidSync = vi.fn((uuid) => (uuid === combatant.uuid ? combatant : null));
+    global.game = {
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn() } };
+  });
+
+  describe('prepare()', () => {
+    test('should spend a Full Action and queue the preparation', async () => {
+      const prepared = await PreparedActions.prepare(actor, actionCard, '  When the mage casts a spell ');
+
+      expect(ActionEconomy.spendAction).toHaveBeenCalledWith(actor, 'full');
+      expect(prepared).toMatchObject({
+        actionCardId: 'card-1',
+        actionCardName: 'Rock Throw',
+        trigger: 'When the mage casts a spell',
+        round: 2
+      });
+      expect(storedPrepared).toEqual([prepared]);
+    });
+
+    test('should refuse when no Full Action is left', async () => {
+      ActionEconomy.spendAction.mockResolvedValue({ tracked: true, spent: false });
+
+      const prepared = await PreparedActions.prepare(actor, actionCard, 'When the door opens');
+
+      expect(prepared).toBeNull();
+      expect(combatant.setFlag).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('No Full Actions left');
+    });
+
+    test('should refuse an empty trigger without spending an action', async () => {
+      const prepared = await PreparedActions.prepare(actor, actionCard, '   ');
+
+      expect(prepared).toBeNull();
+      expect(ActionEconomy.spendAction).not.toHaveBeenCalled();
+    });
+
+    test('should refuse outside of combat', async () => {
+      ActionEconomy.getCombatant.mockReturnValue(null);
+
+      expect(await PreparedActions.prepare(actor, actionCard, 'When the door opens')).toBeNull();
+      expect(ui.notifications.warn).toHaveBeenCalledWith(
+        'EVENTIDE_RP_SYSTEM.PreparedActions.Errors.NotInCombat'
+      );
+    });
+  });
+
+  describe('fire()', () => {
+    test('should move the preparation to the fired preparations and start a challenge', async () => {
+      storedPrepared = [
+        { id: 'p1', actionCardId: 'card-1', actionCardName: 'Rock Throw', trigger: 'When the mage casts', round: 2 }
+      ];
+
+      await PreparedActions.fire(combatant, 'p1', {
+        target,
+        attackerAbility: 'acro',
+        defenderAbility: 'will'
+      });
+
+      expect(storedPrepared).toEqual([]);
+      expect(storedFired).toEqual([
+        { id: 'p1', actionCardId: 'card-1', actionCardName: 'Rock Throw', lockedTargets: [{ tokenId: 'token-mage' }] }
+      ]);
+      expect(OpposedChallenge.start).toHaveBeenCalledWith({
+        attacker: actor,
+        attackerAbility: 'acro',
+        defender: target.actor,
+        defenderAbility: 'will',
+        preparedAction: {
+          combatantUuid: combatant.uuid,
+          preparedId: 'p1',
+          actionCardName: 'Rock Throw',
+          trigger: 'When the mage casts',
+          roll: null
+        }
+      });
+    });
+
+    test('should do nothing for an unknown preparation', async () => {
+      storedPrepared = [];
+
+      const card = await PreparedActions.fire(combatant, 'missing', { target });
+
+      expect(card).toBeNull();
+      expect(OpposedChallenge.start).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resolveChallenge()', () => {
+    const author = { id: 'player' };
+    const wonMessage = (state = {}) => ({
+      id: 'msg-2',
+      author,
+      state: {
+        id: 'challenge-1',
+        winner: 'attacker',
+        attacker: { actorUuid: 'Actor.elara' },
+        preparedAction: {
+          combatantUuid: 'Combat.c1.Combatant.elara',
+          preparedId: 'p1',
+          actionCardName: 'Rock Throw',
+          roll: { formula: '1d20+3', total: 18 }
+        },
+        ...state
+      }
+    });
+
+    beforeEach(() => {
+      storedFired = [
+        { id: 'p1', actionCardId: 'card-1', actionCardName: 'Rock Throw', lockedTargets: [{ tokenId: 'token-mage' }] }
+      ];
+    });
+
+    test('should execute the stored card with the winning roll without spending an action', async () => {
+      await PreparedActions.resolveChallenge(wonMessage());
+
+      expect(combatant.testUserPermission).toHaveBeenCalledWith(author, 'OWNER');
+      expect(actionCard.executeWithRollResult).toHaveBeenCalledWith(
+        actor,
+        { formula: '1d20+3', total: 18 },
+        { lockedTargets: [{ tokenId: 'token-mage' }], skipActionCost: true }
+      );
+      expect(storedFired).toEqual([]);
+    });
+
+    test('should ignore the card and targets written to the message', async () => {
+      const message = wonMessage();
+      message.state.preparedAction.actionCardId = 'other-card';
+      message.state.preparedAction.lockedTargets = [{ tokenId: 'token-ally' }];
+
+      await PreparedActions.resolveChallenge(message);
+
+      expect(actionCard.executeWithRollResult).toHaveBeenCalledWith(
+        actor,
+        expect.anything(),
+        { lockedTargets: [{ tokenId: 'token-mage' }], skipActionCost: true }
+      );
+    });
+
+    test('should only resolve a fired preparation once', async () => {
+      await PreparedActions.resolveChallenge(wonMessage());
+      const result = await PreparedActions.resolveChallenge(wonMessage());
+
+      expect(result).toBeNull();
+      expect(actionCard.executeWithRollResult).toHaveBeenCalledTimes(1);
+    });
+
+    test('should ignore cards posted by a user who does not own the combatant', async () => {
+      combatant.testUserPermission.mockReturnValue(false);
+
+      expect(await PreparedActions.resolveChallenge(wonMessage())).toBeNull();
+      expect(actionCard.executeWithRollResult).not.toHaveBeenCalled();
+      expect(storedFired).toHaveLength(1);
+    });
+
+    test('should clear the preparation without executing the card when the preparer lost', async () => {
+      const result = await PreparedActions.resolveChallenge(wonMessage({ winner: 'defender' }));
+
+      expect(result).toBeNull();
+      expect(actionCard.executeWithRollResult).not.toHaveBeenCalled();
+      expect(storedFired).toEqual([]);
+    });
+
+    test('should warn when the action card is gone', async () => {
+      actor.items.delete('card-1');
+
+      expect(await PreparedActions.resolveChallenge(wonMessage())).toBeNull();
+      expect(ui.notifications.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('expireForTurn()', () => {
+    test('should clear pending preparations', async () => {
+      storedPrepared = [{ id: 'p1' }];
+
+      await PreparedActions.expireForTurn(combatant);
+
+      expect(combatant.unsetFlag).toHaveBeenCalledWith('eventide-rp-system', PreparedActions.FLAG_KEY);
+    });
+
+    test('should not write when nothing is prepared', async () => {
+      await PreparedActions.expireForTurn(combatant);
+
+      expect(combatant.unsetFlag).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,421 @@
+// @ts-nocheck
+/**
+ * @fileoverview Roll Log Service Tests
+ *
+ * Unit tests for the RollLog service which keeps a persistent world log of
+ * system rolls in a GM-only compendium and summarizes it for the Roll
+ * Statistics window.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+import { RollLog } from '../../../module/services/roll-log.mjs';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Build a roll chat message
+ * @param {Object} roll - The eventide-rp-system roll flag
+ * @param {Object} [options] - Message options
+ * @returns {Object} Mock chat message
+ */
+const createMessage = (roll, { id = 'msg1', actorId = 'kael', timestamp = 1000, whisper = [], blind = false } = {}) => ({
+  id,
+  timestamp,
+  whisper,
+  blind,
+  speaker: { actor: actorId, alias: 'Speaker' },
+  author: { name: 'Player' },
+  flags: { 'eventide-rp-system': { roll } }
+});
+
+/**
+ * Build a log entry
+ * @param {Object} overrides - Entry fields
+ * @returns {Object} Log entry
+ */
+const createEntry = (overrides) => ({
+  id: 'entry',
+  timestamp: 0,
+  actorId: 'kael',
+  actorName: 'Kael',
+  userName: 'Player',
+  type: 'acro',
+  ability: 'acro',
+  item: null,
+  formula: '1d20',
+  total: 10,
+  crit: null,
+  targets: [],
+  damage: 0,
+  healing: 0,
+  sourceActorId: null,
+  sourceActorName: null,
+  ...overrides
+});
+
+/**
+ * Build the JournalEntry holding a log entry
+ * @param {Object} entry - Log entry
+ * @returns {Object} Mock journal entry
+ */
+const createDocument = (entry) => ({
+  id: entry.id,
+  getFlag: vi.fn((_scope, key) => (key === 'rollLogEntry' ? entry : undefined))
+});
+
+describe('RollLog', () => {
+  let settings;
+  let stored;
+  let pack;
+
+  /**
+   * IDs of the entries stored in the compendium
+   * @returns {string[]} The IDs, in creation order
+   */
+  const storedIds = () => [...stored.keys()];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    RollLog._entries = null;
+
+    settings = { rollLogRetention: 2000 };
+    stored = new Map();
+    pack = {
+      collection: 'world.rolllog',
+      getDocuments: vi.fn(async () => [...stored.values()].map(createDocument))
+    };
+    global.CONFIG = global.CONFIG || {};
+    global.CONFIG.JournalEntry = {
+      documentClass: {
+        create: vi.fn(async (data) => {
+          stored.set(data._id, data.flags['eventide-rp-system'].rollLogEntry);
+          return data;
+        }),
+        deleteDocuments: vi.fn(async (ids, { deleteAll } = {}) => {
+          if (deleteAll) stored.clear();
+          ids.forEach((id) => stored.delete(id));
+          return ids;
+        })
+      }
+    };
+    global.foundry.documents = {
+      collections: {
+        CompendiumCollection: {
+          createCompendium: vi.fn(async () => {
+            game.packs.get.mockReturnValue(pack);
+            return pack;
+          })
+        }
+      }
+    };
+
+    const actors = {
+      kael: { name: 'Kael', testUserPermission: vi.fn((user) => user.id === 'player') },
+      goblin: { name: 'Goblin', testUserPermission: vi.fn(() => false) }
+    };
+    global.game = {
+      user: { isGM: true },
+      users: { activeGM: { isSelf: true } },
+      packs: { get: vi.fn(() => pack) },
+      actors: {
+        get: vi.fn((id) => actors[id])
+      },
+      settings: {
+        get: vi.fn((_scope, key) => settings[key])
+      },
+      i18n: { localize: vi.fn((key) => key) }
+    };
+    global.ui = { notifications: { warn: vi.fn() } };
+    global.CONFIG = global.CONFIG || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM = global.CONFIG.EVENTIDE_RP_SYSTEM || {};
+    global.CONFIG.EVENTIDE_RP_SYSTEM.abilities = {
+      acro: 'EVENTIDE_RP_SYSTEM.Ability.Acro.long',
+      phys: 'EVENTIDE_RP_SYSTEM.Ability.Phys.long',
+      fort: 'EVENTIDE_RP_SYSTEM.Ability.Fort.long',
+      will: 'EVENTIDE_RP_SYSTEM.Ability.Will.long',
+      wits: 'EVENTIDE_RP_SYSTEM.Ability.Wits.long'
+    };
+  });
+
+  describe('getCritState()', () => {
+    test('should name the critical state, preferring stolen crits and saved misses', () => {
+      expect(RollLog.getCritState({ critHit: true })).toBe('critHit');
+      expect(RollLog.getCritState({ critHit: true, stolenCrit: true })).toBe('stolenCrit');
+      expect(RollLog.getCritState({ critMiss: true, savedMiss: true })).toBe('savedMiss');
+      expect(RollLog.getCritState({})).toBeNull();
+    });
+  });
+
+  describe('describeTargets()', () => {
+    test('should list the ACs each target had met or beaten', () => {
+      const goblin = {
+        id: 'goblin',
+        name: 'Goblin',
+        getRollData: () => ({
+          abilities: { acro: { ac: { total: 12 } }, phys: { ac: { total: 15 } } }
+        })
+      };
+
+      expect(RollLog.describeTargets([goblin, null], 13)).toEqual([
+        { actorId: 'goblin', name: 'Goblin', hits: ['acro'] }
+      ]);
+    });
+  });
+
+  describe('buildEntry()', () => {
+    test('should record the ability, item, crit state and targets of a roll', () => {
+      const targets = [{ actorId: 'goblin', name: 'Goblin', hits: ['acro'] }];
+      const entry = RollLog.buildEntry(
+        createMessage({ type: 'acro', formula: '2d10', total: 17, item: 'Dagger', crit: 'critHit', targets })
+      );
+
+      expect(entry).toMatchObject({
+        id: 'msg1',
+        actorName: 'Kael',
+        userName: 'Player',
+        type: 'acro',
+        ability: 'acro',
+        item: 'Dagger',
+        total: 17,
+        crit: 'critHit',
+        targets,
+        damage: 0,
+        sourceActorId: null
+      });
+    });
+
+    test('should credit damage to the last actor who targeted the damaged actor', () => {
+      const entries = [
+        createEntry({ actorId: 'kael', actorName: 'Kael', timestamp: 500, targets: [{ actorId: 'goblin', name: 'Goblin', hits: [] }] })
+      ];
+      const entry = RollLog.buildEntry(
+        createMessage(
+          { type: 'damage', total: 6, sections: [{ type: 'damage', total: 6 }, { type: 'power-damage', total: 2 }] },
+          { actorId: 'goblin', timestamp: 1000 }
+        ),
+        entries
+      );
+
+      expect(entry.ability).toBeNull();
+      expect(entry.damage).toBe(8);
+      expect(entry.sourceActorId).toBe('kael');
+      expect(entry.sourceActorName).toBe('Kael');
+    });
+
+    test('should not credit damage outside the damage window', () => {
+      const entries = [
+        createEntry({ timestamp: 0, targets: [{ actorId: 'goblin', name: 'Goblin', hits: [] }] })
+      ];
+      const entry = RollLog.buildEntry(
+        createMessage({ type: 'damage', total: 6 }, { actorId: 'goblin', timestamp: RollLog.DAMAGE_WINDOW + 1 }),
+        entries
+      );
+
+      expect(entry.damage).toBe(6);
+      expect(entry.sourceActorId).toBeNull();
+    });
+
+    test('should ignore messages without a system roll', () => {
+      expect(RollLog.buildEntry({ flags: {} })).toBeNull();
+    });
+  });
+
+  describe('record()', () => {
+    test('should add one document per roll and delete the oldest past the retention limit', async () => {
+      settings.rollLogRetention = 2;
+      stored.set('a', createEntry({ id: 'a', timestamp: 1 }));
+      stored.set('b', createEntry({ id: 'b', timestamp: 2 }));
+
+      await RollLog.record(createMessage({ type: 'phys', total: 9 }, { id: 'c', timestamp: 3 }));
+
+      expect(CONFIG.JournalEntry.documentClass.create).toHaveBeenCalledTimes(1);
+      expect(CONFIG.JournalEntry.documentClass.create).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'c', name: 'Kael: phys' }),
+        { pack: 'world.rolllog', keepId: true }
+      );
+      expect(CONFIG.JournalEntry.documentClass.deleteDocuments).toHaveBeenCalledWith(['a'], { pack: 'world.rolllog' });
+      expect(storedIds()).toEqual(['b', 'c']);
+    });
+
+    test('should load the log once and not rewrite earlier rolls', async () => {
+      await RollLog.record(createMessage({ type: 'phys', total: 9 }, { id: 'a' }));
+      await RollLog.record(createMessage({ type: 'wits', total: 4 }, { id: 'b' }));
+
+      expect(pack.getDocuments).toHaveBeenCalledTimes(1);
+      expect(CONFIG.JournalEntry.documentClass.create).toHaveBeenCalledTimes(2);
+      expect(CONFIG.JournalEntry.documentClass.deleteDocuments).not.toHaveBeenCalled();
+    });
+
+    test('should create the GM-only compendium on the first roll', async () => {
+      game.packs.get.mockReturnValue(undefined);
+
+      await RollLog.record(createMessage({ type: 'phys', total: 9 }, { id: 'a' }));
+
+      expect(foundry.documents.collections.CompendiumCollection.createCompendium).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: 'rolllog',
+          type: 'JournalEntry',
+          ownership: { PLAYER: 'NONE', TRUSTED: 'NONE', ASSISTANT: 'OWNER' }
+        })
+      );
+      expect(storedIds()).toEqual(['a']);
+    });
+
+    test('should record concurrent rolls without losing any', async () => {
+      RollLog.record(createMessage({ type: 'phys', total: 9 }, { id: 'a' }));
+      await RollLog.record(createMessage({ type: 'wits', total: 4 }, { id: 'b' }));
+
+      expect(storedIds()).toEqual(['a', 'b']);
+    });
+
+    test('should skip whispered and blind rolls', async () => {
+      await RollLog.record(createMessage({ type: 'phys', total: 9 }, { id: 'a', whisper: ['gm'] }));
+      await RollLog.record(createMessage({ type: 'phys', total: 9 }, { id: 'b', blind: true }));
+
+      expect(CONFIG.JournalEntry.documentClass.create).not.toHaveBeenCalled();
+      expect(storedIds()).toEqual([]);
+    });
+
+    test('should only be written by the active GM', async () => {
+      game.users.activeGM.isSelf = false;
+
+      await RollLog.record(createMessage({ type: 'phys', total: 9 }));
+
+      expect(CONFIG.JournalEntry.documentClass.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getEntries() and getEntriesFor()', () => {
+    beforeEach(() => {
+      stored.set('b', createEntry({ id: 'b', timestamp: 2, actorId: 'goblin' }));
+      stored.set('a', createEntry({ id: 'a', timestamp: 1 }));
+    });
+
+    test('should read the log from the compendium, oldest first', async () => {
+      expect((await RollLog.getEntries()).map((entry) => entry.id)).toEqual(['a', 'b']);
+    });
+
+    test('should keep the log from players', async () => {
+      game.user.isGM = false;
+
+      expect(await RollLog.getEntries()).toEqual([]);
+      expect(pack.getDocuments).not.toHaveBeenCalled();
+    });
+
+    test('should give players only the rolls of actors they own', async () => {
+      const player = { id: 'player', isGM: false };
+
+      expect((await RollLog.getEntriesFor(player)).map((entry) => entry.id)).toEqual(['a']);
+      expect((await RollLog.getEntriesFor({ id: 'gm', isGM: true })).map((entry) => entry.id)).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('getSessions() and filter()', () => {
+    const entries = [
+      createEntry({ id: 'a', timestamp: 0 }),
+      createEntry({ id: 'b', timestamp: HOUR, actorId: 'goblin' }),
+      createEntry({ id: 'c', timestamp: 10 * HOUR })
+    ];
+
+    test('should start a new session after a long break', () => {
+      expect(RollLog.getSessions(entries)).toEqual([
+        { id: '0', start: 0, end: HOUR, count: 2 },
+        { id: String(10 * HOUR), start: 10 * HOUR, end: 10 * HOUR, count: 1 }
+      ]);
+    });
+
+    test('should filter by session and actor', () => {
+      expect(RollLog.filter(entries, { sessionId: '0' }).map((e) => e.id)).toEqual(['a', 'b']);
+      expect(RollLog.filter(entries, { actorId: 'kael' }).map((e) => e.id)).toEqual(['a', 'c']);
+      expect(RollLog.filter(entries, { sessionId: 'missing' })).toEqual([]);
+    });
+  });
+
+  describe('summarize()', () => {
+    const goblinHit = { actorId: 'goblin', name: 'Goblin', hits: ['acro'] };
+    const goblinMissed = { actorId: 'goblin', name: 'Goblin', hits: ['phys'] };
+    const entries = [
+      createEntry({ total: 18, crit: 'critHit', targets: [goblinHit] }),
+      createEntry({ total: 10, targets: [goblinMissed] }),
+      createEntry({ total: 10, crit: 'critMiss' }),
+      createEntry({ type: 'initiative', ability: null, total: 15 }),
+      createEntry({ actorId: 'goblin', type: 'damage', ability: null, total: 7, damage: 7, sourceActorId: 'kael' }),
+      createEntry({ type: 'heal', ability: null, total: 5, healing: 5 })
+    ];
+
+    test('should summarize checks, crits, hits against AC and damage for an actor', () => {
+      const summary = RollLog.summarize(entries, 'kael');
+
+      expect(summary).toMatchObject({
+        rolls: 3,
+        average: 12.7,
+        critHits: 1,
+        critMisses: 1,
+        acChecks: 2,
+        acHits: 1,
+        hitRate: 0.5,
+        damageDealt: 7,
+        damageTaken: 0,
+        healing: 5
+      });
+      expect(summary.distribution).toEqual([
+        { total: 10, count: 2, percent: 67 },
+        { total: 18, count: 1, percent: 33 }
+      ]);
+    });
+
+    test('should count damage taken and have no rates without rolls', () => {
+      const summary = RollLog.summarize(entries, 'goblin');
+
+      expect(summary.rolls).toBe(0);
+      expect(summary.average).toBeNull();
+      expect(summary.critRate).toBeNull();
+      expect(summary.damageTaken).toBe(7);
+      expect(summary.damageDealt).toBe(0);
+    });
+  });
+
+  describe('toCSV()', () => {
+    test('should write a header and one escaped row per roll', () => {
+      const csv = RollLog.toCSV([
+        createEntry({ item: 'Sword, "Old"', targets: [{ actorId: 'goblin', name: 'Goblin', hits: ['acro', 'phys'] }] })
+      ]);
+      const [header, row] = csv.split('\n');
+
+      expect(header.split(',')).toContain('damageSource');
+      expect(row).toContain('"Sword, ""Old"""');
+      expect(row).toContain('Goblin: acro phys');
+    });
+  });
+
+  describe('clear()', () => {
+    test('should empty the log for the GM only', async () => {
+      stored.set('a', createEntry({ id: 'a' }));
+      game.user.isGM = false;
+      expect(await RollLog.clear()).toBe(false);
+      expect(storedIds()).toEqual(['a']);
+
+      game.user.isGM = true;
+      expect(await RollLog.clear()).toBe(true);
+      expect(storedIds()).toEqual([]);
+      expect(await RollLog.getEntries()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// @ts-nocheck
+/**
+ * @fileoverview SceneHazards Service Tests
+ *
+ * Unit tests for the SceneHazards service which applies saved-damage action
+ * cards bound to scene regions or tokens at the end of each combat round.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+vi.mock('../../../module/services/damage-processor.mjs', () => ({
+  DamageProcessor: {
+    processSavedDamage: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/services/status-effect-applicator.mjs', () => ({
+  StatusEffectApplicator: {
+    applyEffectsToTarget: vi.fn()
+  }
+}));
+
+import { SceneHazards } from '../../../module/services/scene-hazards.mjs';
+import { DamageProcessor } from '../../../module/services/damage-processor.mjs';
+import { StatusEffectApplicator } from '../../../module/services/status-effect-applicator.mjs';
+
+describe('SceneHazards', () => {
+  let scene;
+  let storedHazards;
+  let actionCard;
+  let insideToken;
+  let listedToken;
+
+  const createToken = (id, name) => ({ id, name, actor: { id: `actor-${id}`, name } });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    storedHazards = undefined;
+    insideToken = createToken('token-1', 'Varrick');
+    listedToken = createToken('token-2', 'Seraphina');
+
+    scene = {
+      name: 'Burning Keep',
+      getFlag: vi.fn(() => storedHazards),
+      setFlag: vi.fn(async (_scope, _key, value) => {
+        storedHazards = value;
+      }),
+      regions: new Map([['region-1', { name: 'Flames', tokens: new Set([insideToken]) }]]),
+      tokens: new Map([[listedToken.id, listedToken]])
+    };
+
+    actionCard = {
+      uuid: 'Item.burning',
+      name: 'Burning Ground',
+      type: 'actionCard',
+      img: 'fire.webp',
+      actor: null,
+      system: {
+        mode: 'savedDamage',
+        description: 'The ground is on fire.',
+        savedDamage: { formula: '1d6', type: 'damage', powerFormula: '0', powerType: 'damage' },
+        embeddedStatusEffects: [{ name: 'Burning', type: 'status' }]
+      }
+    };
+    global.fromUuid = vi.fn(async () => actionCard);
+    global.ChatMessage = { create: vi.fn() };
+
+    DamageProcessor.processSavedDamage.mockImplementation(async (tokens) =>
+      tokens.map((token) => ({ target: token.actor, resolveRoll: { total: 4 }, powerRoll: null }))
+    );
+    StatusEffectApplicator.applyEffectsToTarget.mockImplementation(async ({ target, effectsToApply }) =>
+      effectsToApply.map((effect) => ({ target, effect, applied: true }))
+    );
+
+    global.game = {
+      scenes: { viewed: scene },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn() } };
+  });
+
+  describe('addHazard()', () => {
+    test('should store a region hazard on the scene', async () => {
+      const hazard = await SceneHazards.addHazard(scene, { actionCard, regionId: 'region-1' });
+
+      expect(hazard).toMatchObject({
+        name: 'Burning Ground',
+        actionCardUuid: 'Item.burning',
+        regionId: 'region-1',
+        tokenIds: []
+      });
+      expect(storedHazards).toEqual([hazard]);
+    });
+
+    test('should refuse action cards that are not in saved damage mode', async () => {
+      actionCard.system.mode = 'attackChain';
+
+      const hazard = await SceneHazards.addHazard(scene, { actionCard, regionId: 'region-1' });
+
+      expect(hazard).toBeNull();
+      expect(scene.setFlag).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalled();
+    });
+
+    test('should refuse a hazard with no region or tokens', async () => {
+      expect(await SceneHazards.addHazard(scene, { actionCard })).toBeNull();
+    });
+  });
+
+  describe('getAffectedTokens()', () => {
+    test('should return the tokens inside the hazard region', () => {
+      const tokens = SceneHazards.getAffectedTokens(scene, { regionId: 'region-1', tokenIds: [] });
+
+      expect(tokens).toEqual([insideToken]);
+    });
+
+    test('should skip listed tokens that have left the scene', () => {
+      const tokens = SceneHazards.getAffectedTokens(scene, {
+        regionId: null,
+        tokenIds: ['token-2', 'token-gone']
+      });
+
+      expect(tokens).toEqual([listedToken]);
+    });
+  });
+
+  describe('resolveHazards()', () => {
+    test('should apply damage and statuses and post one summary card', async () => {
+      storedHazards = [
+        { id: 'h1', name: 'Flames', actionCardUuid: 'Item.burning', regionId: 'region-1', tokenIds: [] },
+        { id: 'h2', name: 'Embers', actionCardUuid: 'Item.burning', regionId: null, tokenIds: ['token-2'] }
+      ];
+
+      const results = await SceneHazards.resolveHazards(scene, { round: 2 });
+
+      expect(DamageProcessor.processSavedDamage).toHaveBeenCalledWith(
+        [insideToken],
+        expect.objectContaining({ formula: '1d6', type: 'damage', label: 'Flames' })
+      );
+      expect(StatusEffectApplicator.applyEffectsToTarget).toHaveBeenCalledWith(
+        expect.objectContaining({ target: listedToken.actor, sourceActionCard: actionCard })
+      );
+      expect(results[0].tokens).toEqual([
+        { name: 'Varrick', resolve: 4, power: null, statuses: ['Burning'] }
+      ]);
+      expect(ChatMessage.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not post a summary when no tokens are affected', async () => {
+      scene.regions.get('region-1').tokens = new Set();
+      storedHazards = [
+        { id: 'h1', name: 'Flames', actionCardUuid: 'Item.burning', regionId: 'region-1', tokenIds: [] }
+      ];
+
+      const results = await SceneHazards.resolveHazards(scene);
+
+      expect(results).toEqual([]);
+      expect(DamageProcessor.processSavedDamage).not.toHaveBeenCalled();
+      expect(ChatMessage.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processCombatUpdate()', () => {
+    test('should resolve hazards for the round that just ended', async () => {
+      const spy = vi.spyOn(SceneHazards, 'resolveHazards').mockResolvedValue([]);
+      const combat = { started: true, scene, previous: { round: 3 } };
+
+      await SceneHazards.processCombatUpdate(combat, { round: 4 }, { direction: 1 });
+
+      expect(spy).toHaveBeenCalledWith(scene, { round: 3 });
+      spy.mockRestore();
+    });
+
+    test('should ignore turn changes and rewinds', async () => {
+      const spy = vi.spyOn(SceneHazards, 'resolveHazards').mockResolvedValue([]);
+      const combat = { started: true, scene, previous: { round: 3 } };
+
+      await SceneHazards.processCombatUpdate(combat, { turn: 1 }, {});
+      await SceneHazards.processCombatUpdate(combat, { round: 2 }, { direction: -1 });
+
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
+});
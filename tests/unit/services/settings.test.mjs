@@ -425,6 +425,115 @@ describe('registerSettings()', () => {
     );
   });
 
+  test('should register enableActionEconomy setting', () => {
+    // Act
+    registerSettings();
+
+    // Assert
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'enableActionEconomy',
+      expect.objectContaining({
+        name: 'SETTINGS.EnableActionEconomyName',
+        scope: 'world',
+        type: Boolean,
+        default: true,
+      })
+    );
+  });
+
+  test('should register automateCriticalActions setting', () => {
+    // Act
+    registerSettings();
+
+    // Assert
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'automateCriticalActions',
+      expect.objectContaining({
+        name: 'SETTINGS.AutomateCriticalActionsName',
+        scope: 'world',
+        type: Boolean,
+        default: false,
+      })
+    );
+  });
+
+  test('should register actionRecoveryMode setting', () => {
+    // Act
+    registerSettings();
+
+    // Assert
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'actionRecoveryMode',
+      expect.objectContaining({
+        name: 'SETTINGS.ActionRecoveryModeName',
+        scope: 'world',
+        type: String,
+        default: 'prompt',
+        choices: expect.objectContaining({ off: expect.any(String), automatic: expect.any(String) }),
+      })
+    );
+  });
+
+  test('should register recovery formula settings with validation', () => {
+    // Act
+    registerSettings();
+
+    // Assert
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'recoveryResolveFormula',
+      expect.objectContaining({ type: String, default: '20', onChange: expect.any(Function) })
+    );
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'recoveryPowerFormula',
+      expect.objectContaining({ type: String, default: '1', onChange: expect.any(Function) })
+    );
+  });
+
+  test('should register downed state settings', () => {
+    // Act
+    registerSettings();
+
+    // Assert
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'downedStatusUuid',
+      expect.objectContaining({ scope: 'world', type: String, default: '' })
+    );
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'skipDownedTurns',
+      expect.objectContaining({ scope: 'world', type: Boolean, default: false })
+    );
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'helpUpThreatRange',
+      expect.objectContaining({ scope: 'world', type: Number, default: 6 })
+    );
+  });
+
+  test('should register playerActionMode setting defaulting to approval', () => {
+    // Act
+    registerSettings();
+
+    // Assert
+    expect(global.game.settings.register).toHaveBeenCalledWith(
+      'eventide-rp-system',
+      'playerActionMode',
+      expect.objectContaining({
+        name: 'SETTINGS.PlayerActionModeName',
+        scope: 'world',
+        type: String,
+        default: 'approval',
+        choices: expect.objectContaining({ approval: expect.any(String), trusted: expect.any(String) }),
+      })
+    );
+  });
+
   test('should register showGearEquipMessages setting', () => {
     // Act
     registerSettings();
@@ -0,0 +1,140 @@
+// @ts-nocheck
+/**
+ * @fileoverview StatusCleanse Service Tests
+ *
+ * Unit tests for the StatusCleanse service which rolls a status off an actor
+ * against the AC of the actor that created it.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/services/action-economy.mjs', () => ({
+  ActionEconomy: {
+    spendAction: vi.fn(),
+    getUnavailableMessage: vi.fn(() => 'unavailable')
+  }
+}));
+
+vi.mock('../../../module/services/managers/roll-dice.mjs', () => ({
+  erpsRollHandler: {
+    handleRoll: vi.fn()
+  }
+}));
+
+import { StatusCleanse } from '../../../module/services/status-cleanse.mjs';
+import { ActionEconomy } from '../../../module/services/action-economy.mjs';
+import { erpsRollHandler } from '../../../module/services/managers/roll-dice.mjs';
+
+describe('StatusCleanse', () => {
+  let actor;
+  let creatorActor;
+
+  const createStatus = (creator) => ({
+    id: 'status-1',
+    name: 'Poisoned',
+    getFlag: vi.fn(() => creator)
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    actor = {
+      name: 'Varrick',
+      getRollFormula: vi.fn(async () => '1d20+4'),
+      _removeStatusEffects: vi.fn(async () => [])
+    };
+
+    creatorActor = {
+      system: { abilities: { acro: { ac: { total: 16 } }, will: { ac: { total: 13 } } } }
+    };
+    global.fromUuidSync = vi.fn(() => creatorActor);
+
+    ActionEconomy.spendAction.mockResolvedValue({ tracked: false, spent: false });
+
+    global.game = {
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { warn: vi.fn(), info: vi.fn() } };
+  });
+
+  describe('getTargetAC()', () => {
+    test('should prefer the AC stored when the status was applied', () => {
+      const status = createStatus({ actorUuid: 'Actor.archer', ability: 'acro', ac: 18 });
+
+      expect(StatusCleanse.getTargetAC(status, 'phys')).toBe(18);
+    });
+
+    test('should fall back to the creator\'s current AC in the rolled ability', () => {
+      const status = createStatus({ actorUuid: 'Actor.archer', ability: null, ac: null });
+
+      expect(StatusCleanse.getTargetAC(status, 'will')).toBe(13);
+    });
+
+    test('should return null when no creator is recorded', () => {
+      expect(StatusCleanse.getTargetAC(createStatus(null), 'will')).toBeNull();
+    });
+  });
+
+  describe('cleanse()', () => {
+    test('should remove the status when the roll meets the AC', async () => {
+      const status = createStatus({ name: 'Archer', ability: 'acro', ac: 16 });
+      erpsRollHandler.handleRoll.mockResolvedValue({ total: 16 });
+
+      const result = await StatusCleanse.cleanse(actor, status, 'phys');
+
+      expect(result).toEqual({ success: true, total: 16, ac: 16 });
+      expect(ActionEconomy.spendAction).toHaveBeenCalledWith(actor, 'cleanse');
+      expect(erpsRollHandler.handleRoll).toHaveBeenCalledWith(
+        expect.objectContaining({ formula: '1d20+4', type: 'phys', acCheck: false }),
+        actor
+      );
+      expect(actor._removeStatusEffects).toHaveBeenCalledWith(
+        ['status-1'],
+        expect.objectContaining({ statusRemovalDescription: expect.any(String) })
+      );
+    });
+
+    test('should keep the status when the roll falls short', async () => {
+      const status = createStatus({ name: 'Archer', ability: 'acro', ac: 16 });
+      erpsRollHandler.handleRoll.mockResolvedValue({ total: 15 });
+
+      const result = await StatusCleanse.cleanse(actor, status, 'phys');
+
+      expect(result.success).toBe(false);
+      expect(actor._removeStatusEffects).not.toHaveBeenCalled();
+      expect(ui.notifications.info).toHaveBeenCalled();
+    });
+
+    test('should not roll without a Cleanse action remaining', async () => {
+      const status = createStatus({ name: 'Archer', ability: 'acro', ac: 16 });
+      ActionEconomy.spendAction.mockResolvedValue({ tracked: true, spent: false });
+
+      const result = await StatusCleanse.cleanse(actor, status, 'phys');
+
+      expect(result).toBeNull();
+      expect(erpsRollHandler.handleRoll).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalled();
+    });
+
+    test('should not spend an action when the creator is unknown', async () => {
+      const result = await StatusCleanse.cleanse(actor, createStatus(null), 'phys');
+
+      expect(result).toBeNull();
+      expect(ActionEconomy.spendAction).not.toHaveBeenCalled();
+      expect(erpsRollHandler.handleRoll).not.toHaveBeenCalled();
+    });
+  });
+});
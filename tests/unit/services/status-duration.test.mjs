@@ -0,0 +1,173 @@
+// @ts-nocheck
+/**
+ * @fileoverview StatusDuration Service Tests
+ *
+ * Unit tests for the StatusDuration service which counts down round- and
+ * turn-based status durations during combat and removes expired statuses.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+import { StatusDuration } from '../../../module/services/status-duration.mjs';
+
+/**
+ * Build a minimal status item with a duration
+ * @param {string} id - Item ID
+ * @param {string} unit - Duration unit
+ * @param {number} value - Full duration length
+ * @param {number|null} remaining - Remaining duration
+ * @returns {Object} Mock status item
+ */
+const createStatus = (id, unit, value, remaining) => ({
+  id,
+  name: `Status ${id}`,
+  type: 'status',
+  system: {
+    hasDuration: unit !== 'none',
+    duration: { unit, value, remaining }
+  }
+});
+
+describe('StatusDuration', () => {
+  let mockActor;
+  let otherActor;
+  let mockCombat;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockActor = {
+      name: 'Test Actor',
+      items: [
+        createStatus('round-status', 'rounds', 3, 2),
+        createStatus('turn-status', 'turns', 2, 1),
+        createStatus('untimed-status', 'none', 1, null)
+      ],
+      updateEmbeddedDocuments: vi.fn(),
+      _removeStatusEffects: vi.fn(async () => [])
+    };
+
+    otherActor = {
+      name: 'Other Actor',
+      items: [createStatus('other-round', 'rounds', 2, null)],
+      updateEmbeddedDocuments: vi.fn(),
+      _removeStatusEffects: vi.fn(async () => [])
+    };
+
+    const combatants = [
+      { id: 'combatant-1', actor: mockActor },
+      { id: 'combatant-2', actor: otherActor }
+    ];
+    combatants.get = (id) => combatants.find((c) => c.id === id);
+
+    mockCombat = {
+      id: 'combat-1',
+      started: true,
+      round: 2,
+      turn: 1,
+      previous: { round: 2, turn: 0, combatantId: 'combatant-1' },
+      combatants
+    };
+
+    global.game = {
+      i18n: { localize: vi.fn((key) => key) }
+    };
+  });
+
+  describe('tickActor()', () => {
+    test('should decrement remaining duration for the matching unit', async () => {
+      await StatusDuration.tickActor(mockActor, 'rounds');
+
+      expect(mockActor.updateEmbeddedDocuments).toHaveBeenCalledWith('Item', [
+        { _id: 'round-status', 'system.duration.remaining': 1 }
+      ]);
+      expect(mockActor._removeStatusEffects).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the full length when remaining is unset', async () => {
+      await StatusDuration.tickActor(otherActor, 'rounds');
+
+      expect(otherActor.updateEmbeddedDocuments).toHaveBeenCalledWith('Item', [
+        { _id: 'other-round', 'system.duration.remaining': 1 }
+      ]);
+    });
+
+    test('should remove statuses that run out', async () => {
+      const expired = await StatusDuration.tickActor(mockActor, 'turns');
+
+      expect(expired.map((status) => status.id)).toEqual(['turn-status']);
+      expect(mockActor.updateEmbeddedDocuments).not.toHaveBeenCalled();
+      expect(mockActor._removeStatusEffects).toHaveBeenCalledWith(
+        ['turn-status'],
+        { statusRemovalDescription: 'EVENTIDE_RP_SYSTEM.Item.Duration.Expired' }
+      );
+    });
+  });
+
+  describe('processCombatUpdate()', () => {
+    test('should tick turn durations only for the combatant whose turn ended', async () => {
+      const spy = vi.spyOn(StatusDuration, 'tickActor');
+
+      await StatusDuration.processCombatUpdate(mockCombat, { turn: 1 });
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy).toHaveBeenCalledWith(mockActor, 'turns');
+      spy.mockRestore();
+    });
+
+    test('should tick round durations for every combatant on a new round', async () => {
+      const spy = vi.spyOn(StatusDuration, 'tickActor');
+      mockCombat.round = 3;
+      mockCombat.turn = 0;
+      mockCombat.previous = { round: 2, turn: 1, combatantId: 'combatant-2' };
+
+      await StatusDuration.processCombatUpdate(mockCombat, {
+        round: 3,
+        turn: 0
+      });
+
+      expect(spy).toHaveBeenCalledWith(otherActor, 'turns');
+      expect(spy).toHaveBeenCalledWith(mockActor, 'rounds');
+      expect(spy).toHaveBeenCalledWith(otherActor, 'rounds');
+      spy.mockRestore();
+    });
+
+    test('should not tick when moving backwards', async () => {
+      const spy = vi.spyOn(StatusDuration, 'tickActor');
+
+      await StatusDuration.processCombatUpdate(
+        mockCombat,
+        { turn: 0 },
+        { direction: -1 }
+      );
+
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+
+    test('should ignore updates that do not change the turn or round', async () => {
+      const spy = vi.spyOn(StatusDuration, 'tickActor');
+
+      await StatusDuration.processCombatUpdate(mockCombat, { active: true });
+
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
+});
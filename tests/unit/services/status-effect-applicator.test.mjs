@@ -941,5 +941,60 @@ describe('StatusEffectApplicator', () => {
       expect(effectWithoutFlags.flags).toBeDefined();
       expect(effectWithoutFlags.flags['eventide-rp-system'].isEffect).toBe(true);
     });
+
+    test('should record the creator of a status with the action card ability AC', async () => {
+      const sourceActor = {
+        uuid: 'Actor.archer',
+        name: 'Elven Archer',
+        system: { abilities: { acro: { ac: { total: 16 } } } }
+      };
+      const sourceActionCard = {
+        id: 'card-1',
+        name: 'Poisoned Arrow',
+        getEmbeddedItem: () => ({ system: { roll: { ability: 'acro' } } })
+      };
+
+      await StatusEffectApplicator.applySingleEffect({
+        effectData,
+        target: targetActor,
+        effectKey: 'target-actor-Paralyzed',
+        sourceActor,
+        sourceActionCard,
+        repetitionContext,
+        disableDelays: true,
+        isFinalRepetition: true,
+        waitForDelay
+      });
+
+      expect(effectData.flags['eventide-rp-system'].creator).toEqual({
+        actorUuid: 'Actor.archer',
+        name: 'Elven Archer',
+        actionCardId: 'card-1',
+        actionCardName: 'Poisoned Arrow',
+        ability: 'acro',
+        ac: 16
+      });
+    });
+  });
+
+  describe('getCreatorData', () => {
+    test('should leave the ability and AC empty for unaugmented rolls', () => {
+      const sourceActor = {
+        uuid: 'Actor.mage',
+        name: 'Mage',
+        system: { abilities: { will: { ac: { total: 15 } } } }
+      };
+      const sourceActionCard = {
+        id: 'card-2',
+        name: 'Hex',
+        getEmbeddedItem: () => ({ system: { roll: { ability: 'unaugmented' } } })
+      };
+
+      const creator = StatusEffectApplicator.getCreatorData(sourceActor, sourceActionCard);
+
+      expect(creator.ability).toBeNull();
+      expect(creator.ac).toBeNull();
+      expect(creator.actionCardName).toBe('Hex');
+    });
   });
 });
\ No newline at end of file
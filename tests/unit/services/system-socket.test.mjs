@@ -0,0 +1,232 @@
+// @ts-nocheck
+/**
+ * @fileoverview SystemSocket Service Tests
+ *
+ * Unit tests for the SystemSocket service which lets players ask the active
+ * GM's client to execute action cards for them.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/services/managers/gm-control.mjs', () => ({
+  gmControlManager: {
+    executePlayerAction: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/services/roll-log.mjs', () => ({
+  RollLog: {
+    getEntriesFor: vi.fn(async () => [])
+  }
+}));
+
+import { SystemSocket } from '../../../module/services/system-socket.mjs';
+import { gmControlManager } from '../../../module/services/managers/gm-control.mjs';
+import { RollLog } from '../../../module/services/roll-log.mjs';
+
+describe('SystemSocket', () => {
+  let settings;
+  let listeners;
+  let player;
+  let actor;
+
+  const payload = { actorId: 'actor-1', actionCardId: 'card-1', targetIds: ['target-1'], rollResult: { total: 14 } };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    SystemSocket._pending.clear();
+
+    settings = { playerActionMode: 'trusted' };
+    listeners = [];
+    player = { id: 'player-1', name: 'Ana' };
+    actor = { testUserPermission: vi.fn(() => true) };
+
+    gmControlManager.executePlayerAction.mockResolvedValue({
+      success: true,
+      actionCardName: 'Fire Bolt',
+      damageResults: [{}]
+    });
+
+    global.foundry = { utils: { randomID: vi.fn(() => 'request-1') } };
+    global.game = {
+      user: player,
+      users: {
+        activeGM: { isSelf: false },
+        get: vi.fn((id) => (id === player.id ? player : undefined))
+      },
+      actors: { get: vi.fn((id) => (id === 'actor-1' ? actor : undefined)) },
+      settings: { get: vi.fn((_scope, key) => settings[key]) },
+      socket: {
+        on: vi.fn((_channel, fn) => listeners.push(fn)),
+        emit: vi.fn()
+      },
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('canAutoApply()', () => {
+    test('should auto-apply in trusted mode while a GM is online', () => {
+      expect(SystemSocket.canAutoApply()).toBe(true);
+    });
+
+    test('should keep approval requests in strict mode', () => {
+      settings.playerActionMode = 'approval';
+
+      expect(SystemSocket.canAutoApply()).toBe(false);
+    });
+
+    test('should fall back to approval requests without a GM', () => {
+      game.users.activeGM = null;
+
+      expect(SystemSocket.canAutoApply()).toBe(false);
+    });
+  });
+
+  describe('requestGM()', () => {
+    test('should emit the request and resolve with the GM response', async () => {
+      SystemSocket.initialize();
+      const request = SystemSocket.requestGM('executeActionCard', payload);
+
+      expect(game.socket.emit).toHaveBeenCalledWith('system.eventide-rp-system', {
+        action: 'request',
+        type: 'executeActionCard',
+        requestId: 'request-1',
+        userId: 'player-1',
+        payload
+      });
+
+      await listeners[0]({ action: 'response', requestId: 'request-1', userId: 'player-1', result: { success: true } });
+      await expect(request).resolves.toEqual({ success: true });
+    });
+
+    test('should reject with the error the GM client reports', async () => {
+      SystemSocket.initialize();
+      const request = SystemSocket.requestGM('executeActionCard', payload);
+
+      await listeners[0]({ action: 'response', requestId: 'request-1', userId: 'player-1', error: 'Nope' });
+      await expect(request).rejects.toThrow('Nope');
+    });
+
+    test('should ignore responses meant for other users', async () => {
+      SystemSocket.initialize();
+      const request = SystemSocket.requestGM('executeActionCard', payload);
+
+      await listeners[0]({ action: 'response', requestId: 'request-1', userId: 'player-2', result: {} });
+      expect(SystemSocket._pending.has('request-1')).toBe(true);
+
+      vi.advanceTimersByTime(SystemSocket.REQUEST_TIMEOUT_MS);
+      await expect(request).rejects.toThrow('EVENTIDE_RP_SYSTEM.Socket.Errors.Timeout');
+    });
+
+    test('should handle the request locally on the active GM client', async () => {
+      game.users.activeGM = { isSelf: true };
+
+      const result = await SystemSocket.requestGM('executeActionCard', payload);
+
+      expect(result).toEqual({ success: true, reason: undefined });
+      expect(game.socket.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('request handling on the GM client', () => {
+    beforeEach(() => {
+      game.user = { id: 'gm', name: 'GM' };
+      game.users.activeGM = { isSelf: true };
+      SystemSocket.initialize();
+    });
+
+    test('should execute the action card for its owner and answer them', async () => {
+      await listeners[0]({ action: 'request', type: 'executeActionCard', requestId: 'request-1', userId: 'player-1', payload }, 'player-1');
+
+      expect(actor.testUserPermission).toHaveBeenCalledWith(player, 'OWNER');
+      expect(gmControlManager.executePlayerAction).toHaveBeenCalledWith(
+        { ...payload, playerId: 'player-1', playerName: 'Ana' },
+        { allowCardData: false }
+      );
+      expect(game.socket.emit).toHaveBeenCalledWith('system.eventide-rp-system', {
+        action: 'response',
+        requestId: 'request-1',
+        userId: 'player-1',
+        result: { success: true, reason: undefined }
+      });
+    });
+
+    test('should refuse players who do not own the acting actor', async () => {
+      actor.testUserPermission.mockReturnValue(false);
+
+      await listeners[0]({ action: 'request', type: 'executeActionCard', requestId: 'request-1', userId: 'player-1', payload }, 'player-1');
+
+      expect(gmControlManager.executePlayerAction).not.toHaveBeenCalled();
+      expect(game.socket.emit).toHaveBeenCalledWith(
+        'system.eventide-rp-system',
+        expect.objectContaining({ error: 'EVENTIDE_RP_SYSTEM.Socket.Errors.NotOwner' })
+      );
+    });
+
+    test('should refuse requests claiming to come from another user', async () => {
+      const victim = { id: 'player-2', name: 'Bo' };
+      game.users.get.mockImplementation((id) => ({ 'player-1': player, 'player-2': victim })[id]);
+
+      await listeners[0]({ action: 'request', type: 'executeActionCard', requestId: 'request-1', userId: 'player-2', payload }, 'player-1');
+
+      expect(actor.testUserPermission).not.toHaveBeenCalled();
+      expect(gmControlManager.executePlayerAction).not.toHaveBeenCalled();
+      expect(game.socket.emit).toHaveBeenCalledWith('system.eventide-rp-system', {
+        action: 'response',
+        requestId: 'request-1',
+        userId: 'player-1',
+        error: 'EVENTIDE_RP_SYSTEM.Socket.Errors.InvalidRequest'
+      });
+    });
+
+    test('should answer roll log requests with the rolls the sender may see', async () => {
+      RollLog.getEntriesFor.mockResolvedValue([{ id: 'roll-1' }]);
+
+      await listeners[0]({ action: 'request', type: 'getRollLog', requestId: 'request-1', userId: 'player-1', payload: {} }, 'player-1');
+
+      expect(RollLog.getEntriesFor).toHaveBeenCalledWith(player);
+      expect(game.socket.emit).toHaveBeenCalledWith('system.eventide-rp-system', {
+        action: 'response',
+        requestId: 'request-1',
+        userId: 'player-1',
+        result: [{ id: 'roll-1' }]
+      });
+    });
+
+    test('should reject unknown request types', async () => {
+      await listeners[0]({ action: 'request', type: 'deleteWorld', requestId: 'request-1', userId: 'player-1', payload }, 'player-1');
+
+      expect(game.socket.emit).toHaveBeenCalledWith(
+        'system.eventide-rp-system',
+        expect.objectContaining({ error: 'EVENTIDE_RP_SYSTEM.Socket.Errors.InvalidRequest' })
+      );
+    });
+
+    test('should leave requests to the active GM', async () => {
+      game.users.activeGM = { isSelf: false };
+
+      await listeners[0]({ action: 'request', type: 'executeActionCard', requestId: 'request-1', userId: 'player-1', payload }, 'player-1');
+
+      expect(gmControlManager.executePlayerAction).not.toHaveBeenCalled();
+      expect(game.socket.emit).not.toHaveBeenCalled();
+    });
+  });
+});
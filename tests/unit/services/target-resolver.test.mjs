@@ -338,6 +338,135 @@ describe('TargetResolver', () => {
     });
   });
 
+  describe('getTargetUuid()', () => {
+    test('should use the token document UUID for a canvas token', () => {
+      const token = { document: { uuid: 'Scene.s1.Token.t1' }, actor: { uuid: 'Actor.a1' } };
+
+      expect(TargetResolver.getTargetUuid(token)).toBe('Scene.s1.Token.t1');
+    });
+
+    test('should use the token UUID for an unlinked token actor', () => {
+      const actor = { uuid: 'Scene.s1.Token.t1.Actor.a1', token: { uuid: 'Scene.s1.Token.t1' } };
+
+      expect(TargetResolver.getTargetUuid(actor)).toBe('Scene.s1.Token.t1');
+    });
+
+    test('should fall back to the actor UUID for actors without a token', () => {
+      expect(TargetResolver.getTargetUuid({ uuid: 'Actor.a1', token: null })).toBe('Actor.a1');
+    });
+  });
+
+  describe('resolveActor()', () => {
+    test('should resolve a token UUID to its synthetic actor', async () => {
+      const syntheticActor = { id: 'a1', name: 'Goblin (copy)' };
+      global.fromUuid = vi.fn().mockResolvedValue({ documentName: 'Token', actor: syntheticActor });
+
+      const result = await TargetResolver.resolveActor('Scene.s1.Token.t1');
+
+      expect(global.fromUuid).toHaveBeenCalledWith('Scene.s1.Token.t1');
+      expect(result).toBe(syntheticActor);
+    });
+
+    test('should resolve legacy actor IDs through the world actors', async () => {
+      const actor = { id: 'a1' };
+      global.game = { actors: { get: vi.fn((id) => (id === 'a1' ? actor : undefined)) } };
+
+      expect(await TargetResolver.resolveActor('a1')).toBe(actor);
+      expect(await TargetResolver.resolveActor('missing')).toBeNull();
+    });
+
+    test('should return null for deleted tokens', async () => {
+      global.fromUuid = vi.fn().mockResolvedValue(null);
+
+      expect(await TargetResolver.resolveActor('Scene.s1.Token.gone')).toBeNull();
+    });
+
+    test('should resolve actor UUIDs to the actor', async () => {
+      const actor = { documentName: 'Actor', id: 'a1' };
+      global.fromUuid = vi.fn().mockResolvedValue(actor);
+
+      expect(await TargetResolver.resolveActor('Actor.a1')).toBe(actor);
+    });
+
+    test('should return null for tokens without an actor', async () => {
+      global.fromUuid = vi.fn().mockResolvedValue({ documentName: 'Token', actor: null });
+
+      expect(await TargetResolver.resolveActor('Scene.s1.Token.t1')).toBeNull();
+    });
+
+    test('should return null for UUIDs of other document types', async () => {
+      global.fromUuid = vi.fn().mockResolvedValue({ documentName: 'Item', id: 'i1' });
+
+      expect(await TargetResolver.resolveActor('Actor.a1.Item.i1')).toBeNull();
+    });
+  });
+
+  describe('targetExists()', () => {
+    test('should check token UUIDs without loading documents', () => {
+      global.fromUuidSync = vi.fn((uuid) =>
+        uuid === 'Scene.s1.Token.t1' ? { documentName: 'Token', actor: {} } : null
+      );
+
+      expect(TargetResolver.targetExists('Scene.s1.Token.t1')).toBe(true);
+      expect(TargetResolver.targetExists('Scene.s1.Token.gone')).toBe(false);
+    });
+
+    test('should not count tokens without an actor or other document types', () => {
+      global.fromUuidSync = vi.fn((uuid) =>
+        uuid === 'Scene.s1.Token.t1' ? { documentName: 'Token', actor: null } : { documentName: 'Item' }
+      );
+
+      expect(TargetResolver.targetExists('Scene.s1.Token.t1')).toBe(false);
+      expect(TargetResolver.targetExists('Actor.a1.Item.i1')).toBe(false);
+    });
+
+    test('should check legacy actor IDs against the world actors', () => {
+      global.game = { actors: { get: vi.fn((id) => (id === 'a1' ? {} : undefined)) } };
+
+      expect(TargetResolver.targetExists('a1')).toBe(true);
+      expect(TargetResolver.targetExists('a2')).toBe(false);
+      expect(TargetResolver.targetExists(null)).toBe(false);
+    });
+  });
+
+  describe('getCanvasToken()', () => {
+    test('should return the placeable of a token UUID', () => {
+      const placeable = { id: 't1' };
+      global.fromUuidSync = vi.fn().mockReturnValue({ documentName: 'Token', actor: {}, object: placeable });
+
+      expect(TargetResolver.getCanvasToken('Scene.s1.Token.t1')).toBe(placeable);
+    });
+
+    test('should return the first active token of an actor UUID', () => {
+      const placeable = { id: 't1' };
+      global.fromUuidSync = vi.fn().mockReturnValue({
+        documentName: 'Actor',
+        getActiveTokens: () => [placeable],
+      });
+
+      expect(TargetResolver.getCanvasToken('Actor.a1')).toBe(placeable);
+    });
+
+    test('should return null for tokens without an actor or other document types', () => {
+      global.fromUuidSync = vi.fn((uuid) =>
+        uuid === 'Scene.s1.Token.t1'
+          ? { documentName: 'Token', actor: null, object: { id: 't1' } }
+          : { documentName: 'Item' }
+      );
+
+      expect(TargetResolver.getCanvasToken('Scene.s1.Token.t1')).toBeNull();
+      expect(TargetResolver.getCanvasToken('Actor.a1.Item.i1')).toBeNull();
+    });
+
+    test('should find the first token of a legacy actor ID', () => {
+      const placeable = { id: 't1', actor: { id: 'a1' } };
+      global.canvas = { tokens: { placeables: [{ id: 't0', actor: { id: 'a0' } }, placeable] } };
+
+      expect(TargetResolver.getCanvasToken('a1')).toBe(placeable);
+      expect(TargetResolver.getCanvasToken('a2')).toBeNull();
+    });
+  });
+
   describe('lockTargets()', () => {
     test('should return empty array when tokens is null', () => {
       // Arrange
@@ -396,7 +525,8 @@ describe('TargetResolver', () => {
         tokenName: 'Token 1',
         img: 'token1.jpg',
         isLinked: true,
-        uuid: 'Actor.uuid1'
+        uuid: 'Actor.uuid1',
+        tokenUuid: null
       });
       expect(result[1].isLinked).toBe(false);
     });
@@ -579,6 +709,22 @@ describe('TargetResolver', () => {
   });
 
   describe('validateLockedTarget()', () => {
+    test('should find unlinked targets via their token UUID', () => {
+      const syntheticActor = { id: 'actor1', name: 'Goblin' };
+      const token = { id: 'token1', actor: syntheticActor };
+      global.fromUuidSync = vi.fn().mockReturnValue(token);
+
+      const result = TargetResolver.validateLockedTarget({
+        actorId: 'actor1',
+        tokenId: 'token1',
+        sceneId: 'scene1',
+        tokenUuid: 'Scene.scene1.Token.token1'
+      });
+
+      expect(global.fromUuidSync).toHaveBeenCalledWith('Scene.scene1.Token.token1');
+      expect(result).toEqual({ found: true, token, actor: syntheticActor, reason: null });
+    });
+
     test('should return not found when lockedTarget is null', () => {
       // Arrange
       const lockedTarget = null;
@@ -762,4 +908,157 @@ describe('TargetResolver', () => {
       expect(result.reason).toBe('actorOnly');
     });
   });
+
+  describe('area targeting', () => {
+    const caster = {
+      name: 'Caster',
+      visible: true,
+      center: { x: 0, y: 0 },
+      document: { disposition: 1 }
+    };
+    const config = {
+      enabled: true,
+      shape: 'circle',
+      size: 3,
+      width: 1,
+      includeSelf: false,
+      includeAllies: true,
+      includeEnemies: true
+    };
+    const createToken = (name, x, y, disposition, extra = {}) => ({
+      name,
+      actor: { name },
+      visible: true,
+      center: { x, y },
+      document: { disposition },
+      ...extra
+    });
+
+    beforeEach(() => {
+      caster.actor = { name: 'Caster' };
+
+      // Ray casting stand-in for PIXI.Polygon
+      global.PIXI = {
+        Polygon: class {
+          constructor(points) {
+            this.points = points;
+          }
+
+          contains(x, y) {
+            let inside = false;
+            const p = this.points;
+            for (let i = 0, j = p.length - 2; i < p.length; j = i, i += 2) {
+              if ((p[i + 1] > y) !== (p[j + 1] > y) && x < ((p[j] - p[i]) * (y - p[i + 1])) / (p[j + 1] - p[i + 1]) + p[i]) {
+                inside = !inside;
+              }
+            }
+            return inside;
+          }
+        }
+      };
+      global.ui = { notifications: { warn: vi.fn() } };
+      global.game = { i18n: { localize: vi.fn((key) => key), format: vi.fn((key) => key) } };
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    describe('getAreaPoints()', () => {
+      test('should centre circles and rectangles on the placed point', () => {
+        const circle = TargetResolver.getAreaPoints('circle', { origin: { x: 0, y: 0 }, point: { x: 100, y: 100 }, size: 50, width: 10 });
+        expect(circle).toHaveLength(TargetResolver.AREA_SEGMENTS * 2);
+        expect(circle[0]).toBeCloseTo(150);
+        expect(circle[1]).toBeCloseTo(100);
+
+        const rectangle = TargetResolver.getAreaPoints('rectangle', { origin: { x: 0, y: 0 }, point: { x: 100, y: 100 }, size: 40, width: 20 });
+        expect(rectangle).toEqual([80, 90, 120, 90, 120, 110, 80, 110]);
+      });
+
+      test('should start cones and lines at the origin and point them towards the placed point', () => {
+        const line = TargetResolver.getAreaPoints('line', { origin: { x: 0, y: 0 }, point: { x: 10, y: 0 }, size: 100, width: 20 });
+        expect(line.map((value) => Math.round(value) + 0)).toEqual([0, 10, 100, 10, 100, -10, 0, -10]);
+
+        const cone = TargetResolver.getAreaPoints('cone', { origin: { x: 0, y: 0 }, point: { x: 0, y: 10 }, size: 100, width: 1 });
+        expect(cone.slice(0, 2)).toEqual([0, 0]);
+        const middle = 2 + TargetResolver.AREA_SEGMENTS;
+        expect(cone[middle]).toBeCloseTo(0);
+        expect(cone[middle + 1]).toBeCloseTo(100);
+      });
+    });
+
+    describe('getTokensInArea()', () => {
+      test('should catch the tokens inside the area that pass the filters', () => {
+        const ally = createToken('Ally', 20, 0, 1);
+        const enemy = createToken('Enemy', 0, 20, -1);
+        const outside = createToken('Far', 500, 0, -1);
+        const hidden = createToken('Hidden', 10, 10, -1, { visible: false });
+        global.canvas = { tokens: { placeables: [caster, ally, enemy, outside, hidden] } };
+        const points = TargetResolver.getAreaPoints('circle', { origin: caster.center, point: caster.center, size: 50, width: 0 });
+
+        expect(TargetResolver.getTokensInArea(points, caster, config).map((t) => t.name)).toEqual(['Ally', 'Enemy']);
+        expect(TargetResolver.getTokensInArea(points, caster, { ...config, includeSelf: true, includeAllies: false }).map((t) => t.name)).toEqual(['Caster', 'Enemy']);
+        expect(TargetResolver.getTokensInArea(points, caster, { ...config, includeEnemies: false }).map((t) => t.name)).toEqual(['Ally']);
+      });
+    });
+
+    describe('resolveTargets() with an area', () => {
+      test('should use the tokens inside the placed area', async () => {
+        const targets = [createToken('Enemy', 0, 20, -1)];
+        const area = { targets };
+        vi.spyOn(TargetResolver, 'placeArea').mockResolvedValue(area);
+        global.erps = { utils: { getTargetArray: vi.fn() } };
+
+        const result = await TargetResolver.resolveTargets({ actor: { name: 'Caster' }, selfTarget: false, areaTarget: config });
+
+        expect(result).toEqual({ success: true, targets, area });
+        expect(global.erps.utils.getTargetArray).not.toHaveBeenCalled();
+      });
+
+      test('should fail when the area is cancelled', async () => {
+        vi.spyOn(TargetResolver, 'placeArea').mockResolvedValue(null);
+
+        const result = await TargetResolver.resolveTargets({ actor: { name: 'Caster' }, selfTarget: false, areaTarget: config });
+
+        expect(result).toEqual({ success: false, targets: [], reason: 'areaCancelled' });
+      });
+
+      test('should remove an empty area and report no targets', async () => {
+        const area = { targets: [] };
+        vi.spyOn(TargetResolver, 'placeArea').mockResolvedValue(area);
+        const removeArea = vi.spyOn(TargetResolver, 'removeArea').mockResolvedValue();
+
+        const result = await TargetResolver.resolveTargets({ actor: { name: 'Caster' }, selfTarget: false, areaTarget: config });
+
+        expect(result.reason).toBe('noTargets');
+        expect(removeArea).toHaveBeenCalledWith(area);
+        expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Errors.NoTargetsInArea');
+      });
+    });
+
+    describe('placeArea()', () => {
+      test('should refuse when the actor has no token on the canvas', async () => {
+        global.canvas = { ready: true };
+
+        const result = await TargetResolver.placeArea({ token: null, getActiveTokens: () => [] }, config);
+
+        expect(result).toBeNull();
+        expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Errors.AreaTargetNoToken');
+      });
+    });
+
+    describe('removeArea()', () => {
+      test('should clear the preview and delete the region', async () => {
+        const area = {
+          preview: { destroyed: false, destroy: vi.fn() },
+          region: { delete: vi.fn().mockResolvedValue({}) }
+        };
+
+        await TargetResolver.removeArea(area);
+
+        expect(area.preview.destroy).toHaveBeenCalled();
+        expect(area.region.delete).toHaveBeenCalled();
+      });
+    });
+  });
 });
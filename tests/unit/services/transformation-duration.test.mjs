@@ -0,0 +1,207 @@
+// @ts-nocheck
+/**
+ * @fileoverview TransformationDuration Service Tests
+ *
+ * Unit tests for the TransformationDuration service which reverts timed
+ * transformations when their duration runs out or a revert trigger fires.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+import { TransformationDuration } from '../../../module/services/transformation-duration.mjs';
+
+/**
+ * Build a transformation layer
+ * @param {string} id - Layer ID
+ * @param {Object} [data] - Layer data to override
+ * @returns {Object} Layer record
+ */
+const layer = (id, data = {}) => ({
+  id,
+  name: `Layer ${id}`,
+  priority: 0,
+  duration: null,
+  revertTriggers: { resolveBelow: null, combatEnd: false, statusRemoved: '' },
+  ...data
+});
+
+/**
+ * Build an actor whose transformation layers are kept in a flags object
+ * @param {string} name - Actor name
+ * @param {Object[]} layers - Active layers
+ * @returns {Object} Mock actor
+ */
+const createActor = (name, layers) => {
+  const flags = { activeTransformations: layers };
+  const actor = {
+    name,
+    uuid: `Actor.${name}`,
+    documentName: 'Actor',
+    flags,
+    system: { resolve: { value: 20 } },
+    items: { get: vi.fn() },
+    getFlag: vi.fn((_scope, key) => flags[key]),
+    setFlag: vi.fn(async (_scope, key, value) => {
+      flags[key] = value;
+      return actor;
+    }),
+    removeTransformation: vi.fn(async (layerId) => {
+      flags.activeTransformations = flags.activeTransformations.filter((l) => l.id !== layerId);
+      return actor;
+    })
+  };
+  return actor;
+};
+
+describe('TransformationDuration', () => {
+  let actor;
+  let otherActor;
+  let combat;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    actor = createActor('Kael', [
+      layer('rage', { duration: { unit: 'rounds', remaining: 1, expiresAt: null } }),
+      layer('aura', { duration: { unit: 'rounds', remaining: 3, expiresAt: null } }),
+      layer('haste', { duration: { unit: 'turns', remaining: 2, expiresAt: null } })
+    ]);
+    otherActor = createActor('Mira', [layer('mist', { duration: { unit: 'seconds', remaining: null, expiresAt: 1060 } })]);
+
+    const combatants = [
+      { id: 'combatant-1', actor },
+      { id: 'combatant-2', actor: otherActor }
+    ];
+    combatants.get = (id) => combatants.find((c) => c.id === id);
+    combat = { id: 'combat-1', started: true, round: 2, turn: 0, previous: { round: 1, combatantId: 'combatant-1' }, combatants };
+
+    global.game = {
+      time: { worldTime: 1000 },
+      actors: { contents: [actor] },
+      scenes: { contents: [{ tokens: { contents: [{ actorLink: false, actor: otherActor }] } }] }
+    };
+  });
+
+  describe('getRemaining()', () => {
+    test('should count rounds and turns down and world time from now', () => {
+      expect(TransformationDuration.getRemaining(actor.flags.activeTransformations[1])).toBe(3);
+      expect(TransformationDuration.getRemaining(otherActor.flags.activeTransformations[0])).toBe(60);
+      expect(TransformationDuration.getRemaining(layer('plain'))).toBeNull();
+    });
+  });
+
+  describe('tickActor()', () => {
+    test('should record the countdown and revert expired layers', async () => {
+      const expired = await TransformationDuration.tickActor(actor, 'rounds');
+
+      expect(expired.map((l) => l.id)).toEqual(['rage']);
+      expect(actor.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'activeTransformations', expect.arrayContaining([
+        expect.objectContaining({ id: 'aura', duration: expect.objectContaining({ remaining: 2 }) })
+      ]));
+      expect(actor.removeTransformation).toHaveBeenCalledWith('rage');
+      expect(actor.flags.activeTransformations.map((l) => l.id)).toEqual(['aura', 'haste']);
+    });
+
+    test('should leave layers of other units and actors without durations alone', async () => {
+      const plain = createActor('Plain', [layer('wolf')]);
+
+      expect(await TransformationDuration.tickActor(plain, 'rounds')).toEqual([]);
+      expect(plain.setFlag).not.toHaveBeenCalled();
+
+      await TransformationDuration.tickActor(actor, 'turns');
+      expect(actor.flags.activeTransformations.find((l) => l.id === 'rage').duration.remaining).toBe(1);
+    });
+  });
+
+  describe('processCombatUpdate()', () => {
+    test('should tick turns for the ended combatant and rounds for everyone', async () => {
+      await TransformationDuration.processCombatUpdate(combat, { round: 2, turn: 0 });
+
+      expect(actor.flags.activeTransformations.map((l) => [l.id, l.duration.remaining])).toEqual([['aura', 2], ['haste', 1]]);
+      expect(actor.removeTransformation).toHaveBeenCalledWith('rage');
+    });
+
+    test('should not tick when stepping back', async () => {
+      await TransformationDuration.processCombatUpdate(combat, { round: 1 }, { direction: -1 });
+
+      expect(actor.setFlag).not.toHaveBeenCalled();
+      expect(actor.removeTransformation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('processWorldTime()', () => {
+    test('should revert world time layers once their time has passed', async () => {
+      await TransformationDuration.processWorldTime(1059);
+      expect(otherActor.removeTransformation).not.toHaveBeenCalled();
+
+      await TransformationDuration.processWorldTime(1060);
+      expect(otherActor.removeTransformation).toHaveBeenCalledWith('mist');
+      expect(actor.removeTransformation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revert triggers', () => {
+    test('should revert when Resolve drops below the threshold', async () => {
+      actor.flags.activeTransformations = [layer('rage', { revertTriggers: { resolveBelow: 5, combatEnd: false, statusRemoved: '' } })];
+
+      await TransformationDuration.processActorUpdate(actor, { system: { resolve: { value: 20 } } });
+      expect(actor.removeTransformation).not.toHaveBeenCalled();
+
+      actor.system.resolve.value = 4;
+      await TransformationDuration.processActorUpdate(actor, { name: 'Kael' });
+      expect(actor.removeTransformation).not.toHaveBeenCalled();
+
+      await TransformationDuration.processActorUpdate(actor, { system: { resolve: { value: 4 } } });
+      expect(actor.removeTransformation).toHaveBeenCalledWith('rage');
+    });
+
+    test('should revert when the combat ends', async () => {
+      actor.flags.activeTransformations = [layer('rage', { revertTriggers: { resolveBelow: null, combatEnd: true, statusRemoved: '' } }), layer('wolf')];
+
+      await TransformationDuration.processCombatEnd(combat);
+
+      expect(actor.removeTransformation).toHaveBeenCalledTimes(1);
+      expect(actor.removeTransformation).toHaveBeenCalledWith('rage');
+      expect(otherActor.removeTransformation).not.toHaveBeenCalled();
+    });
+
+    test('should revert when the named status is removed', async () => {
+      actor.flags.activeTransformations = [layer('aura', { revertTriggers: { resolveBelow: null, combatEnd: false, statusRemoved: 'Concentrating' } }), layer('wolf')];
+
+      await TransformationDuration.processItemDeletion({ type: 'status', name: 'Burning', parent: actor });
+      await TransformationDuration.processItemDeletion({ type: 'gear', name: 'Concentrating', parent: actor });
+      expect(actor.removeTransformation).not.toHaveBeenCalled();
+
+      await TransformationDuration.processItemDeletion({ type: 'status', name: 'concentrating ', parent: actor });
+      expect(actor.removeTransformation).toHaveBeenCalledTimes(1);
+      expect(actor.removeTransformation).toHaveBeenCalledWith('aura');
+    });
+  });
+
+  describe('revertLayers()', () => {
+    test('should not revert a layer that is already being reverted', async () => {
+      const rage = layer('rage');
+      actor.removeTransformation.mockImplementation(() => TransformationDuration.revertLayers(actor, [rage], 'resolveBelow'));
+
+      await TransformationDuration.revertLayers(actor, [rage], 'duration');
+
+      expect(actor.removeTransformation).toHaveBeenCalledTimes(1);
+    });
+  });
+});
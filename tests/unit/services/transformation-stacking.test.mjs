@@ -0,0 +1,175 @@
+// @ts-nocheck
+/**
+ * @fileoverview TransformationStacking Service Tests
+ *
+ * Unit tests for the TransformationStacking service which defines how
+ * transformations active at the same time are layered.
+ */
+
+import { TransformationStacking } from '../../../module/services/transformation-stacking.mjs';
+
+const layer = (id, data = {}) => ({
+  id,
+  name: id,
+  cursed: false,
+  stackable: true,
+  priority: 0,
+  stackGroup: '',
+  size: 0,
+  tokenImage: '',
+  powerAdjustment: 0,
+  resolveAdjustment: 0,
+  duration: null,
+  revertTriggers: { resolveBelow: null, combatEnd: false, statusRemoved: '' },
+  ...data
+});
+
+describe('TransformationStacking', () => {
+  let actor;
+  let flags;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    flags = {};
+    actor = {
+      getFlag: vi.fn((_scope, key) => flags[key]),
+      items: { get: vi.fn() }
+    };
+
+    global.game = {
+      i18n: { format: vi.fn((key, data) => `${key} ${JSON.stringify(data)}`) },
+      time: { worldTime: 1000 }
+    };
+  });
+
+  describe('createLayer()', () => {
+    test('should record the stacking rules and effects of a transformation', () => {
+      const transformation = {
+        id: 'wolf',
+        name: 'Wolf Form',
+        system: {
+          cursed: true, stackable: true, priority: '2', stackGroup: ' shape ', size: 2, tokenImage: 'wolf.webp', powerAdjustment: '3', resolveAdjustment: -1,
+          duration: { unit: 'rounds', value: 3 },
+          revertTriggers: { resolveBelow: 5, combatEnd: true, statusRemoved: ' Raging ' }
+        }
+      };
+
+      expect(TransformationStacking.createLayer(transformation)).toEqual({
+        id: 'wolf',
+        name: 'Wolf Form',
+        cursed: true,
+        stackable: true,
+        priority: 2,
+        stackGroup: 'shape',
+        size: 2,
+        tokenImage: 'wolf.webp',
+        powerAdjustment: 3,
+        resolveAdjustment: -1,
+        duration: { unit: 'rounds', remaining: 3, expiresAt: null },
+        revertTriggers: { resolveBelow: 5, combatEnd: true, statusRemoved: 'Raging' }
+      });
+    });
+
+    test('should start a world time duration from the current time', () => {
+      const transformation = { id: 'mist', name: 'Mist Form', system: { duration: { unit: 'seconds', value: 60 } } };
+
+      expect(TransformationStacking.createLayer(transformation).duration).toEqual({ unit: 'seconds', remaining: null, expiresAt: 1060 });
+      transformation.system.duration.unit = 'none';
+      expect(TransformationStacking.createLayer(transformation).duration).toBeNull();
+    });
+
+    test('should treat transformations from before stacking as non-stackable', () => {
+      expect(TransformationStacking.createLayer({ _id: 'old', name: 'Old Form', system: {} })).toEqual(
+        layer('old', { name: 'Old Form', stackable: false })
+      );
+    });
+  });
+
+  describe('getLayers()', () => {
+    test('should sort layers by priority and keep the application order of ties', () => {
+      flags.activeTransformations = [layer('a', { priority: 1 }), layer('b'), layer('c', { priority: 1 })];
+
+      expect(TransformationStacking.getLayers(actor).map((l) => l.id)).toEqual(['b', 'a', 'c']);
+    });
+
+    test('should read a transformation applied before stacking as one layer', () => {
+      flags.activeTransformation = 'wolf';
+      flags.activeTransformationName = 'Wolf Form';
+      flags.activeTransformationCursed = true;
+      actor.items.get.mockReturnValue({
+        id: 'wolf',
+        name: 'Wolf Form',
+        system: { cursed: true, tokenImage: 'wolf.webp', duration: { unit: 'rounds', value: 3 } }
+      });
+
+      expect(TransformationStacking.getLayers(actor)).toEqual([
+        layer('wolf', { name: 'Wolf Form', cursed: true, stackable: false, tokenImage: 'wolf.webp' })
+      ]);
+
+      actor.items.get.mockReturnValue(undefined);
+      expect(TransformationStacking.getLayers(actor)).toEqual([
+        layer('wolf', { name: 'Wolf Form', cursed: true, stackable: false })
+      ]);
+    });
+
+    test('should return no layers when untransformed', () => {
+      expect(TransformationStacking.getLayers(actor)).toEqual([]);
+    });
+  });
+
+  describe('getReplacedLayers()', () => {
+    const layers = [layer('shrunk', { stackGroup: 'size' }), layer('aura')];
+
+    test('should replace only the layer of the same stack group', () => {
+      expect(TransformationStacking.getReplacedLayers(layers, { system: { stackable: true, stackGroup: 'size' } }))
+        .toEqual([layers[0]]);
+      expect(TransformationStacking.getReplacedLayers(layers, { system: { stackable: true } })).toEqual([]);
+    });
+
+    test('should replace every layer unless all of them stack', () => {
+      expect(TransformationStacking.getReplacedLayers(layers, { system: { stackable: false } })).toEqual(layers);
+      expect(TransformationStacking.getReplacedLayers([layer('wolf', { stackable: false })], { system: { stackable: true } }))
+        .toHaveLength(1);
+    });
+  });
+
+  describe('getConflict()', () => {
+    test('should refuse a transformation with the name of an active layer', () => {
+      flags.activeTransformations = [layer('aura', { name: 'Flame Aura' })];
+
+      expect(TransformationStacking.getConflict(actor, { name: 'Flame Aura', system: { stackable: true } })).toEqual({
+        reason: 'duplicate_name',
+        warning: expect.stringContaining('TransformationDuplicateNameWarning')
+      });
+    });
+
+    test('should refuse replacing a cursed layer with an uncursed transformation', () => {
+      flags.activeTransformations = [layer('shrunk', { name: 'Shrunk', cursed: true, stackGroup: 'size' })];
+
+      expect(TransformationStacking.getConflict(actor, { name: 'Wolf Form', system: {} }).reason).toBe('cursed_override_denied');
+      expect(TransformationStacking.getConflict(actor, { name: 'Giant', system: { stackable: true, stackGroup: 'size' } }).reason)
+        .toBe('cursed_override_denied');
+      expect(TransformationStacking.getConflict(actor, { name: 'Hex', system: { cursed: true } })).toBeNull();
+    });
+
+    test('should allow stacking on top of a cursed layer', () => {
+      flags.activeTransformations = [layer('shrunk', { name: 'Shrunk', cursed: true, stackGroup: 'size' })];
+
+      expect(TransformationStacking.getConflict(actor, { name: 'Flame Aura', system: { stackable: true } })).toBeNull();
+    });
+  });
+
+  describe('getAppearance()', () => {
+    test('should take image and size from the highest layer that sets them', () => {
+      const layers = [
+        layer('shrunk', { priority: 5, size: 0.5 }),
+        layer('aura', { tokenImage: 'aura.webp' }),
+        layer('glow', { tokenImage: 'glow.webp' })
+      ];
+
+      expect(TransformationStacking.getAppearance(layers)).toEqual({ tokenImage: 'glow.webp', size: 0.5 });
+      expect(TransformationStacking.getAppearance([])).toEqual({ tokenImage: '', size: 0 });
+    });
+  });
+});
@@ -0,0 +1,289 @@
+// @ts-nocheck
+/**
+ * @fileoverview UndoHistory Service Tests
+ *
+ * Unit tests for the UndoHistory service which records what GM-applied
+ * changes did to an actor and reverts them.
+ */
+
+// Mock dependencies before import
+vi.mock('../../../module/services/logger.mjs', () => ({
+  Logger: {
+    methodEntry: vi.fn(),
+    methodExit: vi.fn(),
+    debug: vi.fn(),
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn()
+  }
+}));
+
+vi.mock('../../../module/utils/error-handler.mjs', () => ({
+  ErrorHandler: {
+    handleDocumentOperation: vi.fn(async (promise) => [await promise, null])
+  }
+}));
+
+import { UndoHistory } from '../../../module/services/undo-history.mjs';
+
+const createActor = () => {
+  const actor = {
+    id: 'actor-1',
+    uuid: 'Actor.actor-1',
+    name: 'Kael',
+    system: {
+      resolve: { value: 50, max: 100 },
+      power: { value: 3, max: 5 }
+    },
+    items: new Map(),
+    update: vi.fn(async (data) => data),
+    createEmbeddedDocuments: vi.fn(async (_type, data) => data),
+    deleteEmbeddedDocuments: vi.fn(async () => [])
+  };
+  return actor;
+};
+
+const createMessage = (entry = null) => {
+  const flags = { undo: entry };
+  return {
+    getFlag: vi.fn((_scope, key) => flags[key] ?? undefined),
+    setFlag: vi.fn(async (_scope, key, value) => {
+      flags[key] = value;
+    })
+  };
+};
+
+describe('UndoHistory', () => {
+  let hooks;
+  let actor;
+
+  const fire = (hook, ...args) => {
+    for (const fn of hooks.get(hook) ?? []) fn(...args);
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    UndoHistory._entries.clear();
+
+    hooks = new Map();
+    actor = createActor();
+
+    global.Hooks = {
+      on: vi.fn((hook, fn) => {
+        hooks.set(hook, [...(hooks.get(hook) ?? []), fn]);
+        return fn;
+      }),
+      off: vi.fn((hook, fn) => {
+        hooks.set(hook, (hooks.get(hook) ?? []).filter((other) => other !== fn));
+      })
+    };
+    global.foundry = {
+      utils: {
+        randomID: vi.fn(() => 'entry-1'),
+        deepClone: (value) => JSON.parse(JSON.stringify(value)),
+        flattenObject: (object, prefix = '') =>
+          Object.entries(object).reduce((flat, [key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+              Object.assign(flat, global.foundry.utils.flattenObject(value, path));
+            } else {
+              flat[path] = value;
+            }
+            return flat;
+          }, {}),
+        getProperty: (object, path) => path.split('.').reduce((value, key) => value?.[key], object)
+      }
+    };
+    global.fromUuid = vi.fn(async (uuid) => (uuid === actor.uuid ? actor : null));
+    global.ChatMessage = {
+      getSpeakerActor: vi.fn((speaker) => (speaker.actor === actor.id ? actor : null))
+    };
+    global.game = {
+      user: { id: 'gm', isGM: true },
+      messages: [],
+      i18n: {
+        localize: vi.fn((key) => key),
+        format: vi.fn((key) => key)
+      }
+    };
+    global.ui = { notifications: { info: vi.fn(), warn: vi.fn() } };
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('track()', () => {
+    test('should record resource changes and attach the entry to the chat card', async () => {
+      const message = createMessage();
+
+      await UndoHistory.track(actor, 'Fireball', async () => {
+        actor.system.resolve.value = 38;
+      }, { messages: [message] });
+
+      const [entry] = UndoHistory.getEntries();
+      expect(entry).toMatchObject({
+        id: 'entry-1',
+        label: 'Fireball',
+        actorUuid: 'Actor.actor-1',
+        resources: { resolve: { before: 50, after: 38 } },
+        undone: false
+      });
+      expect(message.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'undo', entry);
+    });
+
+    test('should record created, updated and deleted items', async () => {
+      const status = { id: 'burn', uuid: 'Actor.actor-1.Item.burn', parent: actor, _source: { system: { count: 1 } } };
+      const removed = { id: 'stun', parent: actor, toObject: () => ({ _id: 'stun', name: 'Stunned' }) };
+
+      await UndoHistory.track(actor, 'Status Effects', async () => {
+        fire('createItem', { id: 'poison', parent: actor }, {}, 'gm');
+        fire('preUpdateItem', status, { system: { count: 2 } }, {}, 'gm');
+        fire('preDeleteItem', removed, {}, 'gm');
+      });
+
+      expect(UndoHistory.getEntries()[0]).toMatchObject({
+        createdItemIds: ['poison'],
+        updatedDocuments: [{ uuid: 'Actor.actor-1.Item.burn', data: { 'system.count': 1 } }],
+        deletedItems: [{ _id: 'stun', name: 'Stunned' }]
+      });
+    });
+
+    test('should ignore changes made by other users or to other actors', async () => {
+      await UndoHistory.track(actor, 'Fireball', async () => {
+        fire('createItem', { id: 'poison', parent: actor }, {}, 'player');
+        fire('createItem', { id: 'other', parent: { uuid: 'Actor.other' } }, {}, 'gm');
+      });
+
+      expect(UndoHistory.getEntries()).toEqual([]);
+    });
+
+    test('should capture chat cards posted shortly after the change', async () => {
+      const message = createMessage();
+      message.speaker = { actor: 'actor-1' };
+
+      await UndoHistory.track(actor, 'Fireball', async () => {
+        actor.system.resolve.value = 38;
+      });
+      fire('createChatMessage', message, {}, 'gm');
+
+      expect(message.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'undo', expect.objectContaining({ id: 'entry-1' }));
+
+      vi.runAllTimers();
+      expect(hooks.get('createChatMessage')).toEqual([]);
+    });
+
+    test('should capture chat cards created with the operation id', async () => {
+      const message = createMessage();
+      message.speaker = { alias: 'Narrator' };
+
+      await UndoHistory.track(actor, 'Fireball', async (createOptions) => {
+        actor.system.resolve.value = 38;
+        fire('createChatMessage', message, createOptions, 'gm');
+      });
+
+      expect(message.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'undo', expect.objectContaining({ label: 'Fireball' }));
+    });
+
+    test('should keep concurrent changes to unlinked tokens of one actor apart', async () => {
+      let nextId = 0;
+      foundry.utils.randomID = vi.fn(() => `id-${++nextId}`);
+      const tokenActor = (tokenId) => ({
+        ...createActor(),
+        uuid: `Scene.scene-1.Token.${tokenId}.Actor.actor-1`,
+        token: { id: tokenId }
+      });
+      const goblins = [tokenActor('token-1'), tokenActor('token-2')];
+      ChatMessage.getSpeakerActor = vi.fn((speaker) =>
+        goblins.find((goblin) => goblin.token.id === speaker.token) ?? null
+      );
+
+      const rollCards = goblins.map(() => createMessage());
+      const statusCard = createMessage();
+      statusCard.speaker = { actor: 'actor-1', token: 'token-2' };
+      const hit = (index) => async (createOptions) => {
+        await Promise.resolve();
+        goblins[index].system.resolve.value -= 10;
+        fire('createChatMessage', rollCards[index], createOptions, 'gm');
+      };
+
+      await Promise.all([
+        UndoHistory.track(goblins[0], 'Slash', hit(0)),
+        UndoHistory.track(goblins[1], 'Slash', async (createOptions) => {
+          await hit(1)(createOptions);
+          fire('createChatMessage', statusCard, {}, 'gm');
+        })
+      ]);
+
+      const entryFor = (message) => message.setFlag.mock.calls.map(([, , entry]) => entry.actorUuid);
+      expect(entryFor(rollCards[0])).toEqual([goblins[0].uuid]);
+      expect(entryFor(rollCards[1])).toEqual([goblins[1].uuid]);
+      expect(entryFor(statusCard)).toEqual([goblins[1].uuid]);
+    });
+
+    test('should stop recording when the operation fails', async () => {
+      await expect(
+        UndoHistory.track(actor, 'Fireball', async () => {
+          throw new Error('roll failed');
+        })
+      ).rejects.toThrow('roll failed');
+
+      expect([...hooks.values()].flat()).toEqual([]);
+      expect(UndoHistory.getEntries()).toEqual([]);
+    });
+  });
+
+  describe('undo()', () => {
+    const entry = {
+      id: 'entry-1',
+      label: 'Fireball',
+      actorUuid: 'Actor.actor-1',
+      actorName: 'Kael',
+      resources: { resolve: { before: 50, after: 38 } },
+      createdItemIds: ['poison'],
+      updatedDocuments: [],
+      deletedItems: [{ _id: 'stun', name: 'Stunned' }],
+      undone: false
+    };
+
+    test('should revert resources and items and mark the chat card undone', async () => {
+      actor.system.resolve.value = 40;
+      actor.items.set('poison', {});
+      const message = createMessage(entry);
+      game.messages = [message];
+      UndoHistory.remember(entry);
+
+      expect(await UndoHistory.undo('entry-1')).toBe(true);
+
+      expect(actor.createEmbeddedDocuments).toHaveBeenCalledWith('Item', entry.deletedItems, { keepId: true });
+      expect(actor.deleteEmbeddedDocuments).toHaveBeenCalledWith('Item', ['poison']);
+      expect(actor.update).toHaveBeenCalledWith({ 'system.resolve.value': 52 });
+      expect(message.setFlag).toHaveBeenCalledWith('eventide-rp-system', 'undo', expect.objectContaining({ undone: true }));
+      expect(UndoHistory.getEntries()[0].undone).toBe(true);
+    });
+
+    test('should find entries stored on chat cards from earlier sessions', async () => {
+      game.messages = [createMessage(entry)];
+
+      expect(await UndoHistory.undo('entry-1')).toBe(true);
+      expect(actor.update).toHaveBeenCalledWith({ 'system.resolve.value': 62 });
+    });
+
+    test('should refuse for players', async () => {
+      game.user.isGM = false;
+      UndoHistory.remember(entry);
+
+      expect(await UndoHistory.undo('entry-1')).toBe(false);
+      expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Errors.GMOnlyOperation');
+      expect(actor.update).not.toHaveBeenCalled();
+    });
+
+    test('should refuse to undo a change twice', async () => {
+      UndoHistory.remember({ ...entry, undone: true });
+
+      expect(await UndoHistory.undo('entry-1')).toBe(false);
+      expect(ui.notifications.warn).toHaveBeenCalledWith('EVENTIDE_RP_SYSTEM.Undo.Errors.AlreadyUndone');
+    });
+  });
+});